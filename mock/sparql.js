@@ -0,0 +1,82 @@
+// Stand-in for the backend's /sparql pass-through, for local development and tests.
+// It does not evaluate SPARQL: it answers any SELECT with a few canned Dublin facilities,
+// projected onto the query's variables, and any ASK with true. The detail panel's record
+// query (buildRecordQuery in src/utils/linkedData.js) gets the triples of the facility asked for.
+
+const SCHEMA = 'http://schema.org/'
+const XSD = 'http://www.w3.org/2001/XMLSchema#'
+const WKT_LITERAL = 'http://www.opengis.net/ont/geosparql#wktLiteral'
+const FACILITY_BASE = 'https://data.dublincity.ie/facility/'
+
+const FACILITIES = [
+  { id: 'library/pearse-street', name: 'Pearse Street Library', type: 'Library', lat: 53.3436, long: -6.2470,
+    openingHours: 'Mo-Th 10:00-20:00; Fr-Sa 10:00-17:00; PH off' },
+  { id: 'park/st-stephens-green', name: "St Stephen's Green", type: 'Park', lat: 53.3382, long: -6.2591,
+    wkt: 'POLYGON((-6.2620 53.3395, -6.2562 53.3395, -6.2562 53.3369, -6.2620 53.3369, -6.2620 53.3395))' },
+  { id: 'pool/markievicz', name: 'Markievicz Leisure Centre', type: 'Swimming Pool', lat: 53.3459, long: -6.2525,
+    openingHours: 'Mo-Fr 07:00-22:00; Sa-Su 09:00-18:00; PH 10:00-14:00' },
+  { id: 'playground/herbert-park', name: 'Herbert Park Playground', type: 'Playground', lat: 53.3277, long: -6.2345 }
+]
+
+const bindingsFor = (facility) => ({
+  facility: { type: 'uri', value: `${FACILITY_BASE}${facility.id}` },
+  name: { type: 'literal', value: facility.name },
+  type: { type: 'uri', value: `${SCHEMA}${facility.type.replace(/\s+/g, '')}` },
+  lat: { type: 'literal', value: String(facility.lat), datatype: `${XSD}decimal` },
+  long: { type: 'literal', value: String(facility.long), datatype: `${XSD}decimal` },
+  wkt: { type: 'literal', value: facility.wkt || `POINT(${facility.long} ${facility.lat})`, datatype: WKT_LITERAL },
+  ...(facility.openingHours && { openingHours: { type: 'literal', value: facility.openingHours } })
+})
+
+const uri = (value) => ({ type: 'uri', value })
+const literal = (value, datatype) => ({ type: 'literal', value: String(value), ...(datatype && { datatype }) })
+const outgoing = (predicate, object, objectLabel) => ({
+  direction: literal('out'),
+  predicate: uri(predicate),
+  object,
+  ...(objectLabel && { objectLabel: literal(objectLabel) })
+})
+
+// Triples about one facility, as buildRecordQuery selects them
+const recordBindings = (facility) => [
+  outgoing('http://www.w3.org/1999/02/22-rdf-syntax-ns#type', uri(`${SCHEMA}${facility.type.replace(/\s+/g, '')}`), facility.type),
+  outgoing(`${SCHEMA}name`, literal(facility.name)),
+  outgoing(`${SCHEMA}latitude`, literal(facility.lat, `${XSD}decimal`)),
+  outgoing(`${SCHEMA}longitude`, literal(facility.long, `${XSD}decimal`)),
+  ...(facility.openingHours ? [outgoing(`${SCHEMA}openingHours`, literal(facility.openingHours))] : []),
+  outgoing(`${SCHEMA}isAccessibleForFree`, literal('true', `${XSD}boolean`)),
+  outgoing('http://purl.org/dc/terms/source', uri('https://data.smartdublin.ie/'), 'Smart Dublin')
+]
+
+const RECORD_QUERY = /\{\s*<([^>]+)>\s+\?predicate\s+\?object\s*\.\s*BIND\("out" AS \?direction\)/
+
+export const mockSparqlResponse = (query) => {
+  if (/^\s*(PREFIX[^\n]*\n\s*)*ASK\b/i.test(query)) return { head: {}, boolean: true }
+
+  const record = RECORD_QUERY.exec(query)
+  if (record) {
+    const facility = FACILITIES.find(f => `${FACILITY_BASE}${f.id}` === record[1])
+    return {
+      head: { vars: ['direction', 'predicate', 'object', 'predicateLabel', 'objectLabel'] },
+      results: { bindings: facility ? recordBindings(facility) : [] }
+    }
+  }
+
+  const select = /SELECT\s+(?:DISTINCT\s+|REDUCED\s+)?(.*?)\s*(?:WHERE|\{)/is.exec(query)
+  if (!select) throw new Error('The mock endpoint only answers SELECT and ASK queries')
+
+  const projected = select[1].match(/\?\w+/g)
+  const vars = projected ? projected.map(v => v.slice(1)) : Object.keys(bindingsFor(FACILITIES[0]))
+  const limit = /LIMIT\s+(\d+)/i.exec(query)
+  const rows = FACILITIES.slice(0, limit ? Number(limit[1]) : undefined)
+
+  return {
+    head: { vars },
+    results: {
+      bindings: rows.map(facility => {
+        const all = bindingsFor(facility)
+        return Object.fromEntries(vars.filter(v => all[v]).map(v => [v, all[v]]))
+      })
+    }
+  }
+}
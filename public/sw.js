@@ -0,0 +1,106 @@
+// Service worker: precaches the app shell and serves basemap tiles offline.
+// API responses are cached by useApi in IndexedDB, so /api is left to the network.
+
+// Sets self.BUILD_VERSION; written by the precache-manifest plugin in vite.config.js.
+// The browser compares imported scripts on update checks, so every build installs afresh.
+self.importScripts('/sw-version.js');
+
+const APP_CACHE = `dublin-app-${self.BUILD_VERSION}`;
+const TILE_CACHE = 'dublin-tiles-v1';
+const RUNTIME_CACHE = 'dublin-runtime-v1';
+const KNOWN_CACHES = [APP_CACHE, TILE_CACHE, RUNTIME_CACHE];
+
+// Room for a full basemap save at high zoom (about 3000 tiles) plus tiles met while browsing
+const MAX_TILES = 6000;
+
+// Cross-origin assets the shell depends on (Leaflet CSS, web fonts)
+const RUNTIME_HOSTS = ['unpkg.com', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(APP_CACHE);
+        // Written by the precache-manifest plugin in vite.config.js
+        const response = await fetch('/precache-manifest.json', { cache: 'no-store' });
+        const files = response.ok ? await response.json() : ['/'];
+        await cache.addAll(files);
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        // Drops the app caches of earlier builds
+        const names = await caches.keys();
+        await Promise.all(names.filter(n => !KNOWN_CACHES.includes(n)).map(n => caches.delete(n)));
+        await self.clients.claim();
+    })());
+});
+
+// Delete the oldest entries (Cache Storage keeps insertion order) beyond maxEntries
+let trimming = null;
+const trimCache = (cacheName, maxEntries) => {
+    trimming ??= (async () => {
+        const cache = await caches.open(cacheName);
+        const keys = await cache.keys();
+        await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+    })().finally(() => { trimming = null; });
+    return trimming;
+};
+
+const cacheFirst = async (request, cacheName) => {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    // An opaque copy can't answer a CORS request (tiles re-fetched for map export)
+    if (cached && !(request.mode === 'cors' && cached.type === 'opaque')) return cached;
+
+    const response = await fetch(request);
+    // Opaque responses (no-cors tiles) report status 0 but are still usable
+    if (response.ok || response.type === 'opaque') {
+        cache.put(request, response.clone())
+            .then(() => cacheName === TILE_CACHE && trimCache(TILE_CACHE, MAX_TILES));
+    }
+    return response;
+};
+
+const networkFirst = async (request) => {
+    try {
+        const response = await fetch(request);
+        // An error page must not replace the cached shell
+        if (response.ok) {
+            const cache = await caches.open(APP_CACHE);
+            cache.put('/', response.clone());
+        }
+        return response;
+    } catch (err) {
+        const cached = await caches.match('/');
+        if (cached) return cached;
+        throw err;
+    }
+};
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request));
+    } else if (url.hostname.endsWith('basemaps.cartocdn.com')) {
+        event.respondWith(cacheFirst(request, TILE_CACHE));
+    } else if (RUNTIME_HOSTS.includes(url.hostname)) {
+        event.respondWith(cacheFirst(request, RUNTIME_CACHE));
+    } else if (url.origin === self.location.origin && !url.pathname.startsWith('/api')) {
+        event.respondWith(cacheFirst(request, APP_CACHE));
+    }
+});
+
+// Proximity alerts (useProximityAlert) are shown by the worker; a click brings the app back
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    event.waitUntil((async () => {
+        const [client] = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        if (client) await client.focus();
+        else await self.clients.openWindow('/');
+    })());
+});
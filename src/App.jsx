@@ -1,31 +1,101 @@
-import { useState, useEffect, useCallback, useMemo } from 'react';
-import { renderToStaticMarkup } from 'react-dom/server';
-import { MapContainer, TileLayer, Marker, Popup, useMap, GeoJSON } from 'react-leaflet';
+import { useState, useEffect, useCallback, useMemo, useRef, useDeferredValue } from 'react';
+import { MapContainer, useMap, useMapEvents } from 'react-leaflet';
 import L from 'leaflet';
 import {
     Search,
-    MapPin,
     Building2,
-    Trees,
     Info,
     AlertCircle,
     Loader2,
     Navigation,
     ExternalLink,
     Map as MapIcon,
-    Book,
-    Bath,
-    Bike,
-    Users,
-    Droplets,
-    Trash2,
-    Recycle,
-    Shield,
-    Accessibility,
-    Waves,
-    Church
+    Route,
+    Contrast,
+    List,
+    Languages,
+    SunMoon,
+    GitCompare,
+    LocateFixed,
+    MapPinned,
+    Bell,
+    Star,
+    Bookmark,
+    Clock
 } from 'lucide-react';
 import { useApi } from './hooks/useApi';
+import { useUrlState } from './hooks/useUrlState';
+import { useRouting, useNetworkDistances } from './hooks/useRouting';
+import { useAreaComparison } from './hooks/useAreaComparison';
+import { useGapAnalysis } from './hooks/useGapAnalysis';
+import { useLocationTracking } from './hooks/useLocationTracking';
+import { useProximityAlert } from './hooks/useProximityAlert';
+import { useSavedPlaces } from './hooks/useSavedPlaces';
+import { usePrefersDark } from './hooks/usePrefersDark';
+import { parseUrlState } from './utils/urlState';
+import { exportFeatures } from './utils/export';
+import { distanceToGeometry, getBounds, getRepresentativePoint } from './utils/geometry';
+import { searchFeatures } from './utils/search';
+import { filterFeaturesByRegion, regionToWKT } from './utils/regions';
+import { saveFacilitySnapshot, searchFacilitySnapshot } from './utils/offline';
+import { isRoutingAvailable } from './utils/routing';
+import { BASEMAP_DEFAULTS, OVERLAY, THEMES, getBasemap, resolveTheme } from './utils/basemaps';
+import { buildPrintLegend } from './utils/print';
+import { readStored, writeStored } from './utils/storage';
+import { LOCALES, formatNumber, getInitialLocale, setLocale, t, translateTerm } from './utils/i18n';
+import { formatDistance, formatKilometres } from './utils/format';
+import { COMPARISON_COLORS, MAX_COMPARED_AREAS, buildComparison } from './utils/comparison';
+import { DEFAULT_GAP_THRESHOLD, cellToFeature } from './utils/gapAnalysis';
+import { DENSITY_DEFAULTS } from './utils/density';
+import { formatWallTime, getOpeningHours, isOpenAt, parseWallTime, toDublinTime } from './utils/openingHours';
+import CoveragePanel from './components/CoveragePanel';
+import AreaChoropleth from './components/AreaChoropleth';
+import ChoroplethLegend from './components/ChoroplethLegend';
+import ClusteredMarkers from './components/ClusteredMarkers';
+import ExportMenu from './components/ExportMenu';
+import StatusIndicator from './components/StatusIndicator';
+import RouteLayer from './components/RouteLayer';
+import RoutePanel from './components/RoutePanel';
+import ResultsList from './components/ResultsList';
+import ShapeLayer from './components/ShapeLayer';
+import FeatureFocus from './components/FeatureFocus';
+import RegionDrawLayer from './components/RegionDrawLayer';
+import RegionToolbar from './components/RegionToolbar';
+import FacilityDetailPanel from './components/FacilityDetailPanel';
+import SparqlConsole from './components/SparqlConsole';
+import SparqlResultsLayer from './components/SparqlResultsLayer';
+import FacilityLegend from './components/FacilityLegend';
+import OpeningHours from './components/OpeningHours';
+import BasemapControl from './components/BasemapControl';
+import BasemapLayers from './components/BasemapLayers';
+import PrintPanel from './components/PrintPanel';
+import FacilitySwatch from './components/FacilitySwatch';
+import MapKeyboardNav from './components/MapKeyboardNav';
+import AreaComparisonChart from './components/AreaComparisonChart';
+import ComparisonLayer from './components/ComparisonLayer';
+import ComparisonLegend from './components/ComparisonLegend';
+import GapLayer from './components/GapLayer';
+import GapLegend from './components/GapLegend';
+import GapPanel from './components/GapPanel';
+import DensityLayer from './components/DensityLayer';
+import DensityControl from './components/DensityControl';
+import UserLocationLayer from './components/UserLocationLayer';
+import SavedPlacesLayer from './components/SavedPlacesLayer';
+import SavedPlacesPanel from './components/SavedPlacesPanel';
+import {
+    getFacilityConfig,
+    getTypeLabel,
+    groupByCategory,
+    setFacilityTypes,
+    setHighContrastMarkers
+} from './utils/facilityIcons';
+import {
+    calculateCoverageScore,
+    calculateCoverageByType,
+    buildAreaDistribution,
+    distributionFromStats
+} from './utils/coverage';
+import { buildAreaFeatures, getAvailableMetrics, getClassBreaks } from './utils/choropleth';
 
 // Fix for default marker icons in Leaflet + React
 import markerIcon from 'leaflet/dist/images/marker-icon.png';
@@ -46,99 +116,98 @@ L.Marker.prototype.options.icon = DefaultIcon;
 
 // Constants
 const DUBLIN_CENTER = [53.3498, -6.2603];
-
-// Facility Configuration
-const FACILITY_CONFIG = {
-    'Park': { icon: Trees, color: '#22c55e' },
-    'Library': { icon: Book, color: '#3b82f6' },
-    'Toilet': { icon: Bath, color: '#f59e0b' },
-    'Bike Parking': { icon: Bike, color: '#9333ea' },
-    'Community Centre': { icon: Users, color: '#4f46e5' },
-    'Water Fountain': { icon: Droplets, color: '#06b6d4' },
-    'Public Bin': { icon: Trash2, color: '#64748b' },
-    'Recycling Centre': { icon: Recycle, color: '#0d9488' },
-    'Garda Station': { icon: Shield, color: '#1eff00' },
-    'Disabled Parking': { icon: Accessibility, color: '#ef4444' },
-    'Swimming Pool': { icon: Waves, color: '#0ea5e9' },
-    'Place of Worship': { icon: Church, color: '#a855f7' }
-};
-
-const getIconForType = (type) => {
-    const config = FACILITY_CONFIG[type] || { icon: MapPin, color: '#a855f7' };
-    const IconComponent = config.icon;
-
-    const svgString = renderToStaticMarkup(
-        <div
-            className="custom-marker-wrapper"
-            style={{ backgroundColor: config.color }}
-        >
-            <IconComponent size={18} color="white" strokeWidth={2.5} />
-        </div>
+const NO_AREAS = [];
+const NO_TYPES = [];
+const ALERT_DISTANCES = [100, 200, 500, 1000]; // meters
+const CLOSED_COLOR = '#8b949e'; // outlines of facilities closed at the checked time
+
+const sameMembers = (a, b) => a.size === b.size && [...a].every(item => b.has(item));
+
+// Promise wrapper around the one-shot browser geolocation lookup; accuracy is in meters
+const getCurrentLocation = () => new Promise((resolve, reject) => {
+    if (!navigator.geolocation) {
+        reject(new Error(t('nearMe.unsupported')));
+        return;
+    }
+    navigator.geolocation.getCurrentPosition(
+        (position) => resolve({
+            lat: position.coords.latitude,
+            lon: position.coords.longitude,
+            accuracy: position.coords.accuracy
+        }),
+        (error) => {
+            console.error('Geolocation error:', error);
+            reject(new Error(t('nearMe.unavailable')));
+        }
     );
+});
 
-    return L.divIcon({
-        html: svgString,
-        className: 'custom-leaflet-icon',
-        iconSize: [32, 32],
-        iconAnchor: [16, 32],
-        popupAnchor: [0, -32]
-    });
-};
-
-// Haversine formula to calculate distance between two coordinates in meters
-const calculateDistance = (lat1, lon1, lat2, lon2) => {
-    const R = 6371e3; // Earth's radius in meters
-    const φ1 = (lat1 * Math.PI) / 180;
-    const φ2 = (lat2 * Math.PI) / 180;
-    const Δφ = ((lat2 - lat1) * Math.PI) / 180;
-    const Δλ = ((lon2 - lon1) * Math.PI) / 180;
+// Helper to auto-fit map when data changes.
+// A view restored from the URL takes precedence over fitting to the results.
+// While `paused` (e.g. following the user's location) the view is left alone.
+function MapViewSetter({ searchId, facilities, pendingViewRef, paused }) {
+    const map = useMap();
+    // Read when a search lands; later filter changes (Near Me, opening hours) leave the view alone
+    const facilitiesRef = useRef(facilities);
+    useEffect(() => {
+        facilitiesRef.current = facilities;
+    }, [facilities]);
 
-    const a =
-        Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
-        Math.cos(φ1) * Math.cos(φ2) * Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    useEffect(() => {
+        if (paused) return;
+        const current = facilitiesRef.current;
+        const pendingView = pendingViewRef.current;
+        if (pendingView) {
+            map.setView(pendingView.center, pendingView.zoom);
+            // Keep the view until the restored search has delivered its results
+            if (searchId > 0) pendingViewRef.current = null;
+            return;
+        }
 
-    return R * c; // Distance in meters
-};
+        const bounds = current && current.length > 0 ? getBounds(current.map(f => f.geometry)) : null;
+        if (bounds) {
+            map.fitBounds(bounds, { padding: [50, 50], maxZoom: 16 });
+        } else {
+            map.setView(DUBLIN_CENTER, 12);
+        }
+    }, [searchId, map, pendingViewRef, paused]);
+    return null;
+}
 
+// Reports the map centre and zoom whenever the user pans or zooms
+function MapViewTracker({ onViewChange }) {
+    const map = useMapEvents({
+        moveend: () => {
+            const center = map.getCenter();
+            onViewChange({ center: [center.lat, center.lng], zoom: map.getZoom() });
+        }
+    });
+    return null;
+}
 
-// Helper to auto-fit map when data changes
-function MapViewSetter({ facilities }) {
+// Leaflet measures its container once; a map shown again after list-only mode must re-measure
+function MapSizeSync({ hidden }) {
     const map = useMap();
     useEffect(() => {
-        if (facilities && facilities.length > 0) {
-            try {
-                // Create a temporary GeoJSON layer to calculate bounds for all geometry types (Point, Polygon, etc.)
-                const geoJsonLayer = L.geoJSON(facilities);
-                const bounds = geoJsonLayer.getBounds();
-
-                if (bounds.isValid()) {
-                    map.fitBounds(bounds, { padding: [50, 50], maxZoom: 16 });
-                }
-            } catch (e) {
-                console.warn("Could not set bounds:", e);
-            }
-        } else {
-            map.setView(DUBLIN_CENTER, 12);
-        }
-    }, [facilities, map]);
+        if (!hidden) map.invalidateSize();
+    }, [hidden, map]);
     return null;
 }
 
-const renderFacilityPopup = (f) => {
-    const config = FACILITY_CONFIG[f.properties.type] || { icon: MapPin, color: '#a855f7' };
+// `actions.onDirections(f)` adds a Directions button when routing is available,
+// `actions.onDetails(f)` a button opening the full linked-data record and
+// `actions.onToggleFavourite(f)` a star, filled when `actions.isFavourite(f)`.
+// Facilities with readable opening hours show whether they are open at `actions.time`
+// (a Dublin wall time) and that week's hours.
+const renderFacilityPopup = (f, actions = {}) => {
+    const config = getFacilityConfig(f.properties.type);
     const IconComponent = config.icon;
 
-    // Determine coordinates for Google Maps link based on geometry type
-    let lat = null, lon = null;
-    if (f.geometry.type === 'Point') {
-        [lon, lat] = f.geometry.coordinates;
-    } else if (f.geometry.type === 'Polygon' || f.geometry.type === 'MultiPolygon') {
-        const coords = f.geometry.type === 'Polygon'
-            ? f.geometry.coordinates[0][0]
-            : f.geometry.coordinates[0][0][0];
-        [lon, lat] = coords;
-    }
+    // Google Maps link to a point on the feature itself, whatever its geometry type
+    const point = getRepresentativePoint(f.geometry);
+    const showDetails = actions.onDetails && f.properties.uri;
+    const showStar = actions.onToggleFavourite && f.properties.uri;
+    const hours = actions.time && getOpeningHours(f.properties);
 
     return (
         <div className="custom-popup-content animate-fade-in">
@@ -149,7 +218,7 @@ const renderFacilityPopup = (f) => {
             <div className="flex-column" style={{ gap: 8 }}>
                 <div className="popup-info-row">
                     <IconComponent size={14} className="text-accent" />
-                    <span style={{ fontWeight: 600, color: 'var(--text-primary)' }}>{f.properties.type}</span>
+                    <span style={{ fontWeight: 600, color: 'var(--text-primary)' }}>{getTypeLabel(f.properties.type)}</span>
                 </div>
 
                 <div className="popup-info-row">
@@ -163,18 +232,42 @@ const renderFacilityPopup = (f) => {
                         <span>{f.properties.address}</span>
                     </div>
                 )}
+
+                {hours && <OpeningHours rules={hours} time={actions.time} />}
             </div>
 
-            {lat !== null && lon !== null && (
+            {(point || showDetails || showStar) && (
                 <div className="popup-footer">
-                    <a
-                        href={`https://www.google.com/maps/search/?api=1&query=${lat},${lon}`}
-                        target="_blank"
-                        rel="noopener noreferrer"
-                        className="popup-link"
-                    >
-                        View on Google Maps <ExternalLink size={12} />
-                    </a>
+                    {showStar && (
+                        <button
+                            className="popup-link popup-action"
+                            onClick={() => actions.onToggleFavourite(f)}
+                            aria-pressed={actions.isFavourite(f)}
+                        >
+                            <Star size={12} fill={actions.isFavourite(f) ? 'currentColor' : 'none'} />
+                            {actions.isFavourite(f) ? t('saved.starred') : t('saved.star')}
+                        </button>
+                    )}
+                    {showDetails && (
+                        <button className="popup-link popup-action" onClick={() => actions.onDetails(f)}>
+                            <Info size={12} /> {t('popup.details')}
+                        </button>
+                    )}
+                    {point && actions.onDirections && (
+                        <button className="popup-link popup-action" onClick={() => actions.onDirections(f)}>
+                            <Route size={12} /> {t('popup.directions')}
+                        </button>
+                    )}
+                    {point && (
+                        <a
+                            href={`https://www.google.com/maps/search/?api=1&query=${point[1]},${point[0]}`}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="popup-link"
+                        >
+                            {t('popup.googleMaps')} <ExternalLink size={12} />
+                        </a>
+                    )}
                 </div>
             )}
         </div>
@@ -182,122 +275,729 @@ const renderFacilityPopup = (f) => {
 };
 
 function App() {
-    const { fetchData, loading } = useApi();
-    const [showDebug, setShowDebug] = useState(false);
+    const { fetchData, isLoading, staleSince } = useApi();
+    // UI language; like the marker palette it lives in a module-level switch,
+    // which must be set before anything renders or requests data
+    const [locale, setActiveLocale] = useState(() => {
+        const initial = getInitialLocale(readStored('locale', null));
+        setLocale(initial);
+        return initial;
+    });
+    const searchControllerRef = useRef(null);
+    const [showConsole, setShowConsole] = useState(false);
+    // Located rows from the console; `id` remounts the layer for each new result
+    const [sparqlLayer, setSparqlLayer] = useState({ id: 0, features: [] });
     const [displayedDebugInfo, setDisplayedDebugInfo] = useState(null);
 
+    // Filters from a shared link seed the initial selection
+    const [initialUrlState] = useState(() => parseUrlState(window.location.search));
+
     const [areas, setAreas] = useState([]);
     const [types, setTypes] = useState([]);
     const [facilities, setFacilities] = useState([]);
     const [stats, setStats] = useState(null);
-    const [selectedArea, setSelectedArea] = useState('');
-    const [selectedTypes, setSelectedTypes] = useState([]);
+    const [selectedArea, setSelectedArea] = useState(() => initialUrlState.area);
+    const [selectedTypes, setSelectedTypes] = useState(() => initialUrlState.types);
+    const [searchedArea, setSearchedArea] = useState('');
+    const [searchedTypes, setSearchedTypes] = useState([]);
+
+    // Free-text search, matched on the client as the user types
+    const [searchTerm, setSearchTerm] = useState(() => initialUrlState.query);
+    const deferredSearchTerm = useDeferredValue(searchTerm);
     const [hasSearched, setHasSearched] = useState(false);
+    // Counts searches whose results have landed; the map fits to each new set of results
+    const [searchId, setSearchId] = useState(0);
+
+    // Opening hours filter: any time, open now, or open at a `datetime-local` value read as Dublin time.
+    // The clock ticks each minute so "now" and the greyed-out closed facilities stay current.
+    const [openFilter, setOpenFilter] = useState({ mode: 'any', at: '' });
+    const [now, setNow] = useState(() => new Date());
+
+    // Committee area choropleth
+    const [areaDistribution, setAreaDistribution] = useState([]);
+    const [showChoropleth, setShowChoropleth] = useState(true);
+    const [choroplethMetric, setChoroplethMetric] = useState('count');
+
+    // Service gap grid, measured from the searched facility types
+    const [showGaps, setShowGaps] = useState(false);
+    const [gapThreshold, setGapThreshold] = useState(DEFAULT_GAP_THRESHOLD);
 
     // Location-based filtering
     const [userLocation, setUserLocation] = useState(null);
     const [nearMeActive, setNearMeActive] = useState(false);
-    const [nearMeRadius, setNearMeRadius] = useState(1000); // meters
+    const [nearMeRadius, setNearMeRadius] = useState(() => initialUrlState.radius); // meters
     const [locationError, setLocationError] = useState(null);
+    const [nearMeSort, setNearMeSort] = useState('straight'); // 'straight' | 'network'
+    // Directions and the network distance sort need a routing server
+    const routingAvailable = isRoutingAvailable();
+    // Following the device with watchPosition, and waiting for a click to set the location by hand
+    const [tracking, setTracking] = useState(false);
+    const [pickingLocation, setPickingLocation] = useState(false);
+    // Proximity alert for one facility type: { enabled, type (id), distance (meters) }
+    const [alertSettings, setAlertSettings] = useState({ enabled: false, type: '', distance: 200 });
+
+    // Starred facilities, collections and filter presets; ids of the collections drawn on the map
+    const saved = useSavedPlaces();
+    const [visibleCollections, setVisibleCollections] = useState(() => new Set());
+
+    // Directions
+    const { route, routeLoading, routeError, requestRoute, clearRoute } = useRouting();
+    const [routeMode, setRouteMode] = useState('walking');
+    const [routeTarget, setRouteTarget] = useState(null);
+
+    // Results list <-> map linking
+    const [selectedFeature, setSelectedFeature] = useState(null);
+    const [hoveredFeature, setHoveredFeature] = useState(null);
+    const [focusRequest, setFocusRequest] = useState(null);
+
+    // Detail panel: the resources visited from the opened facility, current one last
+    const [detailHistory, setDetailHistory] = useState([]);
+    const detailUri = detailHistory[detailHistory.length - 1] || null;
+
+    // Drawn query region and the active drawing tool
+    const [region, setRegion] = useState(null);
+    const [drawTool, setDrawTool] = useState(null); // 'polygon' | 'rectangle' | 'circle'
+
+    // Area comparison: ids of the compared areas, baseline first; null when not comparing
+    const [comparedAreas, setComparedAreas] = useState(null);
+    const comparing = comparedAreas !== null;
+
+    // Display options, remembered between visits. Marker icons read the palette
+    // from a module-level switch, so it is set before the first render.
+    const [highContrast, setHighContrast] = useState(() => {
+        const enabled = readStored('high-contrast', false);
+        setHighContrastMarkers(enabled);
+        return enabled;
+    });
+    const [listOnly, setListOnly] = useState(() => readStored('list-only', false));
+    // Point facilities as markers, a heatmap or hexbins: { mode, radius, intensity }
+    const [densityOptions, setDensityOptions] = useState(() => ({ ...DENSITY_DEFAULTS, ...readStored('density', {}) }));
+    // UI theme ('system' follows the OS) and the basemap: { basemap, overlay, overlayOpacity }
+    const [theme, setTheme] = useState(() => readStored('theme', 'system'));
+    const [basemapOptions, setBasemapOptions] = useState(() => ({ ...BASEMAP_DEFAULTS, ...readStored('basemap', {}) }));
+    // The Leaflet map, for exporting the current view
+    const [mapInstance, setMapInstance] = useState(null);
+    const prefersDark = usePrefersDark();
+    const resolvedTheme = resolveTheme(theme, prefersDark);
+    const basemap = getBasemap(basemapOptions.basemap, resolvedTheme);
+
+    // Shareable URL state: the searched filters go in with each search (pushUrl),
+    // Near Me is a view of the current search's results
+    const urlViewState = useMemo(() => ({
+        nearMe: nearMeActive,
+        radius: nearMeRadius
+    }), [nearMeActive, nearMeRadius]);
+    const restoreFromUrlRef = useRef(null);
+    const { pushUrl, setMapView } = useUrlState(
+        urlViewState,
+        initialUrlState,
+        useCallback((restored) => restoreFromUrlRef.current?.(restored), [])
+    );
+    const pendingViewRef = useRef(initialUrlState.view);
+    const currentViewRef = useRef(initialUrlState.view);
+    const initialSearchDoneRef = useRef(false);
+
+    const handleViewChange = useCallback((view) => {
+        currentViewRef.current = view;
+        setMapView(view);
+    }, [setMapView]);
+
+    // Areas and types, requested again when the language changes so that
+    // names and labels come back localised where the API has them
+    const loadReferenceData = useCallback(() => Promise.all([
+        fetchData('/areas'),
+        fetchData('/facility-types')
+    ]).then(([areasData, typesData]) => {
+        if (areasData) {
+            setAreas(areasData);
+            if (areasData.debug) setDisplayedDebugInfo(areasData.debug);
+        }
+        if (typesData) {
+            // Icons, colours, categories and labels for new types come with the data
+            setFacilityTypes(typesData);
+            setTypes(typesData);
+        }
+    }), [fetchData]);
 
+    useEffect(() => {
+        loadReferenceData();
+    }, [loadReferenceData]);
+
+    // `overrides` lets callers search before the selection state has updated;
+    // `overrides.restoring` marks searches that repeat the current one (replayed from
+    // the URL or reloaded in a new language), which add no history entry
+    const handleSearch = useCallback(async (overrides = {}) => {
+        const area = overrides.area ?? selectedArea;
+        const searchTypes = overrides.types ?? selectedTypes;
+        const query = overrides.query ?? searchTerm;
+        setHasSearched(true);
+        setSearchedArea(area);
+        setSearchedTypes(searchTypes);
 
+        if (!overrides.restoring) {
+            pendingViewRef.current = null;
+            pushUrl({ area, types: searchTypes, query });
+        }
 
-    useEffect(() => {
-        const loadInitialData = async () => {
-            const [areasData, typesData] = await Promise.all([
-                fetchData('/areas'),
-                fetchData('/facility-types')
-            ]);
-            if (areasData) {
-                setAreas(areasData);
-                if (areasData.debug) setDisplayedDebugInfo(areasData.debug);
-            }
-            if (typesData) setTypes(typesData);
+        // A new search cancels the one still in flight, so stale responses never land
+        searchControllerRef.current?.abort();
+        const controller = new AbortController();
+        searchControllerRef.current = controller;
+        const requestOptions = { key: 'search', signal: controller.signal };
+
+        // Offline, an uncached search is answered from the local facility snapshot.
+        // Type filters may hold ids or names, so match on both.
+        const snapshotFilters = {
+            areaName: areas.find(a => a.id === area)?.name || area,
+            types: [...searchTypes, ...types.filter(t => searchTypes.includes(t.id)).map(t => t.name)]
         };
-        loadInitialData();
-    }, [fetchData]);
 
-    const handleSearch = useCallback(async () => {
-        setHasSearched(true);
-
-        // Fetch facilities
-        const data = await fetchData('/facilities', {
-            area: selectedArea,
-            type: selectedTypes
-        });
+        // Fetch facilities and stats in parallel
+        const [data, statsData] = await Promise.all([
+            // `q` lets a backend that supports text search narrow results server-side;
+            // the client-side fuzzy match still applies either way. The same goes for `region`,
+            // which is sent as WKT for a GeoSPARQL intersects filter
+            fetchData('/facilities', {
+                area,
+                type: searchTypes,
+                q: query.trim(),
+                region: region ? regionToWKT(region) : ''
+            }, {
+                ...requestOptions,
+                fallback: () => searchFacilitySnapshot(snapshotFilters)
+            }),
+            fetchData('/stats', { area }, requestOptions)
+        ]);
+        if (controller.signal.aborted) return;
 
         if (data) {
+            if (!data.staleSince) saveFacilitySnapshot(data.features || []);
             setFacilities(data.features || []);
+            setSearchId(id => id + 1);
             if (data.debug) {
                 setDisplayedDebugInfo(data.debug);
             }
+            // Only an all-regions search gives counts for every area
+            if (!area) {
+                setAreaDistribution(buildAreaDistribution(data.features || []));
+            }
         }
 
-        // Fetch stats
-        const statsData = await fetchData('/stats', {
-            area: selectedArea
-        });
-        if (statsData) setStats(statsData);
+        if (statsData) {
+            setStats(statsData);
+            // `/stats` counts every type, so it only stands in for the results when no type is filtered
+            const statsDistribution = searchTypes.length === 0 ? distributionFromStats(statsData) : null;
+            if (!area && statsDistribution) setAreaDistribution(statsDistribution);
+        }
+
+    }, [fetchData, selectedArea, selectedTypes, searchTerm, pushUrl, areas, types, region]);
+
+    // Only the search itself locks the filter controls; background requests don't
+    const searching = isLoading('search');
 
-    }, [fetchData, selectedArea, selectedTypes]);
+    const handleAreaSelect = useCallback((areaId) => {
+        setSelectedArea(areaId);
+        handleSearch({ area: areaId });
+    }, [handleSearch]);
+
+    const activateNearMe = useCallback(() => {
+        getCurrentLocation()
+            .then((location) => {
+                setUserLocation(location);
+                setNearMeActive(true);
+                setLocationError(null);
+            })
+            .catch((err) => setLocationError(err.message));
+    }, []);
 
     const handleNearMe = useCallback(() => {
         if (!nearMeActive) {
             // Activate Near Me mode
-            if (navigator.geolocation) {
-                navigator.geolocation.getCurrentPosition(
-                    (position) => {
-                        setUserLocation({
-                            lat: position.coords.latitude,
-                            lon: position.coords.longitude
-                        });
-                        setNearMeActive(true);
-                        setLocationError(null);
-                    },
-                    (error) => {
-                        setLocationError('Unable to get your location. Please enable location services.');
-                        console.error('Geolocation error:', error);
-                    }
-                );
-            } else {
-                setLocationError('Geolocation is not supported by your browser.');
-            }
+            activateNearMe();
         } else {
             // Deactivate Near Me mode
             setNearMeActive(false);
+            setTracking(false);
+        }
+    }, [nearMeActive, activateNearMe]);
+
+    const handleTrackedPosition = useCallback((location) => {
+        setUserLocation(location);
+        setNearMeActive(true);
+        setLocationError(null);
+    }, []);
+
+    const handleTrackingError = useCallback((message, final) => {
+        setLocationError(message);
+        if (final) setTracking(false);
+    }, []);
+
+    useLocationTracking(tracking, handleTrackedPosition, handleTrackingError);
+
+    const toggleTracking = useCallback(() => {
+        setTracking(!tracking);
+        setPickingLocation(false);
+    }, [tracking]);
+
+    // A location set by hand replaces the device's and stops tracking
+    const handleLocationPick = useCallback((location) => {
+        setUserLocation({ ...location, manual: true });
+        setNearMeActive(true);
+        setTracking(false);
+        setPickingLocation(false);
+        setLocationError(null);
+    }, []);
+
+    const handleAlertSettingsChange = useCallback((update) => {
+        // Ask while the user is interacting; without permission the alert shows in the page only
+        if (update.enabled && typeof Notification !== 'undefined' && Notification.permission === 'default') {
+            Notification.requestPermission();
+        }
+        setAlertSettings(prev => ({ ...prev, ...update }));
+    }, []);
+
+    // Routes from the user's location, asking for it first if needed
+    const handleDirections = useCallback((facility, mode = routeMode) => {
+        setRouteTarget(facility);
+        if (userLocation) {
+            requestRoute(userLocation, facility, mode);
+            return;
         }
-    }, [nearMeActive]);
+        getCurrentLocation()
+            .then((location) => {
+                setUserLocation(location);
+                setLocationError(null);
+                requestRoute(location, facility, mode);
+            })
+            .catch((err) => setLocationError(err.message));
+    }, [routeMode, userLocation, requestRoute]);
+
+    const handleRouteModeChange = useCallback((mode) => {
+        setRouteMode(mode);
+        if (routeTarget) handleDirections(routeTarget, mode);
+    }, [routeTarget, handleDirections]);
+
+    const handleCloseRoute = useCallback(() => {
+        setRouteTarget(null);
+        clearRoute();
+    }, [clearRoute]);
+
+    const showSparqlResults = useCallback(
+        (features) => setSparqlLayer(prev => ({ id: prev.id + 1, features })),
+        []
+    );
+
+    // Console results only stay on the map while the console is open
+    const handleCloseConsole = useCallback(() => {
+        setShowConsole(false);
+        showSparqlResults([]);
+    }, [showSparqlResults]);
+
+    const handleDetails = useCallback((feature) => setDetailHistory([feature.properties.uri]), []);
+
+    useEffect(() => {
+        const timer = setInterval(() => setNow(new Date()), 60 * 1000);
+        return () => clearInterval(timer);
+    }, []);
+
+    // When facilities are checked for being open: the chosen time, else now
+    const openCheckTime = useMemo(
+        () => (openFilter.mode === 'at' && parseWallTime(openFilter.at)) || toDublinTime(now),
+        [openFilter, now]
+    );
+
+    const renderPopup = useCallback(
+        (f) => renderFacilityPopup(f, {
+            onDirections: routingAvailable ? handleDirections : undefined,
+            onDetails: handleDetails,
+            onToggleFavourite: saved.toggleFavourite,
+            isFavourite: saved.isFavourite,
+            time: openCheckTime
+        }),
+        [routingAvailable, handleDirections, handleDetails, saved.toggleFavourite, saved.isFavourite, openCheckTime]
+    );
+
+    const toggleCollectionVisible = useCallback((id) => {
+        setVisibleCollections(prev => {
+            const next = new Set(prev);
+            if (next.has(id)) next.delete(id);
+            else next.add(id);
+            return next;
+        });
+    }, []);
+
+    const { addPreset } = saved;
+    const handleSavePreset = useCallback((name) => {
+        addPreset(name, { area: selectedArea, types: selectedTypes, radius: nearMeActive ? nearMeRadius : null });
+    }, [addPreset, selectedArea, selectedTypes, nearMeActive, nearMeRadius]);
+
+    const handleApplyPreset = useCallback((preset) => {
+        setSelectedArea(preset.area);
+        setSelectedTypes(preset.types);
+        if (preset.radius) setNearMeRadius(preset.radius);
+        handleSearch({ area: preset.area, types: preset.types });
+    }, [handleSearch]);
+
+    // Back/Forward: apply the filters and view from the URL and replay that search
+    useEffect(() => {
+        restoreFromUrlRef.current = (restored) => {
+            setSelectedArea(restored.area);
+            setSelectedTypes(restored.types);
+            setSearchTerm(restored.query);
+            setNearMeRadius(restored.radius);
+            if (restored.nearMe && !nearMeActive) activateNearMe();
+            if (!restored.nearMe) setNearMeActive(false);
+            pendingViewRef.current = restored.view;
+            handleSearch({ area: restored.area, types: restored.types, query: restored.query, restoring: true });
+        };
+    }, [handleSearch, nearMeActive, activateNearMe]);
+
+    // A shared link is replayed once on load, the same way as a history navigation
+    useEffect(() => {
+        if (initialSearchDoneRef.current || !initialUrlState.hasFilters) return;
+        initialSearchDoneRef.current = true;
+        restoreFromUrlRef.current(initialUrlState);
+    }, [initialUrlState]);
+
+    // Facilities touching the drawn region, checked on the client whether or not the backend filtered
+    const regionFacilities = useMemo(
+        () => (region ? filterFeaturesByRegion(facilities, region) : facilities),
+        [facilities, region]
+    );
+
+    // Distance from the user to the nearest part of each facility: a park's boundary,
+    // a greenway's closest stretch, zero when standing inside
+    const facilityDistances = useMemo(() => {
+        if (!userLocation) return null;
+        return new Map(regionFacilities.map(f => [f, distanceToGeometry(userLocation.lat, userLocation.lon, f.geometry)]));
+    }, [userLocation, regionFacilities]);
+
+    // Facilities whose opening hours say they are closed at the checked time.
+    // Those without readable hours are never counted as closed. The clock ticks every
+    // minute, but the set is only replaced when its members change, so the filtered
+    // results (and the list page, map and distance table that follow them) stay put.
+    const closedNow = useMemo(
+        () => new Set(regionFacilities.filter(f => isOpenAt(getOpeningHours(f.properties), openCheckTime) === false)),
+        [regionFacilities, openCheckTime]
+    );
+    const [closedFacilities, setClosedFacilities] = useState(closedNow);
+    if (closedNow !== closedFacilities && !sameMembers(closedNow, closedFacilities)) {
+        setClosedFacilities(closedNow);
+    }
 
     const filteredFacilities = useMemo(() => {
-        if (!nearMeActive || !userLocation) {
-            return facilities;
+        let result = regionFacilities;
+        if (nearMeActive && facilityDistances) {
+            result = result.filter(f => facilityDistances.get(f) <= nearMeRadius);
+        }
+        if (openFilter.mode !== 'any') {
+            result = result.filter(f => !closedFacilities.has(f));
+        }
+        return result;
+    }, [nearMeActive, facilityDistances, regionFacilities, nearMeRadius, openFilter.mode, closedFacilities]);
+
+    // Search matches among the visible results, or null when no term is entered
+    const searchMatches = useMemo(
+        () => searchFeatures(filteredFacilities, deferredSearchTerm),
+        [filteredFacilities, deferredSearchTerm]
+    );
+
+    // Results with their straight-line distance from the user, nearest first
+    const distanceResults = useMemo(() => {
+        if (!facilityDistances) return [];
+        return filteredFacilities
+            .map(f => ({ feature: f, distance: facilityDistances.get(f) }))
+            .sort((a, b) => a.distance - b.distance);
+    }, [facilityDistances, filteredFacilities]);
+
+    const nearMeFeatures = useMemo(
+        () => (nearMeActive ? distanceResults.map(r => r.feature) : []),
+        [nearMeActive, distanceResults]
+    );
+
+    const networkDistances = useNetworkDistances(
+        routingAvailable && nearMeSort === 'network' ? userLocation : null,
+        nearMeFeatures,
+        routeMode
+    );
+
+    // What the results list shows: near-me results are nearest first and can be
+    // ordered by street-network distance once the routing table has loaded.
+    // A search term narrows the list to its matches, best match first unless sorting by distance
+    const displayedResults = useMemo(() => {
+        let results;
+        if (nearMeActive && userLocation) {
+            results = networkDistances
+                ? distanceResults
+                    .map((r, i) => ({ ...r, network: networkDistances[i] }))
+                    .sort((a, b) => (a.network?.distance ?? Infinity) - (b.network?.distance ?? Infinity))
+                : distanceResults;
+        } else {
+            const distances = new Map(distanceResults.map(r => [r.feature, r.distance]));
+            results = filteredFacilities.map(feature => ({ feature, distance: distances.get(feature) }));
         }
 
-        return facilities.filter(facility => {
-            // Extract coordinates based on geometry type
-            let facLat, facLon;
-
-            if (facility.geometry.type === 'Point') {
-                [facLon, facLat] = facility.geometry.coordinates;
-            } else if (facility.geometry.type === 'Polygon' || facility.geometry.type === 'MultiPolygon') {
-                // For polygons, use the centroid (first coordinate of first ring)
-                const coords = facility.geometry.type === 'Polygon'
-                    ? facility.geometry.coordinates[0][0]
-                    : facility.geometry.coordinates[0][0][0];
-                [facLon, facLat] = coords;
+        if (!searchMatches) return results;
+        results = results
+            .filter(r => searchMatches.has(r.feature))
+            .map(r => ({ ...r, match: searchMatches.get(r.feature) }));
+        return nearMeActive ? results : results.sort((a, b) => b.match.score - a.match.score);
+    }, [nearMeActive, userLocation, filteredFacilities, distanceResults, networkDistances, searchMatches]);
+
+    // A finished or edited shape replaces the region and ends drawing
+    const handleRegionChange = useCallback((shape) => {
+        setRegion(shape);
+        setDrawTool(null);
+    }, []);
+
+    const handleDrawCancel = useCallback(() => setDrawTool(null), []);
+
+    // Selecting a result in the list flies the map to it; selecting on the map highlights the list
+    const handleResultSelect = useCallback((feature) => {
+        setSelectedFeature(feature);
+        setFocusRequest({ feature });
+    }, []);
+
+    const handleClearSelection = useCallback(() => setSelectedFeature(null), []);
+
+    const handleGapCellSelect = useCallback((cell) => setFocusRequest({ feature: cellToFeature(cell) }), []);
+
+    const toggleHighContrast = useCallback(() => {
+        const next = !highContrast;
+        setHighContrastMarkers(next);
+        setHighContrast(next);
+        writeStored('high-contrast', next);
+    }, [highContrast]);
+
+    const handleDensityChange = useCallback((next) => {
+        setDensityOptions(next);
+        writeStored('density', next);
+    }, []);
+
+    const handleThemeChange = useCallback((next) => {
+        setTheme(next);
+        writeStored('theme', next);
+    }, []);
+
+    const handleBasemapChange = useCallback((next) => {
+        setBasemapOptions(next);
+        writeStored('basemap', next);
+    }, []);
+
+    // The theme's colours are CSS variables switched on the root element
+    useEffect(() => {
+        document.documentElement.dataset.theme = resolvedTheme;
+    }, [resolvedTheme]);
+
+    const toggleListOnly = useCallback(() => {
+        const next = !listOnly;
+        setListOnly(next);
+        writeStored('list-only', next);
+    }, [listOnly]);
+
+    // Reload what came from the API in the new language, keeping the map where it is
+    const handleLocaleChange = useCallback((next) => {
+        setLocale(next);
+        setActiveLocale(next);
+        writeStored('locale', next);
+        loadReferenceData();
+        // Re-run what was searched, not what the filters have been changed to since
+        if (hasSearched) {
+            pendingViewRef.current = currentViewRef.current;
+            handleSearch({ area: searchedArea, types: searchedTypes, restoring: true });
+        }
+    }, [loadReferenceData, hasSearched, handleSearch, searchedArea, searchedTypes]);
+
+    // Screen-reader announcements: the outcome of each search and the facility
+    // selected from the map or the list
+    const resultsAnnouncement = searching
+        ? t('announce.searching')
+        : hasSearched
+            ? t('announce.found', { count: displayedResults.length })
+            : '';
+    const selectedIndex = selectedFeature ? displayedResults.findIndex(r => r.feature === selectedFeature) : -1;
+    const selectionAnnouncement = selectedFeature
+        ? `${selectedFeature.properties.name}, ${getTypeLabel(selectedFeature.properties.type)}, ${selectedFeature.properties.area}` +
+            (selectedIndex >= 0 ? `. ${t('announce.position', { index: selectedIndex + 1, total: displayedResults.length })}` : '')
+        : '';
+
+    // The facility behind the resource in the detail panel, when it is among the results
+    const detailFeature = useMemo(
+        () => (detailUri ? facilities.find(f => f.properties.uri === detailUri) || null : null),
+        [detailUri, facilities]
+    );
+
+    // Downloads exactly what is listed, in list order: after the near-me, opening hours
+    // and region filters and narrowed to the matches of the search box
+    const handleExport = useCallback((format) => {
+        const area = areas.find(a => a.id === searchedArea);
+        exportFeatures(format, displayedResults.map(r => r.feature), {
+            area: area ? area.name : searchedArea,
+            types: searchedTypes.map(id => getTypeLabel(types.find(type => type.id === id)?.name || id)),
+            nearMe: nearMeActive && userLocation ? { ...userLocation, radius: nearMeRadius } : null,
+            region: region ? regionToWKT(region) : null,
+            openAt: openFilter.mode !== 'any' ? formatWallTime(openCheckTime) : null,
+            search: deferredSearchTerm.trim() || null,
+            sparqlQuery: displayedDebugInfo?.sparqlQuery || null
+        });
+    }, [areas, types, searchedArea, displayedResults, searchedTypes, nearMeActive, userLocation, nearMeRadius, region,
+        openFilter.mode, openCheckTime, deferredSearchTerm, displayedDebugInfo]);
+
+    // Split results into map layers: areas of types configured to render as areas (e.g. parks)
+    // and lines are drawn as shapes, everything else (points, multipoints, other polygons)
+    // as a clustered marker. A type configured as 'point' is always a marker.
+    const { shapeFeatures, pointFeatures } = useMemo(() => {
+        const shapes = [];
+        const points = [];
+        filteredFacilities.forEach(f => {
+            const geom = f.geometry;
+            if (!geom) return;
+
+            const isArea = geom.type === 'Polygon' || geom.type === 'MultiPolygon';
+            const isLine = geom.type === 'LineString' || geom.type === 'MultiLineString';
+            const { renderAs } = getFacilityConfig(f.properties.type);
+            if ((isArea && renderAs === 'area') || (isLine && renderAs !== 'point')) {
+                shapes.push(f);
             } else {
-                return false;
+                points.push(f);
             }
-
-            const distance = calculateDistance(userLocation.lat, userLocation.lon, facLat, facLon);
-            return distance <= nearMeRadius;
         });
-    }, [nearMeActive, userLocation, facilities, nearMeRadius]);
+        return { shapeFeatures: shapes, pointFeatures: points };
+    }, [filteredFacilities]);
 
+    const pointTypes = useMemo(
+        () => [...new Set(pointFeatures.map(f => f.properties.type).filter(Boolean))],
+        [pointFeatures]
+    );
+    // In the density views the selected facility keeps its marker, so its popup still opens
+    const showDensity = densityOptions.mode !== 'markers';
+    const markerFeatures = useMemo(
+        () => (showDensity ? pointFeatures.filter(f => f === selectedFeature) : pointFeatures),
+        [showDensity, pointFeatures, selectedFeature]
+    );
+
+    // Checklist groups; setFacilityTypes has run by the time `types` is set
+    const typeGroups = useMemo(() => groupByCategory(types), [types]);
+
+    const choroplethMetrics = useMemo(() => getAvailableMetrics(areas), [areas]);
 
+    const areaFeatures = useMemo(
+        () => buildAreaFeatures(areas, areaDistribution, choroplethMetric),
+        [areas, areaDistribution, choroplethMetric]
+    );
+
+    // Boundaries alone, so the gap grid is not rebuilt whenever the counts change
+    const areaBoundaries = useMemo(() => buildAreaFeatures(areas, [], 'count').features, [areas]);
+    const gapResult = useGapAnalysis(showGaps ? searchedTypes : NO_TYPES, areaBoundaries);
+
+    // Proximity alerts default to the first type until one is chosen
+    const alertType = types.find(type => type.id === alertSettings.type) || types[0];
+    const proximitySettings = useMemo(
+        () => (alertSettings.enabled && nearMeActive && alertType
+            ? { type: alertType.id, typeName: alertType.name, distance: alertSettings.distance }
+            : null),
+        [alertSettings, nearMeActive, alertType]
+    );
+    const proximity = useProximityAlert(userLocation, proximitySettings);
+
+    const choroplethBreaks = useMemo(
+        () => getClassBreaks(areaFeatures.features.map(f => f.properties.value)),
+        [areaFeatures]
+    );
+
+    // Inside a drawn region, statistics are counted from the loaded results rather than /stats
+    const displayedStats = useMemo(() => {
+        if (!region || !hasSearched) return stats;
+        const byType = new Map();
+        regionFacilities.forEach(f => byType.set(f.properties.type, (byType.get(f.properties.type) || 0) + 1));
+        return {
+            total: regionFacilities.length,
+            byType: Array.from(byType, ([type, count]) => ({ type, count }))
+        };
+    }, [region, hasSearched, stats, regionFacilities]);
+
+    // Everything the Print / Export action puts on the page besides its title
+    const printContent = useMemo(() => {
+        const area = areas.find(a => a.id === searchedArea);
+        const typeNames = searchedTypes.map(id => getTypeLabel(types.find(type => type.id === id)?.name || id));
+        const filters = [
+            `${t('filters.area')}: ${area ? area.name : t('filters.allAreas')}`,
+            `${t('filters.types')}: ${typeNames.length > 0 ? typeNames.join(', ') : t('saved.allTypes')}`,
+            searchTerm.trim() && `${t('filters.search')}: ${searchTerm.trim()}`,
+            region && t('stats.drawnRegion'),
+            nearMeActive && userLocation && t('nearMe.active', { radius: formatKilometres(nearMeRadius) }),
+            openFilter.mode !== 'any' && (openFilter.mode === 'at' ? `${t('hours.modes.at')} ${openFilter.at.replace('T', ' ')}` : t('hours.modes.now'))
+        ].filter(Boolean).map(label => ({ label }));
+        const overlay = OVERLAY && basemapOptions.overlay ? { ...OVERLAY, opacity: basemapOptions.overlayOpacity } : null;
+
+        return {
+            basemap,
+            overlay,
+            shapes: comparing ? [] : shapeFeatures,
+            points: comparing ? [] : pointFeatures,
+            ring: nearMeActive && userLocation ? { ...userLocation, radius: nearMeRadius } : null,
+            location: userLocation,
+            legend: buildPrintLegend(filteredFacilities),
+            filters,
+            stats: displayedStats ? [
+                { label: t('stats.total'), value: formatNumber(displayedStats.total) },
+                { label: t('stats.categories'), value: formatNumber(displayedStats.byType.length) }
+            ] : [],
+            attribution: [basemap.attribution, overlay?.attribution].filter(Boolean).join(' · ')
+        };
+    }, [areas, searchedArea, searchedTypes, types, searchTerm, region, nearMeActive, userLocation, nearMeRadius, openFilter,
+        basemap, basemapOptions, comparing, shapeFeatures, pointFeatures, filteredFacilities, displayedStats]);
+
+    // Coverage equity across committee areas (only meaningful for an all-regions search).
+    // A drawn region is compared across the committee areas it reaches.
+    const coverage = useMemo(() => {
+        if (region) {
+            const areaNames = [...new Set(regionFacilities.map(f => f.properties.area).filter(Boolean))];
+            if (searchedArea || areaNames.length < 2) return null;
+            return {
+                overall: calculateCoverageScore(buildAreaDistribution(regionFacilities, areaNames)),
+                byType: calculateCoverageByType(regionFacilities, areaNames)
+            };
+        }
+        if (searchedArea || facilities.length === 0) return null;
+
+        // The headline score and the per-type rows describe the same facilities:
+        // `/stats` counts every type, so it is only used when no type is filtered
+        const areaNames = areas.map(a => a.name);
+        const distribution = (searchedTypes.length === 0 && distributionFromStats(stats))
+            || buildAreaDistribution(facilities, areaNames);
+
+        return {
+            overall: calculateCoverageScore(distribution),
+            byType: calculateCoverageByType(facilities, areaNames)
+        };
+    }, [region, regionFacilities, searchedArea, searchedTypes, facilities, areas, stats]);
+
+    // Compared areas are filtered by the types of the last search
+    const comparisonResult = useAreaComparison(comparedAreas || NO_AREAS, searchedTypes);
+    const comparison = useMemo(() => {
+        if (comparisonResult.entries.length === 0) return null;
+        // Type filters may hold ids or names
+        const typeNames = searchedTypes.map(id => types.find(type => type.id === id)?.name || id);
+        return buildComparison(comparisonResult.entries, typeNames);
+    }, [comparisonResult.entries, searchedTypes, types]);
+    const comparedAreaNames = (comparedAreas || NO_AREAS).map(id => areas.find(a => a.id === id)?.name || id);
+
+    // Comparison starts from the selected area, which becomes the baseline
+    const toggleComparing = useCallback(() => {
+        setComparedAreas(prev => (prev ? null : [selectedArea].filter(Boolean)));
+    }, [selectedArea]);
+
+    const toggleComparedArea = useCallback((areaId) => {
+        setComparedAreas(prev => (prev.includes(areaId)
+            ? prev.filter(id => id !== areaId)
+            : [...prev, areaId].slice(0, MAX_COMPARED_AREAS)));
+    }, []);
 
     return (
-        <div className="app-container">
+        <div className={`app-container ${listOnly ? 'list-only' : ''}`}>
+            <a href="#results" className="skip-link">{t('app.skipToResults')}</a>
+
             {/* Sidebar Panel */}
             <aside className="sidebar glass">
                 <header className="header" style={{ position: 'relative' }}>
@@ -305,51 +1005,61 @@ function App() {
                         <MapIcon size={28} color="white" />
                     </div>
                     <div className="flex-column" style={{ flex: 1 }}>
-                        <h1 className="logo-title">Dublin Facilities Explorer</h1>
+                        <h1 className="logo-title">{t('app.title')}</h1>
                         <span className="logo-subtitle">
-                            Knowledge Graph Map
+                            {t('app.subtitle')}
                         </span>
                     </div>
 
-                    {displayedDebugInfo && (
-                        <div style={{ position: 'relative' }}>
-                            <button
-                                onClick={() => setShowDebug(!showDebug)}
-                                className={`sparql-badge ${showDebug ? 'active' : 'inactive'}`}
-                                title="View Technical Details"
-                            >
-                                <Info size={14} />
-                                SPARQL
-                            </button>
-
-                            {showDebug && (
-                                <div className="animate-fade-in debug-popup">
-                                    <div className="debug-popup-header">
-                                        <h3>SPARQL Query</h3>
-                                        <button
-                                            onClick={() => setShowDebug(false)}
-                                            className="debug-close-btn"
-                                        >
-                                            ×
-                                        </button>
-                                    </div>
+                    <button
+                        onClick={() => (showConsole ? handleCloseConsole() : setShowConsole(true))}
+                        className={`sparql-badge ${showConsole ? 'active' : 'inactive'}`}
+                        title={t('app.openConsole')}
+                    >
+                        <Info size={14} />
+                        SPARQL
+                    </button>
+                </header>
 
-                                    <div style={{ marginBottom: 12 }}>
-                                        <div className="debug-section-title">DESCRIPTION</div>
-                                        <p className="debug-description">{displayedDebugInfo.description}</p>
-                                    </div>
+                <div className="view-options" role="group" aria-label={t('display.group')}>
+                    <button
+                        className={`view-option ${highContrast ? 'active' : ''}`}
+                        onClick={toggleHighContrast}
+                        aria-pressed={highContrast}
+                        title={t('display.highContrastHint')}
+                    >
+                        <Contrast size={14} /> {t('display.highContrast')}
+                    </button>
+                    <button
+                        className={`view-option ${listOnly ? 'active' : ''}`}
+                        onClick={toggleListOnly}
+                        aria-pressed={listOnly}
+                        title={t('display.listOnlyHint')}
+                    >
+                        <List size={14} /> {t('display.listOnly')}
+                    </button>
+                    <label className="view-option language-select">
+                        <Languages size={14} />
+                        <span className="sr-only">{t('app.language')}</span>
+                        <select value={locale} onChange={(e) => handleLocaleChange(e.target.value)}>
+                            {Object.entries(LOCALES).map(([code, { label }]) => (
+                                <option key={code} value={code} lang={code}>{label}</option>
+                            ))}
+                        </select>
+                    </label>
+                    <label className="view-option language-select">
+                        <SunMoon size={14} />
+                        <span className="sr-only">{t('display.theme')}</span>
+                        <select value={theme} onChange={(e) => handleThemeChange(e.target.value)}>
+                            {THEMES.map(key => (
+                                <option key={key} value={key}>{t(`display.themes.${key}`)}</option>
+                            ))}
+                        </select>
+                    </label>
+                </div>
 
-                                    <div>
-                                        <div className="debug-section-title">QUERY</div>
-                                        <pre className="debug-query-container">
-                                            {displayedDebugInfo.sparqlQuery}
-                                        </pre>
-                                    </div>
-                                </div>
-                            )}
-                        </div>
-                    )}
-                </header>
+                <div className="sr-only" role="status">{resultsAnnouncement}</div>
+                <div className="sr-only" aria-live="polite">{selectionAnnouncement}</div>
 
 
 
@@ -358,73 +1068,198 @@ function App() {
                     {/* Filters Card */}
                     <section className="card glass animate-fade-in">
                         <div className="input-group">
-                            <label>Committee Area</label>
-                            <select
-                                value={selectedArea}
-                                onChange={(e) => setSelectedArea(e.target.value)}
-                                disabled={loading}
+                            <label htmlFor="facility-search">{t('filters.search')}</label>
+                            <div className="search-input-wrapper">
+                                <Search size={16} className="search-input-icon" />
+                                <input
+                                    id="facility-search"
+                                    type="search"
+                                    className="search-input"
+                                    placeholder={t('filters.searchPlaceholder')}
+                                    value={searchTerm}
+                                    onChange={(e) => setSearchTerm(e.target.value)}
+                                    onKeyDown={(e) => {
+                                        if (e.key === 'Enter') handleSearch();
+                                    }}
+                                />
+                            </div>
+                        </div>
+
+                        <div className="input-group">
+                            <label>{comparing ? t('compare.pickAreas', { max: MAX_COMPARED_AREAS }) : t('filters.area')}</label>
+                            {comparing ? (
+                                <div className="facility-checklist-container">
+                                    {areas.map(area => {
+                                        const slot = comparedAreas.indexOf(area.id);
+                                        return (
+                                            <label key={area.id} className="facility-checkbox-label">
+                                                <input
+                                                    type="checkbox"
+                                                    checked={slot >= 0}
+                                                    onChange={() => toggleComparedArea(area.id)}
+                                                    disabled={slot < 0 && comparedAreas.length >= MAX_COMPARED_AREAS}
+                                                />
+                                                <span
+                                                    className="choropleth-swatch"
+                                                    style={{ backgroundColor: slot >= 0 ? COMPARISON_COLORS[slot] : 'transparent' }}
+                                                />
+                                                <span>{area.name}</span>
+                                            </label>
+                                        );
+                                    })}
+                                </div>
+                            ) : (
+                                <select
+                                    value={selectedArea}
+                                    onChange={(e) => setSelectedArea(e.target.value)}
+                                    disabled={searching}
+                                >
+                                    <option value="">{t('filters.allAreas')}</option>
+                                    {areas.map(area => (
+                                        <option key={area.id} value={area.id}>
+                                            {area.name}
+                                        </option>
+                                    ))}
+                                </select>
+                            )}
+                            <button
+                                className="popup-link popup-action"
+                                onClick={toggleComparing}
+                                aria-pressed={comparing}
+                                disabled={areas.length < 2}
                             >
-                                <option value="">All Regions</option>
-                                {areas.map(area => (
-                                    <option key={area.id} value={area.id}>
-                                        {area.name}
-                                    </option>
-                                ))}
-                            </select>
+                                <GitCompare size={12} /> {comparing ? t('compare.stop') : t('compare.start')}
+                            </button>
                         </div>
 
                         <div className="input-group">
-                            <label>Facility Types</label>
+                            <label>{t('filters.types')}</label>
                             <div className="facility-checklist-container">
-                                {types.map(type => (
-                                    <label key={type.id} className="facility-checkbox-label">
-                                        <input
-                                            type="checkbox"
-                                            checked={selectedTypes.includes(type.id)}
-                                            onChange={(e) => {
-                                                const val = type.id;
-                                                setSelectedTypes(prev =>
-                                                    prev.includes(val)
-                                                        ? prev.filter(t => t !== val)
-                                                        : [...prev, val]
-                                                );
-                                            }}
-                                            disabled={loading}
-                                        />
-                                        <span>
-                                            {type.name}
-                                        </span>
-                                    </label>
+                                {typeGroups.map(({ category, types: groupTypes }) => {
+                                    const ids = groupTypes.map(t => t.id);
+                                    const selectedCount = ids.filter(id => selectedTypes.includes(id)).length;
+                                    return (
+                                        <div key={category} className="facility-type-group">
+                                            <label className="facility-checkbox-label facility-group-label">
+                                                <input
+                                                    type="checkbox"
+                                                    checked={selectedCount === ids.length}
+                                                    ref={(el) => {
+                                                        if (el) el.indeterminate = selectedCount > 0 && selectedCount < ids.length;
+                                                    }}
+                                                    onChange={() => {
+                                                        setSelectedTypes(prev =>
+                                                            selectedCount === ids.length
+                                                                ? prev.filter(t => !ids.includes(t))
+                                                                : [...new Set([...prev, ...ids])]
+                                                        );
+                                                    }}
+                                                    disabled={searching}
+                                                />
+                                                <span>{translateTerm('categories', category)}</span>
+                                            </label>
+                                            {groupTypes.map(type => (
+                                                <label key={type.id} className="facility-checkbox-label">
+                                                    <input
+                                                        type="checkbox"
+                                                        checked={selectedTypes.includes(type.id)}
+                                                        onChange={() => {
+                                                            const val = type.id;
+                                                            setSelectedTypes(prev =>
+                                                                prev.includes(val)
+                                                                    ? prev.filter(t => t !== val)
+                                                                    : [...prev, val]
+                                                            );
+                                                        }}
+                                                        disabled={searching}
+                                                    />
+                                                    <FacilitySwatch type={type.name} />
+                                                    <span>
+                                                        {getTypeLabel(type.name)}
+                                                    </span>
+                                                </label>
+                                            ))}
+                                        </div>
+                                    );
+                                })}
+                                {types.length === 0 && <div className="empty-state-container" style={{ padding: '20px' }}>{t('filters.loadingTypes')}</div>}
+                            </div>
+                        </div>
+
+                        <div className="input-group">
+                            <label>{t('hours.filter')}</label>
+                            <div className="tab-switcher" role="group" aria-label={t('hours.filter')}>
+                                {['any', 'now', 'at'].map(mode => (
+                                    <button
+                                        key={mode}
+                                        className={`tab-button ${openFilter.mode === mode ? 'active' : ''}`}
+                                        onClick={() => setOpenFilter(prev => ({
+                                            mode,
+                                            // "Open at…" starts from the current time
+                                            at: prev.at || formatWallTime(toDublinTime(now))
+                                        }))}
+                                        aria-pressed={openFilter.mode === mode}
+                                    >
+                                        {t(`hours.modes.${mode}`)}
+                                    </button>
                                 ))}
-                                {types.length === 0 && <div className="empty-state-container" style={{ padding: '20px' }}>Loading types...</div>}
                             </div>
+                            {openFilter.mode === 'at' && (
+                                <input
+                                    type="datetime-local"
+                                    className="opening-at-input"
+                                    value={openFilter.at}
+                                    onChange={(e) => setOpenFilter({ mode: 'at', at: e.target.value })}
+                                    aria-label={t('hours.atLabel')}
+                                />
+                            )}
+                            {openFilter.mode !== 'any' && (
+                                <p className="detail-empty">
+                                    <Clock size={12} /> {t('hours.filterHint', { count: closedFacilities.size })}
+                                </p>
+                            )}
                         </div>
 
                         <button
                             className="primary"
-                            onClick={handleSearch}
-                            disabled={loading}
+                            onClick={() => handleSearch()}
+                            disabled={searching}
                         >
-                            {loading ? <Loader2 className="animate-spin" size={20} /> : <Search size={20} />}
-                            Explore Dublin
+                            {searching ? <Loader2 className="animate-spin" size={20} /> : <Search size={20} />}
+                            {t('filters.explore')}
                         </button>
 
                         <button
                             className={`primary near-me-btn ${nearMeActive ? "active" : ""}`}
                             onClick={handleNearMe}
-                            disabled={loading}
+                            disabled={searching}
                         >
                             <Navigation size={20} />
-                            {nearMeActive ? `Showing Near Me (${(nearMeRadius / 1000).toFixed(1)}km)` : 'Near Me'}
+                            {nearMeActive ? t('nearMe.active', { radius: formatKilometres(nearMeRadius) }) : t('nearMe.button')}
                         </button>
 
+                        <div className="location-actions">
+                            <button className="popup-link popup-action" onClick={toggleTracking} aria-pressed={tracking}>
+                                <LocateFixed size={12} /> {tracking ? t('location.stopFollowing') : t('location.follow')}
+                            </button>
+                            <button
+                                className="popup-link popup-action"
+                                onClick={() => setPickingLocation(!pickingLocation)}
+                                aria-pressed={pickingLocation}
+                            >
+                                <MapPinned size={12} /> {t('location.setOnMap')}
+                            </button>
+                        </div>
+                        {pickingLocation && <p className="detail-empty">{t('location.pickHint')}</p>}
+
                         {nearMeActive && (
                             <div className="radius-control-container animate-fade-in">
                                 <div className="radius-label-row">
-                                    <label>Search Radius</label>
-                                    <span className="radius-value">{(nearMeRadius / 1000).toFixed(1)} km</span>
+                                    <label htmlFor="near-me-radius">{t('nearMe.radius')}</label>
+                                    <span className="radius-value">{formatKilometres(nearMeRadius)}</span>
                                 </div>
                                 <input
+                                    id="near-me-radius"
                                     type="range"
                                     min="100"
                                     max="5000"
@@ -434,9 +1269,86 @@ function App() {
                                     className="radius-slider"
                                 />
                                 <div className="radius-legend">
-                                    <span>0.1km</span>
-                                    <span>5.0km</span>
+                                    <span>{formatKilometres(100)}</span>
+                                    <span>{formatKilometres(5000)}</span>
                                 </div>
+
+                                {routingAvailable && (
+                                    <>
+                                        <div className="radius-label-row" style={{ marginTop: 12 }}>
+                                            <label>{t('nearMe.sortBy')}</label>
+                                        </div>
+                                        <div className="tab-switcher">
+                                            <button
+                                                className={`tab-button ${nearMeSort === 'straight' ? 'active' : ''}`}
+                                                onClick={() => setNearMeSort('straight')}
+                                            >
+                                                {t('nearMe.straightLine')}
+                                            </button>
+                                            <button
+                                                className={`tab-button ${nearMeSort === 'network' ? 'active' : ''}`}
+                                                onClick={() => setNearMeSort('network')}
+                                            >
+                                                {t('nearMe.route', { mode: t(`travelModes.${routeMode}`) })}
+                                            </button>
+                                        </div>
+                                    </>
+                                )}
+
+                                <label className="facility-checkbox-label proximity-toggle">
+                                    <input
+                                        type="checkbox"
+                                        checked={alertSettings.enabled}
+                                        onChange={(e) => handleAlertSettingsChange({ enabled: e.target.checked })}
+                                        disabled={types.length === 0}
+                                    />
+                                    <Bell size={14} />
+                                    <span>{t('alerts.enable')}</span>
+                                </label>
+                                {alertSettings.enabled && (
+                                    <div className="proximity-settings">
+                                        <select
+                                            value={alertType?.id ?? ''}
+                                            onChange={(e) => handleAlertSettingsChange({ type: e.target.value })}
+                                            aria-label={t('alerts.type')}
+                                        >
+                                            {types.map(type => (
+                                                <option key={type.id} value={type.id}>{getTypeLabel(type.name)}</option>
+                                            ))}
+                                        </select>
+                                        <select
+                                            value={alertSettings.distance}
+                                            onChange={(e) => handleAlertSettingsChange({ distance: Number(e.target.value) })}
+                                            aria-label={t('alerts.distance')}
+                                        >
+                                            {ALERT_DISTANCES.map(distance => (
+                                                <option key={distance} value={distance}>
+                                                    {t('alerts.within', { distance: formatDistance(distance) })}
+                                                </option>
+                                            ))}
+                                        </select>
+                                    </div>
+                                )}
+                                {proximity && (
+                                    <div className="proximity-alert" role="status">
+                                        <Bell size={16} />
+                                        <div className="flex-column">
+                                            <strong>
+                                                {t('alerts.title', {
+                                                    type: getTypeLabel(alertType.name),
+                                                    distance: formatDistance(proximity.distance)
+                                                })}
+                                            </strong>
+                                            <span>{proximity.feature.properties.name}</span>
+                                        </div>
+                                        <button
+                                            className="popup-link popup-action"
+                                            onClick={() => setFocusRequest({ feature: proximity.feature })}
+                                        >
+                                            {t('alerts.show')}
+                                        </button>
+                                    </div>
+                                )}
                             </div>
                         )}
 
@@ -449,163 +1361,331 @@ function App() {
                     </section>
 
                     {/* Stats Section */}
-                    {stats && (
+                    {comparing && (
+                        <section className="animate-fade-in">
+                            <label className="section-label">{t('compare.title')}</label>
+                            {comparisonResult.loading ? (
+                                <div className="route-summary">
+                                    <Loader2 className="animate-spin" size={14} /> {t('compare.loading')}
+                                </div>
+                            ) : comparisonResult.error ? (
+                                <div className="location-error">{comparisonResult.error}</div>
+                            ) : comparison ? (
+                                <AreaComparisonChart areaNames={comparedAreaNames} comparison={comparison} />
+                            ) : (
+                                <p className="detail-empty">{t('compare.hint')}</p>
+                            )}
+                        </section>
+                    )}
+
+                    {displayedStats && !comparing && (
                         <section className="animate-fade-in">
                             <label className="section-label">
-                                Statistics
+                                {t('stats.title')}{region && ` · ${t('stats.drawnRegion')}`}
                             </label>
                             <div className="stats-grid">
                                 <div className="stat-card">
-                                    <span className="stat-value">{stats.total}</span>
-                                    <span className="stat-label">Total Facilities</span>
+                                    <span className="stat-value">{formatNumber(displayedStats.total)}</span>
+                                    <span className="stat-label">{t('stats.total')}</span>
                                 </div>
                                 <div className="stat-card">
-                                    <span className="stat-value">{stats.byType.length}</span>
-                                    <span className="stat-label">Categories</span>
+                                    <span className="stat-value">{formatNumber(displayedStats.byType.length)}</span>
+                                    <span className="stat-label">{t('stats.categories')}</span>
                                 </div>
                             </div>
+                            {coverage && (
+                                <CoveragePanel overall={coverage.overall} byType={coverage.byType} />
+                            )}
                         </section>
                     )}
 
+                    {showGaps && !comparing && (
+                        <section className="animate-fade-in">
+                            <label className="section-label">{t('gaps.title')}</label>
+                            {searchedTypes.length === 0 ? (
+                                <p className="detail-empty">{t('gaps.hint')}</p>
+                            ) : gapResult.loading ? (
+                                <div className="route-summary">
+                                    <Loader2 className="animate-spin" size={14} /> {t('gaps.loading')}
+                                </div>
+                            ) : gapResult.error ? (
+                                <div className="location-error">{gapResult.error}</div>
+                            ) : gapResult.cells.length === 0 ? (
+                                <p className="detail-empty">{t('gaps.noFacilities')}</p>
+                            ) : (
+                                <GapPanel cells={gapResult.cells} threshold={gapThreshold} onCellSelect={handleGapCellSelect} />
+                            )}
+                        </section>
+                    )}
+
+                    <details className="saved-section">
+                        <summary className="section-label">
+                            <Bookmark size={12} /> {t('saved.title')}
+                        </summary>
+                        <SavedPlacesPanel
+                            saved={saved}
+                            visibleCollections={visibleCollections}
+                            onToggleVisible={toggleCollectionVisible}
+                            onSelect={handleResultSelect}
+                            onSavePreset={handleSavePreset}
+                            onApplyPreset={handleApplyPreset}
+                            areas={areas}
+                            types={types}
+                        />
+                    </details>
+
                     {/* Results Section */}
-                    <section className="results-list">
+                    <section className="results-list" id="results" tabIndex={-1}>
                         <label className="section-label" style={{ justifyContent: 'space-between' }}>
-                            <span>Results</span>
-                            <span className="result-count-badge">
-                                {facilities.length} found
+                            <span>{t('results.title')}</span>
+                            <span className="results-header-actions">
+                                <ExportMenu onExport={handleExport} disabled={displayedResults.length === 0} />
+                                <span className="result-count-badge">
+                                    {t('results.found', { count: displayedResults.length })}
+                                </span>
                             </span>
                         </label>
 
-                        <div style={{ flex: 1, overflowY: 'auto', display: 'flex', flexDirection: 'column', gap: 10 }}>
-                            {facilities.length > 0 ? (
-                                facilities.map((f, i) => (
-                                    <div
-                                        key={i}
-                                        className="result-item animate-fade-in"
-                                        style={{ animationDelay: `${Math.min(i * 0.05, 1)}s` }}
-                                    >
-                                        <span className="result-title">{f.properties.name}</span>
-                                        <div className="result-sub">
-                                            <Trees size={12} /> {f.properties.type}
-                                        </div>
-                                        <div className="result-sub">
-                                            <MapPin size={12} /> {f.properties.area}
-                                        </div>
-                                    </div>
-                                ))
-                            ) : hasSearched && !loading ? (
-                                <div className="empty-state-container">
-                                    <AlertCircle size={40} className="empty-state-icon" />
-                                    <h3 className="empty-state-title">No results found</h3>
-                                    <p style={{ fontSize: '0.85rem' }}>Try adjusting your filters to find facilities in this area.</p>
-                                </div>
-                            ) : (
-                                <div className="empty-state-container">
-                                    <Info size={40} className="empty-state-icon" />
-                                    <h3 className="empty-state-title">Start Exploring</h3>
-                                    <p style={{ fontSize: '0.85rem' }}>Select a region and facility type to visualize the urban landscape.</p>
-                                </div>
-                            )}
-                        </div>
+                        {displayedResults.length > 0 ? (
+                            <ResultsList
+                                results={displayedResults}
+                                resetKey={`${searchId}|${deferredSearchTerm}`}
+                                selected={selectedFeature}
+                                onSelect={handleResultSelect}
+                                onHover={setHoveredFeature}
+                                onDetails={handleDetails}
+                                isFavourite={saved.isFavourite}
+                                onToggleFavourite={saved.toggleFavourite}
+                                travelModeLabel={t(`travelModes.${routeMode}`)}
+                                detailed={listOnly}
+                            />
+                        ) : hasSearched && !searching ? (
+                            <div className="empty-state-container">
+                                <AlertCircle size={40} className="empty-state-icon" />
+                                <h3 className="empty-state-title">{t('results.noneTitle')}</h3>
+                                <p style={{ fontSize: '0.85rem' }}>{t('results.noneHint')}</p>
+                            </div>
+                        ) : (
+                            <div className="empty-state-container">
+                                <Info size={40} className="empty-state-icon" />
+                                <h3 className="empty-state-title">{t('results.startTitle')}</h3>
+                                <p style={{ fontSize: '0.85rem' }}>{t('results.startHint')}</p>
+                            </div>
+                        )}
                     </section>
                 </>
             </aside>
 
             {/* Main Map Content */}
             <main className="map-viewport">
+                <p id="map-keyboard-help" className="sr-only">{t('map.keyboardHelp')}</p>
                 <MapContainer
-                    center={DUBLIN_CENTER}
-                    zoom={12}
+                    ref={setMapInstance}
+                    center={initialUrlState.view?.center || DUBLIN_CENTER}
+                    zoom={initialUrlState.view?.zoom || 12}
                     scrollWheelZoom={true}
                     zoomControl={false}
                     style={{ width: '100%', height: '100%' }}
                 >
-                    {/* Light Mode Map Layer */}
-                    <TileLayer
-                        attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors &copy; <a href="https://carto.com/attributions">CARTO</a>'
-                        url="https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png"
+                    <BasemapLayers
+                        basemap={basemap}
+                        overlay={basemapOptions.overlay}
+                        overlayOpacity={basemapOptions.overlayOpacity}
                     />
 
-                    <MapViewSetter facilities={filteredFacilities} />
+                    {/* Drawing or editing a region should not move the map under the cursor */}
+                    <MapViewSetter
+                        searchId={searchId}
+                        facilities={region ? facilities : filteredFacilities}
+                        pendingViewRef={pendingViewRef}
+                        paused={tracking}
+                    />
+                    <MapViewTracker onViewChange={handleViewChange} />
+                    <MapSizeSync hidden={listOnly} />
+                    <MapKeyboardNav
+                        results={displayedResults}
+                        selected={selectedFeature}
+                        onSelect={handleResultSelect}
+                        onClear={handleClearSelection}
+                        label={t('map.label')}
+                        describedBy="map-keyboard-help"
+                    />
 
-                    {/* Map Layers */}
-                    {filteredFacilities.map((f, i) => {
-                        const type = f.properties.type || '';
-                        const isPark = type === 'Park';
-                        const geom = f.geometry;
-
-                        if (!geom) return null;
-
-                        const isPolygon = geom.type === 'Polygon' || geom.type === 'MultiPolygon';
-                        const isPoint = geom.type === 'Point' && Array.isArray(geom.coordinates) && geom.coordinates.length >= 2;
-
-                        const config = FACILITY_CONFIG[type] || { color: '#3388ff' };
-
-                        // Parks: boundary ONLY (no marker)
-                        if (isPark) {
-                            if (!isPolygon) return null;
-
-                            return (
-                                <GeoJSON
-                                    key={`${f.properties.uri}-park-${i}`}
-                                    data={geom}
-                                    style={{
-                                        color: config.color,
-                                        weight: 2,
-                                        opacity: 0.9,
-                                        fillColor: config.color,
-                                        fillOpacity: 0.2
-                                    }}
-                                    onEachFeature={(feature, layer) => {
-                                        const content = renderToStaticMarkup(renderFacilityPopup(f));
-                                        layer.bindPopup(content, { className: 'dcc-popup' });
-                                    }}
-                                />
-                            );
-                        }
+                    {comparing && (
+                        <ComparisonLayer entries={comparisonResult.entries} boundaries={areaFeatures.features} />
+                    )}
 
-                        // Non-parks: markers ONLY
-                        if (!isPoint) return null;
+                    {showChoropleth && !comparing && (
+                        <AreaChoropleth
+                            data={areaFeatures}
+                            metric={choroplethMetric}
+                            breaks={choroplethBreaks}
+                            selectedArea={selectedArea}
+                            onAreaSelect={handleAreaSelect}
+                            interactive={!drawTool}
+                        />
+                    )}
+
+                    {showGaps && !comparing && <GapLayer cells={gapResult.cells} threshold={gapThreshold} />}
 
-                        const [lon, lat] = geom.coordinates;
+                    {/* Map Layers */}
+                    {!comparing && shapeFeatures.map((f, i) => {
+                        const config = getFacilityConfig(f.properties.type);
+                        const matched = searchMatches?.has(f);
 
+                        // Areas and lines: shape ONLY (no marker)
                         return (
-                            <Marker
-                                key={`${f.properties.uri}-${i}`}
-                                position={[lat, lon]}
-                                icon={getIconForType(type)}
-                            >
-                                <Popup>
-                                    {renderFacilityPopup(f)}
-                                </Popup>
-                            </Marker>
+                            <ShapeLayer
+                                key={`${f.properties.uri}-shape-${i}-${!drawTool}`}
+                                feature={f}
+                                interactive={!drawTool}
+                                selected={f === selectedFeature}
+                                onSelect={setSelectedFeature}
+                                renderPopup={renderPopup}
+                                style={{
+                                    color: matched ? '#a855f7' : closedFacilities.has(f) ? CLOSED_COLOR : config.color,
+                                    weight: matched ? 4 : highContrast ? 3 : 2,
+                                    opacity: searchMatches && !matched ? 0.3 : 0.9,
+                                    fillColor: closedFacilities.has(f) ? CLOSED_COLOR : config.color,
+                                    fillOpacity: searchMatches && !matched ? 0.05 : 0.2
+                                }}
+                            />
                         );
                     })}
+
+                    {/* Everything else: clustered markers ONLY, polygons marked inside their outline */}
+                    {showDensity && !comparing && (
+                        <DensityLayer
+                            points={pointFeatures}
+                            mode={densityOptions.mode}
+                            radius={densityOptions.radius}
+                            intensity={densityOptions.intensity}
+                        />
+                    )}
+
+                    {!comparing && (
+                        <ClusteredMarkers
+                            points={markerFeatures}
+                            renderPopup={renderPopup}
+                            matches={searchMatches}
+                            closed={closedFacilities}
+                            selected={selectedFeature}
+                            onSelect={setSelectedFeature}
+                        />
+                    )}
+
+                    <FeatureFocus focusRequest={focusRequest} hovered={hoveredFeature} />
+
+                    <RegionDrawLayer
+                        key={drawTool || 'idle'}
+                        tool={drawTool}
+                        region={region}
+                        onRegionChange={handleRegionChange}
+                        onCancel={handleDrawCancel}
+                    />
+
+                    <SavedPlacesLayer
+                        collections={saved.collections.filter(c => visibleCollections.has(c.id))}
+                        favourites={saved.favourites}
+                        renderPopup={renderPopup}
+                    />
+
+                    <UserLocationLayer
+                        location={userLocation}
+                        radius={nearMeActive ? nearMeRadius : null}
+                        picking={pickingLocation}
+                        follow={tracking}
+                        onPick={handleLocationPick}
+                    />
+
+                    {route && <RouteLayer route={route} />}
+
+                    {sparqlLayer.features.length > 0 && (
+                        <SparqlResultsLayer key={sparqlLayer.id} features={sparqlLayer.features} />
+                    )}
                 </MapContainer>
 
-                {/* Floating Status Indicator */}
-                <div className="status-indicator-container card glass animate-fade-in">
-                    <div className="status-indicator-content">
-                        <div style={{ position: 'relative' }}>
-                            <div className="status-dot"></div>
-                            <div className="status-ping"></div>
-                        </div>
-                        <span className="status-text">
-                            GRAPH ENGINE ACTIVE
-                        </span>
-                    </div>
+                <PrintPanel map={mapInstance} content={printContent} />
+
+                <RegionToolbar
+                    tool={drawTool}
+                    onToolChange={setDrawTool}
+                    hasRegion={!!region}
+                    onClear={() => setRegion(null)}
+                />
+
+                <div className="map-legends">
+                    {comparing ? (
+                        <ComparisonLegend areaNames={comparedAreaNames} />
+                    ) : (
+                        <FacilityLegend features={filteredFacilities} />
+                    )}
+
+                    {areaFeatures.features.length > 0 && !comparing && (
+                        <ChoroplethLegend
+                            visible={showChoropleth}
+                            onToggle={() => setShowChoropleth(!showChoropleth)}
+                            metric={choroplethMetric}
+                            metrics={choroplethMetrics}
+                            onMetricChange={setChoroplethMetric}
+                            breaks={choroplethBreaks}
+                        />
+                    )}
+
+                    {!comparing && pointFeatures.length > 0 && (
+                        <DensityControl options={densityOptions} onChange={handleDensityChange} types={pointTypes} />
+                    )}
+
+                    {!comparing && (
+                        <GapLegend
+                            visible={showGaps}
+                            onToggle={() => setShowGaps(!showGaps)}
+                            threshold={gapThreshold}
+                            onThresholdChange={setGapThreshold}
+                        />
+                    )}
+
+                    <BasemapControl options={basemapOptions} onChange={handleBasemapChange} />
                 </div>
+
+                {(routeTarget || route) && (
+                    <RoutePanel
+                        route={route}
+                        loading={routeLoading}
+                        error={routeError}
+                        mode={routeMode}
+                        onModeChange={handleRouteModeChange}
+                        onClose={handleCloseRoute}
+                    />
+                )}
+
+                {showConsole && (
+                    <SparqlConsole
+                        debugInfo={displayedDebugInfo}
+                        onClose={handleCloseConsole}
+                        onShowResults={showSparqlResults}
+                    />
+                )}
+
+                {detailUri && (
+                    <FacilityDetailPanel
+                        uri={detailUri}
+                        feature={detailFeature}
+                        canGoBack={detailHistory.length > 1}
+                        onBack={() => setDetailHistory(prev => prev.slice(0, -1))}
+                        onNavigate={(uri) => setDetailHistory(prev => [...prev, uri])}
+                        onClose={() => setDetailHistory([])}
+                        onShowOnMap={handleResultSelect}
+                    />
+                )}
+
+                {/* Floating Status Indicator */}
+                {/* Only tiles the service worker caches can be saved, so other basemaps save the light one */}
+                <StatusIndicator staleSince={staleSince} basemap={basemap.offline ? basemap : getBasemap('light')} />
             </main>
 
         </div>
     );
 }
 
-/**
- * Calculate coverage score metrics including Coefficient of Variation
- * @param {Array} distribution - Array of {area, count} objects
- * @returns {Object} Coverage score data with CV, classification, and per-area metrics
- */
-
-
 export default App;
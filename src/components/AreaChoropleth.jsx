@@ -0,0 +1,74 @@
+import { useMemo } from 'react';
+import { GeoJSON, Pane } from 'react-leaflet';
+import { getColorForValue, formatMetricValue } from '../utils/choropleth';
+import { getLocale, t } from '../utils/i18n';
+
+const baseStyle = (color) => ({
+    color: '#7e22ce',
+    weight: 1,
+    opacity: 0.6,
+    fillColor: color,
+    fillOpacity: 0.45
+});
+
+// Built from text nodes, so area names from the API are never parsed as HTML
+const tooltipFor = ({ name, count, value }, metric) => {
+    const element = document.createElement('div');
+    const title = document.createElement('strong');
+    title.textContent = name;
+    element.appendChild(title);
+    [
+        t('map.areaCount', { count }),
+        metric !== 'count' && formatMetricValue(value, metric)
+    ].filter(Boolean).forEach(line => {
+        element.appendChild(document.createElement('br'));
+        element.appendChild(document.createTextNode(line));
+    });
+    return element;
+};
+
+// Committee area boundaries shaded by facility density.
+// Rendered in its own pane so that parks and markers stay on top.
+// With `interactive` false (while a region is drawn) areas take no hover or clicks.
+function AreaChoropleth({ data, metric, breaks, selectedArea, onAreaSelect, interactive = true }) {
+    // GeoJSON layers do not react to new data, so remount whenever the values
+    // (or the language of their tooltips) change
+    const layerKey = useMemo(
+        () => `${metric}-${data.features.map(f => `${f.properties.id}:${f.properties.value}`).join('|')}`,
+        [data, metric]
+    );
+
+    const styleFeature = (feature) => {
+        const style = baseStyle(getColorForValue(feature.properties.value, breaks));
+        if (feature.properties.id === selectedArea) {
+            return { ...style, weight: 3, opacity: 1 };
+        }
+        return style;
+    };
+
+    const onEachFeature = (feature, layer) => {
+        if (!interactive) return;
+        layer.bindTooltip(tooltipFor(feature.properties, metric), { sticky: true, className: 'area-tooltip' });
+        layer.on({
+            mouseover: () => layer.setStyle({ weight: 3, opacity: 1, fillOpacity: 0.6 }),
+            mouseout: () => layer.setStyle(styleFeature(feature)),
+            click: () => onAreaSelect(feature.properties.id)
+        });
+    };
+
+    if (data.features.length === 0) return null;
+
+    return (
+        <Pane name="committee-areas" style={{ zIndex: 350 }}>
+            <GeoJSON
+                key={`${layerKey}-${selectedArea}-${getLocale()}-${interactive}`}
+                data={data}
+                interactive={interactive}
+                style={styleFeature}
+                onEachFeature={onEachFeature}
+            />
+        </Pane>
+    );
+}
+
+export default AreaChoropleth;
@@ -0,0 +1,80 @@
+import { COMPARISON_COLORS } from '../utils/comparison';
+import { getTypeLabel } from '../utils/facilityIcons';
+import { formatNumber, t } from '../utils/i18n';
+import FacilitySwatch from './FacilitySwatch';
+
+// "+3 · 1.5×" against the baseline; the ratio is left out when the baseline has none
+const formatRelative = ({ difference, ratio }) => {
+    const parts = [formatNumber(difference, { signDisplay: 'exceptZero' })];
+    if (ratio !== null) parts.push(`${formatNumber(ratio, { maximumFractionDigits: 1 })}×`);
+    return parts.join(' · ');
+};
+
+function ComparisonRow({ label, icon, row, max, areaNames }) {
+    return (
+        <div className="comparison-row">
+            <div className="comparison-row-label">
+                {icon}
+                <span>{label}</span>
+            </div>
+            {row.values.map((value, i) => (
+                <div key={areaNames[i]} className="comparison-bar-row">
+                    <span className="comparison-bar-track" aria-hidden="true">
+                        <span
+                            className="comparison-bar"
+                            style={{ width: `${(value.count / max) * 100}%`, backgroundColor: COMPARISON_COLORS[i] }}
+                        />
+                    </span>
+                    <span className="comparison-bar-value">
+                        <span className="sr-only">{areaNames[i]}: </span>
+                        {formatNumber(value.count)}
+                        {i > 0 && <span className="comparison-relative">{formatRelative(value)}</span>}
+                    </span>
+                </div>
+            ))}
+        </div>
+    );
+}
+
+/**
+ * Per-type facility counts of the compared areas as grouped bars, one colour per area.
+ * Areas after the first show their difference and ratio against it.
+ * `comparison` comes from buildComparison.
+ */
+function AreaComparisonChart({ areaNames, comparison }) {
+    const { total, rows, max } = comparison;
+
+    return (
+        <div className="comparison-chart">
+            <div className="comparison-key">
+                {areaNames.map((name, i) => (
+                    <span key={name} className="comparison-key-item">
+                        <span className="choropleth-swatch" style={{ backgroundColor: COMPARISON_COLORS[i] }} />
+                        {name}
+                    </span>
+                ))}
+            </div>
+            <p className="detail-empty">{t('compare.baseline', { area: areaNames[0] })}</p>
+
+            <ComparisonRow
+                label={t('compare.total')}
+                row={total}
+                max={Math.max(1, ...total.values.map(v => v.count))}
+                areaNames={areaNames}
+            />
+            {rows.map(row => (
+                <ComparisonRow
+                    key={row.type}
+                    label={getTypeLabel(row.type)}
+                    icon={<FacilitySwatch type={row.type} size={14} />}
+                    row={row}
+                    max={max}
+                    areaNames={areaNames}
+                />
+            ))}
+            {rows.length === 0 && <p className="detail-empty">{t('compare.noFacilities')}</p>}
+        </div>
+    );
+}
+
+export default AreaComparisonChart;
@@ -0,0 +1,58 @@
+import { Layers } from 'lucide-react';
+import { BASEMAPS, OVERLAY } from '../utils/basemaps';
+import { formatNumber, t } from '../utils/i18n';
+
+// Floating control choosing the basemap and, when one is configured, the overlay and its opacity.
+// `options` is { basemap, overlay, overlayOpacity } with basemap a BASEMAPS id or 'auto'.
+function BasemapControl({ options, onChange }) {
+    const { basemap, overlay, overlayOpacity } = options;
+
+    return (
+        <div className="choropleth-legend card glass animate-fade-in">
+            <div className="choropleth-toggle">
+                <Layers size={14} />
+                <span>{t('basemap.title')}</span>
+            </div>
+
+            <label className="basemap-select">
+                <span>{t('basemap.base')}</span>
+                <select value={basemap} onChange={(e) => onChange({ ...options, basemap: e.target.value })}>
+                    <option value="auto">{t('basemap.auto')}</option>
+                    {BASEMAPS.map(b => (
+                        <option key={b.id} value={b.id}>{t(`basemap.layers.${b.id}`)}</option>
+                    ))}
+                </select>
+            </label>
+
+            {OVERLAY && (
+                <>
+                    <label className="facility-checkbox-label">
+                        <input
+                            type="checkbox"
+                            checked={overlay}
+                            onChange={() => onChange({ ...options, overlay: !overlay })}
+                        />
+                        <span>{OVERLAY.name || t('basemap.overlay')}</span>
+                    </label>
+                    {overlay && (
+                        <label className="density-slider">
+                            <span>{t('basemap.opacity')}</span>
+                            <input
+                                type="range"
+                                min="0.1"
+                                max="1"
+                                step="0.1"
+                                value={overlayOpacity}
+                                onChange={(e) => onChange({ ...options, overlayOpacity: Number(e.target.value) })}
+                                className="radius-slider"
+                            />
+                            <span className="radius-value">{formatNumber(overlayOpacity, { style: 'percent' })}</span>
+                        </label>
+                    )}
+                </>
+            )}
+        </div>
+    );
+}
+
+export default BasemapControl;
@@ -0,0 +1,35 @@
+import { TileLayer, WMSTileLayer } from 'react-leaflet';
+import { OVERLAY } from '../utils/basemaps';
+
+// The chosen base layer and, when switched on, the configured overlay above it.
+// Attribution is fixed when a layer is created, so each basemap gets its own layer.
+function BasemapLayers({ basemap, overlay, overlayOpacity }) {
+    return (
+        <>
+            <TileLayer
+                key={basemap.id}
+                url={basemap.url}
+                subdomains={basemap.subdomains}
+                attribution={basemap.attribution}
+            />
+            {OVERLAY && overlay && (OVERLAY.type === 'wms' ? (
+                <WMSTileLayer
+                    url={OVERLAY.url}
+                    params={{ layers: OVERLAY.layers, format: 'image/png', transparent: true }}
+                    opacity={overlayOpacity}
+                    attribution={OVERLAY.attribution}
+                    zIndex={2}
+                />
+            ) : (
+                <TileLayer
+                    url={OVERLAY.url}
+                    opacity={overlayOpacity}
+                    attribution={OVERLAY.attribution}
+                    zIndex={2}
+                />
+            ))}
+        </>
+    );
+}
+
+export default BasemapLayers;
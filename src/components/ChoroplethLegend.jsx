@@ -0,0 +1,55 @@
+import { Layers } from 'lucide-react';
+import { NO_DATA_COLOR, getColorForValue, formatMetricValue } from '../utils/choropleth';
+import { t } from '../utils/i18n';
+
+// Floating legend and controls for the committee area choropleth
+function ChoroplethLegend({ visible, onToggle, metric, metrics, onMetricChange, breaks }) {
+    return (
+        <div className="choropleth-legend card glass animate-fade-in">
+            <label className="choropleth-toggle">
+                <input type="checkbox" checked={visible} onChange={onToggle} />
+                <Layers size={14} />
+                <span>{t('legend.areaDensity')}</span>
+            </label>
+
+            {visible && (
+                <>
+                    {metrics.length > 1 && (
+                        <div className="tab-switcher">
+                            {metrics.map(key => (
+                                <button
+                                    key={key}
+                                    className={`tab-button ${metric === key ? 'active' : ''}`}
+                                    onClick={() => onMetricChange(key)}
+                                >
+                                    {t(`legend.metrics.${key}`)}
+                                </button>
+                            ))}
+                        </div>
+                    )}
+
+                    <div className="choropleth-scale">
+                        {breaks.map((b, i) => (
+                            <div key={b} className="choropleth-scale-row">
+                                <span
+                                    className="choropleth-swatch"
+                                    style={{ backgroundColor: getColorForValue(b, breaks) }}
+                                />
+                                <span>
+                                    {i === 0 ? '≤ ' : `${formatMetricValue(breaks[i - 1], metric)} – `}
+                                    {formatMetricValue(b, metric)}
+                                </span>
+                            </div>
+                        ))}
+                        <div className="choropleth-scale-row">
+                            <span className="choropleth-swatch" style={{ backgroundColor: NO_DATA_COLOR }} />
+                            <span>{t('legend.noData')}</span>
+                        </div>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
+
+export default ChoroplethLegend;
@@ -0,0 +1,140 @@
+import { useMemo, useState, useRef, useEffect } from 'react';
+import { Marker, Popup, useMap, useMapEvents } from 'react-leaflet';
+import Supercluster from 'supercluster';
+import { getIconForType, getClusterIcon, getTypeLabel } from '../utils/facilityIcons';
+import { getLocale, t } from '../utils/i18n';
+import { getRepresentativePoint } from '../utils/geometry';
+
+const CLUSTER_RADIUS = 60;
+const CLUSTER_MAX_ZOOM = 16;
+
+const getViewport = (map) => {
+    const bounds = map.getBounds();
+    return {
+        bbox: [bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()],
+        zoom: Math.round(map.getZoom())
+    };
+};
+
+// Accessible name for a focusable marker: Leaflet gives keyboard-enabled markers
+// tabindex and role="button", and Enter on a focused marker acts as a click
+const markerTitle = ({ name, type, area }) => [name, type && getTypeLabel(type), area].filter(Boolean).join(', ');
+
+// Single facility marker; opens its popup when selected from the results list
+function FacilityMarker({ feature, position, icon, zIndexOffset, selected, onSelect, renderPopup }) {
+    const markerRef = useRef(null);
+
+    useEffect(() => {
+        if (selected) markerRef.current?.openPopup();
+    }, [selected]);
+
+    return (
+        <Marker
+            ref={markerRef}
+            position={position}
+            icon={icon}
+            title={markerTitle(feature.properties)}
+            zIndexOffset={zIndexOffset}
+            eventHandlers={{
+                click: () => onSelect(feature),
+                popupclose: () => {
+                    if (selected) onSelect(null);
+                }
+            }}
+        >
+            <Popup>
+                {renderPopup(feature)}
+            </Popup>
+        </Marker>
+    );
+}
+
+// Facility markers grouped into clusters, rendering only what is inside the viewport.
+// Each cluster aggregates per-type counts so its badge can be coloured by type.
+// `matches` (a Map keyed by feature, or null) highlights search matches and dims the rest;
+// facilities in `closed` (a Set) are greyed out unless highlighted.
+function ClusteredMarkers({ points, renderPopup, matches, closed, selected, onSelect }) {
+    const map = useMap();
+    const [viewport, setViewport] = useState(() => getViewport(map));
+
+    useMapEvents({
+        moveend: () => setViewport(getViewport(map))
+    });
+
+    const index = useMemo(() => {
+        const cluster = new Supercluster({
+            radius: CLUSTER_RADIUS,
+            maxZoom: CLUSTER_MAX_ZOOM,
+            map: (props) => ({ types: { [props.type || '']: 1 }, matched: props.matched ? 1 : 0 }),
+            reduce: (acc, props) => {
+                Object.entries(props.types).forEach(([type, count]) => {
+                    acc.types[type] = (acc.types[type] || 0) + count;
+                });
+                acc.matched += props.matched;
+            }
+        });
+        // Keep a reference to the original feature so popups get the full record.
+        // Non-point geometries are placed at a point on the feature itself.
+        const entries = [];
+        points.forEach((f, i) => {
+            const position = getRepresentativePoint(f.geometry);
+            if (!position) return;
+            entries.push({
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates: position },
+                properties: { type: f.properties.type, index: i, matched: matches?.has(f) || false }
+            });
+        });
+        cluster.load(entries);
+        return cluster;
+    }, [points, matches]);
+
+    const clusters = useMemo(
+        () => index.getClusters(viewport.bbox, viewport.zoom),
+        [index, viewport]
+    );
+
+    // Titles are fixed when a marker is created, so markers are recreated for a new language
+    const locale = getLocale();
+
+    return clusters.map(c => {
+        const [lon, lat] = c.geometry.coordinates;
+
+        if (c.properties.cluster) {
+            return (
+                <Marker
+                    key={`cluster-${c.properties.cluster_id}-${c.properties.point_count}-${locale}`}
+                    position={[lat, lon]}
+                    icon={getClusterIcon(c.properties.point_count, c.properties.types, c.properties.matched)}
+                    title={t('map.cluster', { count: c.properties.point_count })}
+                    eventHandlers={{
+                        click: () => {
+                            const zoom = index.getClusterExpansionZoom(c.properties.cluster_id);
+                            map.flyTo([lat, lon], Math.min(zoom, map.getMaxZoom()));
+                        }
+                    }}
+                />
+            );
+        }
+
+        const f = points[c.properties.index];
+        const isSelected = f === selected;
+        const variant = isSelected || (matches && c.properties.matched)
+            ? 'highlighted'
+            : matches ? 'dimmed' : closed?.has(f) ? 'closed' : 'default';
+        return (
+            <FacilityMarker
+                key={`${f.properties.uri}-${c.properties.index}-${locale}`}
+                feature={f}
+                position={[lat, lon]}
+                icon={getIconForType(f.properties.type || '', variant)}
+                zIndexOffset={variant === 'highlighted' ? 1000 : 0}
+                selected={isSelected}
+                onSelect={onSelect}
+                renderPopup={renderPopup}
+            />
+        );
+    });
+}
+
+export default ClusteredMarkers;
@@ -0,0 +1,62 @@
+import { useEffect } from 'react';
+import { GeoJSON, useMap } from 'react-leaflet';
+import L from 'leaflet';
+import { COMPARISON_COLORS } from '../utils/comparison';
+import { getTypeLabel } from '../utils/facilityIcons';
+import { getBounds } from '../utils/geometry';
+
+// Tooltip as a text node, so names from the API are never parsed as HTML
+const tooltipFor = ({ name, type }) => {
+    const element = document.createElement('div');
+    element.textContent = [name, type && getTypeLabel(type)].filter(Boolean).join(' · ');
+    return element;
+};
+
+/**
+ * The compared areas overlaid on one map: each area's boundary and facilities in its
+ * comparison colour, fitted into view whenever the comparison changes.
+ * GeoJSON layers do not react to new data, so keys change with the area's slot and its results.
+ * `boundaries` are committee area features with `properties.id`, as built for the choropleth.
+ */
+function ComparisonLayer({ entries, boundaries }) {
+    const map = useMap();
+
+    useEffect(() => {
+        const geometries = entries.flatMap(entry => [
+            ...boundaries.filter(b => b.properties.id === entry.areaId).map(b => b.geometry),
+            ...entry.features.map(f => f.geometry)
+        ]);
+        const bounds = getBounds(geometries);
+        if (bounds) map.fitBounds(bounds, { padding: [50, 50], maxZoom: 15 });
+    }, [entries, boundaries, map]);
+
+    return entries.map((entry, i) => {
+        const color = COMPARISON_COLORS[i];
+        const boundary = boundaries.find(b => b.properties.id === entry.areaId);
+        return [
+            boundary && (
+                <GeoJSON
+                    key={`${entry.areaId}-${i}-boundary`}
+                    data={boundary}
+                    interactive={false}
+                    style={{ color, weight: 3, dashArray: '8 6', fillColor: color, fillOpacity: 0.08 }}
+                />
+            ),
+            <GeoJSON
+                key={`${entry.areaId}-${i}-facilities-${entry.features.length}`}
+                data={{ type: 'FeatureCollection', features: entry.features }}
+                style={{ color, weight: 2, fillColor: color, fillOpacity: 0.3 }}
+                pointToLayer={(_, latlng) => L.circleMarker(latlng, {
+                    radius: 6,
+                    color: '#ffffff',
+                    weight: 1.5,
+                    fillColor: color,
+                    fillOpacity: 0.9
+                })}
+                onEachFeature={(feature, layer) => layer.bindTooltip(tooltipFor(feature.properties))}
+            />
+        ];
+    });
+}
+
+export default ComparisonLayer;
@@ -0,0 +1,25 @@
+import { GitCompare } from 'lucide-react';
+import { COMPARISON_COLORS } from '../utils/comparison';
+import { t } from '../utils/i18n';
+
+// Map key for the compared areas' colours
+function ComparisonLegend({ areaNames }) {
+    return (
+        <div className="choropleth-legend card glass animate-fade-in">
+            <div className="choropleth-toggle">
+                <GitCompare size={14} />
+                <span>{t('compare.title')}</span>
+            </div>
+            <div className="choropleth-scale">
+                {areaNames.map((name, i) => (
+                    <div key={name} className="choropleth-scale-row">
+                        <span className="choropleth-swatch" style={{ backgroundColor: COMPARISON_COLORS[i] }} />
+                        <span>{name}</span>
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+}
+
+export default ComparisonLegend;
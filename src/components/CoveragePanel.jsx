@@ -0,0 +1,58 @@
+import { Scale } from 'lucide-react';
+import { formatNumber, t } from '../utils/i18n';
+import { getTypeLabel } from '../utils/facilityIcons';
+
+const formatPercent = (value) => formatNumber(value, { style: 'percent' });
+const formatCv = (value) => formatNumber(value, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+// Shows the equity of facility distribution across committee areas.
+// `overall` and `byType` come from the helpers in utils/coverage.js.
+function CoveragePanel({ overall, byType }) {
+    if (!overall) return null;
+
+    const underserved = overall.areas.filter(a => a.underserved);
+
+    return (
+        <div className="coverage-panel">
+            <div className="stat-card coverage-card">
+                <div className="coverage-card-header">
+                    <span className="stat-value">{overall.score}</span>
+                    <span className={`coverage-badge ${overall.classification.level}`}>
+                        {t(`coverage.levels.${overall.classification.level}`)}
+                    </span>
+                </div>
+                <span className="stat-label">
+                    <Scale size={10} /> {t('coverage.score')} · CV {formatCv(overall.cv)}
+                </span>
+            </div>
+
+            {byType.length > 1 && (
+                <div className="coverage-type-list">
+                    {byType.map(entry => (
+                        <div key={entry.type} className="coverage-type-row">
+                            <span className="coverage-type-name">{getTypeLabel(entry.type)}</span>
+                            <span className="coverage-type-cv">CV {formatCv(entry.cv)}</span>
+                            <span className={`coverage-badge ${entry.classification.level}`}>
+                                {t(`coverage.levels.${entry.classification.level}`)}
+                            </span>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            {underserved.length > 0 && (
+                <div className="coverage-underserved">
+                    <div className="debug-section-title">{t('coverage.underserved')}</div>
+                    {underserved.map(a => (
+                        <div key={a.area} className="coverage-type-row">
+                            <span className="coverage-type-name">{a.area}</span>
+                            <span className="coverage-type-cv">{formatNumber(a.count)} ({formatPercent(a.share)})</span>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default CoveragePanel;
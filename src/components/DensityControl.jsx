@@ -0,0 +1,84 @@
+import { Flame } from 'lucide-react';
+import {
+    DENSITY_INTENSITY_RANGE,
+    DENSITY_RADIUS_RANGE,
+    POINT_DISPLAY_MODES,
+    getDensityGradient
+} from '../utils/density';
+import { getFacilityConfig, getTypeLabel } from '../utils/facilityIcons';
+import { formatNumber, t } from '../utils/i18n';
+
+// Floating control for how point facilities are drawn: markers, heatmap or hexbins.
+// `options` is { mode, radius, intensity }; `types` are the point types on the map.
+function DensityControl({ options, onChange, types }) {
+    const { mode, radius, intensity } = options;
+
+    return (
+        <div className="choropleth-legend card glass animate-fade-in">
+            <div className="choropleth-toggle">
+                <Flame size={14} />
+                <span>{t('density.title')}</span>
+            </div>
+
+            <div className="tab-switcher" role="group" aria-label={t('density.title')}>
+                {POINT_DISPLAY_MODES.map(key => (
+                    <button
+                        key={key}
+                        className={`tab-button ${mode === key ? 'active' : ''}`}
+                        aria-pressed={mode === key}
+                        onClick={() => onChange({ ...options, mode: key })}
+                    >
+                        {t(`density.modes.${key}`)}
+                    </button>
+                ))}
+            </div>
+
+            {mode !== 'markers' && (
+                <>
+                    <label className="density-slider">
+                        <span>{mode === 'hexbin' ? t('density.hexSize') : t('density.radius')}</span>
+                        <input
+                            type="range"
+                            {...DENSITY_RADIUS_RANGE}
+                            value={radius}
+                            onChange={(e) => onChange({ ...options, radius: Number(e.target.value) })}
+                            className="radius-slider"
+                        />
+                        <span className="radius-value">{formatNumber(radius)} px</span>
+                    </label>
+                    <label className="density-slider">
+                        <span>{t('density.intensity')}</span>
+                        <input
+                            type="range"
+                            {...DENSITY_INTENSITY_RANGE}
+                            value={intensity}
+                            onChange={(e) => onChange({ ...options, intensity: Number(e.target.value) })}
+                            className="radius-slider"
+                        />
+                        <span className="radius-value">{formatNumber(intensity, { maximumFractionDigits: 1 })}×</span>
+                    </label>
+                </>
+            )}
+
+            {mode === 'heatmap' && types.length > 0 && (
+                <div className="choropleth-scale">
+                    {types.map(type => (
+                        <div key={type} className="choropleth-scale-row">
+                            <span
+                                className="density-ramp"
+                                style={{ backgroundImage: getDensityGradient(getFacilityConfig(type).color) }}
+                            />
+                            <span>{getTypeLabel(type)}</span>
+                        </div>
+                    ))}
+                    <div className="density-ramp-labels">
+                        <span>{t('density.sparse')}</span>
+                        <span>{t('density.dense')}</span>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default DensityControl;
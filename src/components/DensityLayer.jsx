@@ -0,0 +1,102 @@
+import { useEffect, useMemo, useRef } from 'react';
+import { useMap } from 'react-leaflet';
+import L from 'leaflet';
+import { drawHeatmap, drawHexbins } from '../utils/density';
+import { getFacilityConfig } from '../utils/facilityIcons';
+import { getRepresentativePoint } from '../utils/geometry';
+
+// Pixels drawn beyond each edge of the view, so short pans don't reveal blank strips
+const OVERDRAW = 0.1;
+
+// A canvas the size of the map, redrawn from scratch after every move or zoom.
+// Hidden during zoom animations, like Leaflet's own vector renderers.
+const CanvasOverlay = L.Layer.extend({
+    initialize(draw) {
+        this._draw = draw;
+    },
+
+    onAdd(map) {
+        this._canvas = L.DomUtil.create('canvas', 'density-layer leaflet-zoom-hide');
+        map.getPanes().overlayPane.appendChild(this._canvas);
+        this.redraw();
+    },
+
+    onRemove() {
+        L.DomUtil.remove(this._canvas);
+    },
+
+    getEvents() {
+        return { moveend: this.redraw, zoomend: this.redraw, resize: this.redraw };
+    },
+
+    setDraw(draw) {
+        this._draw = draw;
+        if (this._map) this.redraw();
+        return this;
+    },
+
+    redraw() {
+        const map = this._map;
+        const size = map.getSize();
+        const margin = size.multiplyBy(OVERDRAW).round();
+        const topLeft = map.containerPointToLayerPoint(margin.multiplyBy(-1));
+
+        this._canvas.width = size.x + margin.x * 2;
+        this._canvas.height = size.y + margin.y * 2;
+        L.DomUtil.setPosition(this._canvas, topLeft);
+
+        const ctx = this._canvas.getContext('2d');
+        ctx.clearRect(0, 0, this._canvas.width, this._canvas.height);
+        // Container pixels shifted into canvas pixels; `origin` is the canvas corner in world
+        // pixels, so anything aligned to a grid stays put while panning
+        const toCanvas = (latlng) => map.latLngToContainerPoint(latlng).add(margin);
+        const origin = map.getPixelBounds().min.subtract(margin);
+        this._draw(ctx, toCanvas, origin);
+        return this;
+    }
+});
+
+/**
+ * Point facilities as a kernel density heatmap or hexbin aggregate, on a canvas.
+ * Each type keeps its own colour, from getFacilityConfig.
+ * @param {Array} points - GeoJSON features; non-point geometries use a point on the feature
+ * @param {string} mode - 'heatmap' or 'hexbin'
+ * @param {number} radius - Kernel radius or hexagon size, in pixels
+ * @param {number} intensity - Multiplier on each point's contribution
+ */
+function DensityLayer({ points, mode, radius, intensity }) {
+    const map = useMap();
+    const layerRef = useRef(null);
+
+    const positions = useMemo(() => points.flatMap(f => {
+        const position = getRepresentativePoint(f.geometry);
+        return position ? [{ latlng: L.latLng(position[1], position[0]), type: f.properties.type }] : [];
+    }), [points]);
+
+    useEffect(() => {
+        const draw = (ctx, toCanvas, origin) => {
+            const { width, height } = ctx.canvas;
+            const onCanvas = positions
+                .map(p => ({ ...toCanvas(p.latlng), type: p.type }))
+                .filter(p => p.x > -radius && p.y > -radius && p.x < width + radius && p.y < height + radius);
+            const options = { radius, intensity, origin, colorFor: type => getFacilityConfig(type).color };
+            if (mode === 'hexbin') drawHexbins(ctx, onCanvas, options);
+            else drawHeatmap(ctx, onCanvas, options);
+        };
+
+        if (layerRef.current) {
+            layerRef.current.setDraw(draw);
+        } else {
+            layerRef.current = new CanvasOverlay(draw).addTo(map);
+        }
+    }, [map, positions, mode, radius, intensity]);
+
+    useEffect(() => () => {
+        layerRef.current?.remove();
+        layerRef.current = null;
+    }, [map]);
+
+    return null;
+}
+
+export default DensityLayer;
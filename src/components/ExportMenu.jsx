@@ -0,0 +1,42 @@
+import { useState } from 'react';
+import { Download } from 'lucide-react';
+import { EXPORT_FORMATS } from '../utils/export';
+import { t } from '../utils/i18n';
+
+// Small dropdown for downloading the current results
+function ExportMenu({ onExport, disabled }) {
+    const [open, setOpen] = useState(false);
+
+    return (
+        <div className="export-menu">
+            <button
+                className="export-btn"
+                onClick={() => setOpen(!open)}
+                disabled={disabled}
+                title={t('export.hint')}
+            >
+                <Download size={12} />
+                {t('export.button')}
+            </button>
+
+            {open && (
+                <div className="export-menu-list animate-fade-in">
+                    {Object.entries(EXPORT_FORMATS).map(([key, format]) => (
+                        <button
+                            key={key}
+                            className="export-menu-item"
+                            onClick={() => {
+                                setOpen(false);
+                                onExport(key);
+                            }}
+                        >
+                            {format.label}
+                        </button>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default ExportMenu;
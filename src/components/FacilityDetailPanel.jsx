@@ -0,0 +1,114 @@
+import { AlertCircle, ArrowLeft, Copy, ExternalLink, Loader2, MapPin, X } from 'lucide-react';
+import { useLinkedRecord } from '../hooks/useLinkedRecord';
+import { compactUri, formatLiteral, literalHref } from '../utils/linkedData';
+import { t } from '../utils/i18n';
+
+function RecordValue({ value, onNavigate }) {
+    if (value.isUri) {
+        return (
+            <button className="record-link" onClick={() => onNavigate(value.value)} title={value.value}>
+                {value.label || compactUri(value.value)}
+            </button>
+        );
+    }
+
+    const href = literalHref(value.value);
+    if (href) {
+        return (
+            <a className="record-link" href={href} target="_blank" rel="noopener noreferrer">
+                {value.value.replace(/^(mailto|tel):/, '')} <ExternalLink size={10} />
+            </a>
+        );
+    }
+
+    return (
+        <span className="record-literal">
+            {formatLiteral(value)}
+            {value.lang && <span className="record-lang">{value.lang}</span>}
+        </span>
+    );
+}
+
+/**
+ * Side panel with the full knowledge-graph record behind a facility.
+ * Object links open the linked resource in the same panel; `onBack` walks back
+ * through the resources visited. `feature` is set when the resource is on the map.
+ */
+function FacilityDetailPanel({ uri, feature, canGoBack, onBack, onNavigate, onClose, onShowOnMap }) {
+    const { record, loading, error } = useLinkedRecord(uri);
+
+    return (
+        <aside className="detail-panel card glass animate-fade-in" aria-label={t('record.label')}>
+            <div className="debug-popup-header">
+                {canGoBack && (
+                    <button onClick={onBack} className="debug-close-btn" title={t('record.back')}>
+                        <ArrowLeft size={16} />
+                    </button>
+                )}
+                <h3 className="detail-title">{record?.label || feature?.properties.name || compactUri(uri)}</h3>
+                <button onClick={onClose} className="debug-close-btn" title={t('record.close')}>
+                    <X size={16} />
+                </button>
+            </div>
+
+            <div className="detail-uri">
+                <code title={uri}>{compactUri(uri)}</code>
+                <button
+                    className="debug-close-btn"
+                    onClick={() => navigator.clipboard?.writeText(uri)}
+                    title={t('record.copyUri')}
+                >
+                    <Copy size={12} />
+                </button>
+                <a className="debug-close-btn" href={uri} target="_blank" rel="noopener noreferrer" title={t('record.openUri')}>
+                    <ExternalLink size={12} />
+                </a>
+            </div>
+
+            {record?.types.length > 0 && (
+                <div className="detail-types">
+                    {record.types.map(type => <span key={type} className="detail-type">{type}</span>)}
+                </div>
+            )}
+
+            {feature && (
+                <button className="popup-link popup-action" onClick={() => onShowOnMap(feature)}>
+                    <MapPin size={12} /> {t('record.showOnMap')}
+                </button>
+            )}
+
+            <div className="detail-body">
+                {loading ? (
+                    <div className="route-summary">
+                        <Loader2 className="animate-spin" size={18} /> {t('record.loading')}
+                    </div>
+                ) : error ? (
+                    <div className="location-error">
+                        <AlertCircle size={16} />
+                        <span>{error}</span>
+                    </div>
+                ) : record?.sections.length === 0 ? (
+                    <p className="detail-empty">{t('record.empty')}</p>
+                ) : record?.sections.map(section => (
+                    <section key={section.key} className="detail-section">
+                        <label className="section-label">{t(`record.sections.${section.key}`)}</label>
+                        <dl className="detail-properties">
+                            {section.properties.map(property => (
+                                <div key={property.predicate} className="detail-property">
+                                    <dt title={property.predicate}>{property.label}</dt>
+                                    <dd>
+                                        {property.values.map((value, i) => (
+                                            <RecordValue key={`${value.value}-${i}`} value={value} onNavigate={onNavigate} />
+                                        ))}
+                                    </dd>
+                                </div>
+                            ))}
+                        </dl>
+                    </section>
+                ))}
+            </div>
+        </aside>
+    );
+}
+
+export default FacilityDetailPanel;
@@ -0,0 +1,43 @@
+import { useMemo, useState } from 'react';
+import { ChevronDown, ChevronUp, Shapes } from 'lucide-react';
+import { getTypeLabel, groupByCategory } from '../utils/facilityIcons';
+import { formatNumber, t, translateTerm } from '../utils/i18n';
+import FacilitySwatch from './FacilitySwatch';
+
+// Icons and colours of the facility types on the map, grouped by category
+function FacilityLegend({ features }) {
+    const [open, setOpen] = useState(true);
+
+    const groups = useMemo(() => {
+        const counts = new Map();
+        features.forEach(f => counts.set(f.properties.type, (counts.get(f.properties.type) || 0) + 1));
+        return groupByCategory(Array.from(counts, ([name, count]) => ({ name, count })));
+    }, [features]);
+
+    if (groups.length === 0) return null;
+
+    return (
+        <div className="facility-legend card glass animate-fade-in">
+            <button className="choropleth-toggle facility-legend-toggle" onClick={() => setOpen(!open)} aria-expanded={open}>
+                <Shapes size={14} />
+                <span>{t('legend.title')}</span>
+                {open ? <ChevronDown size={14} /> : <ChevronUp size={14} />}
+            </button>
+
+            {open && groups.map(({ category, types }) => (
+                <div key={category} className="facility-legend-group">
+                    <div className="debug-section-title">{translateTerm('categories', category)}</div>
+                    {types.map(({ name, count }) => (
+                        <div key={name} className="choropleth-scale-row">
+                            <FacilitySwatch type={name} />
+                            <span>{getTypeLabel(name)}</span>
+                            <span className="facility-count-badge">{formatNumber(count)}</span>
+                        </div>
+                    ))}
+                </div>
+            ))}
+        </div>
+    );
+}
+
+export default FacilityLegend;
@@ -0,0 +1,26 @@
+import { getFacilityConfig, MARKER_SHAPES } from '../utils/facilityIcons';
+
+// Small marker sample for legends and the type checklist, matching the map's colour and shape
+function FacilitySwatch({ type, size = 18 }) {
+    const config = getFacilityConfig(type);
+    const IconComponent = config.icon;
+
+    if (config.shape === 'pin') {
+        return (
+            <span className="facility-legend-icon" style={{ backgroundColor: config.color, width: size, height: size }} aria-hidden="true">
+                <IconComponent size={size * 0.55} color="white" strokeWidth={2.5} />
+            </span>
+        );
+    }
+
+    return (
+        <span className="facility-legend-icon shaped" style={{ width: size, height: size }} aria-hidden="true">
+            <svg width={size} height={size} viewBox="0 0 32 32">
+                <path d={MARKER_SHAPES[config.shape]} fill={config.color} stroke="#000000" strokeWidth="2" />
+            </svg>
+            <IconComponent size={size * 0.45} color={config.glyph} strokeWidth={2.5} />
+        </span>
+    );
+}
+
+export default FacilitySwatch;
@@ -0,0 +1,49 @@
+import { useEffect } from 'react';
+import { CircleMarker, GeoJSON, useMap } from 'react-leaflet';
+import { getBounds } from '../utils/geometry';
+
+// Zoom past the clustering threshold so a focused point is drawn as its own marker
+const FOCUS_ZOOM = 17;
+
+// Flies the map to a feature chosen in the results list and outlines the hovered feature
+function FeatureFocus({ focusRequest, hovered }) {
+    const map = useMap();
+
+    useEffect(() => {
+        if (!focusRequest) return;
+        const { geometry } = focusRequest.feature;
+
+        if (geometry.type === 'Point') {
+            const [lon, lat] = geometry.coordinates;
+            map.flyTo([lat, lon], Math.max(map.getZoom(), FOCUS_ZOOM));
+        } else {
+            const bounds = getBounds(geometry);
+            if (bounds) map.flyToBounds(bounds, { padding: [60, 60], maxZoom: FOCUS_ZOOM });
+        }
+    }, [focusRequest, map]);
+
+    if (!hovered?.geometry) return null;
+
+    if (hovered.geometry.type === 'Point') {
+        const [lon, lat] = hovered.geometry.coordinates;
+        return (
+            <CircleMarker
+                center={[lat, lon]}
+                radius={24}
+                interactive={false}
+                pathOptions={{ color: '#a855f7', weight: 3, fillColor: '#a855f7', fillOpacity: 0.15 }}
+            />
+        );
+    }
+
+    return (
+        <GeoJSON
+            key={hovered.properties.uri}
+            data={hovered.geometry}
+            interactive={false}
+            style={{ color: '#a855f7', weight: 5, opacity: 1, fillOpacity: 0.1 }}
+        />
+    );
+}
+
+export default FeatureFocus;
@@ -0,0 +1,60 @@
+import { useMemo } from 'react';
+import { GeoJSON, Pane } from 'react-leaflet';
+import L from 'leaflet';
+import { cellToFeature, getGapColor } from '../utils/gapAnalysis';
+import { formatDistance } from '../utils/format';
+import { getLocale, t } from '../utils/i18n';
+
+const GAP_PANE = 'service-gaps';
+
+// Built from text nodes, so facility and area names from the API are never parsed as HTML
+const tooltipFor = (cell) => {
+    const element = document.createElement('div');
+    [
+        cell.area,
+        t('gaps.nearest', { distance: formatDistance(cell.distance) }),
+        cell.nearest?.properties?.name
+    ].filter(Boolean).forEach((line, i) => {
+        if (i > 0) element.appendChild(document.createElement('br'));
+        element.appendChild(document.createTextNode(line));
+    });
+    return element;
+};
+
+// Gap analysis grid: each cell shaded by the distance to its nearest facility.
+// Cells within the threshold are faded so the gaps stand out. Thousands of cells
+// are drawn, so they go on a canvas in their own pane under the facilities.
+function GapLayer({ cells, threshold }) {
+    const renderer = useMemo(() => L.canvas({ pane: GAP_PANE, padding: 0.2 }), []);
+    const byId = useMemo(() => new Map(cells.map(cell => [cell.id, cell])), [cells]);
+    const data = useMemo(() => ({ type: 'FeatureCollection', features: cells.map(cellToFeature) }), [cells]);
+    // GeoJSON layers do not react to new data, styles or tooltip language, so remount on any change
+    const gridKey = useMemo(() => `${cells.length}:${Math.round(cells.reduce((sum, c) => sum + c.distance, 0))}`, [cells]);
+
+    if (cells.length === 0) return null;
+
+    return (
+        <Pane name={GAP_PANE} style={{ zIndex: 360 }}>
+            <GeoJSON
+                key={`${gridKey}-${threshold}-${getLocale()}`}
+                data={data}
+                renderer={renderer}
+                style={(feature) => {
+                    const gap = feature.properties.distance > threshold;
+                    return {
+                        stroke: gap,
+                        color: '#7f1d1d',
+                        weight: 1,
+                        fillColor: getGapColor(feature.properties.distance),
+                        fillOpacity: gap ? 0.6 : 0.2
+                    };
+                }}
+                onEachFeature={(feature, layer) => {
+                    layer.bindTooltip(tooltipFor(byId.get(feature.properties.id)), { sticky: true, className: 'area-tooltip' });
+                }}
+            />
+        </Pane>
+    );
+}
+
+export default GapLayer;
@@ -0,0 +1,46 @@
+import { Radar } from 'lucide-react';
+import { GAP_CLASSES, GAP_COLORS, GAP_THRESHOLDS } from '../utils/gapAnalysis';
+import { formatDistance } from '../utils/format';
+import { t } from '../utils/i18n';
+
+// Floating legend and controls for the service gap grid
+function GapLegend({ visible, onToggle, threshold, onThresholdChange }) {
+    return (
+        <div className="choropleth-legend card glass animate-fade-in">
+            <label className="choropleth-toggle">
+                <input type="checkbox" checked={visible} onChange={onToggle} />
+                <Radar size={14} />
+                <span>{t('gaps.title')}</span>
+            </label>
+
+            {visible && (
+                <>
+                    <label className="gap-threshold">
+                        <span>{t('gaps.threshold')}</span>
+                        <select value={threshold} onChange={(e) => onThresholdChange(Number(e.target.value))}>
+                            {GAP_THRESHOLDS.map(value => (
+                                <option key={value} value={value}>{formatDistance(value)}</option>
+                            ))}
+                        </select>
+                    </label>
+
+                    <div className="choropleth-scale">
+                        {GAP_COLORS.map((color, i) => (
+                            <div key={color} className="choropleth-scale-row">
+                                <span className="choropleth-swatch" style={{ backgroundColor: color }} />
+                                <span>
+                                    {i === 0 && `≤ ${formatDistance(GAP_CLASSES[0])}`}
+                                    {i > 0 && i < GAP_CLASSES.length &&
+                                        `${formatDistance(GAP_CLASSES[i - 1])} – ${formatDistance(GAP_CLASSES[i])}`}
+                                    {i === GAP_CLASSES.length && `> ${formatDistance(GAP_CLASSES[i - 1])}`}
+                                </span>
+                            </div>
+                        ))}
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
+
+export default GapLegend;
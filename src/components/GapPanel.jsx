@@ -0,0 +1,47 @@
+import { useMemo } from 'react';
+import { summariseGaps } from '../utils/gapAnalysis';
+import { formatDistance } from '../utils/format';
+import { formatNumber, t } from '../utils/i18n';
+
+// Summary of the service gap grid and the worst-served cells of each committee area.
+// Choosing a cell flies the map to it.
+function GapPanel({ cells, threshold, onCellSelect }) {
+    const { share, worstByArea } = useMemo(() => summariseGaps(cells, threshold), [cells, threshold]);
+
+    return (
+        <div className="coverage-panel">
+            <div className="stat-card">
+                <span className="stat-value">{formatNumber(share, { style: 'percent' })}</span>
+                <span className="stat-label">{t('gaps.share', { distance: formatDistance(threshold) })}</span>
+            </div>
+
+            <div className="coverage-underserved">
+                <div className="debug-section-title">{t('gaps.worst')}</div>
+                {worstByArea.map(entry => (
+                    <div key={entry.area ?? ''} className="gap-area">
+                        <div className="coverage-type-row">
+                            <span className="coverage-type-name">{entry.area ?? t('gaps.outsideAreas')}</span>
+                            <span className="coverage-type-cv">{t('gaps.cellsOver', { count: entry.gaps })}</span>
+                        </div>
+                        {entry.cells.map(cell => (
+                            <button
+                                key={cell.id}
+                                className={`gap-cell ${cell.distance > threshold ? 'over' : ''}`}
+                                onClick={() => onCellSelect(cell)}
+                            >
+                                <span>{formatDistance(cell.distance)}</span>
+                                {cell.nearest?.properties?.name && (
+                                    <span className="coverage-type-cv">
+                                        {t('gaps.nearestTo', { name: cell.nearest.properties.name })}
+                                    </span>
+                                )}
+                            </button>
+                        ))}
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+}
+
+export default GapPanel;
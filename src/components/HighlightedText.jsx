@@ -0,0 +1,17 @@
+// Renders text with the given [start, end) ranges wrapped in <mark>
+function HighlightedText({ text, ranges }) {
+    if (!text || !ranges || ranges.length === 0) return text || null;
+
+    const parts = [];
+    let cursor = 0;
+    ranges.forEach(([start, end], i) => {
+        if (start < cursor) return;
+        if (start > cursor) parts.push(text.slice(cursor, start));
+        parts.push(<mark key={i} className="search-highlight">{text.slice(start, end)}</mark>);
+        cursor = end;
+    });
+    parts.push(text.slice(cursor));
+    return parts;
+}
+
+export default HighlightedText;
@@ -0,0 +1,64 @@
+import { useEffect, useRef } from 'react';
+import { useMap } from 'react-leaflet';
+
+const NEXT_KEYS = ['n', ']'];
+const PREVIOUS_KEYS = ['p', '['];
+
+// Keys typed into popups or other controls inside the map are not shortcuts
+const isEditable = (target) => target.closest('input, textarea, select, [contenteditable="true"]');
+
+/**
+ * Keyboard navigation between facilities while the map has focus.
+ * N / ] and P / [ step through `results` in list order through `onSelect`,
+ * Escape calls `onClear`.
+ * Leaflet already pans with the arrow keys and zooms with + and -.
+ * `label` names the map for screen readers and `describedBy` is the id of the
+ * element explaining these keys.
+ */
+function MapKeyboardNav({ results, selected, onSelect, onClear, label, describedBy }) {
+    const map = useMap();
+    // Read from the listener without re-binding it on every selection
+    const stateRef = useRef({ results, selected, onSelect, onClear });
+
+    useEffect(() => {
+        stateRef.current = { results, selected, onSelect, onClear };
+    }, [results, selected, onSelect, onClear]);
+
+    useEffect(() => {
+        const container = map.getContainer();
+        container.setAttribute('aria-label', label);
+        container.setAttribute('aria-describedby', describedBy);
+
+        const handleKeyDown = (e) => {
+            if (e.ctrlKey || e.metaKey || e.altKey || isEditable(e.target)) return;
+            const { results: list, selected: current, onSelect: select, onClear: clear } = stateRef.current;
+            const key = e.key.toLowerCase();
+
+            if (key === 'escape' && current) {
+                map.closePopup();
+                clear();
+                return;
+            }
+
+            const step = NEXT_KEYS.includes(key) ? 1 : PREVIOUS_KEYS.includes(key) ? -1 : 0;
+            if (!step || list.length === 0) return;
+            e.preventDefault();
+
+            const index = list.findIndex(r => r.feature === current);
+            const next = index < 0
+                ? (step > 0 ? 0 : list.length - 1)
+                : (index + step + list.length) % list.length;
+            select(list[next].feature);
+        };
+
+        container.addEventListener('keydown', handleKeyDown);
+        return () => {
+            container.removeEventListener('keydown', handleKeyDown);
+            container.removeAttribute('aria-describedby');
+        };
+    }, [map, label, describedBy]);
+
+    return null;
+}
+
+export default MapKeyboardNav;
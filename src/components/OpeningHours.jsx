@@ -0,0 +1,42 @@
+import { Clock } from 'lucide-react';
+import { formatClock, getWeekSchedule, isOpenAt } from '../utils/openingHours';
+import { t } from '../utils/i18n';
+
+const formatIntervals = (intervals) => (intervals.length === 0
+    ? t('hours.closed')
+    : intervals.map(([start, end]) => `${formatClock(start)}–${formatClock(end)}`).join(', '));
+
+// Open/closed status at `time` and the hours for that week, Monday first.
+// Public holidays in the week are named beside their day.
+function OpeningHours({ rules, time }) {
+    const open = isOpenAt(rules, time);
+    const week = getWeekSchedule(rules, time);
+
+    return (
+        <div className="opening-hours">
+            <div className="popup-info-row">
+                <Clock size={14} />
+                <span className={`opening-status ${open ? 'open' : 'closed'}`}>
+                    {open ? t('hours.open') : t('hours.closed')}
+                </span>
+            </div>
+            <table className="opening-week">
+                <tbody>
+                    {week.map(day => (
+                        <tr key={day.weekday} className={day.today ? 'today' : undefined}>
+                            <th scope="row">{t(`hours.days.${day.weekday}`)}</th>
+                            <td>
+                                {formatIntervals(day.intervals)}
+                                {day.holiday && (
+                                    <span className="opening-holiday">{t(`hours.holidays.${day.holiday}`)}</span>
+                                )}
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+}
+
+export default OpeningHours;
@@ -0,0 +1,116 @@
+import { useState } from 'react';
+import { Printer, Loader2, X } from 'lucide-react';
+import { PAPER_SIZES, PNG_SCALES, exportMapPdf, exportMapPng } from '../utils/print';
+import { t } from '../utils/i18n';
+
+// Floating "Print / Export" action: a PNG of the current view or a PDF map report.
+// `content` holds what goes on the page (see exportMapPdf) apart from the title.
+function PrintPanel({ map, content }) {
+    const [open, setOpen] = useState(false);
+    const [format, setFormat] = useState('pdf');
+    const [title, setTitle] = useState(() => t('print.defaultTitle'));
+    const [scale, setScale] = useState(2);
+    const [paper, setPaper] = useState('a4');
+    const [orientation, setOrientation] = useState('landscape');
+    const [busy, setBusy] = useState(false);
+    const [message, setMessage] = useState(null); // { error?, text }
+
+    const handleExport = async () => {
+        setBusy(true);
+        setMessage(null);
+        try {
+            const failedTiles = format === 'png'
+                ? await exportMapPng(map, content, scale)
+                : await exportMapPdf(map, { ...content, title: title.trim() || t('print.defaultTitle') }, { paper, orientation });
+            if (failedTiles > 0) setMessage({ text: t('print.tilesMissing', { count: failedTiles }) });
+        } catch (err) {
+            console.error('Map export failed:', err);
+            setMessage({ error: true, text: t('print.failed') });
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    if (!open) {
+        return (
+            <div className="print-control">
+                <button className="print-toggle card glass" onClick={() => setOpen(true)} disabled={!map}>
+                    <Printer size={14} /> {t('print.button')}
+                </button>
+            </div>
+        );
+    }
+
+    return (
+        <div className="print-control">
+            <div className="print-panel card glass animate-fade-in">
+                <div className="choropleth-toggle">
+                    <Printer size={14} />
+                    <span>{t('print.button')}</span>
+                    <button className="debug-close-btn" onClick={() => setOpen(false)} aria-label={t('print.close')}>
+                        <X size={14} />
+                    </button>
+                </div>
+
+                <div className="tab-switcher" role="group" aria-label={t('print.format')}>
+                    {['pdf', 'png'].map(key => (
+                        <button
+                            key={key}
+                            className={`tab-button ${format === key ? 'active' : ''}`}
+                            aria-pressed={format === key}
+                            onClick={() => setFormat(key)}
+                        >
+                            {t(`print.formats.${key}`)}
+                        </button>
+                    ))}
+                </div>
+
+                {format === 'png' ? (
+                    <label className="basemap-select">
+                        <span>{t('print.resolution')}</span>
+                        <select value={scale} onChange={(e) => setScale(Number(e.target.value))}>
+                            {PNG_SCALES.map(value => (
+                                <option key={value} value={value}>{t('print.scale', { scale: value })}</option>
+                            ))}
+                        </select>
+                    </label>
+                ) : (
+                    <>
+                        <input
+                            type="text"
+                            value={title}
+                            onChange={(e) => setTitle(e.target.value)}
+                            placeholder={t('print.title')}
+                            aria-label={t('print.title')}
+                        />
+                        <label className="basemap-select">
+                            <span>{t('print.paper')}</span>
+                            <select value={paper} onChange={(e) => setPaper(e.target.value)}>
+                                {Object.keys(PAPER_SIZES).map(key => (
+                                    <option key={key} value={key}>{key.toUpperCase()}</option>
+                                ))}
+                            </select>
+                        </label>
+                        <label className="basemap-select">
+                            <span>{t('print.orientation')}</span>
+                            <select value={orientation} onChange={(e) => setOrientation(e.target.value)}>
+                                <option value="landscape">{t('print.landscape')}</option>
+                                <option value="portrait">{t('print.portrait')}</option>
+                            </select>
+                        </label>
+                    </>
+                )}
+
+                <button className="primary" onClick={handleExport} disabled={busy || !map}>
+                    {busy ? <Loader2 className="animate-spin" size={16} /> : <Printer size={16} />}
+                    {busy ? t('print.rendering') : t('print.download')}
+                </button>
+                {message && (
+                    <div className={message.error ? 'location-error' : 'detail-empty'}>{message.text}</div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default PrintPanel;
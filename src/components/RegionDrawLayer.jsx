@@ -0,0 +1,182 @@
+import { useEffect, useState } from 'react';
+import { Circle, Marker, Polygon, Polyline, Rectangle, useMap, useMapEvents } from 'react-leaflet';
+import L from 'leaflet';
+
+const REGION_STYLE = { color: '#6366f1', weight: 2, fillColor: '#6366f1', fillOpacity: 0.08 };
+const DRAFT_STYLE = { ...REGION_STYLE, dashArray: '6 6' };
+
+const handleIcon = L.divIcon({ className: 'region-handle', iconSize: [12, 12] });
+
+// Clicking within this many pixels of the first vertex closes a polygon
+const CLOSE_TOLERANCE = 10;
+
+const toPoint = (latlng) => [latlng.lat, latlng.lng];
+
+// Double-clicking also fires two clicks, so drop repeated vertices before closing
+const dedupe = (points) =>
+    points.filter((p, i) => i === 0 || p[0] !== points[i - 1][0] || p[1] !== points[i - 1][1]);
+
+// Corner handles for a rectangle, each dragged against the opposite corner
+const rectangleCorners = ([[south, west], [north, east]]) => [
+    [[south, west], [north, east]],
+    [[south, east], [north, west]],
+    [[north, east], [south, west]],
+    [[north, west], [south, east]]
+];
+
+const boundsFrom = ([lat1, lon1], [lat2, lon2]) => [
+    [Math.min(lat1, lat2), Math.min(lon1, lon2)],
+    [Math.max(lat1, lat2), Math.max(lon1, lon2)]
+];
+
+/**
+ * Draws and edits the query region on the map.
+ * With a `tool` active, clicks place the shape: polygon vertices (finish on the first
+ * vertex or with a double-click), rectangle corners, or circle centre then edge.
+ * A finished region shows draggable handles for editing. Remount with a new `key`
+ * when the tool changes to discard a half-drawn shape.
+ */
+function RegionDrawLayer({ tool, region, onRegionChange, onCancel }) {
+    const map = useMap();
+    const [draft, setDraft] = useState(null);
+    const [cursor, setCursor] = useState(null);
+    // Live shape while a handle is dragged; committed on drag end so filtering runs once
+    const [editing, setEditing] = useState(null);
+
+    useEffect(() => {
+        if (!tool) return;
+        const container = map.getContainer();
+        map.doubleClickZoom.disable();
+        container.classList.add('region-drawing');
+
+        const onKeyDown = (e) => {
+            if (e.key === 'Escape') onCancel();
+        };
+        window.addEventListener('keydown', onKeyDown);
+
+        return () => {
+            map.doubleClickZoom.enable();
+            container.classList.remove('region-drawing');
+            window.removeEventListener('keydown', onKeyDown);
+        };
+    }, [tool, map, onCancel]);
+
+    const finishPolygon = (points) => {
+        const vertices = dedupe(points);
+        if (vertices.length >= 3) onRegionChange({ type: 'polygon', points: vertices });
+    };
+
+    useMapEvents({
+        click(e) {
+            if (!tool) return;
+            const point = toPoint(e.latlng);
+
+            if (tool === 'polygon') {
+                const points = draft || [];
+                if (points.length >= 3) {
+                    const first = map.latLngToContainerPoint(points[0]);
+                    if (first.distanceTo(e.containerPoint) <= CLOSE_TOLERANCE) {
+                        finishPolygon(points);
+                        return;
+                    }
+                }
+                setDraft([...points, point]);
+            } else if (!draft) {
+                setDraft([point]);
+            } else if (tool === 'rectangle') {
+                onRegionChange({ type: 'rectangle', bounds: boundsFrom(draft[0], point) });
+            } else if (tool === 'circle') {
+                onRegionChange({ type: 'circle', center: draft[0], radius: map.distance(draft[0], point) });
+            }
+        },
+        dblclick() {
+            if (tool === 'polygon' && draft) finishPolygon(draft);
+        },
+        mousemove(e) {
+            if (tool && draft) setCursor(toPoint(e.latlng));
+        }
+    });
+
+    const renderDraft = () => {
+        if (!draft || !cursor) return null;
+        if (tool === 'polygon') {
+            return <Polyline positions={[...draft, cursor]} pathOptions={DRAFT_STYLE} interactive={false} />;
+        }
+        if (tool === 'rectangle') {
+            return <Rectangle bounds={boundsFrom(draft[0], cursor)} pathOptions={DRAFT_STYLE} interactive={false} />;
+        }
+        return <Circle center={draft[0]} radius={map.distance(draft[0], cursor)} pathOptions={DRAFT_STYLE} interactive={false} />;
+    };
+
+    const handle = (key, position, onDrag) => (
+        <Marker
+            key={key}
+            position={position}
+            icon={handleIcon}
+            draggable
+            eventHandlers={{
+                drag: (e) => setEditing(onDrag(toPoint(e.target.getLatLng()))),
+                dragend: (e) => {
+                    setEditing(null);
+                    onRegionChange(onDrag(toPoint(e.target.getLatLng())));
+                }
+            }}
+        />
+    );
+
+    const renderRegion = () => {
+        const shape = editing || region;
+        if (!shape) return null;
+        // No editing handles while another shape is being drawn
+        const editable = !tool;
+
+        if (shape.type === 'polygon') {
+            return (
+                <>
+                    <Polygon positions={shape.points} pathOptions={REGION_STYLE} interactive={false} />
+                    {editable && shape.points.map((p, i) => handle(`v${i}`, p, (moved) => ({
+                        ...shape,
+                        points: shape.points.map((q, j) => (j === i ? moved : q))
+                    })))}
+                </>
+            );
+        }
+
+        if (shape.type === 'rectangle') {
+            return (
+                <>
+                    <Rectangle bounds={shape.bounds} pathOptions={REGION_STYLE} interactive={false} />
+                    {editable && rectangleCorners(shape.bounds).map(([corner, opposite], i) =>
+                        handle(`c${i}`, corner, (moved) => ({ ...shape, bounds: boundsFrom(opposite, moved) }))
+                    )}
+                </>
+            );
+        }
+
+        // Circle: the centre handle moves it, the east handle sets the radius
+        const edge = L.latLng(shape.center).toBounds(shape.radius * 2).getEast();
+        return (
+            <>
+                <Circle center={shape.center} radius={shape.radius} pathOptions={REGION_STYLE} interactive={false} />
+                {editable && (
+                    <>
+                        {handle('center', shape.center, (moved) => ({ ...shape, center: moved }))}
+                        {handle('radius', [shape.center[0], edge], (moved) => ({
+                            ...shape,
+                            radius: Math.max(map.distance(shape.center, moved), 10)
+                        }))}
+                    </>
+                )}
+            </>
+        );
+    };
+
+    return (
+        <>
+            {renderRegion()}
+            {renderDraft()}
+        </>
+    );
+}
+
+export default RegionDrawLayer;
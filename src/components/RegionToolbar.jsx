@@ -0,0 +1,42 @@
+import { Circle, Hexagon, Square, Trash2 } from 'lucide-react';
+import { t } from '../utils/i18n';
+
+const TOOLS = [
+    { key: 'polygon', icon: <Hexagon size={16} /> },
+    { key: 'rectangle', icon: <Square size={16} /> },
+    { key: 'circle', icon: <Circle size={16} /> }
+];
+
+// Floating map controls for drawing a query region
+function RegionToolbar({ tool, onToolChange, hasRegion, onClear }) {
+    return (
+        <div className="region-toolbar animate-fade-in">
+            <div className="region-toolbar-buttons card glass">
+                {TOOLS.map(({ key, icon }) => (
+                    <button
+                        key={key}
+                        className={`region-tool ${tool === key ? 'active' : ''}`}
+                        onClick={() => onToolChange(tool === key ? null : key)}
+                        title={t(`region.${key}`)}
+                        aria-label={t(`region.${key}`)}
+                        aria-pressed={tool === key}
+                    >
+                        {icon}
+                    </button>
+                ))}
+                {hasRegion && (
+                    <button className="region-tool" onClick={onClear} title={t('region.clear')} aria-label={t('region.clear')}>
+                        <Trash2 size={16} />
+                    </button>
+                )}
+            </div>
+            {tool && (
+                <div className="region-hint card glass">
+                    {t(`region.hints.${tool}`)} · {t('region.cancel')}
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default RegionToolbar;
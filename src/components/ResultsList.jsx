@@ -0,0 +1,224 @@
+import { useState, useMemo, useEffect, useRef } from 'react';
+import { Trees, MapPin, Navigation, ChevronLeft, ChevronRight, Info, ExternalLink, Star } from 'lucide-react';
+import HighlightedText from './HighlightedText';
+import { formatDistance } from '../utils/format';
+import { getFacilityConfig, getTypeLabel } from '../utils/facilityIcons';
+import { getLocale, t, translateTerm } from '../utils/i18n';
+import { getRepresentativePoint } from '../utils/geometry';
+
+const PAGE_SIZE = 50;
+
+const byText = (key) => (a, b) =>
+    (a.feature.properties[key] || '').localeCompare(b.feature.properties[key] || '');
+
+const effectiveDistance = (row) => row.network?.distance ?? row.distance ?? Infinity;
+
+const SORTS = {
+    default: {},
+    name: { compare: byText('name') },
+    type: { compare: byText('type') },
+    area: { compare: byText('area') },
+    distance: { compare: (a, b) => effectiveDistance(a) - effectiveDistance(b) }
+};
+
+const rowKey = (row, index) => `${row.feature.properties.uri}-${index}`;
+
+// Arrow keys move focus between items, Enter or Space selects
+const handleItemKeyDown = (e, feature, onSelect) => {
+    if (e.target !== e.currentTarget) return;
+    if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        onSelect(feature);
+    } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const sibling = e.key === 'ArrowDown' ? e.currentTarget.nextElementSibling : e.currentTarget.previousElementSibling;
+        sibling?.focus();
+    }
+};
+
+// Paginated, sortable results linked to the map: clicking an item focuses its feature,
+// hovering highlights it, and the selected feature's item is brought into view.
+// `onDetails` adds a button opening the feature's full record, `onToggleFavourite` a star
+// reflecting `isFavourite(feature)`.
+// `detailed` shows everything the map popup would, for browsing without the map.
+// A new `resetKey` (a new search or search text) returns to the first page; results
+// merely recomputed, e.g. as the clock or network distances update, keep the page.
+function ResultsList({
+    results,
+    resetKey,
+    selected,
+    onSelect,
+    onHover,
+    onDetails,
+    isFavourite,
+    onToggleFavourite,
+    travelModeLabel,
+    detailed = false
+}) {
+    const [sortKey, setSortKey] = useState('default');
+    const [page, setPage] = useState(0);
+    const [lastResetKey, setLastResetKey] = useState(resetKey);
+    const [lastSelected, setLastSelected] = useState(selected);
+    const selectedRef = useRef(null);
+
+    const hasDistance = results.some(r => r.distance !== undefined);
+    const activeSort = sortKey === 'distance' && !hasDistance ? 'default' : sortKey;
+
+    const sorted = useMemo(() => {
+        const { compare } = SORTS[activeSort];
+        return compare ? [...results].sort(compare) : results;
+    }, [results, activeSort]);
+
+    const selectedIndex = selected ? sorted.findIndex(r => r.feature === selected) : -1;
+
+    // New results start from the first page; a feature selected on the map jumps to its page
+    if (resetKey !== lastResetKey) {
+        setLastResetKey(resetKey);
+        setPage(0);
+    }
+    if (selected !== lastSelected) {
+        setLastSelected(selected);
+        if (selectedIndex >= 0) setPage(Math.floor(selectedIndex / PAGE_SIZE));
+    }
+
+    const pageCount = Math.ceil(sorted.length / PAGE_SIZE);
+    // Fewer results than before may leave the page past the end
+    const currentPage = Math.min(page, Math.max(pageCount - 1, 0));
+    const start = currentPage * PAGE_SIZE;
+    const pageRows = sorted.slice(start, start + PAGE_SIZE);
+
+    useEffect(() => {
+        selectedRef.current?.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    }, [selected, currentPage]);
+
+    return (
+        <>
+            <div className="results-sort-bar">
+                <label htmlFor="results-sort">{t('results.sort')}</label>
+                <select
+                    id="results-sort"
+                    value={activeSort}
+                    onChange={(e) => {
+                        setSortKey(e.target.value);
+                        setPage(0);
+                    }}
+                >
+                    {Object.keys(SORTS).map(key => (
+                        <option key={key} value={key} disabled={key === 'distance' && !hasDistance}>
+                            {t(`results.sorts.${key}`)}
+                        </option>
+                    ))}
+                </select>
+            </div>
+
+            <div className={`results-scroll ${detailed ? 'detailed' : ''}`} role="list" aria-label={t('results.listLabel')}>
+                {pageRows.map((row, i) => {
+                    const { feature: f, distance, network, match } = row;
+                    const isSelected = f === selected;
+                    const point = detailed ? getRepresentativePoint(f.geometry) : null;
+                    return (
+                        <div
+                            key={rowKey(row, start + i)}
+                            ref={isSelected ? selectedRef : null}
+                            role="listitem"
+                            tabIndex={0}
+                            aria-current={isSelected || undefined}
+                            className={`result-item animate-fade-in ${isSelected ? 'selected' : ''}`}
+                            style={{ animationDelay: `${Math.min(i * 0.05, 1)}s` }}
+                            onClick={() => onSelect(f)}
+                            onKeyDown={(e) => handleItemKeyDown(e, f, onSelect)}
+                            onMouseEnter={() => onHover(f)}
+                            onMouseLeave={() => onHover(null)}
+                        >
+                            <span className="result-title">
+                                <HighlightedText text={f.properties.name} ranges={match?.name} />
+                            </span>
+                            {f.properties.uri && (
+                                <div className="result-actions">
+                                    {onToggleFavourite && (
+                                        <button
+                                            className={`result-details-btn ${isFavourite(f) ? 'starred' : ''}`}
+                                            onClick={(e) => {
+                                                e.stopPropagation();
+                                                onToggleFavourite(f);
+                                            }}
+                                            aria-pressed={isFavourite(f)}
+                                            title={t('saved.star')}
+                                            aria-label={t('saved.starName', { name: f.properties.name })}
+                                        >
+                                            <Star size={14} fill={isFavourite(f) ? 'currentColor' : 'none'} />
+                                        </button>
+                                    )}
+                                    {onDetails && (
+                                        <button
+                                            className="result-details-btn"
+                                            onClick={(e) => {
+                                                e.stopPropagation();
+                                                onDetails(f);
+                                            }}
+                                            title={t('results.showRecord')}
+                                            aria-label={t('results.showRecordFor', { name: f.properties.name })}
+                                        >
+                                            <Info size={14} />
+                                        </button>
+                                    )}
+                                </div>
+                            )}
+                            <div className="result-sub">
+                                <Trees size={12} /> {getTypeLabel(f.properties.type)}
+                                {detailed && <span>· {translateTerm('categories', getFacilityConfig(f.properties.type).category)}</span>}
+                            </div>
+                            <div className="result-sub">
+                                <MapPin size={12} /> {f.properties.area}
+                            </div>
+                            {f.properties.address && (detailed || match?.address.length > 0) && (
+                                <div className="result-sub">
+                                    <Navigation size={12} />
+                                    <span><HighlightedText text={f.properties.address} ranges={match?.address} /></span>
+                                </div>
+                            )}
+                            {distance !== undefined && (
+                                <div className="result-sub">
+                                    <Navigation size={12} />
+                                    {network
+                                        ? t('results.byMode', {
+                                            distance: formatDistance(network.distance),
+                                            mode: travelModeLabel.toLocaleLowerCase(getLocale())
+                                        })
+                                        : t('results.away', { distance: formatDistance(distance) })}
+                                </div>
+                            )}
+                            {point && (
+                                <a
+                                    href={`https://www.google.com/maps/search/?api=1&query=${point[1]},${point[0]}`}
+                                    target="_blank"
+                                    rel="noopener noreferrer"
+                                    className="popup-link"
+                                    onClick={(e) => e.stopPropagation()}
+                                >
+                                    {t('popup.googleMaps')} <ExternalLink size={12} />
+                                </a>
+                            )}
+                        </div>
+                    );
+                })}
+            </div>
+
+            {pageCount > 1 && (
+                <div className="results-pagination">
+                    <button onClick={() => setPage(currentPage - 1)} disabled={currentPage === 0} title={t('results.previousPage')}>
+                        <ChevronLeft size={16} />
+                    </button>
+                    <span>
+                        {t('results.pageRange', { from: start + 1, to: Math.min(start + PAGE_SIZE, sorted.length), total: sorted.length })}
+                    </span>
+                    <button onClick={() => setPage(currentPage + 1)} disabled={currentPage >= pageCount - 1} title={t('results.nextPage')}>
+                        <ChevronRight size={16} />
+                    </button>
+                </div>
+            )}
+        </>
+    );
+}
+
+export default ResultsList;
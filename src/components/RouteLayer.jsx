@@ -0,0 +1,49 @@
+import { useEffect, useMemo } from 'react';
+import { Polyline, CircleMarker, useMap } from 'react-leaflet';
+
+const ROUTE_COLORS = {
+    walking: '#a855f7',
+    cycling: '#0ea5e9'
+};
+
+// Draws the active route and zooms the map to it
+function RouteLayer({ route }) {
+    const map = useMap();
+
+    const positions = useMemo(
+        () => route.geometry.coordinates.map(([lon, lat]) => [lat, lon]),
+        [route]
+    );
+
+    useEffect(() => {
+        if (positions.length > 1) {
+            map.fitBounds(positions, { padding: [60, 60], maxZoom: 17 });
+        }
+    }, [positions, map]);
+
+    return (
+        <>
+            <Polyline
+                positions={positions}
+                pathOptions={{ color: 'white', weight: 8, opacity: 0.8 }}
+            />
+            <Polyline
+                positions={positions}
+                pathOptions={{
+                    color: ROUTE_COLORS[route.mode],
+                    weight: 5,
+                    opacity: 0.95,
+                    dashArray: route.mode === 'walking' ? '1 8' : null,
+                    lineCap: 'round'
+                }}
+            />
+            <CircleMarker
+                center={[route.from.lat, route.from.lon]}
+                radius={7}
+                pathOptions={{ color: 'white', weight: 3, fillColor: ROUTE_COLORS[route.mode], fillOpacity: 1 }}
+            />
+        </>
+    );
+}
+
+export default RouteLayer;
@@ -0,0 +1,48 @@
+import { Loader2, X, AlertCircle } from 'lucide-react';
+import { TRAVEL_MODES } from '../utils/routing';
+import { formatDistance, formatDuration } from '../utils/format';
+import { t } from '../utils/i18n';
+
+// Floating summary of the active route with a walking/cycling switch
+function RoutePanel({ route, loading, error, mode, onModeChange, onClose }) {
+    return (
+        <div className="route-panel card glass animate-fade-in">
+            <div className="debug-popup-header">
+                <h3>{route ? t('route.titleTo', { name: route.facility.properties.name }) : t('route.title')}</h3>
+                <button onClick={onClose} className="debug-close-btn" title={t('route.clear')}>
+                    <X size={16} />
+                </button>
+            </div>
+
+            <div className="tab-switcher">
+                {Object.keys(TRAVEL_MODES).map(key => (
+                    <button
+                        key={key}
+                        className={`tab-button ${mode === key ? 'active' : ''}`}
+                        onClick={() => onModeChange(key)}
+                    >
+                        {t(`travelModes.${key}`)}
+                    </button>
+                ))}
+            </div>
+
+            {loading ? (
+                <div className="route-summary">
+                    <Loader2 className="animate-spin" size={18} /> {t('route.finding')}
+                </div>
+            ) : error ? (
+                <div className="location-error">
+                    <AlertCircle size={16} />
+                    <span>{error}</span>
+                </div>
+            ) : route && (
+                <div className="route-summary">
+                    <span className="stat-value">{formatDuration(route.duration)}</span>
+                    <span className="stat-label">{formatDistance(route.distance)}</span>
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default RoutePanel;
@@ -0,0 +1,32 @@
+import { Marker, Popup } from 'react-leaflet';
+import { getSavedPlaceIcon } from '../utils/facilityIcons';
+import { getRepresentativePoint } from '../utils/geometry';
+
+// Facilities of the collections shown on the map, as star markers in each collection's colour.
+// A facility in several shown collections is drawn once, in the first one's colour.
+function SavedPlacesLayer({ collections, favourites, renderPopup }) {
+    const byUri = new Map(favourites.map(f => [f.uri, f.feature]));
+    const drawn = new Map();
+    collections.forEach(collection => collection.uris.forEach(uri => {
+        if (!drawn.has(uri) && byUri.has(uri)) drawn.set(uri, collection.color);
+    }));
+
+    return Array.from(drawn, ([uri, color]) => {
+        const feature = byUri.get(uri);
+        const point = getRepresentativePoint(feature.geometry);
+        if (!point) return null;
+        return (
+            <Marker
+                key={`${uri}-${color}`}
+                position={[point[1], point[0]]}
+                icon={getSavedPlaceIcon(color)}
+                title={feature.properties.name}
+                zIndexOffset={500}
+            >
+                <Popup>{renderPopup(feature)}</Popup>
+            </Marker>
+        );
+    });
+}
+
+export default SavedPlacesLayer;
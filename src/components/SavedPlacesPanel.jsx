@@ -0,0 +1,187 @@
+import { useRef, useState } from 'react';
+import { Star, FolderPlus, Trash2, Download, Upload, Filter } from 'lucide-react';
+import { downloadFile } from '../utils/export';
+import { formatKilometres } from '../utils/format';
+import { getTypeLabel } from '../utils/facilityIcons';
+import { formatNumber, t } from '../utils/i18n';
+
+// Submits a trimmed, non-empty name and clears the field
+function NameForm({ placeholder, submitLabel, icon, onSubmit }) {
+    const [name, setName] = useState('');
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const trimmed = name.trim();
+        if (!trimmed) return;
+        onSubmit(trimmed);
+        setName('');
+    };
+
+    return (
+        <form className="saved-form" onSubmit={handleSubmit}>
+            <input
+                type="text"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder={placeholder}
+                aria-label={placeholder}
+            />
+            <button type="submit" className="popup-link popup-action" disabled={!name.trim()}>
+                {icon} {submitLabel}
+            </button>
+        </form>
+    );
+}
+
+/**
+ * Starred facilities, their collections and saved filter presets, with JSON import/export.
+ * `saved` is the result of useSavedPlaces; `visibleCollections` is a Set of collection ids
+ * drawn on the map.
+ */
+function SavedPlacesPanel({
+    saved,
+    visibleCollections,
+    onToggleVisible,
+    onSelect,
+    onSavePreset,
+    onApplyPreset,
+    areas,
+    types
+}) {
+    const fileRef = useRef(null);
+    const [importError, setImportError] = useState(null);
+    const { favourites, collections, presets } = saved;
+
+    const describePreset = (preset) => [
+        areas.find(a => a.id === preset.area)?.name || t('filters.allAreas'),
+        preset.types.length > 0
+            ? preset.types.map(id => getTypeLabel(types.find(type => type.id === id)?.name || id)).join(', ')
+            : t('saved.allTypes'),
+        preset.radius && formatKilometres(preset.radius)
+    ].filter(Boolean).join(' · ');
+
+    const handleExport = () => {
+        downloadFile(saved.exportJSON(), `dublin-saved-places-${new Date().toISOString().slice(0, 10)}.json`, 'application/json');
+    };
+
+    const handleImport = (e) => {
+        const [file] = e.target.files;
+        e.target.value = '';
+        if (!file) return;
+        file.text()
+            .then(saved.importJSON)
+            .then(() => setImportError(null))
+            .catch(err => setImportError(err.message));
+    };
+
+    return (
+        <div className="saved-places">
+            <div className="debug-section-title">
+                {t('saved.favourites', { count: favourites.length })}
+            </div>
+            {favourites.length === 0 && <p className="detail-empty">{t('saved.noFavourites')}</p>}
+            {favourites.map(({ uri, feature }) => (
+                <div key={uri} className="saved-item">
+                    <button
+                        className="result-details-btn"
+                        onClick={() => saved.toggleFavourite(feature)}
+                        title={t('saved.unstar')}
+                        aria-label={t('saved.unstarName', { name: feature.properties.name })}
+                    >
+                        <Star size={14} fill="currentColor" />
+                    </button>
+                    <button className="saved-item-name" onClick={() => onSelect(feature)}>
+                        {feature.properties.name}
+                    </button>
+                    {collections.length > 0 && (
+                        <div className="saved-chips" role="group" aria-label={t('saved.collectionsFor', { name: feature.properties.name })}>
+                            {collections.map(c => (
+                                <button
+                                    key={c.id}
+                                    className="saved-chip"
+                                    aria-pressed={c.uris.includes(uri)}
+                                    style={{ '--chip-color': c.color }}
+                                    onClick={() => saved.toggleInCollection(c.id, uri)}
+                                >
+                                    {c.name}
+                                </button>
+                            ))}
+                        </div>
+                    )}
+                </div>
+            ))}
+
+            <div className="debug-section-title">{t('saved.collections')}</div>
+            {collections.map(c => (
+                <div key={c.id} className="coverage-type-row">
+                    <input
+                        type="checkbox"
+                        checked={visibleCollections.has(c.id)}
+                        onChange={() => onToggleVisible(c.id)}
+                        aria-label={t('saved.showOnMap', { name: c.name })}
+                    />
+                    <span className="choropleth-swatch" style={{ backgroundColor: c.color }} />
+                    <span className="coverage-type-name">{c.name}</span>
+                    <span className="coverage-type-cv">{formatNumber(c.uris.length)}</span>
+                    <button
+                        className="result-details-btn"
+                        onClick={() => saved.removeCollection(c.id)}
+                        aria-label={t('saved.deleteName', { name: c.name })}
+                        title={t('saved.delete')}
+                    >
+                        <Trash2 size={14} />
+                    </button>
+                </div>
+            ))}
+            <NameForm
+                placeholder={t('saved.collectionName')}
+                submitLabel={t('saved.create')}
+                icon={<FolderPlus size={12} />}
+                onSubmit={saved.addCollection}
+            />
+
+            <div className="debug-section-title">{t('saved.presets')}</div>
+            {presets.map(preset => (
+                <div key={preset.id} className="saved-item">
+                    <button className="saved-item-name" onClick={() => onApplyPreset(preset)}>
+                        {preset.name}
+                        <span className="coverage-type-cv">{describePreset(preset)}</span>
+                    </button>
+                    <button
+                        className="result-details-btn"
+                        onClick={() => saved.removePreset(preset.id)}
+                        aria-label={t('saved.deleteName', { name: preset.name })}
+                        title={t('saved.delete')}
+                    >
+                        <Trash2 size={14} />
+                    </button>
+                </div>
+            ))}
+            <NameForm
+                placeholder={t('saved.presetName')}
+                submitLabel={t('saved.savePreset')}
+                icon={<Filter size={12} />}
+                onSubmit={onSavePreset}
+            />
+
+            <div className="location-actions">
+                <button className="popup-link popup-action" onClick={handleExport}>
+                    <Download size={12} /> {t('saved.export')}
+                </button>
+                <button className="popup-link popup-action" onClick={() => fileRef.current?.click()}>
+                    <Upload size={12} /> {t('saved.import')}
+                </button>
+                <input
+                    ref={fileRef}
+                    type="file"
+                    accept="application/json,.json"
+                    onChange={handleImport}
+                    hidden
+                />
+            </div>
+            {importError && <div className="location-error">{importError}</div>}
+        </div>
+    );
+}
+
+export default SavedPlacesPanel;
@@ -0,0 +1,35 @@
+import { useEffect, useRef } from 'react';
+import { GeoJSON, Popup } from 'react-leaflet';
+
+// Park boundary or line feature with its popup; opens the popup when selected from the results list.
+// Leaflet reads `interactive` once, so remount the layer when it changes.
+function ShapeLayer({ feature, style, selected, onSelect, renderPopup, interactive = true }) {
+    const layerRef = useRef(null);
+
+    useEffect(() => {
+        if (selected) layerRef.current?.openPopup();
+    }, [selected]);
+
+    return (
+        <GeoJSON
+            ref={layerRef}
+            data={feature.geometry}
+            interactive={interactive}
+            style={selected ? { ...style, weight: 4, opacity: 1 } : style}
+            eventHandlers={{
+                click: () => {
+                    if (interactive) onSelect(feature);
+                },
+                popupclose: () => {
+                    if (selected) onSelect(null);
+                }
+            }}
+        >
+            <Popup className="dcc-popup">
+                {renderPopup(feature)}
+            </Popup>
+        </GeoJSON>
+    );
+}
+
+export default ShapeLayer;
@@ -0,0 +1,334 @@
+import { useEffect, useRef, useState } from 'react';
+import { AlertCircle, History, Loader2, Play, Save, Star, Trash2, X } from 'lucide-react';
+import { useApi } from '../hooks/useApi';
+import {
+    DEFAULT_QUERY,
+    applyPrefixCompletion,
+    getPrefixCompletions,
+    parseSparqlResults,
+    rowsToFeatures
+} from '../utils/sparql';
+import { compactUri } from '../utils/linkedData';
+import { readStored, writeStored } from '../utils/storage';
+import { getLocale, t } from '../utils/i18n';
+
+const HISTORY_KEY = 'sparql-history';
+const SAVED_KEY = 'sparql-saved';
+const HISTORY_LIMIT = 50;
+// Rendering thousands of table rows locks the page; the map still gets every row
+const MAX_TABLE_ROWS = 500;
+
+const formatBinding = (binding) => {
+    if (!binding) return '';
+    return binding.type === 'uri' ? compactUri(binding.value) : binding.value;
+};
+
+const formatTime = (timestamp) =>
+    new Date(timestamp).toLocaleString(getLocale(), { dateStyle: 'short', timeStyle: 'short' });
+
+/**
+ * Editable SPARQL console. Queries run through the `/sparql` pass-through endpoint;
+ * results show as a table and, when rows carry a WKT geometry or lat/long,
+ * on the map through `onShowResults(features)`.
+ * History and saved queries are kept in localStorage.
+ */
+function SparqlConsole({ debugInfo, onClose, onShowResults }) {
+    const { fetchData, isLoading, getError } = useApi();
+    const [query, setQuery] = useState(() => debugInfo?.sparqlQuery || DEFAULT_QUERY);
+    const [tab, setTab] = useState('results'); // 'results' | 'saved' | 'history'
+    const [history, setHistory] = useState(() => readStored(HISTORY_KEY, []));
+    const [saved, setSaved] = useState(() => readStored(SAVED_KEY, []));
+    const [saveName, setSaveName] = useState('');
+    const [result, setResult] = useState(null);
+    const [showOnMap, setShowOnMap] = useState(true);
+    const [completion, setCompletion] = useState(null);
+    const editorRef = useRef(null);
+    const pendingCursorRef = useRef(null);
+    const controllerRef = useRef(null);
+
+    const running = isLoading('sparql');
+    const error = getError('sparql');
+
+    // Put the caret after text inserted by a completion
+    useEffect(() => {
+        if (pendingCursorRef.current === null || !editorRef.current) return;
+        editorRef.current.setSelectionRange(pendingCursorRef.current, pendingCursorRef.current);
+        pendingCursorRef.current = null;
+    }, [query]);
+
+    // Cancel a running query when the console closes
+    useEffect(() => () => controllerRef.current?.abort(), []);
+
+    const updateHistory = (entries) => {
+        setHistory(entries);
+        writeStored(HISTORY_KEY, entries);
+    };
+
+    const updateSaved = (entries) => {
+        setSaved(entries);
+        writeStored(SAVED_KEY, entries);
+    };
+
+    const runQuery = async () => {
+        const text = query.trim();
+        if (!text) return;
+
+        controllerRef.current?.abort();
+        const controller = new AbortController();
+        controllerRef.current = controller;
+        setCompletion(null);
+        setTab('results');
+
+        // Results depend on live data, so never answer from the cache
+        const data = await fetchData('/sparql', { query: text }, { key: 'sparql', signal: controller.signal, ttl: 0 });
+        if (controller.signal.aborted) return;
+
+        const parsed = data ? parseSparqlResults(data) : null;
+        const features = parsed ? rowsToFeatures(parsed.vars, parsed.rows) : [];
+        setResult(parsed && { ...parsed, features });
+        onShowResults(showOnMap ? features : []);
+
+        updateHistory([
+            { query: text, ranAt: Date.now(), rowCount: parsed ? parsed.rows.length : null },
+            ...history.filter(h => h.query !== text)
+        ].slice(0, HISTORY_LIMIT));
+    };
+
+    const saveQuery = () => {
+        const name = saveName.trim();
+        if (!name) return;
+        updateSaved([{ name, query, savedAt: Date.now() }, ...saved.filter(s => s.name !== name)]);
+        setSaveName('');
+    };
+
+    const loadQuery = (text) => {
+        setQuery(text);
+        setTab('results');
+        editorRef.current?.focus();
+    };
+
+    const updateCompletion = (text, cursor) => {
+        const next = getPrefixCompletions(text, cursor);
+        setCompletion(next && { ...next, active: 0 });
+    };
+
+    const acceptCompletion = (option) => {
+        const next = applyPrefixCompletion(query, completion, option);
+        pendingCursorRef.current = next.cursor;
+        setQuery(next.query);
+        setCompletion(null);
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
+            runQuery();
+            return;
+        }
+        if (!completion) return;
+
+        const count = completion.options.length;
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : count - 1;
+            setCompletion({ ...completion, active: (completion.active + step) % count });
+        } else if (e.key === 'Tab') {
+            e.preventDefault();
+            acceptCompletion(completion.options[completion.active]);
+        } else if (e.key === 'Escape') {
+            e.stopPropagation();
+            setCompletion(null);
+        }
+    };
+
+    const toggleShowOnMap = () => {
+        const next = !showOnMap;
+        setShowOnMap(next);
+        onShowResults(next && result ? result.features : []);
+    };
+
+    return (
+        <section className="sparql-console card glass animate-fade-in" aria-label={t('sparql.title')}>
+            <div className="debug-popup-header">
+                <h3>{t('sparql.title')}</h3>
+                <button onClick={onClose} className="debug-close-btn" title={t('sparql.close')}>
+                    <X size={16} />
+                </button>
+            </div>
+
+            <div className="sparql-console-body">
+                <div className="sparql-editor-pane">
+                    {debugInfo?.description && (
+                        <p className="debug-description">
+                            {t('sparql.lastRequest', { description: debugInfo.description })}
+                            {debugInfo.sparqlQuery && debugInfo.sparqlQuery !== query && (
+                                <button className="popup-link popup-action" onClick={() => loadQuery(debugInfo.sparqlQuery)}>
+                                    {t('sparql.loadQuery')}
+                                </button>
+                            )}
+                        </p>
+                    )}
+
+                    <div className="sparql-editor-wrapper">
+                        <textarea
+                            ref={editorRef}
+                            className="sparql-editor"
+                            value={query}
+                            spellCheck={false}
+                            aria-label={t('sparql.editor')}
+                            onChange={(e) => {
+                                setQuery(e.target.value);
+                                updateCompletion(e.target.value, e.target.selectionStart);
+                            }}
+                            onClick={() => setCompletion(null)}
+                            onBlur={() => setCompletion(null)}
+                            onKeyDown={handleKeyDown}
+                        />
+                        {completion && (
+                            <ul className="sparql-completions" role="listbox">
+                                {completion.options.map((option, i) => (
+                                    <li
+                                        key={option.prefix}
+                                        role="option"
+                                        aria-selected={i === completion.active}
+                                        className={i === completion.active ? 'active' : ''}
+                                        // Keep focus in the editor
+                                        onMouseDown={(e) => {
+                                            e.preventDefault();
+                                            acceptCompletion(option);
+                                        }}
+                                    >
+                                        <strong>{option.prefix}:</strong> <span>{option.namespace}</span>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </div>
+
+                    <div className="sparql-actions">
+                        <button className="primary" onClick={runQuery} disabled={running} title={t('sparql.runHint')}>
+                            {running ? <Loader2 className="animate-spin" size={16} /> : <Play size={16} />}
+                            {t('sparql.run')}
+                        </button>
+                        <input
+                            type="text"
+                            className="sparql-save-name"
+                            placeholder={t('sparql.saveName')}
+                            value={saveName}
+                            onChange={(e) => setSaveName(e.target.value)}
+                            onKeyDown={(e) => {
+                                if (e.key === 'Enter') saveQuery();
+                            }}
+                        />
+                        <button className="sparql-icon-btn" onClick={saveQuery} disabled={!saveName.trim()} title={t('sparql.save')}>
+                            <Save size={16} />
+                        </button>
+                    </div>
+                </div>
+
+                <div className="sparql-results-pane">
+                    <div className="tab-switcher">
+                        <button className={`tab-button ${tab === 'results' ? 'active' : ''}`} onClick={() => setTab('results')}>
+                            {result ? t('sparql.resultsCount', { count: result.rows.length }) : t('sparql.results')}
+                        </button>
+                        <button className={`tab-button ${tab === 'saved' ? 'active' : ''}`} onClick={() => setTab('saved')}>
+                            <Star size={12} /> {t('sparql.saved')}
+                        </button>
+                        <button className={`tab-button ${tab === 'history' ? 'active' : ''}`} onClick={() => setTab('history')}>
+                            <History size={12} /> {t('sparql.history')}
+                        </button>
+                    </div>
+
+                    {tab === 'results' && (
+                        <>
+                            {result?.features.length > 0 && (
+                                <label className="facility-checkbox-label sparql-map-toggle">
+                                    <input type="checkbox" checked={showOnMap} onChange={toggleShowOnMap} />
+                                    <span>{t('sparql.showOnMap', { count: result.features.length })}</span>
+                                </label>
+                            )}
+                            <div className="sparql-table-container">
+                                {running ? (
+                                    <div className="route-summary">
+                                        <Loader2 className="animate-spin" size={18} /> {t('sparql.running')}
+                                    </div>
+                                ) : error ? (
+                                    <div className="location-error">
+                                        <AlertCircle size={16} />
+                                        <span>{error}</span>
+                                    </div>
+                                ) : !result ? (
+                                    <p className="detail-empty">{t('sparql.prompt')}</p>
+                                ) : result.rows.length === 0 ? (
+                                    <p className="detail-empty">{t('sparql.noRows')}</p>
+                                ) : (
+                                    <table className="sparql-table">
+                                        <thead>
+                                            <tr>{result.vars.map(v => <th key={v}>?{v}</th>)}</tr>
+                                        </thead>
+                                        <tbody>
+                                            {result.rows.slice(0, MAX_TABLE_ROWS).map((row, i) => (
+                                                <tr key={i}>
+                                                    {result.vars.map(v => (
+                                                        <td key={v} title={row[v]?.value}>{formatBinding(row[v])}</td>
+                                                    ))}
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                )}
+                                {result?.rows.length > MAX_TABLE_ROWS && (
+                                    <p className="detail-empty">
+                                        {t('sparql.truncated', { shown: MAX_TABLE_ROWS, count: result.rows.length })}
+                                    </p>
+                                )}
+                            </div>
+                        </>
+                    )}
+
+                    {tab !== 'results' && (
+                        <ul className="sparql-query-list">
+                            {(tab === 'saved' ? saved : history).map(entry => (
+                                <li key={tab === 'saved' ? entry.name : entry.ranAt}>
+                                    <button className="sparql-query-entry" onClick={() => loadQuery(entry.query)}>
+                                        <strong>
+                                            {tab === 'saved'
+                                                ? entry.name
+                                                : `${formatTime(entry.ranAt)} · ${entry.rowCount !== null
+                                                    ? t('sparql.rows', { count: entry.rowCount })
+                                                    : t('sparql.failed')}`}
+                                        </strong>
+                                        <code>{entry.query}</code>
+                                    </button>
+                                    {tab === 'saved' && (
+                                        <button
+                                            className="sparql-icon-btn"
+                                            onClick={() => updateSaved(saved.filter(s => s.name !== entry.name))}
+                                            title={t('sparql.deleteSaved')}
+                                        >
+                                            <Trash2 size={14} />
+                                        </button>
+                                    )}
+                                </li>
+                            ))}
+                            {(tab === 'saved' ? saved : history).length === 0 && (
+                                <li className="detail-empty">
+                                    {tab === 'saved' ? t('sparql.noSaved') : t('sparql.noHistory')}
+                                </li>
+                            )}
+                            {tab === 'history' && history.length > 0 && (
+                                <li>
+                                    <button className="popup-link popup-action" onClick={() => updateHistory([])}>
+                                        {t('sparql.clearHistory')}
+                                    </button>
+                                </li>
+                            )}
+                        </ul>
+                    )}
+                </div>
+            </div>
+        </section>
+    );
+}
+
+export default SparqlConsole;
@@ -0,0 +1,44 @@
+import { useEffect } from 'react';
+import { GeoJSON, useMap } from 'react-leaflet';
+import L from 'leaflet';
+import { getBounds } from '../utils/geometry';
+
+const RESULT_COLOR = '#f59e0b';
+
+const escapeHtml = (text) =>
+    String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+// Every binding of the row, except the index and the geometry literal itself
+const describeRow = (properties) => Object.entries(properties)
+    .filter(([key, value]) => key !== 'index' && !/^\s*(<[^>]*>\s*)?[A-Z]+\s*\(/.test(value))
+    .map(([key, value]) => `<div><strong>?${escapeHtml(key)}</strong> ${escapeHtml(value)}</div>`)
+    .join('');
+
+// Located rows from the SPARQL console, fitted into view when they change
+function SparqlResultsLayer({ features }) {
+    const map = useMap();
+
+    useEffect(() => {
+        const bounds = getBounds(features.map(f => f.geometry));
+        if (bounds) map.fitBounds(bounds, { padding: [50, 50], maxZoom: 16 });
+    }, [features, map]);
+
+    return (
+        <GeoJSON
+            data={{ type: 'FeatureCollection', features }}
+            style={{ color: RESULT_COLOR, weight: 2, fillColor: RESULT_COLOR, fillOpacity: 0.2 }}
+            pointToLayer={(_, latlng) => L.circleMarker(latlng, {
+                radius: 6,
+                color: '#ffffff',
+                weight: 2,
+                fillColor: RESULT_COLOR,
+                fillOpacity: 0.9
+            })}
+            onEachFeature={(feature, layer) => {
+                layer.bindPopup(`<div class="sparql-row-popup">${describeRow(feature.properties)}</div>`);
+            }}
+        />
+    );
+}
+
+export default SparqlResultsLayer;
@@ -0,0 +1,101 @@
+import { useState } from 'react';
+import { Download, Loader2 } from 'lucide-react';
+import { useOnlineStatus } from '../hooks/useOnlineStatus';
+import { countTiles, getTileUrls, precacheTiles } from '../utils/offline';
+import { getLocale, t } from '../utils/i18n';
+
+const ZOOM_OPTIONS = [13, 14, 15, 16];
+
+// Tiles are saved into Cache Storage, which is missing outside secure contexts
+const CAN_SAVE_TILES = 'caches' in window;
+
+const formatAge = (timestamp) => {
+    const relative = new Intl.RelativeTimeFormat(getLocale(), { numeric: 'auto', style: 'short' });
+    const minutes = Math.round((Date.now() - timestamp) / 60000);
+    if (minutes < 60) return relative.format(-minutes, 'minute');
+    const hours = Math.round(minutes / 60);
+    if (hours < 48) return relative.format(-hours, 'hour');
+    return new Date(timestamp).toLocaleDateString(getLocale());
+};
+
+// Floating indicator reporting whether data comes from the live graph or a local snapshot,
+// with a control to save the Dublin basemap for offline use.
+// `basemap` is the BASEMAPS entry whose tiles are saved.
+function StatusIndicator({ staleSince, basemap }) {
+    const online = useOnlineStatus();
+    const [showOffline, setShowOffline] = useState(false);
+    const [maxZoom, setMaxZoom] = useState(15);
+    const [progress, setProgress] = useState(null);
+
+    const status = !online ? 'offline' : staleSince ? 'stale' : 'online';
+    const label = t(`status.${status}`);
+
+    // The city-wide overview levels are always included
+    const zooms = [11, 12, ...ZOOM_OPTIONS.filter(z => z <= maxZoom)];
+
+    const handleSaveTiles = async () => {
+        const urls = getTileUrls(basemap, zooms, window.devicePixelRatio > 1);
+        setProgress({ done: 0, total: urls.length });
+        try {
+            const result = await precacheTiles(urls, (done, total) => setProgress({ done, total }));
+            setProgress({ ...result, total: urls.length, finished: true });
+        } catch (err) {
+            // e.g. storage quota exceeded or Cache Storage blocked
+            console.warn('Could not save basemap tiles:', err);
+            setProgress({ done: 0, failed: urls.length, total: urls.length, finished: true, error: true });
+        }
+    };
+
+    const saving = progress && !progress.finished;
+
+    return (
+        <div className="status-indicator-container card glass animate-fade-in">
+            <button
+                className="status-indicator-content status-toggle"
+                onClick={() => setShowOffline(!showOffline)}
+                title={t('status.offlineOptions')}
+            >
+                <div style={{ position: 'relative' }}>
+                    <div className={`status-dot ${status}`}></div>
+                    {status === 'online' && <div className="status-ping"></div>}
+                </div>
+                <span className="status-text">
+                    {label}
+                </span>
+            </button>
+
+            {staleSince && (
+                <span className="status-subtext">{t('status.snapshotFrom', { age: formatAge(staleSince) })}</span>
+            )}
+
+            {showOffline && CAN_SAVE_TILES && (
+                <div className="offline-panel animate-fade-in">
+                    <div className="debug-section-title">{t('status.saveTitle')}</div>
+                    <div className="radius-label-row">
+                        <label>{t('status.maxZoom')}</label>
+                        <select value={maxZoom} onChange={(e) => setMaxZoom(parseInt(e.target.value))} disabled={saving}>
+                            {ZOOM_OPTIONS.map(z => <option key={z} value={z}>{z}</option>)}
+                        </select>
+                    </div>
+                    <span className="status-subtext">{t('status.tileCount', { count: countTiles(zooms) })}</span>
+                    <span className="status-subtext">{t('status.basemapSaved', { name: t(`basemap.layers.${basemap.id}`) })}</span>
+                    <button className="primary" onClick={handleSaveTiles} disabled={saving || !online}>
+                        {saving ? <Loader2 className="animate-spin" size={16} /> : <Download size={16} />}
+                        {saving ? `${progress.done} / ${progress.total}` : t('status.saveBasemap')}
+                    </button>
+                    {progress?.error && (
+                        <span className="status-subtext">{t('status.saveFailed')}</span>
+                    )}
+                    {progress?.finished && !progress.error && (
+                        <span className="status-subtext">
+                            {t('status.saved', { count: progress.total - progress.failed })}
+                            {progress.failed > 0 && ` ${t('status.failed', { count: progress.failed })}`}
+                        </span>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default StatusIndicator;
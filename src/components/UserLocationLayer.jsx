@@ -0,0 +1,82 @@
+import { useEffect } from 'react';
+import { Circle, CircleMarker, Marker, Tooltip, useMap, useMapEvents } from 'react-leaflet';
+import { getLocale, t } from '../utils/i18n';
+
+const LOCATION_COLOR = '#10b981';
+
+/**
+ * The user's position: a dot with its accuracy circle for device fixes, or a draggable
+ * pin for a location set by hand, plus the Near Me radius ring.
+ * While `picking`, a click anywhere on the map sets the location instead.
+ * While `follow`ing, the map pans to keep the position in view.
+ * @param {Object|null} location - { lat, lon, accuracy?, manual? }
+ * @param {number|null} radius - Near Me radius in meters, or null to hide the ring
+ */
+function UserLocationLayer({ location, radius, picking, follow, onPick }) {
+    const map = useMap();
+
+    useMapEvents({
+        click: (e) => {
+            if (picking) onPick({ lat: e.latlng.lat, lon: e.latlng.lng });
+        }
+    });
+
+    useEffect(() => {
+        const container = map.getContainer();
+        container.classList.toggle('picking-location', picking);
+        return () => container.classList.remove('picking-location');
+    }, [map, picking]);
+
+    useEffect(() => {
+        if (follow && location) map.panInside([location.lat, location.lon], { padding: [80, 80] });
+    }, [map, follow, location]);
+
+    if (!location) return null;
+    const center = [location.lat, location.lon];
+
+    return (
+        <>
+            {radius && (
+                <Circle
+                    center={center}
+                    radius={radius}
+                    interactive={false}
+                    pathOptions={{ color: LOCATION_COLOR, weight: 2, dashArray: '6 6', fillOpacity: 0.04 }}
+                />
+            )}
+            {location.accuracy > 0 && (
+                <Circle
+                    center={center}
+                    radius={location.accuracy}
+                    interactive={false}
+                    pathOptions={{ color: LOCATION_COLOR, weight: 1, opacity: 0.5, fillColor: LOCATION_COLOR, fillOpacity: 0.15 }}
+                />
+            )}
+            {location.manual ? (
+                <Marker
+                    // Marker titles are fixed once created
+                    key={getLocale()}
+                    position={center}
+                    draggable
+                    title={t('location.pin')}
+                    eventHandlers={{
+                        dragend: (e) => {
+                            const { lat, lng } = e.target.getLatLng();
+                            onPick({ lat, lon: lng });
+                        }
+                    }}
+                />
+            ) : (
+                <CircleMarker
+                    center={center}
+                    radius={8}
+                    pathOptions={{ color: '#ffffff', weight: 3, fillColor: LOCATION_COLOR, fillOpacity: 1 }}
+                >
+                    <Tooltip>{t('location.you')}</Tooltip>
+                </CircleMarker>
+            )}
+        </>
+    );
+}
+
+export default UserLocationLayer;
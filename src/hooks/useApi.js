@@ -1,57 +1,246 @@
 import { useState, useCallback } from 'react';
+import { idbDelete, idbEntries, idbGet, idbSet } from '../utils/idb';
+import { getLocale } from '../utils/i18n';
 
 // Use environment variable for deployed API, fallback to '/api' for local proxy
 const API_BASE = import.meta.env.VITE_API_URL || '/api';
 
+// Responses are reused for this long before the API is asked again
+const DEFAULT_TTL = 5 * 60 * 1000;
+const CACHE_STORE = 'responses';
+// Past their TTL, responses are kept a while longer to serve offline, then dropped.
+// Every search is cached under its own parameters, so the number kept is capped too.
+const MAX_STALE_AGE = 7 * 24 * 60 * 60 * 1000;
+const MAX_ENTRIES = 50;
+const PRUNE_DELAY = 2000;
+
+// Shared across every component using the hook
+const memoryCache = new Map();
+const inFlight = new Map();
+
+const buildUrl = (endpoint, params) => {
+  // Handle both absolute URLs (production) and relative paths (local proxy)
+  const baseUrl = API_BASE.startsWith('http') ? API_BASE : `${window.location.origin}${API_BASE}`;
+  const url = new URL(`${baseUrl}${endpoint}`);
+  Object.keys(params).forEach(key => {
+    const value = params[key];
+    if (Array.isArray(value)) {
+      value.forEach(v => url.searchParams.append(key, v));
+    } else if (value) {
+      url.searchParams.append(key, value);
+    }
+  });
+  // Lets the API answer with names and labels in the UI language where it has them;
+  // also keeps cached responses apart per language
+  url.searchParams.set('lang', getLocale());
+  return url;
+};
+
+// Cache key independent of parameter order
+const getCacheKey = (endpoint, url) => {
+  const sorted = [...url.searchParams].sort(([a, av], [b, bv]) => a.localeCompare(b) || av.localeCompare(bv));
+  return `${endpoint}?${new URLSearchParams(sorted)}`;
+};
+
+// Keys to drop from [key, entry] pairs: those past MAX_STALE_AGE, then the
+// least recently stored beyond MAX_ENTRIES
+const keysToEvict = (entries) => {
+  const cutoff = Date.now() - MAX_STALE_AGE;
+  const fresh = entries.filter(([, entry]) => entry?.storedAt > cutoff);
+  const kept = new Set(fresh
+    .sort(([, a], [, b]) => b.storedAt - a.storedAt)
+    .slice(0, MAX_ENTRIES)
+    .map(([key]) => key));
+  return entries.map(([key]) => key).filter(key => !kept.has(key));
+};
+
+const pruneMemoryCache = () => {
+  keysToEvict([...memoryCache]).forEach(key => memoryCache.delete(key));
+};
+
+// IndexedDB is pruned once on startup and then after each burst of writes
+let pruneTimer = null;
+const pruneStoredCache = () => {
+  pruneTimer = null;
+  idbEntries(CACHE_STORE)
+    .then(entries => Promise.all(keysToEvict(entries).map(key => idbDelete(CACHE_STORE, key))))
+    .catch(() => {});
+};
+const schedulePrune = () => {
+  if (pruneTimer === null) pruneTimer = setTimeout(pruneStoredCache, PRUNE_DELAY);
+};
+schedulePrune();
+
+const readCache = async (key) => {
+  const cached = memoryCache.get(key);
+  if (cached && cached.expires > Date.now()) return cached.data;
+
+  try {
+    const stored = await idbGet(CACHE_STORE, key);
+    if (stored && stored.expires > Date.now()) {
+      memoryCache.set(key, stored);
+      pruneMemoryCache();
+      return stored.data;
+    }
+  } catch {
+    // IndexedDB unavailable (e.g. private browsing): memory cache only
+  }
+  return null;
+};
+
+// Last stored response past its TTL but within MAX_STALE_AGE, used when the network is unavailable
+const readStaleCache = async (key) => {
+  let stored = memoryCache.get(key);
+  try {
+    stored = stored || await idbGet(CACHE_STORE, key);
+  } catch {
+    // Memory cache only
+  }
+  return stored && stored.storedAt > Date.now() - MAX_STALE_AGE ? stored : null;
+};
+
+const writeCache = (key, data, ttl) => {
+  const entry = { data, storedAt: Date.now(), expires: Date.now() + ttl };
+  memoryCache.set(key, entry);
+  pruneMemoryCache();
+  idbSet(CACHE_STORE, key, entry).then(schedulePrune, () => {});
+};
+
+// One network request per cache key, shared by every caller asking for it.
+// The request is only aborted once all of its callers have cancelled.
+const requestShared = (key, url) => {
+  let entry = inFlight.get(key);
+  if (!entry) {
+    const controller = new AbortController();
+    entry = { controller, subscribers: 0 };
+    entry.promise = fetch(url, { signal: controller.signal })
+      .then(response => {
+        if (!response.ok) throw new Error(`API error: ${response.status}`);
+        return response.json();
+      })
+      .finally(() => {
+        if (inFlight.get(key) === entry) inFlight.delete(key);
+      });
+    inFlight.set(key, entry);
+  }
+  entry.subscribers++;
+  return entry;
+};
+
+const waitForShared = (key, entry, signal) => new Promise((resolve, reject) => {
+  const onAbort = () => {
+    entry.subscribers--;
+    if (entry.subscribers === 0) {
+      entry.controller.abort();
+      if (inFlight.get(key) === entry) inFlight.delete(key);
+    }
+    reject(new DOMException('Request cancelled', 'AbortError'));
+  };
+
+  if (signal) {
+    if (signal.aborted) {
+      onAbort();
+      return;
+    }
+    signal.addEventListener('abort', onAbort, { once: true });
+  }
+  entry.promise
+    .then(resolve, reject)
+    .finally(() => signal?.removeEventListener('abort', onAbort));
+});
+
+// Handle wrapped responses (for areas/types which were arrays but now objects)
+const unwrap = (data) => {
+  if (data.results && Array.isArray(data.results)) {
+    // Attach debug info to the array so it can be accessed by the caller
+    if (data.debug) {
+      data.results.debug = data.debug;
+    }
+    return data.results;
+  }
+  return data;
+};
+
 export const useApi = () => {
-  const [loading, setLoading] = useState(false);
+  // Loading/error state per request key, so unrelated requests don't block each other
+  const [requests, setRequests] = useState({});
   const [error, setError] = useState(null);
 
   const [debugInfo, setDebugInfo] = useState(null);
+  // When the data on screen came from a local snapshot, the time it was stored
+  const [staleSince, setStaleSince] = useState(null);
+
+  const updateRequest = useCallback((key, update) => {
+    setRequests(prev => {
+      const current = prev[key] || { pending: 0, error: null };
+      return { ...prev, [key]: { ...current, ...update(current) } };
+    });
+  }, []);
 
-  const fetchData = useCallback(async (endpoint, params = {}) => {
-    setLoading(true);
+  /**
+   * Fetch an API endpoint with caching, deduplication and cancellation
+   * @param {string} endpoint - Path below the API base, e.g. '/facilities'
+   * @param {Object} params - Query parameters; arrays become repeated keys
+   * @param {Object} options - {key, signal, ttl, fallback}: `key` groups loading/error state
+   *   (defaults to the endpoint), `signal` cancels the request, `ttl` of 0 bypasses the cache,
+   *   `fallback` resolves to {data, storedAt} when the request fails and nothing is cached for it
+   * @returns {Promise<Object|null>} Response data, or null on error or cancellation
+   */
+  const fetchData = useCallback(async (endpoint, params = {}, options = {}) => {
+    const { key = endpoint, signal, ttl = DEFAULT_TTL, fallback } = options;
+    updateRequest(key, current => ({ pending: current.pending + 1, error: null }));
     setError(null);
+    const url = buildUrl(endpoint, params);
+    const cacheKey = getCacheKey(endpoint, url);
     try {
-      // Handle both absolute URLs (production) and relative paths (local proxy)
-      const baseUrl = API_BASE.startsWith('http') ? API_BASE : `${window.location.origin}${API_BASE}`;
-      const url = new URL(`${baseUrl}${endpoint}`);
-      Object.keys(params).forEach(key => {
-        const value = params[key];
-        if (Array.isArray(value)) {
-          value.forEach(v => url.searchParams.append(key, v));
-        } else if (value) {
-          url.searchParams.append(key, value);
+      let storedAt = null;
+      let data = ttl > 0 ? await readCache(cacheKey) : null;
+      if (!data) {
+        try {
+          data = await waitForShared(cacheKey, requestShared(cacheKey, url), signal);
+          if (ttl > 0) writeCache(cacheKey, data, ttl);
+          setStaleSince(null);
+        } catch (err) {
+          if (err.name === 'AbortError') throw err;
+          // Offline or API down: serve the last copy we have, flagged as stale
+          const stale = await readStaleCache(cacheKey) || await fallback?.();
+          if (!stale) throw err;
+          console.warn(`Serving stale ${endpoint} from local snapshot:`, err.message);
+          data = stale.data;
+          storedAt = stale.storedAt;
+          setStaleSince(storedAt);
         }
-      });
-
-      const response = await fetch(url);
-      if (!response.ok) throw new Error(`API error: ${response.status}`);
-      const data = await response.json();
+      }
+      if (signal?.aborted) return null;
 
       // Extract debug info if present
       if (data.debug) {
         setDebugInfo(data.debug);
       }
 
-      // Handle wrapped responses (for areas/types which were arrays but now objects)
-      if (data.results && Array.isArray(data.results)) {
-        // Attach debug info to the array so it can be accessed by the caller
-        if (data.debug) {
-          data.results.debug = data.debug;
-        }
-        return data.results;
+      const result = unwrap(data);
+      if (storedAt) {
+        // Copy so callers can tell snapshot data apart without touching the cached entry
+        return Array.isArray(result)
+          ? Object.assign([...result], { debug: result.debug, staleSince: storedAt })
+          : { ...result, staleSince: storedAt };
       }
-
-      return data;
+      return result;
     } catch (err) {
+      // A cancelled request was superseded by a newer one: not an error
+      if (err.name === 'AbortError') return null;
+      updateRequest(key, () => ({ error: err.message }));
       setError(err.message);
       console.error(err);
       return null;
     } finally {
-      setLoading(false);
+      updateRequest(key, current => ({ pending: current.pending - 1 }));
     }
-  }, []);
+  }, [updateRequest]);
+
+  const isLoading = useCallback((key) => (requests[key]?.pending || 0) > 0, [requests]);
+  const getError = useCallback((key) => requests[key]?.error || null, [requests]);
+  const loading = Object.values(requests).some(r => r.pending > 0);
 
-  return { fetchData, loading, error, debugInfo };
-};
\ No newline at end of file
+  return { fetchData, loading, error, isLoading, getError, debugInfo, staleSince };
+};
@@ -0,0 +1,50 @@
+import { useEffect, useState } from 'react';
+import { useApi } from './useApi';
+import { t } from '../utils/i18n';
+
+/**
+ * Statistics and facilities for each committee area being compared
+ * @param {Array} areaIds - Areas to compare, baseline first; fewer than two disables the hook
+ * @param {Array} types - Type filter for the facilities, as sent to `/facilities`
+ * @returns {Object} { entries, loading, error } where entries are { areaId, stats, features }
+ */
+export const useAreaComparison = (areaIds, types) => {
+  const { fetchData, getError } = useApi();
+  const [result, setResult] = useState(null);
+  const enabled = areaIds.length >= 2;
+
+  useEffect(() => {
+    if (!enabled) return;
+    const controller = new AbortController();
+    const options = { key: 'compare', signal: controller.signal };
+
+    Promise.all(areaIds.map(area => Promise.all([
+      fetchData('/stats', { area }, options),
+      fetchData('/facilities', { area, type: types }, options)
+    ]))).then(responses => {
+      if (controller.signal.aborted) return;
+      setResult({
+        areaIds,
+        types,
+        entries: responses.map(([stats, data], i) => ({
+          areaId: areaIds[i],
+          stats,
+          features: data?.features || []
+        })),
+        failed: responses.some(([stats, data]) => !stats && !data)
+      });
+    });
+
+    return () => controller.abort();
+  }, [enabled, areaIds, types, fetchData]);
+
+  // A result for other areas or types means the current request is still loading
+  if (!enabled || !result || result.areaIds !== areaIds || result.types !== types) {
+    return { entries: [], loading: enabled, error: null };
+  }
+  return {
+    entries: result.entries,
+    loading: false,
+    error: result.failed ? getError('compare') || t('compare.loadError') : null
+  };
+};
@@ -0,0 +1,43 @@
+import { useEffect, useMemo, useState } from 'react';
+import { useApi } from './useApi';
+import { buildGapGrid } from '../utils/gapAnalysis';
+import { t } from '../utils/i18n';
+
+/**
+ * Gap analysis grid for facility types across the whole city
+ * @param {Array} types - Facility types to measure from, as sent to `/facilities`; empty disables the hook
+ * @param {Array} boundaries - Committee area features that bound the grid
+ * @returns {Object} { cells, loading, error } with cells from buildGapGrid
+ */
+export const useGapAnalysis = (types, boundaries) => {
+  const { fetchData, getError } = useApi();
+  const [result, setResult] = useState(null);
+  const enabled = types.length > 0;
+
+  useEffect(() => {
+    if (!enabled) return;
+    const controller = new AbortController();
+
+    // Every facility of the types, not just the searched area: the nearest one may lie next door
+    fetchData('/facilities', { type: types }, { key: 'gaps', signal: controller.signal })
+      .then(data => {
+        if (controller.signal.aborted) return;
+        setResult({ types, features: data?.features || null });
+      });
+
+    return () => controller.abort();
+  }, [enabled, types, fetchData]);
+
+  const current = enabled && result?.types === types ? result : null;
+  const cells = useMemo(
+    () => (current?.features ? buildGapGrid(current.features, boundaries) : []),
+    [current, boundaries]
+  );
+
+  if (!current) return { cells: [], loading: enabled, error: null };
+  return {
+    cells,
+    loading: false,
+    error: current.features ? null : getError('gaps') || t('gaps.loadError')
+  };
+};
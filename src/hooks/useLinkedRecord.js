@@ -0,0 +1,37 @@
+import { useEffect, useState } from 'react';
+import { useApi } from './useApi';
+import { buildRecord, buildRecordQuery, recordRows } from '../utils/linkedData';
+import { getLocale, t } from '../utils/i18n';
+
+/**
+ * Everything the knowledge graph holds about a resource, grouped for display
+ * @param {string|null} uri - Resource to describe; pass null to disable
+ * @returns {Object} { record, loading, error } where record comes from buildRecord
+ */
+export const useLinkedRecord = (uri) => {
+  const { fetchData } = useApi();
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    if (!uri) return;
+    const controller = new AbortController();
+
+    // Read through the SPARQL pass-through, so no endpoint beyond the console's is needed
+    fetchData('/sparql', { query: buildRecordQuery(uri) }, { key: 'record', signal: controller.signal }).then(data => {
+      if (controller.signal.aborted) return;
+      setResult({ uri, record: data ? buildRecord(uri, recordRows(data, getLocale())) : null });
+    });
+
+    return () => controller.abort();
+  }, [uri, fetchData]);
+
+  // A result for a previous URI means the current one is still loading
+  if (!uri || !result || result.uri !== uri) {
+    return { record: null, loading: !!uri, error: null };
+  }
+  return {
+    record: result.record,
+    loading: false,
+    error: result.record ? null : t('record.loadFailed')
+  };
+};
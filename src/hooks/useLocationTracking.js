@@ -0,0 +1,45 @@
+import { useEffect } from 'react';
+import { calculateDistance } from '../utils/geometry';
+import { t } from '../utils/i18n';
+
+// Fixes closer than this to the last reported one are dropped, unless they are more accurate,
+// so GPS jitter doesn't refilter the results (and re-request network distances) every second
+const MIN_MOVE = 10; // meters
+
+/**
+ * Follows the device's position with `watchPosition` while enabled
+ * @param {boolean} enabled - Whether to track
+ * @param {Function} onPosition - Called with { lat, lon, accuracy } (accuracy in meters); should be stable
+ * @param {Function} onError - Called with a displayable message and whether the error is final
+ *   (permission denied) rather than a fix that timed out or could not be made; should be stable
+ */
+export const useLocationTracking = (enabled, onPosition, onError) => {
+  useEffect(() => {
+    if (!enabled) return;
+    if (!navigator.geolocation) {
+      onError(t('nearMe.unsupported'), true);
+      return;
+    }
+
+    let last = null;
+    const watchId = navigator.geolocation.watchPosition(
+      ({ coords }) => {
+        const location = { lat: coords.latitude, lon: coords.longitude, accuracy: coords.accuracy };
+        if (last &&
+          calculateDistance(last.lat, last.lon, location.lat, location.lon) < MIN_MOVE &&
+          location.accuracy >= last.accuracy) {
+          return;
+        }
+        last = location;
+        onPosition(location);
+      },
+      (error) => {
+        console.error('Geolocation error:', error);
+        onError(t('nearMe.unavailable'), error.code === error.PERMISSION_DENIED);
+      },
+      { enableHighAccuracy: true, maximumAge: 5000 }
+    );
+
+    return () => navigator.geolocation.clearWatch(watchId);
+  }, [enabled, onPosition, onError]);
+};
@@ -0,0 +1,13 @@
+import { useSyncExternalStore } from 'react';
+
+const subscribe = (callback) => {
+  window.addEventListener('online', callback);
+  window.addEventListener('offline', callback);
+  return () => {
+    window.removeEventListener('online', callback);
+    window.removeEventListener('offline', callback);
+  };
+};
+
+// Tracks the browser's connectivity as reported by navigator.onLine
+export const useOnlineStatus = () => useSyncExternalStore(subscribe, () => navigator.onLine, () => true);
@@ -0,0 +1,11 @@
+import { useSyncExternalStore } from 'react';
+
+const query = window.matchMedia('(prefers-color-scheme: dark)');
+
+const subscribe = (callback) => {
+  query.addEventListener('change', callback);
+  return () => query.removeEventListener('change', callback);
+};
+
+// Tracks whether the operating system asks for a dark colour scheme
+export const usePrefersDark = () => useSyncExternalStore(subscribe, () => query.matches, () => true);
@@ -0,0 +1,94 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { useApi } from './useApi';
+import { createSpatialIndex } from '../utils/gapAnalysis';
+import { getTypeLabel } from '../utils/facilityIcons';
+import { formatDistance } from '../utils/format';
+import { t } from '../utils/i18n';
+
+// A facility can alert again once the user has moved this much further than the alert distance
+const REARM_FACTOR = 1.5;
+
+// The Notification constructor throws on Android Chrome, which only shows notifications
+// through a service worker; it stays as the fallback for pages the worker doesn't control
+const showNotification = (title, options) => {
+  const construct = () => {
+    try {
+      new Notification(title, options);
+    } catch (err) {
+      console.warn('Could not show notification:', err);
+    }
+  };
+
+  if (navigator.serviceWorker?.controller) {
+    navigator.serviceWorker.ready
+      .then(registration => registration.showNotification(title, options))
+      .catch(construct);
+  } else {
+    construct();
+  }
+};
+
+/**
+ * Watches for a facility of one type coming within a distance of the user.
+ * Each facility sends one browser notification (when permitted) per approach.
+ * @param {Object|null} location - { lat, lon } of the user
+ * @param {Object|null} settings - { type, typeName, distance }, or null when alerts are off;
+ *   `type` is sent to `/facilities` and `typeName` names the type in messages
+ * @returns {Object|null} { feature, distance } for the nearest facility in range
+ */
+export const useProximityAlert = (location, settings) => {
+  const { fetchData } = useApi();
+  const [loaded, setLoaded] = useState(null);
+  const notified = useRef(new Set());
+  const type = settings?.type;
+
+  useEffect(() => {
+    if (!type) return;
+    const controller = new AbortController();
+
+    // Every facility of the type, wherever the user walks to
+    fetchData('/facilities', { type: [type] }, { key: 'proximity', signal: controller.signal })
+      .then(data => {
+        if (!controller.signal.aborted) setLoaded({ type, features: data?.features || [] });
+      });
+
+    return () => controller.abort();
+  }, [type, fetchData]);
+
+  const index = useMemo(
+    () => (loaded && loaded.type === type ? createSpatialIndex(loaded.features) : null),
+    [loaded, type]
+  );
+  const nearest = useMemo(
+    () => (index && location ? index.nearest(location.lat, location.lon) : null),
+    [index, location]
+  );
+  const alert = settings && nearest && nearest.distance <= settings.distance ? nearest : null;
+
+  useEffect(() => {
+    if (!settings || !nearest) return;
+    const uri = nearest.feature.properties.uri;
+    // Only the nearest facility stays armed; another one becoming nearest may alert again
+    notified.current.forEach(other => {
+      if (other !== uri) notified.current.delete(other);
+    });
+    if (nearest.distance > settings.distance * REARM_FACTOR) {
+      notified.current.delete(uri);
+      return;
+    }
+    if (nearest.distance > settings.distance || notified.current.has(uri)) return;
+
+    notified.current.add(uri);
+    if (typeof Notification !== 'undefined' && Notification.permission === 'granted') {
+      showNotification(t('alerts.title', {
+        type: getTypeLabel(settings.typeName),
+        distance: formatDistance(nearest.distance)
+      }), {
+        body: nearest.feature.properties.name || '',
+        tag: `proximity-${uri}`
+      });
+    }
+  }, [settings, nearest]);
+
+  return alert;
+};
@@ -0,0 +1,95 @@
+import { useState, useCallback, useRef, useEffect } from 'react';
+import { getRoutingAdapter } from '../utils/routing';
+import { getRepresentativePoint } from '../utils/geometry';
+import { t } from '../utils/i18n';
+
+// OSRM's default table limit is 100 locations, including the origin
+const MAX_TABLE_DESTINATIONS = 99;
+
+const toLatLon = (feature) => {
+  const point = getRepresentativePoint(feature.geometry);
+  return point ? { lat: point[1], lon: point[0] } : null;
+};
+
+// Route from a location to a facility through the active routing adapter
+export const useRouting = () => {
+  const [route, setRoute] = useState(null);
+  const [routeLoading, setRouteLoading] = useState(false);
+  const [routeError, setRouteError] = useState(null);
+  const controllerRef = useRef(null);
+
+  const requestRoute = useCallback(async (from, facility, mode = 'walking') => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+
+    setRouteLoading(true);
+    setRouteError(null);
+    try {
+      const to = toLatLon(facility);
+      if (!to) {
+        setRouteError(t('route.noLocation'));
+        return;
+      }
+      const result = await getRoutingAdapter().route({ from, to, mode, signal: controller.signal });
+      if (!controller.signal.aborted) setRoute({ facility, mode, from, ...result });
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        // Adapter errors are technical; the reason is logged, the user is told no route was found
+        setRouteError(t('route.noRoute'));
+        console.error('Routing error:', err);
+      }
+    } finally {
+      if (controllerRef.current === controller) setRouteLoading(false);
+    }
+  }, []);
+
+  const clearRoute = useCallback(() => {
+    controllerRef.current?.abort();
+    setRoute(null);
+    setRouteError(null);
+    setRouteLoading(false);
+  }, []);
+
+  return { route, routeLoading, routeError, requestRoute, clearRoute };
+};
+
+/**
+ * Network distances from a location to each feature, for sorting near-me results
+ * @param {Object|null} from - {lat, lon}; pass null to disable
+ * @param {Array} features - Destinations, ordered nearest first by straight-line distance
+ * @param {string} mode - 'walking' or 'cycling'
+ * @returns {Array|null} Entries aligned with `features` ({distance, duration} or null beyond
+ *   the table limit), or null while loading or when disabled
+ */
+export const useNetworkDistances = (from, features, mode) => {
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    if (!from || features.length === 0) return;
+    const controller = new AbortController();
+
+    const destinations = features.slice(0, MAX_TABLE_DESTINATIONS);
+    const points = destinations.map(toLatLon);
+    const routable = points.filter(Boolean);
+
+    getRoutingAdapter()
+      .table({ from, to: routable, mode, signal: controller.signal })
+      .then(cells => {
+        let cellIndex = 0;
+        const distances = features.map((_, i) =>
+          i < destinations.length && points[i] ? cells[cellIndex++] : null
+        );
+        setResult({ from, features, mode, distances });
+      })
+      .catch(err => {
+        if (err.name !== 'AbortError') console.error('Distance table error:', err);
+      });
+
+    return () => controller.abort();
+  }, [from, features, mode]);
+
+  // Ignore results computed for a previous origin, result set or mode
+  if (!result || result.from !== from || result.features !== features || result.mode !== mode) return null;
+  return result.distances;
+};
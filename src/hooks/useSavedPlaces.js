@@ -0,0 +1,118 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import {
+  createCollection,
+  createPreset,
+  deleteCollection,
+  deletePreset,
+  importSavedPlaces,
+  loadSavedPlaces,
+  parseSavedPlaces,
+  removeFavourite,
+  saveCollection,
+  saveFavourite,
+  toSavedPlacesJSON
+} from '../utils/savedPlaces';
+
+const EMPTY = { favourites: [], collections: [], presets: [] };
+
+const persist = (promise) => promise.catch(err => console.warn('Could not save places:', err));
+
+/**
+ * Starred facilities, collections and filter presets, persisted in IndexedDB.
+ * Storage failures (e.g. private browsing) are logged and leave the in-memory state as is.
+ * @returns {Object} { favourites, collections, presets, isFavourite, toggleFavourite,
+ *   addCollection, removeCollection, toggleInCollection, addPreset, removePreset,
+ *   exportJSON, importJSON }
+ */
+export const useSavedPlaces = () => {
+  const [data, setData] = useState(EMPTY);
+
+  useEffect(() => {
+    loadSavedPlaces()
+      .then(setData)
+      .catch(err => console.warn('Saved places unavailable:', err));
+  }, []);
+
+  const starred = useMemo(() => new Set(data.favourites.map(f => f.uri)), [data.favourites]);
+  const isFavourite = useCallback((feature) => starred.has(feature?.properties?.uri), [starred]);
+
+  const toggleFavourite = useCallback((feature) => {
+    const { uri } = feature.properties;
+    if (!uri) return;
+    if (!starred.has(uri)) {
+      persist(saveFavourite(feature).then(entry => setData(prev => ({
+        ...prev,
+        favourites: [...prev.favourites, entry]
+      }))));
+      return;
+    }
+    // Unstarring also takes the facility out of its collections
+    const changed = data.collections
+      .filter(c => c.uris.includes(uri))
+      .map(c => ({ ...c, uris: c.uris.filter(u => u !== uri) }));
+    persist(Promise.all([removeFavourite(uri), ...changed.map(saveCollection)]).then(() => setData(prev => ({
+      ...prev,
+      favourites: prev.favourites.filter(f => f.uri !== uri),
+      collections: prev.collections.map(c => changed.find(u => u.id === c.id) || c)
+    }))));
+  }, [starred, data.collections]);
+
+  const addCollection = useCallback((name) => {
+    persist(createCollection(name, data.collections).then(collection => setData(prev => ({
+      ...prev,
+      collections: [...prev.collections, collection]
+    }))));
+  }, [data.collections]);
+
+  const removeCollection = useCallback((id) => {
+    persist(deleteCollection(id).then(() => setData(prev => ({
+      ...prev,
+      collections: prev.collections.filter(c => c.id !== id)
+    }))));
+  }, []);
+
+  const toggleInCollection = useCallback((id, uri) => {
+    const collection = data.collections.find(c => c.id === id);
+    if (!collection) return;
+    const uris = collection.uris.includes(uri) ? collection.uris.filter(u => u !== uri) : [...collection.uris, uri];
+    persist(saveCollection({ ...collection, uris }).then(saved => setData(prev => ({
+      ...prev,
+      collections: prev.collections.map(c => (c.id === id ? saved : c))
+    }))));
+  }, [data.collections]);
+
+  const addPreset = useCallback((name, filters) => {
+    persist(createPreset(name, filters).then(preset => setData(prev => ({
+      ...prev,
+      presets: [...prev.presets, preset]
+    }))));
+  }, []);
+
+  const removePreset = useCallback((id) => {
+    persist(deletePreset(id).then(() => setData(prev => ({
+      ...prev,
+      presets: prev.presets.filter(p => p.id !== id)
+    }))));
+  }, []);
+
+  const exportJSON = useCallback(() => toSavedPlacesJSON(data), [data]);
+
+  // Rejects with a displayable message when the file is not a saved places export
+  const importJSON = useCallback(
+    (text) => Promise.resolve(text).then(parseSavedPlaces).then(imported => importSavedPlaces(data, imported)).then(setData),
+    [data]
+  );
+
+  return {
+    ...data,
+    isFavourite,
+    toggleFavourite,
+    addCollection,
+    removeCollection,
+    toggleInCollection,
+    addPreset,
+    removePreset,
+    exportJSON,
+    importJSON
+  };
+};
@@ -0,0 +1,64 @@
+import { useRef, useEffect, useCallback } from 'react';
+import { parseUrlState, serializeUrlState } from '../utils/urlState';
+
+// The filters of a search alone, to tell a new search from a repeat of the current one
+const searchKey = ({ area, types, query }) => serializeUrlState({ area, types, query });
+
+// Keeps the last search, view options and map view mirrored in the query string.
+// Each new search pushes a history entry; view changes (centre, zoom, Near Me)
+// replace the current one, so Back/Forward step between searches. Filters picked
+// but not yet searched stay out of the URL.
+// `initial` is the state parsed from the URL on load; `onRestore` is called with
+// the parsed state when the user navigates Back/Forward.
+export const useUrlState = (viewState, initial, onRestore) => {
+  const stateRef = useRef(viewState);
+  const searchRef = useRef({ area: initial.area, types: initial.types, query: initial.query, searched: initial.hasFilters });
+  const pushedRef = useRef(searchKey(initial));
+  const viewRef = useRef(initial.view);
+  const onRestoreRef = useRef(onRestore);
+
+  const writeUrl = useCallback((mode) => {
+    const query = serializeUrlState({ ...searchRef.current, ...stateRef.current, view: viewRef.current });
+    const url = `${window.location.pathname}${query}${window.location.hash}`;
+
+    if (mode === 'push') {
+      window.history.pushState({ searched: true }, '', url);
+    } else {
+      window.history.replaceState(window.history.state, '', url);
+    }
+  }, []);
+
+  useEffect(() => {
+    stateRef.current = viewState;
+    onRestoreRef.current = onRestore;
+    writeUrl('replace');
+  }, [viewState, onRestore, writeUrl]);
+
+  useEffect(() => {
+    const handlePopState = () => {
+      const restored = parseUrlState(window.location.search);
+      searchRef.current = { area: restored.area, types: restored.types, query: restored.query, searched: restored.hasFilters };
+      pushedRef.current = searchKey(restored);
+      viewRef.current = restored.view;
+      onRestoreRef.current(restored);
+    };
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  // `filters` are the { area, types, query } searched. Searching the filters of the
+  // current entry again adds no duplicate history entry.
+  const pushUrl = useCallback((filters) => {
+    const key = searchKey(filters);
+    searchRef.current = { ...filters, searched: true };
+    writeUrl(key === pushedRef.current ? 'replace' : 'push');
+    pushedRef.current = key;
+  }, [writeUrl]);
+
+  const setMapView = useCallback((view) => {
+    viewRef.current = view;
+    writeUrl('replace');
+  }, [writeUrl]);
+
+  return { pushUrl, setMapView };
+};
@@ -0,0 +1,369 @@
+// English UI messages; the reference catalog every other language falls back to
+
+export default {
+    app: {
+        title: 'Dublin Facilities Explorer',
+        subtitle: 'Knowledge Graph Map',
+        skipToResults: 'Skip to results',
+        language: 'Language',
+        openConsole: 'Open the SPARQL console'
+    },
+    display: {
+        group: 'Display options',
+        highContrast: 'High contrast',
+        highContrastHint: 'Colour-blind-safe markers with a shape per category',
+        listOnly: 'List only',
+        listOnlyHint: 'Hide the map and show full details in the results list',
+        theme: 'Theme',
+        themes: {
+            system: 'System',
+            light: 'Light',
+            dark: 'Dark'
+        }
+    },
+    basemap: {
+        title: 'Basemap',
+        base: 'Map style',
+        auto: 'Match theme',
+        layers: {
+            light: 'Light',
+            dark: 'Dark',
+            osm: 'OpenStreetMap',
+            satellite: 'Satellite'
+        },
+        overlay: 'Overlay',
+        opacity: 'Opacity'
+    },
+    filters: {
+        search: 'Search',
+        searchPlaceholder: 'Name or address, e.g. Pearse Street',
+        area: 'Committee Area',
+        allAreas: 'All Regions',
+        types: 'Facility Types',
+        loadingTypes: 'Loading types...',
+        explore: 'Explore Dublin'
+    },
+    nearMe: {
+        button: 'Near Me',
+        active: 'Showing Near Me ({radius})',
+        radius: 'Search Radius',
+        sortBy: 'Sort By',
+        straightLine: 'Straight Line',
+        route: '{mode} Route',
+        unsupported: 'Geolocation is not supported by your browser.',
+        unavailable: 'Unable to get your location. Please enable location services.'
+    },
+    location: {
+        follow: 'Follow my location',
+        stopFollowing: 'Stop following',
+        setOnMap: 'Set location on map',
+        pickHint: 'Click the map to set your location. Drag the pin to adjust it.',
+        pin: 'Your location (drag to move)',
+        you: 'You are here'
+    },
+    alerts: {
+        enable: 'Alert me when nearby',
+        type: 'Facility type to alert for',
+        distance: 'Alert distance',
+        within: 'within {distance}',
+        title: '{type} within {distance}',
+        show: 'Show'
+    },
+    travelModes: {
+        walking: 'Walk',
+        cycling: 'Cycle'
+    },
+    stats: {
+        title: 'Statistics',
+        drawnRegion: 'Drawn Region',
+        total: 'Total Facilities',
+        categories: 'Categories'
+    },
+    compare: {
+        title: 'Area Comparison',
+        start: 'Compare areas',
+        stop: 'Stop comparing',
+        pickAreas: 'Areas to compare (up to {max})',
+        hint: 'Tick at least two areas to compare them. The first one ticked is the baseline.',
+        loading: 'Loading areas...',
+        loadError: 'Could not load the compared areas.',
+        baseline: 'Differences are relative to {area}',
+        total: 'All facilities',
+        noFacilities: 'None of the searched facility types are in these areas.'
+    },
+    density: {
+        title: 'Point Display',
+        modes: {
+            markers: 'Markers',
+            heatmap: 'Heatmap',
+            hexbin: 'Hexbins'
+        },
+        radius: 'Radius',
+        hexSize: 'Hexagon size',
+        intensity: 'Intensity',
+        sparse: 'Sparse',
+        dense: 'Dense'
+    },
+    gaps: {
+        title: 'Service Gaps',
+        threshold: 'Highlight beyond',
+        hint: 'Search for one or more facility types to see which parts of the city are far from them.',
+        loading: 'Measuring distances...',
+        loadError: 'Could not load the facilities for the gap analysis.',
+        noFacilities: 'None of the searched facility types were found.',
+        nearest: 'Nearest facility: {distance}',
+        nearestTo: 'nearest is {name}',
+        share: 'of the city is over {distance} from any of these facilities',
+        worst: 'Worst-served spots by area',
+        outsideAreas: 'Outside the committee areas',
+        cellsOver: {
+            one: '{count} spot beyond the limit',
+            other: '{count} spots beyond the limit'
+        }
+    },
+    coverage: {
+        score: 'Coverage Score',
+        underserved: 'Underserved areas',
+        levels: {
+            good: 'Equitable',
+            fair: 'Moderate',
+            poor: 'Uneven',
+            critical: 'Highly Uneven'
+        }
+    },
+    results: {
+        title: 'Results',
+        found: '{count} found',
+        listLabel: 'Facilities',
+        sort: 'Sort',
+        sorts: {
+            default: 'Default',
+            name: 'Name',
+            type: 'Type',
+            area: 'Area',
+            distance: 'Distance'
+        },
+        showRecord: 'Show full record',
+        showRecordFor: 'Show full record for {name}',
+        byMode: '{distance} by {mode}',
+        away: '{distance} away',
+        previousPage: 'Previous page',
+        nextPage: 'Next page',
+        pageRange: '{from}–{to} of {total}',
+        noneTitle: 'No results found',
+        noneHint: 'Try adjusting your filters to find facilities in this area.',
+        startTitle: 'Start Exploring',
+        startHint: 'Select a region and facility type to visualize the urban landscape.'
+    },
+    announce: {
+        searching: 'Searching facilities...',
+        found: {
+            one: '{count} facility found',
+            other: '{count} facilities found'
+        },
+        position: 'Result {index} of {total}'
+    },
+    popup: {
+        details: 'Details',
+        directions: 'Directions',
+        googleMaps: 'Google Maps'
+    },
+    hours: {
+        filter: 'Opening Hours',
+        modes: {
+            any: 'Any time',
+            now: 'Open now',
+            at: 'Open at…'
+        },
+        atLabel: 'Date and time (Dublin)',
+        filterHint: {
+            one: '{count} facility closed then is hidden. Facilities without listed hours stay shown.',
+            other: '{count} facilities closed then are hidden. Facilities without listed hours stay shown.'
+        },
+        open: 'Open',
+        closed: 'Closed',
+        days: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'],
+        holidays: {
+            newYear: 'New Year\'s Day',
+            stBrigids: 'St Brigid\'s Day',
+            stPatricks: 'St Patrick\'s Day',
+            easterMonday: 'Easter Monday',
+            may: 'May bank holiday',
+            june: 'June bank holiday',
+            august: 'August bank holiday',
+            october: 'October bank holiday',
+            christmas: 'Christmas Day',
+            stStephens: 'St Stephen\'s Day'
+        }
+    },
+    map: {
+        label: 'Facilities map',
+        keyboardHelp: 'Use the arrow keys to pan and plus or minus to zoom. ' +
+            'Press N for the next facility in the results, P for the previous one and Escape to clear the selection. ' +
+            'Tab moves between the markers in view.',
+        cluster: {
+            one: '{count} facility, press Enter to zoom in',
+            other: '{count} facilities, press Enter to zoom in'
+        },
+        areaCount: {
+            one: '{count} facility',
+            other: '{count} facilities'
+        }
+    },
+    legend: {
+        title: 'Legend',
+        areaDensity: 'Area Density',
+        noData: 'No data',
+        metrics: {
+            count: 'Facilities',
+            perKm2: 'Per km²',
+            perCapita: 'Per 1k residents'
+        }
+    },
+    region: {
+        polygon: 'Draw polygon',
+        rectangle: 'Draw rectangle',
+        circle: 'Draw radius',
+        clear: 'Clear region',
+        hints: {
+            polygon: 'Click to add points, double-click or click the first point to finish',
+            rectangle: 'Click two opposite corners',
+            circle: 'Click the centre, then the edge'
+        },
+        cancel: 'Esc to cancel'
+    },
+    route: {
+        title: 'Directions',
+        titleTo: 'Directions to {name}',
+        clear: 'Clear route',
+        finding: 'Finding route...',
+        noRoute: 'No route found',
+        noLocation: 'This facility has no location to route to.'
+    },
+    sparql: {
+        title: 'SPARQL Console',
+        close: 'Close console',
+        lastRequest: 'Last request: {description}',
+        loadQuery: 'Load its query',
+        editor: 'SPARQL query',
+        run: 'Run',
+        runHint: 'Run (Ctrl+Enter)',
+        saveName: 'Name this query',
+        save: 'Save query',
+        results: 'Results',
+        resultsCount: 'Results ({count})',
+        saved: 'Saved',
+        history: 'History',
+        showOnMap: {
+            one: 'Show {count} located row on the map',
+            other: 'Show {count} located rows on the map'
+        },
+        running: 'Running query...',
+        prompt: 'Press Run or Ctrl+Enter to execute the query.',
+        noRows: 'The query returned no rows.',
+        truncated: 'Showing the first {shown} of {count} rows.',
+        rows: {
+            one: '{count} row',
+            other: '{count} rows'
+        },
+        failed: 'failed',
+        deleteSaved: 'Delete saved query',
+        noSaved: 'Name a query and press save to keep it here.',
+        noHistory: 'Queries you run appear here.',
+        clearHistory: 'Clear history'
+    },
+    record: {
+        label: 'Resource details',
+        back: 'Back',
+        close: 'Close details',
+        copyUri: 'Copy URI',
+        openUri: 'Open URI',
+        showOnMap: 'Show on map',
+        loading: 'Loading record...',
+        empty: 'The knowledge graph holds nothing more about this resource.',
+        loadFailed: 'Could not load this resource.',
+        yes: 'Yes',
+        no: 'No',
+        sections: {
+            hours: 'Opening Hours',
+            accessibility: 'Accessibility',
+            contact: 'Contact',
+            provenance: 'Source',
+            related: 'Related Resources',
+            details: 'Details',
+            incoming: 'Referenced By'
+        }
+    },
+    saved: {
+        title: 'Saved Places',
+        star: 'Star',
+        starred: 'Starred',
+        starName: 'Star {name}',
+        unstar: 'Remove star',
+        unstarName: 'Remove the star from {name}',
+        favourites: 'Starred ({count})',
+        noFavourites: 'Star facilities from the results or their map popups to keep them here.',
+        collections: 'Collections',
+        collectionsFor: 'Collections for {name}',
+        collectionName: 'New collection, e.g. Toilets on my commute',
+        create: 'Create',
+        showOnMap: 'Show {name} on the map',
+        delete: 'Delete',
+        deleteName: 'Delete {name}',
+        presets: 'Filter Presets',
+        presetName: 'Name for the current filters',
+        savePreset: 'Save',
+        allTypes: 'All types',
+        export: 'Export JSON',
+        import: 'Import JSON',
+        importInvalid: 'This file is not a saved places export.',
+        importTooNew: 'This file was exported by a newer version of the map.'
+    },
+    print: {
+        button: 'Print / Export',
+        close: 'Close print options',
+        format: 'Export format',
+        formats: {
+            pdf: 'PDF report',
+            png: 'PNG image'
+        },
+        resolution: 'Resolution',
+        scale: '{scale}× screen size',
+        title: 'Report title',
+        defaultTitle: 'Dublin City Facilities',
+        paper: 'Paper',
+        orientation: 'Orientation',
+        landscape: 'Landscape',
+        portrait: 'Portrait',
+        download: 'Download',
+        rendering: 'Rendering map...',
+        failed: 'Could not render the map. Try again, or pick a smaller size.',
+        tilesMissing: {
+            one: '{count} map tile could not be loaded and is blank in the export.',
+            other: '{count} map tiles could not be loaded and are blank in the export.'
+        },
+        legend: 'Legend',
+        filters: 'Filters',
+        statistics: 'Statistics',
+        generated: 'Generated {date}'
+    },
+    export: {
+        button: 'Export',
+        hint: 'Export results'
+    },
+    status: {
+        online: 'Graph engine active',
+        offline: 'Offline · using saved data',
+        stale: 'Stale data',
+        offlineOptions: 'Offline options',
+        snapshotFrom: 'Snapshot from {age}',
+        saveTitle: 'Save map for offline use',
+        maxZoom: 'Max Zoom',
+        tileCount: '{count} tiles covering Dublin',
+        saveBasemap: 'Save Basemap',
+        basemapSaved: 'Saves the {name} basemap',
+        saved: 'Saved {count} tiles',
+        failed: '({count} failed)',
+        saveFailed: 'Could not save the basemap'
+    }
+};
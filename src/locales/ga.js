@@ -0,0 +1,368 @@
+// Irish (Gaeilge) UI messages. Keys missing here fall back to English.
+
+export default {
+    app: {
+        title: 'Taiscéalaí Áiseanna Bhaile Átha Cliath',
+        subtitle: 'Léarscáil Ghraf Eolais',
+        skipToResults: 'Léim go dtí na torthaí',
+        language: 'Teanga',
+        openConsole: 'Oscail consól SPARQL'
+    },
+    display: {
+        group: 'Roghanna taispeána',
+        highContrast: 'Ardchodarsnacht',
+        highContrastHint: 'Marcóirí oiriúnach do dhathdhaille, le cruth ar leith do gach catagóir',
+        listOnly: 'Liosta amháin',
+        listOnlyHint: 'Folaigh an léarscáil agus taispeáin na sonraí go léir i liosta na dtorthaí',
+        theme: 'Téama',
+        themes: {
+            system: 'Córas',
+            light: 'Geal',
+            dark: 'Dorcha'
+        }
+    },
+    basemap: {
+        title: 'Bunléarscáil',
+        base: 'Stíl na léarscáile',
+        auto: 'De réir an téama',
+        layers: {
+            light: 'Geal',
+            dark: 'Dorcha',
+            osm: 'OpenStreetMap',
+            satellite: 'Satailít'
+        },
+        overlay: 'Forleagan',
+        opacity: 'Teimhneacht'
+    },
+    filters: {
+        search: 'Cuardaigh',
+        searchPlaceholder: 'Ainm nó seoladh, m.sh. Sráid an Phiarsaigh',
+        area: 'Limistéar Coiste',
+        allAreas: 'Gach Réigiún',
+        types: 'Cineálacha Áiseanna',
+        loadingTypes: 'Cineálacha á lódáil...',
+        explore: 'Taiscéal Baile Átha Cliath'
+    },
+    nearMe: {
+        button: 'In Aice Liom',
+        active: 'In Aice Liom ({radius})',
+        radius: 'Ga Cuardaigh',
+        sortBy: 'Sórtáil de réir',
+        straightLine: 'Líne Dhíreach',
+        route: 'Bealach ({mode})',
+        unsupported: 'Ní thacaíonn do bhrabhsálaí le geoshuíomh.',
+        unavailable: 'Níorbh fhéidir do shuíomh a fháil. Cuir seirbhísí suímh ar siúl, le do thoil.'
+    },
+    location: {
+        follow: 'Lean mo shuíomh',
+        stopFollowing: 'Stop ag leanúint',
+        setOnMap: 'Socraigh suíomh ar an léarscáil',
+        pickHint: 'Cliceáil ar an léarscáil chun do shuíomh a shocrú. Tarraing an biorán chun é a athrú.',
+        pin: 'Do shuíomh (tarraing chun é a bhogadh)',
+        you: 'Tá tú anseo'
+    },
+    alerts: {
+        enable: 'Cuir in iúl dom nuair atá áis in aice láimhe',
+        type: 'Cineál áise le haghaidh foláirimh',
+        distance: 'Fad an fholáirimh',
+        within: 'laistigh de {distance}',
+        title: '{type} laistigh de {distance}',
+        show: 'Taispeáin'
+    },
+    travelModes: {
+        walking: 'Siúl',
+        cycling: 'Rothaíocht'
+    },
+    stats: {
+        title: 'Staitisticí',
+        drawnRegion: 'Réigiún Tarraingthe',
+        total: 'Líon Áiseanna',
+        categories: 'Catagóirí'
+    },
+    compare: {
+        title: 'Comparáid Limistéar',
+        start: 'Cuir limistéir i gcomparáid',
+        stop: 'Stop an chomparáid',
+        pickAreas: 'Limistéir le cur i gcomparáid (suas le {max})',
+        hint: 'Roghnaigh dhá limistéar ar a laghad chun iad a chur i gcomparáid. Is é an chéad cheann a roghnaítear an bhunlíne.',
+        loading: 'Limistéir á lódáil...',
+        loadError: 'Níorbh fhéidir na limistéir a lódáil.',
+        baseline: 'Tá na difríochtaí i gcoibhneas le {area}',
+        total: 'Gach áis',
+        noFacilities: 'Níl aon cheann de na cineálacha áiseanna a cuardaíodh sna limistéir seo.'
+    },
+    density: {
+        title: 'Taispeáint Pointí',
+        modes: {
+            markers: 'Marcóirí',
+            heatmap: 'Teasléarscáil',
+            hexbin: 'Heicseagáin'
+        },
+        radius: 'Ga',
+        hexSize: 'Méid an heicseagáin',
+        intensity: 'Déine',
+        sparse: 'Scáinte',
+        dense: 'Dlúth'
+    },
+    gaps: {
+        title: 'Bearnaí Seirbhíse',
+        threshold: 'Aibhsigh thar',
+        hint: 'Cuardaigh cineál áise amháin nó níos mó chun a fheiceáil cé na háiteanna sa chathair atá i bhfad uathu.',
+        loading: 'Faid á dtomhas...',
+        loadError: 'Níorbh fhéidir na háiseanna a lódáil don anailís bearnaí.',
+        noFacilities: 'Níor aimsíodh aon cheann de na cineálacha áiseanna a cuardaíodh.',
+        nearest: 'An áis is gaire: {distance}',
+        nearestTo: 'is gaire: {name}',
+        share: 'den chathair níos mó ná {distance} ó aon cheann de na háiseanna seo',
+        worst: 'Na háiteanna is measa seirbhís de réir limistéir',
+        outsideAreas: 'Lasmuigh de na limistéir choiste',
+        cellsOver: 'Áiteanna thar an teorainn: {count}'
+    },
+    coverage: {
+        score: 'Scór Clúdaigh',
+        underserved: 'Limistéir gan dóthain seirbhíse',
+        levels: {
+            good: 'Cothrom',
+            fair: 'Measartha',
+            poor: 'Míchothrom',
+            critical: 'An-mhíchothrom'
+        }
+    },
+    results: {
+        title: 'Torthaí',
+        found: '{count} aimsithe',
+        listLabel: 'Áiseanna',
+        sort: 'Sórtáil',
+        sorts: {
+            default: 'Réamhshocrú',
+            name: 'Ainm',
+            type: 'Cineál',
+            area: 'Limistéar',
+            distance: 'Fad'
+        },
+        showRecord: 'Taispeáin an taifead iomlán',
+        showRecordFor: 'Taispeáin an taifead iomlán do {name}',
+        byMode: '{distance} ({mode})',
+        away: '{distance} uait',
+        previousPage: 'Leathanach roimhe seo',
+        nextPage: 'An chéad leathanach eile',
+        pageRange: '{from}–{to} as {total}',
+        noneTitle: 'Níor aimsíodh aon torthaí',
+        noneHint: 'Athraigh na scagairí chun áiseanna a aimsiú sa limistéar seo.',
+        startTitle: 'Tosaigh ag Taiscéaladh',
+        startHint: 'Roghnaigh réigiún agus cineál áise chun an tírdhreach uirbeach a fheiceáil.'
+    },
+    announce: {
+        searching: 'Áiseanna á gcuardach...',
+        // A numeral-neutral phrasing avoids the initial mutations Irish nouns take after numbers
+        found: 'Líon na n-áiseanna a aimsíodh: {count}',
+        position: 'Toradh {index} as {total}'
+    },
+    popup: {
+        details: 'Sonraí',
+        directions: 'Treoracha',
+        googleMaps: 'Google Maps'
+    },
+    hours: {
+        filter: 'Uaireanta Oscailte',
+        modes: {
+            any: 'Am ar bith',
+            now: 'Oscailte anois',
+            at: 'Oscailte ag…'
+        },
+        atLabel: 'Dáta agus am (Baile Átha Cliath)',
+        filterHint: 'Áiseanna dúnta ag an am sin i bhfolach: {count}. Taispeántar áiseanna gan uaireanta liostaithe.',
+        open: 'Oscailte',
+        closed: 'Dúnta',
+        days: ['Luan', 'Máirt', 'Céad', 'Déar', 'Aoine', 'Sath', 'Domh'],
+        holidays: {
+            newYear: 'Lá Caille',
+            stBrigids: 'Lá Fhéile Bríde',
+            stPatricks: 'Lá Fhéile Pádraig',
+            easterMonday: 'Luan Cásca',
+            may: 'Lá saoire Bealtaine',
+            june: 'Lá saoire Mheitheamh',
+            august: 'Lá saoire Lúnasa',
+            october: 'Lá saoire Dheireadh Fómhair',
+            christmas: 'Lá Nollag',
+            stStephens: 'Lá Fhéile Stiofáin'
+        }
+    },
+    map: {
+        label: 'Léarscáil na n-áiseanna',
+        keyboardHelp: 'Úsáid na saigheadeochracha chun an léarscáil a bhogadh agus móide nó lúide chun zúmáil. ' +
+            'Brúigh N don chéad áis eile sna torthaí, P don cheann roimhe sin agus Escape chun an rogha a ghlanadh. ' +
+            'Bogann Tab idir na marcóirí atá le feiceáil.',
+        cluster: 'Áiseanna: {count}. Brúigh Enter chun zúmáil isteach',
+        areaCount: 'Áiseanna: {count}'
+    },
+    legend: {
+        title: 'Eochair',
+        areaDensity: 'Dlús Limistéir',
+        noData: 'Gan sonraí',
+        metrics: {
+            count: 'Áiseanna',
+            perKm2: 'In aghaidh km²',
+            perCapita: 'In aghaidh 1k cónaitheoir'
+        }
+    },
+    region: {
+        polygon: 'Tarraing polagán',
+        rectangle: 'Tarraing dronuilleog',
+        circle: 'Tarraing ga',
+        clear: 'Glan an réigiún',
+        hints: {
+            polygon: 'Cliceáil chun pointí a chur leis; déchliceáil nó cliceáil ar an gcéad phointe chun críochnú',
+            rectangle: 'Cliceáil ar dhá chúinne urchomhaireacha',
+            circle: 'Cliceáil ar an lár, ansin ar an imeall'
+        },
+        cancel: 'Esc chun cealú'
+    },
+    route: {
+        title: 'Treoracha',
+        titleTo: 'Treoracha go {name}',
+        clear: 'Glan an bealach',
+        finding: 'Bealach á aimsiú...',
+        noRoute: 'Níor aimsíodh bealach',
+        noLocation: 'Níl suíomh ag an áis seo le bealach a aimsiú chuici.'
+    },
+    sparql: {
+        title: 'Consól SPARQL',
+        close: 'Dún an consól',
+        lastRequest: 'An t-iarratas deireanach: {description}',
+        loadQuery: 'Lódáil a fhiosrúchán',
+        editor: 'Fiosrúchán SPARQL',
+        run: 'Rith',
+        runHint: 'Rith (Ctrl+Enter)',
+        saveName: 'Ainmnigh an fiosrúchán seo',
+        save: 'Sábháil an fiosrúchán',
+        results: 'Torthaí',
+        resultsCount: 'Torthaí ({count})',
+        saved: 'Sábháilte',
+        history: 'Stair',
+        showOnMap: 'Taispeáin ar an léarscáil na sraitheanna a bhfuil suíomh acu: {count}',
+        running: 'Fiosrúchán á rith...',
+        prompt: 'Brúigh Rith nó Ctrl+Enter chun an fiosrúchán a rith.',
+        noRows: 'Níor aimsigh an fiosrúchán aon sraith.',
+        truncated: 'Sraitheanna á dtaispeáint: {shown} as {count}.',
+        rows: 'Sraitheanna: {count}',
+        failed: 'theip air',
+        deleteSaved: 'Scrios an fiosrúchán sábháilte',
+        noSaved: 'Ainmnigh fiosrúchán agus brúigh sábháil chun é a choinneáil anseo.',
+        noHistory: 'Feicfear anseo na fiosrúcháin a ritheann tú.',
+        clearHistory: 'Glan an stair'
+    },
+    record: {
+        label: 'Sonraí na hacmhainne',
+        back: 'Siar',
+        close: 'Dún na sonraí',
+        copyUri: 'Cóipeáil an URI',
+        openUri: 'Oscail an URI',
+        showOnMap: 'Taispeáin ar an léarscáil',
+        loading: 'Taifead á lódáil...',
+        empty: 'Níl aon rud eile faoin acmhainn seo sa ghraf eolais.',
+        loadFailed: 'Níorbh fhéidir an acmhainn seo a lódáil.',
+        yes: 'Tá',
+        no: 'Níl',
+        sections: {
+            hours: 'Uaireanta Oscailte',
+            accessibility: 'Inrochtaineacht',
+            contact: 'Teagmháil',
+            provenance: 'Foinse',
+            related: 'Acmhainní Gaolmhara',
+            details: 'Sonraí',
+            incoming: 'Tagairtí Isteach'
+        }
+    },
+    saved: {
+        title: 'Áiteanna Sábháilte',
+        star: 'Réalta',
+        starred: 'Le réalta',
+        starName: 'Cuir réalta le {name}',
+        unstar: 'Bain an réalta',
+        unstarName: 'Bain an réalta de {name}',
+        favourites: 'Le réalta ({count})',
+        noFavourites: 'Cuir réalta le háiseanna sna torthaí nó ar an léarscáil chun iad a choinneáil anseo.',
+        collections: 'Bailiúcháin',
+        collectionsFor: 'Bailiúcháin do {name}',
+        collectionName: 'Bailiúchán nua, m.sh. Leithris ar mo bhealach oibre',
+        create: 'Cruthaigh',
+        showOnMap: 'Taispeáin {name} ar an léarscáil',
+        delete: 'Scrios',
+        deleteName: 'Scrios {name}',
+        presets: 'Scagairí Sábháilte',
+        presetName: 'Ainm do na scagairí reatha',
+        savePreset: 'Sábháil',
+        allTypes: 'Gach cineál',
+        export: 'Easpórtáil JSON',
+        import: 'Iompórtáil JSON',
+        importInvalid: 'Ní easpórtáil áiteanna sábháilte é an comhad seo.',
+        importTooNew: 'Easpórtáladh an comhad seo le leagan níos nuaí den léarscáil.'
+    },
+    print: {
+        button: 'Priontáil / Easpórtáil',
+        close: 'Dún na roghanna priontála',
+        format: 'Formáid easpórtála',
+        formats: {
+            pdf: 'Tuairisc PDF',
+            png: 'Íomhá PNG'
+        },
+        resolution: 'Taifeach',
+        scale: '{scale}× méid an scáileáin',
+        title: 'Teideal na tuairisce',
+        defaultTitle: 'Áiseanna Chathair Bhaile Átha Cliath',
+        paper: 'Páipéar',
+        orientation: 'Treoshuíomh',
+        landscape: 'Tírdhreach',
+        portrait: 'Portráid',
+        download: 'Íoslódáil',
+        rendering: 'An léarscáil á rindreáil...',
+        failed: 'Níorbh fhéidir an léarscáil a rindreáil. Bain triail eile as, nó roghnaigh méid níos lú.',
+        tilesMissing: 'Tíleanna nár lódáil agus atá bán san easpórtáil: {count}',
+        legend: 'Eochair',
+        filters: 'Scagairí',
+        statistics: 'Staitisticí',
+        generated: 'Cruthaithe {date}'
+    },
+    export: {
+        button: 'Easpórtáil',
+        hint: 'Easpórtáil na torthaí'
+    },
+    status: {
+        online: 'Inneall an ghraif ag obair',
+        offline: 'As líne · sonraí sábháilte in úsáid',
+        stale: 'Sonraí as dáta',
+        offlineOptions: 'Roghanna as líne',
+        snapshotFrom: 'Léargas ó {age}',
+        saveTitle: 'Sábháil an léarscáil le húsáid as líne',
+        maxZoom: 'Zúmáil Uasta',
+        tileCount: 'Tíleanna do Bhaile Átha Cliath: {count}',
+        saveBasemap: 'Sábháil an Bunléarscáil',
+        basemapSaved: 'Bunléarscáil le sábháil: {name}',
+        saved: 'Tíleanna sábháilte: {count}',
+        failed: '(theip ar {count})',
+        saveFailed: 'Níorbh fhéidir an bunléarscáil a shábháil'
+    },
+    categories: {
+        'Recreation': 'Áineas',
+        'Community & Culture': 'Pobal & Cultúr',
+        'Sanitation': 'Sláintíocht',
+        'Transport & Access': 'Iompar & Rochtain',
+        'Safety': 'Sábháilteacht',
+        'Other': 'Eile'
+    },
+    types: {
+        'Park': 'Páirc',
+        'Library': 'Leabharlann',
+        'Toilet': 'Leithreas',
+        'Bike Parking': 'Páirceáil Rothar',
+        'Community Centre': 'Ionad Pobail',
+        'Water Fountain': 'Fuarán Uisce',
+        'Public Bin': 'Bosca Bruscair Poiblí',
+        'Recycling Centre': 'Ionad Athchúrsála',
+        'Garda Station': 'Stáisiún Gardaí',
+        'Disabled Parking': 'Páirceáil do Dhaoine faoi Mhíchumas',
+        'Swimming Pool': 'Linn Snámha',
+        'Place of Worship': 'Áit Adhartha'
+    }
+};
@@ -2,9 +2,23 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { createMockAdapter, setRoutingAdapter } from './utils/routing'
+
+// With VITE_MOCK_ROUTING=true the dev server routes in straight lines, so Directions
+// and the network distance sort can be tried without a routing server
+if (import.meta.env.DEV && import.meta.env.VITE_MOCK_ROUTING === 'true') {
+  setRoutingAdapter(createMockAdapter())
+}
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
     <App />
   </StrictMode>,
 )
+
+// Offline support; skipped in dev so HMR isn't served from the cache
+if ('serviceWorker' in navigator && import.meta.env.PROD) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(err => console.warn('Service worker registration failed:', err))
+  })
+}
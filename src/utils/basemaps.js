@@ -0,0 +1,84 @@
+// Basemaps, the optional overlay and the UI theme.
+//
+// Tile URLs can be replaced at build time, like VITE_API_URL:
+//   VITE_BASEMAP_LIGHT_URL, VITE_BASEMAP_DARK_URL, VITE_BASEMAP_OSM_URL
+//   VITE_BASEMAP_SATELLITE_URL (+ _ATTRIBUTION)   adds a satellite basemap when set
+//   VITE_OVERLAY_URL                              adds an overlay, e.g. historic mapping
+//   VITE_OVERLAY_TYPE                             'xyz' (default) or 'wms'
+//   VITE_OVERLAY_LAYERS                           WMS layer names, comma-separated
+//   VITE_OVERLAY_NAME, VITE_OVERLAY_ATTRIBUTION   shown in the control and the map footer
+
+const env = import.meta.env;
+
+const OSM_ATTRIBUTION = '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors';
+const CARTO_ATTRIBUTION = `${OSM_ATTRIBUTION} &copy; <a href="https://carto.com/attributions">CARTO</a>`;
+
+/**
+ * Base layers offered in the basemap control, in order.
+ * `subdomains` fill {s} in the URL; `offline` marks tiles the service worker caches
+ * (public/sw.js), which are the ones that can be saved for offline use.
+ */
+export const BASEMAPS = [
+    {
+        id: 'light',
+        url: env.VITE_BASEMAP_LIGHT_URL || 'https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png',
+        subdomains: ['a', 'b', 'c'],
+        attribution: CARTO_ATTRIBUTION,
+        offline: !env.VITE_BASEMAP_LIGHT_URL
+    },
+    {
+        id: 'dark',
+        url: env.VITE_BASEMAP_DARK_URL || 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png',
+        subdomains: ['a', 'b', 'c'],
+        attribution: CARTO_ATTRIBUTION,
+        offline: !env.VITE_BASEMAP_DARK_URL
+    },
+    {
+        id: 'osm',
+        url: env.VITE_BASEMAP_OSM_URL || 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+        subdomains: ['a', 'b', 'c'],
+        attribution: OSM_ATTRIBUTION,
+        offline: false
+    },
+    ...(env.VITE_BASEMAP_SATELLITE_URL ? [{
+        id: 'satellite',
+        url: env.VITE_BASEMAP_SATELLITE_URL,
+        subdomains: ['a', 'b', 'c'],
+        attribution: env.VITE_BASEMAP_SATELLITE_ATTRIBUTION || '',
+        offline: false
+    }] : [])
+];
+
+// 'auto' picks the light or dark basemap to match the theme
+export const DEFAULT_BASEMAP = 'auto';
+
+/**
+ * Layer drawn over the basemap when switched on, or null when none is configured.
+ * WMS layers are requested as transparent PNGs.
+ */
+export const OVERLAY = env.VITE_OVERLAY_URL ? {
+    type: env.VITE_OVERLAY_TYPE === 'wms' ? 'wms' : 'xyz',
+    url: env.VITE_OVERLAY_URL,
+    layers: env.VITE_OVERLAY_LAYERS || '',
+    name: env.VITE_OVERLAY_NAME || '',
+    attribution: env.VITE_OVERLAY_ATTRIBUTION || ''
+} : null;
+
+export const BASEMAP_DEFAULTS = { basemap: DEFAULT_BASEMAP, overlay: false, overlayOpacity: 0.7 };
+
+export const THEMES = ['system', 'light', 'dark'];
+
+// 'light' or 'dark' for a saved theme choice; 'system' follows prefers-color-scheme
+export const resolveTheme = (theme, prefersDark) => (theme === 'system' ? (prefersDark ? 'dark' : 'light') : theme);
+
+/**
+ * The base layer to draw
+ * @param {string} id - A BASEMAPS id or 'auto'
+ * @param {string} theme - Resolved theme, 'light' or 'dark'
+ * @returns {Object} Entry of BASEMAPS; the light basemap when `id` is unknown
+ *   (e.g. a satellite layer no longer configured)
+ */
+export const getBasemap = (id, theme) => {
+    const wanted = id === 'auto' ? theme : id;
+    return BASEMAPS.find(b => b.id === wanted) || BASEMAPS[0];
+};
@@ -0,0 +1,106 @@
+// Choropleth helpers for shading committee areas by facility density
+
+import { formatNumber, t } from './i18n';
+
+// Sequential ramp from the accent purple, light to dark
+export const CHOROPLETH_COLORS = ['#f3e8ff', '#d8b4fe', '#c084fc', '#9333ea', '#581c87'];
+export const NO_DATA_COLOR = '#cbd5e1';
+
+export const CHOROPLETH_METRICS = {
+    count: { suffix: '' },
+    perKm2: { suffix: ' /km²' },
+    perCapita: { suffix: ' /1k' }
+};
+
+// Area geometry may arrive as a GeoJSON object or as a serialised string
+const parseGeometry = (geometry) => {
+    if (!geometry) return null;
+    if (typeof geometry === 'string') {
+        try {
+            return JSON.parse(geometry);
+        } catch {
+            return null;
+        }
+    }
+    return geometry;
+};
+
+// Metrics that can be shown given the fields the backend supplied for the areas
+export const getAvailableMetrics = (areas) => {
+    const metrics = ['count'];
+    if (areas.some(a => Number(a.areaKm2) > 0)) metrics.push('perKm2');
+    if (areas.some(a => Number(a.population) > 0)) metrics.push('perCapita');
+    return metrics;
+};
+
+const metricValue = (metric, count, area) => {
+    if (metric === 'perKm2') {
+        const km2 = Number(area.areaKm2);
+        return km2 > 0 ? count / km2 : null;
+    }
+    if (metric === 'perCapita') {
+        const population = Number(area.population);
+        return population > 0 ? (count / population) * 1000 : null;
+    }
+    return count;
+};
+
+/**
+ * Build a FeatureCollection of committee area boundaries with the chosen metric
+ * @param {Array} areas - Areas from /areas; only those with a `geometry` are drawn
+ * @param {Array} distribution - Array of {area, count} objects keyed by area name
+ * @param {string} metric - One of the keys of CHOROPLETH_METRICS
+ * @returns {Object} GeoJSON FeatureCollection with {id, name, count, value} properties
+ */
+export const buildAreaFeatures = (areas, distribution, metric) => {
+    const counts = new Map(distribution.map(d => [d.area, d.count]));
+
+    const features = areas
+        .map(area => {
+            const geometry = parseGeometry(area.geometry);
+            if (!geometry) return null;
+            const count = counts.get(area.name) ?? 0;
+            return {
+                type: 'Feature',
+                geometry,
+                properties: {
+                    id: area.id,
+                    name: area.name,
+                    count,
+                    value: metricValue(metric, count, area)
+                }
+            };
+        })
+        .filter(Boolean);
+
+    return { type: 'FeatureCollection', features };
+};
+
+// Quantile class breaks: returns the upper bound of each colour class
+export const getClassBreaks = (values, classes = CHOROPLETH_COLORS.length) => {
+    const sorted = values.filter(v => v !== null && Number.isFinite(v)).sort((a, b) => a - b);
+    if (sorted.length === 0) return [];
+
+    const breaks = [];
+    for (let i = 1; i <= classes; i++) {
+        const index = Math.min(sorted.length - 1, Math.ceil((i / classes) * sorted.length) - 1);
+        const value = sorted[index];
+        if (breaks[breaks.length - 1] !== value) breaks.push(value);
+    }
+    return breaks;
+};
+
+export const getColorForValue = (value, breaks) => {
+    if (value === null || value === undefined || breaks.length === 0) return NO_DATA_COLOR;
+    const index = breaks.findIndex(b => value <= b);
+    const classIndex = index === -1 ? breaks.length - 1 : index;
+    // Spread the available classes over the full ramp when there are fewer breaks than colours
+    const step = breaks.length > 1 ? (CHOROPLETH_COLORS.length - 1) / (breaks.length - 1) : 0;
+    return CHOROPLETH_COLORS[Math.round(classIndex * step)];
+};
+
+export const formatMetricValue = (value, metric) => {
+    if (value === null || value === undefined) return t('legend.noData');
+    const digits = metric === 'count' ? 0 : 1;
+    return `${formatNumber(value, { minimumFractionDigits: digits, maximumFractionDigits: digits })}${CHOROPLETH_METRICS[metric].suffix}`;
+};
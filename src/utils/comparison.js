@@ -0,0 +1,60 @@
+// Side-by-side comparison of committee areas.
+//
+// Each compared area contributes an entry { areaId, stats, features } where `stats` is the
+// `/stats` response for that area and `features` its facilities. The first area picked
+// is the baseline the others are measured against.
+
+// Distinct colours for up to six areas, from the Okabe & Ito colour-blind-safe palette
+export const COMPARISON_COLORS = ['#0072B2', '#D55E00', '#009E73', '#CC79A7', '#E69F00', '#56B4E9'];
+export const MAX_COMPARED_AREAS = COMPARISON_COLORS.length;
+
+// Per-type counts for one area: from /stats when it has them, else counted from the facilities
+const countsByType = ({ stats, features }) => {
+    const counts = new Map();
+    if (Array.isArray(stats?.byType)) {
+        stats.byType.forEach(entry => counts.set(entry.type, Number(entry.count) || 0));
+    } else {
+        features.forEach(f => counts.set(f.properties.type, (counts.get(f.properties.type) || 0) + 1));
+    }
+    return counts;
+};
+
+// Difference and ratio of a count against the baseline's; the ratio is null when the baseline has none
+const relativeTo = (count, baseline) => ({
+    difference: count - baseline,
+    ratio: baseline > 0 ? count / baseline : null
+});
+
+/**
+ * Build the rows of the comparison chart
+ * @param {Array} entries - One { areaId, stats, features } per area, baseline first
+ * @param {Array} typeFilter - Type names to keep; empty keeps every type
+ * @returns {Object} { total, rows, max } where `total` and each row are
+ *   { type, values: [{ count, difference, ratio }] } (`type` is null for the total)
+ *   and `max` is the largest count, for scaling bars
+ */
+export const buildComparison = (entries, typeFilter = []) => {
+    const perArea = entries.map(countsByType);
+    const types = new Set();
+    perArea.forEach(counts => counts.forEach((count, type) => {
+        if (typeFilter.length === 0 || typeFilter.includes(type)) types.add(type);
+    }));
+
+    const toRow = (type, counts) => ({
+        type,
+        values: counts.map(count => ({ count, ...relativeTo(count, counts[0]) }))
+    });
+
+    const rows = Array.from(types, type => toRow(type, perArea.map(counts => counts.get(type) || 0)))
+        .sort((a, b) => Math.max(...b.values.map(v => v.count)) - Math.max(...a.values.map(v => v.count)));
+
+    const totals = entries.map((entry, i) => (typeFilter.length === 0 && Number.isFinite(Number(entry.stats?.total))
+        ? Number(entry.stats.total)
+        : Array.from(types).reduce((sum, type) => sum + (perArea[i].get(type) || 0), 0)));
+
+    return {
+        total: toRow(null, totals),
+        rows,
+        max: Math.max(1, ...rows.flatMap(row => row.values.map(v => v.count)))
+    };
+};
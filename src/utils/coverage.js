@@ -0,0 +1,99 @@
+// Coverage score helpers
+// Measures how evenly facilities are spread across committee areas using the
+// Coefficient of Variation (CV = standard deviation / mean).
+
+// CV thresholds used to classify the equity of a distribution
+const CV_CLASSES = [
+    { max: 0.25, level: 'good' },
+    { max: 0.5, level: 'fair' },
+    { max: 1, level: 'poor' },
+    { max: Infinity, level: 'critical' }
+];
+
+// An area with less than this share of the mean count is flagged as underserved
+const UNDERSERVED_RATIO = 0.5;
+
+export const classifyCV = (cv) => CV_CLASSES.find(c => cv <= c.max);
+
+/**
+ * Calculate coverage score metrics including Coefficient of Variation
+ * @param {Array} distribution - Array of {area, count} objects
+ * @returns {Object} Coverage score data with CV, classification, and per-area metrics
+ */
+export const calculateCoverageScore = (distribution) => {
+    if (!distribution || distribution.length === 0) return null;
+
+    const counts = distribution.map(d => d.count);
+    const total = counts.reduce((sum, c) => sum + c, 0);
+    const mean = total / counts.length;
+    const variance = counts.reduce((sum, c) => sum + (c - mean) ** 2, 0) / counts.length;
+    const stdDev = Math.sqrt(variance);
+    const cv = mean > 0 ? stdDev / mean : 0;
+
+    const areas = distribution
+        .map(d => {
+            const ratioToMean = mean > 0 ? d.count / mean : 0;
+            return {
+                area: d.area,
+                count: d.count,
+                share: total > 0 ? d.count / total : 0,
+                ratioToMean,
+                underserved: ratioToMean < UNDERSERVED_RATIO
+            };
+        })
+        .sort((a, b) => a.count - b.count);
+
+    return {
+        total,
+        mean,
+        stdDev,
+        cv,
+        // 0-100 where 100 means a perfectly even spread
+        score: Math.round(100 * (1 - Math.min(cv, 1))),
+        classification: classifyCV(cv),
+        areas
+    };
+};
+
+// Count facilities per area, zero-filling areas that have none so that
+// underserved areas are not silently left out of the distribution.
+export const buildAreaDistribution = (facilities, areaNames = []) => {
+    const counts = new Map(areaNames.map(name => [name, 0]));
+    facilities.forEach(f => {
+        const area = f.properties?.area;
+        if (!area) return;
+        counts.set(area, (counts.get(area) || 0) + 1);
+    });
+    return Array.from(counts, ([area, count]) => ({ area, count }));
+};
+
+// Normalise a /stats `byArea` payload into {area, count} objects.
+// Entries may carry the area under `area` or `name`.
+export const distributionFromStats = (stats) => {
+    if (!stats || !Array.isArray(stats.byArea)) return null;
+    return stats.byArea.map(entry => ({
+        area: entry.area ?? entry.name,
+        count: Number(entry.count) || 0
+    }));
+};
+
+/**
+ * Build coverage scores for every facility type present in the results
+ * @param {Array} facilities - GeoJSON features with `properties.type` and `properties.area`
+ * @param {Array} areaNames - Names of all committee areas, used for zero-filling
+ * @returns {Array} One entry per type: {type, ...coverage}, least equitable first
+ */
+export const calculateCoverageByType = (facilities, areaNames = []) => {
+    const byType = new Map();
+    facilities.forEach(f => {
+        const type = f.properties?.type;
+        if (!type) return;
+        if (!byType.has(type)) byType.set(type, []);
+        byType.get(type).push(f);
+    });
+
+    return Array.from(byType, ([type, items]) => ({
+        type,
+        ...calculateCoverageScore(buildAreaDistribution(items, areaNames))
+    })).sort((a, b) => b.cv - a.cv);
+};
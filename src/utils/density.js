@@ -0,0 +1,190 @@
+// Density views of point facilities: a kernel density heatmap and a hexbin aggregate.
+//
+// Both are drawn in screen space on a canvas, so they are recomputed for every view.
+// Points are { x, y, type } in container pixels.
+
+export const POINT_DISPLAY_MODES = ['markers', 'heatmap', 'hexbin'];
+
+export const DENSITY_DEFAULTS = { mode: 'markers', radius: 25, intensity: 1 };
+export const DENSITY_RADIUS_RANGE = { min: 10, max: 60, step: 5 };
+export const DENSITY_INTENSITY_RANGE = { min: 0.2, max: 3, step: 0.2 };
+
+// Share of a kernel's peak a single point contributes at intensity 1;
+// overlapping kernels add up, so dense clusters saturate first
+const BASE_POINT_ALPHA = 0.15;
+
+const hexToRgb = (hex) => {
+    const full = hex.length === 4 ? hex.replace(/[0-9a-f]/gi, c => c + c) : hex;
+    return [1, 3, 5].map(i => parseInt(full.slice(i, i + 2), 16));
+};
+
+const mix = (a, b, t) => a.map((v, i) => Math.round(v + (b[i] - v) * t));
+
+/**
+ * Colour ramp for a type's heatmap: a pale tint of its colour where facilities are sparse,
+ * the colour itself in between and a darker shade at the densest spots
+ * @param {string} hex - The type colour, e.g. from getFacilityConfig
+ * @returns {Uint8ClampedArray} 256 RGBA entries indexed by accumulated density
+ */
+export const getDensityRamp = (hex) => {
+    const base = hexToRgb(hex);
+    const light = mix(base, [255, 255, 255], 0.7);
+    const dark = mix(base, [0, 0, 0], 0.45);
+    const ramp = new Uint8ClampedArray(256 * 4);
+    for (let i = 0; i < 256; i++) {
+        const t = i / 255;
+        const rgb = t < 0.5 ? mix(light, base, t * 2) : mix(base, dark, (t - 0.5) * 2);
+        ramp.set([...rgb, Math.round(255 * Math.min(1, t * 1.6))], i * 4);
+    }
+    return ramp;
+};
+
+// CSS gradient matching getDensityRamp, for the legend
+export const getDensityGradient = (hex) => {
+    const base = hexToRgb(hex);
+    const stop = (rgb, alpha) => `rgba(${rgb.join(', ')}, ${alpha})`;
+    return `linear-gradient(to right, ${stop(mix(base, [255, 255, 255], 0.7), 0)}, ` +
+        `${stop(base, 0.8)}, ${stop(mix(base, [0, 0, 0], 0.45), 1)})`;
+};
+
+// Blurred disc drawn once per radius and stamped for every point
+const createKernel = (radius) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = radius * 2;
+    const ctx = canvas.getContext('2d');
+    const gradient = ctx.createRadialGradient(radius, radius, 0, radius, radius, radius);
+    gradient.addColorStop(0, 'rgba(0, 0, 0, 1)');
+    gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, radius * 2, radius * 2);
+    return canvas;
+};
+
+const groupByType = (points) => {
+    const groups = new Map();
+    points.forEach(p => {
+        if (!groups.has(p.type)) groups.set(p.type, []);
+        groups.get(p.type).push(p);
+    });
+    return groups;
+};
+
+/**
+ * Draw a kernel density heatmap, one layer per type in that type's colour ramp
+ * @param {CanvasRenderingContext2D} ctx - Target context, already cleared
+ * @param {Array} points - { x, y, type } in canvas pixels
+ * @param {Object} options - { radius, intensity, colorFor(type) }
+ */
+export const drawHeatmap = (ctx, points, { radius, intensity, colorFor }) => {
+    const { width, height } = ctx.canvas;
+    const kernel = createKernel(radius);
+    const scratch = document.createElement('canvas');
+    scratch.width = width;
+    scratch.height = height;
+    const scratchCtx = scratch.getContext('2d', { willReadFrequently: true });
+
+    groupByType(points).forEach((group, type) => {
+        // Accumulate density in the alpha channel, then map it through the ramp
+        scratchCtx.clearRect(0, 0, width, height);
+        scratchCtx.globalAlpha = Math.min(1, BASE_POINT_ALPHA * intensity);
+        group.forEach(p => scratchCtx.drawImage(kernel, p.x - radius, p.y - radius));
+
+        const image = scratchCtx.getImageData(0, 0, width, height);
+        const pixels = image.data;
+        const ramp = getDensityRamp(colorFor(type));
+        for (let i = 3; i < pixels.length; i += 4) {
+            const density = pixels[i];
+            if (density === 0) continue;
+            const offset = density * 4;
+            pixels[i - 3] = ramp[offset];
+            pixels[i - 2] = ramp[offset + 1];
+            pixels[i - 1] = ramp[offset + 2];
+            pixels[i] = ramp[offset + 3];
+        }
+        scratchCtx.putImageData(image, 0, 0);
+        ctx.drawImage(scratch, 0, 0);
+    });
+};
+
+// Pointy-top hexagon centres in axial coordinates, as in https://www.redblobgames.com/grids/hexagons/
+const hexRound = (q, r) => {
+    let rq = Math.round(q), rr = Math.round(r);
+    const rs = Math.round(-q - r);
+    const dq = Math.abs(rq - q), dr = Math.abs(rr - r), ds = Math.abs(rs + q + r);
+    if (dq > dr && dq > ds) rq = -rr - rs;
+    else if (dr > ds) rr = -rq - rs;
+    return [rq, rr];
+};
+
+/**
+ * Aggregate points into hexagons of a given size
+ * @param {Array} points - { x, y, type } in pixels
+ * @param {number} size - Hexagon radius in pixels
+ * @param {Object} origin - { x, y } offset of the grid, so it can stay fixed to the map
+ * @returns {Array} [{ x, y, count, types: Map(type -> count), dominant }] with pixel centres
+ */
+export const hexbin = (points, size, origin = { x: 0, y: 0 }) => {
+    const bins = new Map();
+    points.forEach(p => {
+        const x = p.x + origin.x;
+        const y = p.y + origin.y;
+        const [q, r] = hexRound((Math.sqrt(3) / 3 * x - y / 3) / size, (2 / 3 * y) / size);
+        const key = `${q}:${r}`;
+        let bin = bins.get(key);
+        if (!bin) {
+            bin = {
+                x: size * Math.sqrt(3) * (q + r / 2) - origin.x,
+                y: size * 1.5 * r - origin.y,
+                count: 0,
+                types: new Map()
+            };
+            bins.set(key, bin);
+        }
+        bin.count++;
+        bin.types.set(p.type, (bin.types.get(p.type) || 0) + 1);
+    });
+    return Array.from(bins.values(), bin => ({
+        ...bin,
+        dominant: [...bin.types].reduce((a, b) => (b[1] > a[1] ? b : a))[0]
+    }));
+};
+
+/**
+ * Draw hexbins shaded by count and coloured by their most common type
+ * @param {CanvasRenderingContext2D} ctx - Target context, already cleared
+ * @param {Array} points - { x, y, type } in canvas pixels
+ * @param {Object} options - { radius, intensity, origin, colorFor(type) }; radius is the hexagon
+ *   size and origin the canvas corner in world pixels
+ */
+export const drawHexbins = (ctx, points, { radius, intensity, origin, colorFor }) => {
+    const bins = hexbin(points, radius, origin);
+    const max = Math.max(1, ...bins.map(b => b.count));
+
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+    ctx.font = '600 11px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    bins.forEach(bin => {
+        ctx.beginPath();
+        for (let i = 0; i < 6; i++) {
+            const angle = (Math.PI / 3) * i + Math.PI / 6;
+            // Slightly smaller than the cell, so neighbours stay apart
+            const x = bin.x + (radius - 1) * Math.cos(angle);
+            const y = bin.y + (radius - 1) * Math.sin(angle);
+            if (i === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        }
+        ctx.closePath();
+        ctx.globalAlpha = Math.min(0.95, 0.25 + 0.7 * Math.min(1, (bin.count / max) * intensity));
+        ctx.fillStyle = colorFor(bin.dominant);
+        ctx.fill();
+        ctx.globalAlpha = 1;
+        ctx.stroke();
+        if (radius >= 18) {
+            ctx.fillStyle = '#ffffff';
+            ctx.fillText(String(bin.count), bin.x, bin.y);
+        }
+    });
+};
@@ -0,0 +1,89 @@
+import { describe, expect, it } from 'vitest';
+import { getDensityRamp, hexbin } from './density';
+
+const SIZE = 20;
+
+// Pixel centre of the pointy-top hexagon at axial (q, r)
+const hexCenter = (q, r) => ({ x: SIZE * Math.sqrt(3) * (q + r / 2), y: SIZE * 1.5 * r });
+
+const random = (seed) => () => {
+    seed = (seed * 1664525 + 1013904223) % 2 ** 32;
+    return seed / 2 ** 32;
+};
+
+const byCentre = (bins) => [...bins].sort((a, b) => a.y - b.y || a.x - b.x);
+
+describe('hexbin', () => {
+    it('puts every point in the hexagon with the nearest centre', () => {
+        const next = random(3);
+        const centres = [];
+        for (let q = -10; q <= 10; q++) {
+            for (let r = -10; r <= 10; r++) centres.push(hexCenter(q, r));
+        }
+        for (let i = 0; i < 500; i++) {
+            const point = { x: next() * 200 - 100, y: next() * 200 - 100, type: 'Library' };
+            const [bin] = hexbin([point], SIZE);
+            const distances = centres.map(c => Math.hypot(c.x - point.x, c.y - point.y));
+            expect(Math.hypot(bin.x - point.x, bin.y - point.y)).toBeCloseTo(Math.min(...distances), 6);
+        }
+    });
+
+    it('counts points per hexagon and per type', () => {
+        const centre = hexCenter(2, -1);
+        const near = (dx, dy, type) => ({ x: centre.x + dx, y: centre.y + dy, type });
+        const bins = hexbin([
+            near(0, 0, 'Library'),
+            near(5, -3, 'Park'),
+            near(-4, 6, 'Park'),
+            { ...hexCenter(0, 0), type: 'Library' }
+        ], SIZE);
+
+        expect(bins).toHaveLength(2);
+        const bin = bins.find(b => b.count === 3);
+        expect(bin.x).toBeCloseTo(centre.x);
+        expect(bin.y).toBeCloseTo(centre.y);
+        expect(Object.fromEntries(bin.types)).toEqual({ Library: 1, Park: 2 });
+        expect(bin.dominant).toBe('Park');
+    });
+
+    it('keeps the grid fixed to the map as the view pans', () => {
+        const next = random(5);
+        const world = Array.from({ length: 200 }, () => ({ x: next() * 400, y: next() * 400, type: 'Park' }));
+        // The same points seen from two view corners, in each view's pixels
+        const view = (origin) => world.map(p => ({ ...p, x: p.x - origin.x, y: p.y - origin.y }));
+        const a = byCentre(hexbin(view({ x: 0, y: 0 }), SIZE, { x: 0, y: 0 }));
+        const b = byCentre(hexbin(view({ x: 37, y: -23 }), SIZE, { x: 37, y: -23 }));
+
+        expect(b.map(bin => bin.count)).toEqual(a.map(bin => bin.count));
+        b.forEach((bin, i) => {
+            expect(bin.x + 37).toBeCloseTo(a[i].x);
+            expect(bin.y - 23).toBeCloseTo(a[i].y);
+        });
+    });
+
+    it('is empty without points', () => {
+        expect(hexbin([], SIZE)).toEqual([]);
+    });
+});
+
+describe('getDensityRamp', () => {
+    const rgba = (ramp, i) => Array.from(ramp.slice(i * 4, i * 4 + 4));
+
+    it('runs from a transparent pale tint to an opaque dark shade', () => {
+        const ramp = getDensityRamp('#2080c0');
+        expect(ramp).toHaveLength(256 * 4);
+        // 70% of the way to white, then 45% of the way to black
+        expect(rgba(ramp, 0)).toEqual([188, 217, 236, 0]);
+        expect(rgba(ramp, 255)).toEqual([18, 70, 106, 255]);
+    });
+
+    it('is fully opaque well before the densest spots', () => {
+        const ramp = getDensityRamp('#2080c0');
+        expect(rgba(ramp, 128)[3]).toBeLessThan(255);
+        expect(rgba(ramp, 160)[3]).toBe(255);
+    });
+
+    it('accepts short hex colours', () => {
+        expect(getDensityRamp('#fff')).toEqual(getDensityRamp('#ffffff'));
+    });
+});
@@ -0,0 +1,169 @@
+// Export helpers: serialise result features to GeoJSON, CSV and KML downloads
+
+import { getRepresentativePoint } from './geometry';
+
+const CSV_COLUMNS = ['name', 'type', 'area', 'address', 'uri'];
+
+// Human-readable lines describing the filters behind the export
+const describeMetadata = (metadata) => {
+    const lines = [
+        `Generated: ${metadata.generated}`,
+        `Committee Area: ${metadata.area || 'All Regions'}`,
+        `Facility Types: ${metadata.types.length > 0 ? metadata.types.join(', ') : 'All'}`
+    ];
+    if (metadata.nearMe) {
+        const { lat, lon, radius } = metadata.nearMe;
+        lines.push(`Near Me: within ${radius} m of ${lat.toFixed(5)}, ${lon.toFixed(5)}`);
+    }
+    if (metadata.region) {
+        lines.push(`Drawn Region: ${metadata.region}`);
+    }
+    if (metadata.openAt) {
+        lines.push(`Open At: ${metadata.openAt} (Dublin time)`);
+    }
+    if (metadata.search) {
+        lines.push(`Search: ${metadata.search}`);
+    }
+    lines.push(`Features: ${metadata.count}`);
+    return lines;
+};
+
+export const toGeoJSON = (features, metadata) => JSON.stringify({
+    type: 'FeatureCollection',
+    metadata,
+    features
+}, null, 2);
+
+// Cells starting with one of these are run as formulas by spreadsheet tools
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCsv = (value) => {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number') return String(value);
+    const str = FORMULA_PREFIX.test(String(value)) ? `'${value}` : String(value);
+    return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+export const toCSV = (features, metadata) => {
+    // Metadata is written as leading comment lines, which spreadsheet tools can skip
+    const header = describeMetadata(metadata).map(line => `# ${line}`);
+    if (metadata.sparqlQuery) {
+        header.push('# SPARQL Query:');
+        metadata.sparqlQuery.split('\n').forEach(line => header.push(`#   ${line}`));
+    }
+
+    const rows = features.map(f => {
+        const point = getRepresentativePoint(f.geometry);
+        return [
+            ...CSV_COLUMNS.map(col => f.properties?.[col]),
+            point ? point[1] : '',
+            point ? point[0] : ''
+        ].map(escapeCsv).join(',');
+    });
+
+    return [...header, [...CSV_COLUMNS, 'lat', 'lon'].join(','), ...rows].join('\n');
+};
+
+const escapeXml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const kmlCoordinates = (coords) => coords.map(([lon, lat]) => `${lon},${lat}`).join(' ');
+
+const kmlPolygon = (rings) => {
+    const [outer, ...holes] = rings;
+    return '<Polygon>' +
+        `<outerBoundaryIs><LinearRing><coordinates>${kmlCoordinates(outer)}</coordinates></LinearRing></outerBoundaryIs>` +
+        holes.map(h => `<innerBoundaryIs><LinearRing><coordinates>${kmlCoordinates(h)}</coordinates></LinearRing></innerBoundaryIs>`).join('') +
+        '</Polygon>';
+};
+
+const geometryToKml = (geometry) => {
+    const { type, coordinates } = geometry;
+    switch (type) {
+        case 'Point':
+            return `<Point><coordinates>${kmlCoordinates([coordinates])}</coordinates></Point>`;
+        case 'MultiPoint':
+            return `<MultiGeometry>${coordinates.map(c => geometryToKml({ type: 'Point', coordinates: c })).join('')}</MultiGeometry>`;
+        case 'LineString':
+            return `<LineString><coordinates>${kmlCoordinates(coordinates)}</coordinates></LineString>`;
+        case 'MultiLineString':
+            return `<MultiGeometry>${coordinates.map(c => geometryToKml({ type: 'LineString', coordinates: c })).join('')}</MultiGeometry>`;
+        case 'Polygon':
+            return kmlPolygon(coordinates);
+        case 'MultiPolygon':
+            return `<MultiGeometry>${coordinates.map(kmlPolygon).join('')}</MultiGeometry>`;
+        case 'GeometryCollection':
+            return `<MultiGeometry>${geometry.geometries.map(geometryToKml).join('')}</MultiGeometry>`;
+        default:
+            return '';
+    }
+};
+
+export const toKML = (features, metadata) => {
+    const placemarks = features
+        .filter(f => f.geometry)
+        .map(f => {
+            const p = f.properties || {};
+            const data = CSV_COLUMNS
+                .filter(col => p[col])
+                .map(col => `<Data name="${col}"><value>${escapeXml(p[col])}</value></Data>`)
+                .join('');
+            return '<Placemark>' +
+                `<name>${escapeXml(p.name)}</name>` +
+                `<description>${escapeXml([p.type, p.area, p.address].filter(Boolean).join(' · '))}</description>` +
+                `<ExtendedData>${data}</ExtendedData>` +
+                geometryToKml(f.geometry) +
+                '</Placemark>';
+        });
+
+    const description = [...describeMetadata(metadata), ...(metadata.sparqlQuery ? ['', metadata.sparqlQuery] : [])].join('\n');
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<kml xmlns="http://www.opengis.net/kml/2.2"><Document>' +
+        '<name>Dublin Facilities Export</name>' +
+        `<description>${escapeXml(description)}</description>` +
+        placemarks.join('\n') +
+        '</Document></kml>';
+};
+
+export const EXPORT_FORMATS = {
+    geojson: { label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json', serialize: toGeoJSON },
+    csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv', serialize: toCSV },
+    kml: { label: 'KML', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml', serialize: toKML }
+};
+
+// Trigger a browser download of a Blob, e.g. a rendered image
+export const downloadBlob = (blob, filename) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+};
+
+// Trigger a browser download of a string as a file
+export const downloadFile = (content, filename, mimeType) => {
+    downloadBlob(new Blob([content], { type: `${mimeType};charset=utf-8` }), filename);
+};
+
+/**
+ * Download features in one of the EXPORT_FORMATS
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {Array} features - GeoJSON features to export
+ * @param {Object} metadata - Filters and query behind the results
+ */
+export const exportFeatures = (format, features, metadata) => {
+    const { extension, mimeType, serialize } = EXPORT_FORMATS[format];
+    const generated = new Date().toISOString();
+    downloadFile(
+        serialize(features, { ...metadata, generated, count: features.length }),
+        `dublin-facilities-${generated.slice(0, 10)}.${extension}`,
+        mimeType
+    );
+};
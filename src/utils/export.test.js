@@ -0,0 +1,32 @@
+import { describe, expect, it } from 'vitest';
+import { toCSV } from './export';
+
+const metadata = { generated: '2026-01-01T00:00:00.000Z', area: '', types: ['Library', 'Public Toilet'], count: 1 };
+
+const feature = (properties) => ({
+    type: 'Feature',
+    properties,
+    geometry: { type: 'Point', coordinates: [-6.26, 53.35] }
+});
+
+const dataRow = (csv) => csv.split('\n').filter(line => !line.startsWith('#'))[1];
+
+describe('toCSV', () => {
+    it('lists the type names in the metadata', () => {
+        expect(toCSV([], metadata)).toContain('# Facility Types: Library, Public Toilet');
+    });
+
+    it('records the opening hours filter in Dublin time', () => {
+        expect(toCSV([], { ...metadata, openAt: '2026-03-17T14:30' })).toContain('# Open At: 2026-03-17T14:30 (Dublin time)');
+        expect(toCSV([], metadata)).not.toContain('Open At');
+    });
+
+    it('keeps cells from running as spreadsheet formulas', () => {
+        const row = dataRow(toCSV([feature({ name: '=HYPERLINK("http://x")', type: '+1', area: '-2', address: '@SUM(A1)' })], metadata));
+        expect(row).toBe(`"'=HYPERLINK(""http://x"")",'+1,'-2,'@SUM(A1),,53.35,-6.26`);
+    });
+
+    it('writes negative coordinates as numbers', () => {
+        expect(dataRow(toCSV([feature({ name: 'Pearse Street Library' })], metadata))).toBe('Pearse Street Library,,,,,53.35,-6.26');
+    });
+});
@@ -0,0 +1,372 @@
+import { renderToStaticMarkup } from 'react-dom/server';
+import L from 'leaflet';
+import {
+    MapPin,
+    Trees,
+    TreePine,
+    Flower2,
+    Tent,
+    Book,
+    GraduationCap,
+    School,
+    Bath,
+    Bike,
+    Bus,
+    TrainFront,
+    Car,
+    CircleParking,
+    Fuel,
+    Zap,
+    Users,
+    Baby,
+    Dog,
+    Droplets,
+    Trash2,
+    Recycle,
+    Shield,
+    Accessibility,
+    Waves,
+    Dumbbell,
+    Footprints,
+    Church,
+    Landmark,
+    Theater,
+    Music,
+    Palette,
+    Building2,
+    Hospital,
+    Stethoscope,
+    HeartPulse,
+    Utensils,
+    ShoppingBag,
+    Mail,
+    Wifi,
+    Flag,
+    Star
+} from 'lucide-react';
+import { translateTerm } from './i18n';
+
+// Icons that `/facility-types` can refer to by key (lucide names in kebab-case)
+export const ICONS = {
+    'map-pin': MapPin,
+    'trees': Trees,
+    'tree-pine': TreePine,
+    'flower-2': Flower2,
+    'tent': Tent,
+    'book': Book,
+    'graduation-cap': GraduationCap,
+    'school': School,
+    'bath': Bath,
+    'bike': Bike,
+    'bus': Bus,
+    'train-front': TrainFront,
+    'car': Car,
+    'circle-parking': CircleParking,
+    'fuel': Fuel,
+    'zap': Zap,
+    'users': Users,
+    'baby': Baby,
+    'dog': Dog,
+    'droplets': Droplets,
+    'trash-2': Trash2,
+    'recycle': Recycle,
+    'shield': Shield,
+    'accessibility': Accessibility,
+    'waves': Waves,
+    'dumbbell': Dumbbell,
+    'footprints': Footprints,
+    'church': Church,
+    'landmark': Landmark,
+    'theater': Theater,
+    'music': Music,
+    'palette': Palette,
+    'building-2': Building2,
+    'hospital': Hospital,
+    'stethoscope': Stethoscope,
+    'heart-pulse': HeartPulse,
+    'utensils': Utensils,
+    'shopping-bag': ShoppingBag,
+    'mail': Mail,
+    'wifi': Wifi,
+    'flag': Flag
+};
+
+// Built-in configuration, used for any type the API sends no metadata for.
+// `renderAs: 'area'` draws polygon geometries as shapes instead of markers.
+export const FACILITY_CONFIG = {
+    'Park': { icon: Trees, color: '#22c55e', category: 'Recreation', renderAs: 'area' },
+    'Library': { icon: Book, color: '#3b82f6', category: 'Community & Culture' },
+    'Toilet': { icon: Bath, color: '#f59e0b', category: 'Sanitation' },
+    'Bike Parking': { icon: Bike, color: '#9333ea', category: 'Transport & Access' },
+    'Community Centre': { icon: Users, color: '#4f46e5', category: 'Community & Culture' },
+    'Water Fountain': { icon: Droplets, color: '#06b6d4', category: 'Sanitation' },
+    'Public Bin': { icon: Trash2, color: '#64748b', category: 'Sanitation' },
+    'Recycling Centre': { icon: Recycle, color: '#0d9488', category: 'Sanitation' },
+    'Garda Station': { icon: Shield, color: '#15803d', category: 'Safety' },
+    'Disabled Parking': { icon: Accessibility, color: '#ef4444', category: 'Transport & Access' },
+    'Swimming Pool': { icon: Waves, color: '#0ea5e9', category: 'Recreation' },
+    'Place of Worship': { icon: Church, color: '#a855f7', category: 'Community & Culture' }
+};
+
+export const DEFAULT_CATEGORY = 'Other';
+
+const DEFAULT_CONFIG = { icon: MapPin, color: '#a855f7', category: DEFAULT_CATEGORY };
+
+// Type metadata from the API, merged over FACILITY_CONFIG; keyed by type name
+let typeConfig = { ...FACILITY_CONFIG };
+
+const HEX_COLOR = /^#[0-9a-f]{3}([0-9a-f]{3})?$/i;
+
+/**
+ * Register type metadata from `/facility-types`. Each entry may carry
+ * `icon` (a key of ICONS), `color` (hex), `category`, `renderAs` ('area' | 'point')
+ * and `label`, the name in the requested language; `name` stays the key facilities refer to.
+ * Missing or unknown values keep the built-in configuration.
+ * @param {Array} types - [{ id, name, label?, icon?, color?, category?, renderAs? }]
+ */
+export const setFacilityTypes = (types) => {
+    typeConfig = { ...FACILITY_CONFIG };
+    types.forEach(t => {
+        const base = FACILITY_CONFIG[t.name] || DEFAULT_CONFIG;
+        typeConfig[t.name] = {
+            ...base,
+            ...(ICONS[t.icon] && { icon: ICONS[t.icon] }),
+            ...(HEX_COLOR.test(t.color || '') && { color: t.color }),
+            ...(t.category && { category: t.category }),
+            ...((t.renderAs === 'area' || t.renderAs === 'point') && { renderAs: t.renderAs }),
+            ...(t.label && { label: t.label })
+        };
+    });
+    // Cached icons may carry the old colours
+    iconCache.clear();
+    clusterIconCache.clear();
+};
+
+// Colour-blind-safe palette (Okabe & Ito) for high-contrast markers
+const ACCESSIBLE_COLORS = ['#0072B2', '#D55E00', '#009E73', '#CC79A7', '#E69F00', '#56B4E9', '#F0E442', '#000000'];
+
+// Marker outlines in a 32x32 box, so categories stay distinguishable without colour
+export const MARKER_SHAPES = {
+    circle: 'M16 3a13 13 0 1 0 0.01 0Z',
+    square: 'M4 4h24v24H4Z',
+    diamond: 'M16 1L31 16L16 31L1 16Z',
+    triangle: 'M16 2L31 29H1Z',
+    hexagon: 'M16 2L28 9V23L16 30L4 23V9Z',
+    pentagon: 'M16 2L30 12L25 29H7L2 12Z'
+};
+
+const CATEGORY_SHAPES = {
+    'Recreation': 'circle',
+    'Community & Culture': 'square',
+    'Sanitation': 'diamond',
+    'Transport & Access': 'triangle',
+    'Safety': 'hexagon',
+    [DEFAULT_CATEGORY]: 'pentagon'
+};
+
+let highContrast = false;
+
+// Switch every marker, cluster and swatch to the high-contrast palette with shape coding
+export const setHighContrastMarkers = (enabled) => {
+    highContrast = enabled;
+    iconCache.clear();
+    clusterIconCache.clear();
+};
+
+// Black or white, whichever reads better on a fill colour
+const glyphColorFor = (hex) => {
+    const [r, g, b] = [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16) / 255)
+        .map(c => (c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4));
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b > 0.18 ? '#000000' : '#ffffff';
+};
+
+const SHAPE_ORDER = Object.keys(MARKER_SHAPES);
+
+// Categories new to the frontend get a stable shape derived from their name
+const shapeForCategory = (category = DEFAULT_CATEGORY) =>
+    CATEGORY_SHAPES[category] || SHAPE_ORDER[[...category].reduce((h, c) => h + c.charCodeAt(0), 0) % SHAPE_ORDER.length];
+
+// Within a category, types take palette colours in turn
+const accessibleStyle = (type, config) => {
+    const sameCategory = Object.keys(typeConfig).filter(t => typeConfig[t].category === config.category);
+    const color = ACCESSIBLE_COLORS[Math.max(sameCategory.indexOf(type), 0) % ACCESSIBLE_COLORS.length];
+    return { color, shape: shapeForCategory(config.category), glyph: glyphColorFor(color) };
+};
+
+/**
+ * Display configuration for a facility type: { icon, color, category, renderAs, shape, glyph }.
+ * `shape` is 'pin' for the regular markers, or a MARKER_SHAPES key in high-contrast mode.
+ */
+export const getFacilityConfig = (type) => {
+    const config = typeConfig[type] || DEFAULT_CONFIG;
+    return highContrast
+        ? { ...config, ...accessibleStyle(type, config) }
+        : { ...config, shape: 'pin', glyph: '#ffffff' };
+};
+
+// Display name of a type: the API's localised label, else the catalog translation
+export const getTypeLabel = (type) => typeConfig[type]?.label || translateTerm('types', type);
+
+/**
+ * Group types by category for the checklist and legend, in first-seen order
+ * @param {Array} types - Objects with a `name`, e.g. `/facility-types` entries
+ * @returns {Array} [{ category, types }], with "Other" last
+ */
+export const groupByCategory = (types) => {
+    const groups = new Map();
+    types.forEach(t => {
+        const category = getFacilityConfig(t.name).category || DEFAULT_CATEGORY;
+        if (!groups.has(category)) groups.set(category, []);
+        groups.get(category).push(t);
+    });
+    return Array.from(groups, ([category, items]) => ({ category, types: items }))
+        .sort((a, b) => (a.category === DEFAULT_CATEGORY) - (b.category === DEFAULT_CATEGORY));
+};
+
+// divIcons are immutable, so one instance per type and variant can be shared by every marker
+const iconCache = new Map();
+
+/**
+ * Marker icon for a facility type
+ * @param {string} type - Facility type name
+ * @param {string} variant - 'default', 'highlighted' (search match), 'dimmed' (non-match)
+ *   or 'closed' (outside its opening hours)
+ * @returns {L.DivIcon} Cached divIcon
+ */
+export const getIconForType = (type, variant = 'default') => {
+    const cacheKey = `${type}|${variant}`;
+    if (iconCache.has(cacheKey)) return iconCache.get(cacheKey);
+
+    const config = getFacilityConfig(type);
+    const IconComponent = config.icon;
+
+    if (config.shape !== 'pin') {
+        // High contrast: black-outlined shape per category, centred on the location
+        const html = renderToStaticMarkup(
+            <div className={`custom-marker-wrapper shaped ${variant}`}>
+                <svg width="32" height="32" viewBox="0 0 32 32" aria-hidden="true">
+                    <path d={MARKER_SHAPES[config.shape]} fill={config.color} stroke="#000000" strokeWidth="2" />
+                </svg>
+                <IconComponent size={14} color={config.glyph} strokeWidth={2.5} />
+            </div>
+        );
+        const icon = L.divIcon({
+            html,
+            className: 'custom-leaflet-icon',
+            iconSize: [32, 32],
+            iconAnchor: [16, 16],
+            popupAnchor: [0, -16]
+        });
+        iconCache.set(cacheKey, icon);
+        return icon;
+    }
+
+    const svgString = renderToStaticMarkup(
+        <div
+            className={`custom-marker-wrapper ${variant}`}
+            style={{ backgroundColor: config.color }}
+        >
+            <IconComponent size={18} color="white" strokeWidth={2.5} />
+        </div>
+    );
+
+    const icon = L.divIcon({
+        html: svgString,
+        className: 'custom-leaflet-icon',
+        iconSize: [32, 32],
+        iconAnchor: [16, 32],
+        popupAnchor: [0, -32]
+    });
+    iconCache.set(cacheKey, icon);
+    return icon;
+};
+
+const clusterIconCache = new Map();
+
+const getClusterSize = (count) => {
+    if (count < 100) return 36;
+    if (count < 1000) return 44;
+    return 52;
+};
+
+/**
+ * Build a cluster badge whose ring is split into per-type segments
+ * @param {number} count - Number of facilities in the cluster
+ * @param {Object} typeCounts - Map of facility type to count within the cluster
+ * @param {number} matchCount - Search matches within the cluster, shown as a corner badge
+ * @returns {L.DivIcon} Cached divIcon for this count, type mix and match count
+ */
+export const getClusterIcon = (count, typeCounts, matchCount = 0) => {
+    const entries = Object.entries(typeCounts).sort((a, b) => b[1] - a[1]);
+    const cacheKey = `${count}|${matchCount}|${entries.map(([t, c]) => `${t}:${c}`).join(',')}`;
+    if (clusterIconCache.has(cacheKey)) return clusterIconCache.get(cacheKey);
+
+    // Conic gradient with one arc per type, sized by its share of the cluster
+    let offset = 0;
+    const stops = entries.map(([type, typeCount]) => {
+        const start = offset;
+        offset += (typeCount / count) * 360;
+        const color = getFacilityConfig(type).color;
+        return `${color} ${start}deg ${offset}deg`;
+    });
+
+    const size = getClusterSize(count);
+    const label = count >= 1000 ? `${(count / 1000).toFixed(1)}k` : count;
+
+    const icon = L.divIcon({
+        html: `<div class="cluster-marker${highContrast ? ' high-contrast' : ''}" style="width:${size}px;height:${size}px;background:conic-gradient(${stops.join(',')})"><span>${label}</span>` +
+            (matchCount > 0 ? `<em class="cluster-match-badge">${matchCount}</em>` : '') +
+            '</div>',
+        className: 'custom-leaflet-icon',
+        iconSize: [size, size],
+        iconAnchor: [size / 2, size / 2]
+    });
+
+    // Cluster compositions change with every pan, so keep the cache bounded
+    if (clusterIconCache.size > 500) clusterIconCache.clear();
+    clusterIconCache.set(cacheKey, icon);
+    return icon;
+};
+
+const savedIconCache = new Map();
+
+// Star marker for a facility in a saved collection, in the collection's colour
+export const getSavedPlaceIcon = (color) => {
+    if (savedIconCache.has(color)) return savedIconCache.get(color);
+
+    const icon = L.divIcon({
+        html: renderToStaticMarkup(
+            <div className="custom-marker-wrapper saved" style={{ backgroundColor: color }}>
+                <Star size={16} color="white" fill="white" strokeWidth={2} />
+            </div>
+        ),
+        className: 'custom-leaflet-icon',
+        iconSize: [32, 32],
+        iconAnchor: [16, 16],
+        popupAnchor: [0, -16]
+    });
+    savedIconCache.set(color, icon);
+    return icon;
+};
+
+/**
+ * Standalone SVG of a facility marker, for drawing onto a canvas (map export).
+ * Pins become a round badge with the type's glyph; high-contrast markers keep their shape.
+ * @param {string} type - Facility type name
+ * @returns {string} SVG document, 32×32
+ */
+export const getMarkerSvg = (type) => {
+    const config = getFacilityConfig(type);
+    const IconComponent = config.icon;
+    const pin = config.shape === 'pin';
+    return renderToStaticMarkup(
+        <svg xmlns="http://www.w3.org/2000/svg" width="32" height="32" viewBox="0 0 32 32">
+            {pin
+                ? <circle cx="16" cy="16" r="14" fill={config.color} stroke="#ffffff" strokeWidth="2" />
+                : <path d={MARKER_SHAPES[config.shape]} fill={config.color} stroke="#000000" strokeWidth="2" />}
+            <g transform={pin ? 'translate(7 7)' : 'translate(9 9)'}>
+                <IconComponent size={pin ? 18 : 14} color={pin ? '#ffffff' : config.glyph} strokeWidth={2.5} />
+            </g>
+        </svg>
+    );
+};
@@ -0,0 +1,23 @@
+// Display formatting for distances and durations, in the current UI locale
+
+import { formatNumber } from './i18n';
+
+const unit = (value, name, digits = 0) =>
+    formatNumber(value, { style: 'unit', unit: name, unitDisplay: 'short', maximumFractionDigits: digits });
+
+export const formatDistance = (meters) => {
+    if (meters === null || meters === undefined) return '—';
+    if (meters < 1000) return unit(Math.round(meters), 'meter');
+    return unit(meters / 1000, 'kilometer', 1);
+};
+
+// Always in kilometres with one decimal, for the radius control
+export const formatKilometres = (meters) =>
+    formatNumber(meters / 1000, { style: 'unit', unit: 'kilometer', minimumFractionDigits: 1, maximumFractionDigits: 1 });
+
+export const formatDuration = (seconds) => {
+    if (seconds === null || seconds === undefined) return '—';
+    const minutes = Math.max(1, Math.round(seconds / 60));
+    if (minutes < 60) return unit(minutes, 'minute');
+    return `${unit(Math.floor(minutes / 60), 'hour')} ${unit(minutes % 60, 'minute')}`;
+};
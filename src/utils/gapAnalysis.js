@@ -0,0 +1,180 @@
+// Service gap analysis: how far each part of the city is from the nearest facility.
+//
+// A square grid is laid over the committee areas (or the facilities, when no
+// boundaries are known) and every cell is measured from its centre to the
+// nearest facility of the chosen types. Cells are plain objects:
+//   { id, bounds: [[south, west], [north, east]], center: [lat, lon], area, distance, nearest }
+// where `distance` is in meters and `nearest` is the closest facility feature.
+
+import { distanceToGeometry, getBounds, pointInGeometry } from './geometry';
+
+// Upper bound of each distance class in meters, nearest first; the last class is open-ended
+export const GAP_CLASSES = [200, 400, 800, 1600];
+// Green to red, one colour per class plus one for beyond the last bound
+export const GAP_COLORS = ['#1a9850', '#91cf60', '#fee08b', '#fc8d59', '#d73027'];
+export const GAP_THRESHOLDS = [400, 800, 1200, 1600];
+export const DEFAULT_GAP_THRESHOLD = 800;
+export const GAP_CELL_SIZE = 250; // meters
+
+// Bucket size of the spatial index, in meters
+const INDEX_BUCKET_SIZE = 500;
+const DEG_TO_METERS = (Math.PI * 6371e3) / 180;
+
+export const getGapColor = (distance) => {
+    const index = GAP_CLASSES.findIndex(max => distance <= max);
+    return GAP_COLORS[index === -1 ? GAP_COLORS.length - 1 : index];
+};
+
+/**
+ * Bucket grid over facility bounding boxes, for nearest-facility queries.
+ * A facility is filed under every bucket its bounding box touches, so large
+ * parks are found from any side.
+ * @param {Array} features - GeoJSON features
+ * @returns {Object} { nearest(lat, lon) } returning { feature, distance } or null when empty
+ */
+export const createSpatialIndex = (features) => {
+    const withBounds = features
+        .map(feature => ({ feature, bounds: getBounds(feature.geometry) }))
+        .filter(entry => entry.bounds);
+    if (withBounds.length === 0) return { nearest: () => null };
+
+    // Bucket sizes in degrees, taken at the middle latitude of the facilities
+    const extent = getBounds(withBounds.map(entry => entry.feature.geometry));
+    const midLat = (extent[0][0] + extent[1][0]) / 2;
+    const latStep = INDEX_BUCKET_SIZE / DEG_TO_METERS;
+    const lonStep = INDEX_BUCKET_SIZE / (DEG_TO_METERS * Math.cos((midLat * Math.PI) / 180));
+    const row = (lat) => Math.floor((lat - extent[0][0]) / latStep);
+    const col = (lon) => Math.floor((lon - extent[0][1]) / lonStep);
+
+    const buckets = new Map();
+    withBounds.forEach(({ feature, bounds: [[south, west], [north, east]] }) => {
+        for (let r = row(south); r <= row(north); r++) {
+            for (let c = col(west); c <= col(east); c++) {
+                const key = `${r}:${c}`;
+                if (!buckets.has(key)) buckets.set(key, []);
+                buckets.get(key).push(feature);
+            }
+        }
+    });
+    const maxRow = row(extent[1][0]);
+    const maxCol = col(extent[1][1]);
+
+    // Search rings of buckets outwards; anything beyond ring r is at least r buckets away
+    const nearest = (lat, lon) => {
+        const r0 = row(lat);
+        const c0 = col(lon);
+        const maxRing = Math.max(r0, c0, maxRow - r0, maxCol - c0, 0);
+        const seen = new Set();
+        let best = null;
+
+        for (let ring = 0; ring <= maxRing; ring++) {
+            if (best && best.distance <= (ring - 1) * INDEX_BUCKET_SIZE) break;
+            for (let r = r0 - ring; r <= r0 + ring; r++) {
+                for (let c = c0 - ring; c <= c0 + ring; c++) {
+                    if (Math.max(Math.abs(r - r0), Math.abs(c - c0)) !== ring) continue;
+                    (buckets.get(`${r}:${c}`) || []).forEach(feature => {
+                        if (seen.has(feature)) return;
+                        seen.add(feature);
+                        const distance = distanceToGeometry(lat, lon, feature.geometry);
+                        if (!best || distance < best.distance) best = { feature, distance };
+                    });
+                }
+            }
+        }
+        return best;
+    };
+
+    return { nearest };
+};
+
+/**
+ * Measure a grid of cells against the nearest facility
+ * @param {Array} facilities - GeoJSON features of the chosen types
+ * @param {Array} boundaries - Committee area features with `properties.name`; cells outside
+ *   every area are dropped. When empty the grid covers the facilities' extent.
+ * @param {number} cellSize - Cell width in meters
+ * @returns {Array} Cells as described above; empty when there are no facilities
+ */
+export const buildGapGrid = (facilities, boundaries = [], cellSize = GAP_CELL_SIZE) => {
+    if (facilities.length === 0) return [];
+    const extent = getBounds((boundaries.length > 0 ? boundaries : facilities).map(f => f.geometry));
+    if (!extent) return [];
+
+    const [[south, west], [north, east]] = extent;
+    const latStep = cellSize / DEG_TO_METERS;
+    const lonStep = cellSize / (DEG_TO_METERS * Math.cos((((south + north) / 2) * Math.PI) / 180));
+    // Boundary boxes skip the polygon test for areas nowhere near a cell
+    const areas = boundaries.map(b => ({ name: b.properties.name, geometry: b.geometry, bounds: getBounds(b.geometry) }));
+    const index = createSpatialIndex(facilities);
+    const cells = [];
+
+    for (let lat = south; lat < north; lat += latStep) {
+        for (let lon = west; lon < east; lon += lonStep) {
+            const center = [lat + latStep / 2, lon + lonStep / 2];
+            let area = null;
+            if (areas.length > 0) {
+                const [cLat, cLon] = center;
+                area = areas.find(a => a.bounds &&
+                    cLat >= a.bounds[0][0] && cLat <= a.bounds[1][0] &&
+                    cLon >= a.bounds[0][1] && cLon <= a.bounds[1][1] &&
+                    pointInGeometry([cLon, cLat], a.geometry));
+                if (!area) continue;
+            }
+
+            const nearest = index.nearest(...center);
+            cells.push({
+                id: `${cells.length}`,
+                bounds: [[lat, lon], [lat + latStep, lon + lonStep]],
+                center,
+                area: area?.name ?? null,
+                distance: nearest.distance,
+                nearest: nearest.feature
+            });
+        }
+    }
+    return cells;
+};
+
+/**
+ * Summarise a grid against a distance threshold
+ * @param {Array} cells - Cells from buildGapGrid
+ * @param {number} threshold - Meters; cells further than this from a facility are gaps
+ * @param {number} limit - Worst cells kept per area
+ * @returns {Object} { share, worstByArea } where `share` is the fraction of cells over the
+ *   threshold and `worstByArea` is [{ area, gaps, cells }], worst-served area first
+ */
+export const summariseGaps = (cells, threshold, limit = 3) => {
+    const byArea = new Map();
+    cells.forEach(cell => {
+        const key = cell.area ?? '';
+        if (!byArea.has(key)) byArea.set(key, []);
+        byArea.get(key).push(cell);
+    });
+
+    const worstByArea = Array.from(byArea, ([area, areaCells]) => {
+        const sorted = [...areaCells].sort((a, b) => b.distance - a.distance);
+        return {
+            area: area || null,
+            gaps: areaCells.filter(cell => cell.distance > threshold).length,
+            cells: sorted.slice(0, limit)
+        };
+    }).sort((a, b) => b.cells[0].distance - a.cells[0].distance);
+
+    return {
+        share: cells.length > 0 ? cells.filter(cell => cell.distance > threshold).length / cells.length : 0,
+        worstByArea
+    };
+};
+
+// A cell as a GeoJSON polygon feature, for drawing and for focusing the map on it
+export const cellToFeature = (cell) => {
+    const [[south, west], [north, east]] = cell.bounds;
+    return {
+        type: 'Feature',
+        geometry: {
+            type: 'Polygon',
+            coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]]
+        },
+        properties: { id: cell.id, area: cell.area, distance: cell.distance }
+    };
+};
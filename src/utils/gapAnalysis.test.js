@@ -0,0 +1,110 @@
+import { describe, expect, it } from 'vitest';
+import { distanceToGeometry } from './geometry';
+import { buildGapGrid, createSpatialIndex, getGapColor, summariseGaps } from './gapAnalysis';
+
+// Small deterministic generator, so failures reproduce
+const random = (seed) => () => {
+    seed = (seed * 1664525 + 1013904223) % 2 ** 32;
+    return seed / 2 ** 32;
+};
+
+const point = (lon, lat) => ({ type: 'Feature', properties: {}, geometry: { type: 'Point', coordinates: [lon, lat] } });
+
+const scatter = (count, next) => Array.from({ length: count }, () => point(-6.35 + next() * 0.2, 53.3 + next() * 0.1));
+
+const bruteForce = (features, lat, lon) => Math.min(...features.map(f => distanceToGeometry(lat, lon, f.geometry)));
+
+describe('createSpatialIndex', () => {
+    const next = random(7);
+    const features = [
+        ...scatter(200, next),
+        // A large park and a long greenway, filed under many buckets
+        {
+            type: 'Feature',
+            properties: {},
+            geometry: { type: 'Polygon', coordinates: [[[-6.32, 53.33], [-6.28, 53.33], [-6.28, 53.36], [-6.32, 53.36], [-6.32, 53.33]]] }
+        },
+        { type: 'Feature', properties: {}, geometry: { type: 'LineString', coordinates: [[-6.35, 53.31], [-6.15, 53.39]] } }
+    ];
+    const index = createSpatialIndex(features);
+
+    it('finds the same distance as a brute-force scan', () => {
+        for (let i = 0; i < 200; i++) {
+            const lat = 53.3 + next() * 0.1;
+            const lon = -6.35 + next() * 0.2;
+            const { feature, distance } = index.nearest(lat, lon);
+            expect(distance).toBeCloseTo(bruteForce(features, lat, lon), 6);
+            expect(distanceToGeometry(lat, lon, feature.geometry)).toBe(distance);
+        }
+    });
+
+    it('answers queries outside the indexed extent', () => {
+        [[53.2, -6.5], [53.5, -6.0], [53.35, -6.6], [53.1, -6.25], [53.45, -6.36]].forEach(([lat, lon]) => {
+            expect(index.nearest(lat, lon).distance).toBeCloseTo(bruteForce(features, lat, lon), 6);
+        });
+    });
+
+    it('finds a lone facility from far away', () => {
+        const lone = createSpatialIndex([point(-6.26, 53.35)]);
+        expect(lone.nearest(53.0, -7.0).distance).toBeCloseTo(bruteForce([point(-6.26, 53.35)], 53.0, -7.0), 6);
+    });
+
+    it('returns null without facilities', () => {
+        expect(createSpatialIndex([]).nearest(53.35, -6.26)).toBeNull();
+        expect(createSpatialIndex([{ type: 'Feature', properties: {}, geometry: null }]).nearest(53.35, -6.26)).toBeNull();
+    });
+});
+
+describe('buildGapGrid', () => {
+    const facilities = scatter(30, random(11));
+    const boundary = {
+        type: 'Feature',
+        properties: { name: 'Central' },
+        geometry: { type: 'Polygon', coordinates: [[[-6.3, 53.32], [-6.2, 53.32], [-6.2, 53.38], [-6.3, 53.32]]] }
+    };
+
+    it('measures every cell centre to its nearest facility', () => {
+        const cells = buildGapGrid(facilities, [], 1000);
+        expect(cells.length).toBeGreaterThan(0);
+        cells.forEach(cell => {
+            expect(cell.distance).toBeCloseTo(bruteForce(facilities, ...cell.center), 6);
+        });
+    });
+
+    it('keeps only cells inside a committee area', () => {
+        const cells = buildGapGrid(facilities, [boundary], 500);
+        expect(cells.length).toBeGreaterThan(0);
+        cells.forEach(cell => {
+            const [lat, lon] = cell.center;
+            expect(cell.area).toBe('Central');
+            // Inside the triangle: south of its hypotenuse
+            expect(lat).toBeLessThanOrEqual(53.32 + (lon + 6.3) * 0.6);
+        });
+    });
+
+    it('is empty without facilities', () => {
+        expect(buildGapGrid([], [boundary])).toEqual([]);
+    });
+});
+
+describe('summariseGaps', () => {
+    it('counts gaps per area, worst-served first', () => {
+        const cells = [
+            { id: '0', area: 'North', distance: 300 },
+            { id: '1', area: 'North', distance: 900 },
+            { id: '2', area: 'South', distance: 1700 },
+            { id: '3', area: 'South', distance: 100 }
+        ];
+        const { share, worstByArea } = summariseGaps(cells, 800, 1);
+        expect(share).toBe(0.5);
+        expect(worstByArea.map(a => [a.area, a.gaps, a.cells[0].id])).toEqual([['South', 1, '2'], ['North', 1, '1']]);
+    });
+});
+
+describe('getGapColor', () => {
+    it('uses the last colour beyond the last class', () => {
+        expect(getGapColor(0)).toBe('#1a9850');
+        expect(getGapColor(200)).toBe('#1a9850');
+        expect(getGapColor(5000)).toBe('#d73027');
+    });
+});
@@ -0,0 +1,329 @@
+// Geometry helpers shared by the map, exports, routing and region queries.
+// Every function accepts any GeoJSON geometry type, including GeometryCollection.
+// Coordinates are GeoJSON [lon, lat] pairs unless noted otherwise.
+
+// Haversine formula to calculate distance between two coordinates in meters
+export const calculateDistance = (lat1, lon1, lat2, lon2) => {
+    const R = 6371e3; // Earth's radius in meters
+    const φ1 = (lat1 * Math.PI) / 180;
+    const φ2 = (lat2 * Math.PI) / 180;
+    const Δφ = ((lat2 - lat1) * Math.PI) / 180;
+    const Δλ = ((lon2 - lon1) * Math.PI) / 180;
+
+    const a =
+        Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
+        Math.cos(φ1) * Math.cos(φ2) * Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
+    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+
+    return R * c; // Distance in meters
+};
+
+// Planar tests below work on [lon, lat] pairs, which is accurate enough at city scale
+
+// Ray casting test for a point inside a closed ring
+export const pointInRing = ([x, y], ring) => {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+};
+
+// Inside the outer ring and outside every hole
+export const pointInPolygon = (point, rings) =>
+    pointInRing(point, rings[0]) && !rings.slice(1).some(hole => pointInRing(point, hole));
+
+const orientation = (p, q, r) => Math.sign((q[1] - p[1]) * (r[0] - q[0]) - (q[0] - p[0]) * (r[1] - q[1]));
+
+const onSegment = (p, q, r) =>
+    Math.min(p[0], r[0]) <= q[0] && q[0] <= Math.max(p[0], r[0]) &&
+    Math.min(p[1], r[1]) <= q[1] && q[1] <= Math.max(p[1], r[1]);
+
+export const segmentsIntersect = (p1, p2, q1, q2) => {
+    const o1 = orientation(p1, p2, q1);
+    const o2 = orientation(p1, p2, q2);
+    const o3 = orientation(q1, q2, p1);
+    const o4 = orientation(q1, q2, p2);
+
+    if (o1 !== o2 && o3 !== o4) return true;
+    // Collinear cases
+    return (o1 === 0 && onSegment(p1, q1, p2)) ||
+        (o2 === 0 && onSegment(p1, q2, p2)) ||
+        (o3 === 0 && onSegment(q1, p1, q2)) ||
+        (o4 === 0 && onSegment(q1, p2, q2));
+};
+
+const linesCross = (a, b) => {
+    for (let i = 0; i < a.length - 1; i++) {
+        for (let j = 0; j < b.length - 1; j++) {
+            if (segmentsIntersect(a[i], a[i + 1], b[j], b[j + 1])) return true;
+        }
+    }
+    return false;
+};
+
+/**
+ * Whether a GeoJSON geometry touches or overlaps a polygon
+ * @param {Object} geometry - Any GeoJSON geometry
+ * @param {Array} polygon - Polygon rings as [lon, lat] pairs, outer ring first
+ * @returns {boolean}
+ */
+export const geometryIntersectsPolygon = (geometry, polygon) => {
+    if (!geometry) return false;
+    const { type, coordinates } = geometry;
+    const [outer] = polygon;
+
+    switch (type) {
+        case 'Point':
+            return pointInPolygon(coordinates, polygon);
+        case 'MultiPoint':
+            return coordinates.some(p => pointInPolygon(p, polygon));
+        case 'LineString':
+            return coordinates.some(p => pointInPolygon(p, polygon)) || polygon.some(ring => linesCross(coordinates, ring));
+        case 'MultiLineString':
+            return coordinates.some(line => geometryIntersectsPolygon({ type: 'LineString', coordinates: line }, polygon));
+        case 'Polygon':
+            return coordinates[0].some(p => pointInPolygon(p, polygon)) ||
+                outer.some(p => pointInPolygon(p, coordinates)) ||
+                coordinates.some(ring => linesCross(ring, outer));
+        case 'MultiPolygon':
+            return coordinates.some(rings => geometryIntersectsPolygon({ type: 'Polygon', coordinates: rings }, polygon));
+        case 'GeometryCollection':
+            return geometry.geometries.some(g => geometryIntersectsPolygon(g, polygon));
+        default:
+            return false;
+    }
+};
+
+const DEG_TO_METERS = (Math.PI * 6371e3) / 180;
+
+// Polygon parts of a geometry, as arrays of rings
+const polygonsOf = (geometry) => {
+    switch (geometry?.type) {
+        case 'Polygon':
+            return [geometry.coordinates];
+        case 'MultiPolygon':
+            return geometry.coordinates;
+        case 'GeometryCollection':
+            return geometry.geometries.flatMap(polygonsOf);
+        default:
+            return [];
+    }
+};
+
+// Whether a [lon, lat] point lies inside any polygon part of a geometry
+export const pointInGeometry = (point, geometry) =>
+    polygonsOf(geometry).some(rings => pointInPolygon(point, rings));
+
+// Calls `visit(a, b)` for every segment and `visit(a)` for every lone point
+const eachPart = (geometry, visit) => {
+    if (!geometry) return;
+    const { type, coordinates } = geometry;
+    const line = (coords) => {
+        if (coords.length === 1) visit(coords[0]);
+        for (let i = 0; i < coords.length - 1; i++) visit(coords[i], coords[i + 1]);
+    };
+
+    switch (type) {
+        case 'Point':
+            visit(coordinates);
+            break;
+        case 'MultiPoint':
+            coordinates.forEach(p => visit(p));
+            break;
+        case 'LineString':
+            line(coordinates);
+            break;
+        case 'MultiLineString':
+        case 'Polygon':
+            coordinates.forEach(line);
+            break;
+        case 'MultiPolygon':
+            coordinates.forEach(rings => rings.forEach(line));
+            break;
+        case 'GeometryCollection':
+            geometry.geometries.forEach(g => eachPart(g, visit));
+            break;
+        default:
+            break;
+    }
+};
+
+// Signed area (in square degrees) and centroid of a closed ring, by the shoelace formula
+const ringMoments = (ring) => {
+    let area = 0, x = 0, y = 0;
+    for (let i = 0; i < ring.length - 1; i++) {
+        const [x0, y0] = ring[i];
+        const [x1, y1] = ring[i + 1];
+        const cross = x0 * y1 - x1 * y0;
+        area += cross;
+        x += (x0 + x1) * cross;
+        y += (y0 + y1) * cross;
+    }
+    area /= 2;
+    return area === 0 ? { area: 0, x: 0, y: 0 } : { area: Math.abs(area), x: x / (6 * area), y: y / (6 * area) };
+};
+
+/**
+ * Centroid of a geometry, as [lon, lat].
+ * Polygons are weighted by area (holes subtract), lines by length and points equally.
+ * Only the highest dimension present counts, so a collection of a park and a gate
+ * is centred on the park. Degenerate polygons fall back to their outline.
+ * The centroid of a concave shape can lie outside it; see getRepresentativePoint.
+ * @param {Object} geometry - Any GeoJSON geometry
+ * @returns {Array|null} [lon, lat] or null for empty geometries
+ */
+export const getCentroid = (geometry) => {
+    // Weighted sums per dimension: 0 points, 1 lines, 2 areas
+    const sums = [0, 1, 2].map(() => ({ w: 0, x: 0, y: 0 }));
+    const add = (dim, x, y, w) => {
+        sums[dim].w += w;
+        sums[dim].x += x * w;
+        sums[dim].y += y * w;
+    };
+
+    polygonsOf(geometry).forEach(rings => rings.forEach((ring, i) => {
+        const { area, x, y } = ringMoments(ring);
+        add(2, x, y, i === 0 ? area : -area);
+    }));
+    eachPart(geometry, (a, b) => {
+        if (!b) {
+            add(0, a[0], a[1], 1);
+            return;
+        }
+        // Longitude degrees shrink with latitude, so scale before measuring
+        const dx = (b[0] - a[0]) * Math.cos(((a[1] + b[1]) / 2) * Math.PI / 180);
+        const length = Math.hypot(dx, b[1] - a[1]);
+        add(1, (a[0] + b[0]) / 2, (a[1] + b[1]) / 2, length);
+        // Keep vertices too, for lines of zero length
+        add(0, a[0], a[1], 1);
+    });
+
+    const best = [...sums].reverse().find(s => s.w > 1e-12);
+    return best ? [best.x / best.w, best.y / best.w] : null;
+};
+
+// Projects [lon, lat] to meters on a plane centred at `origin` (equirectangular, fine at city scale)
+const projector = ([lon0, lat0]) => {
+    const kx = DEG_TO_METERS * Math.cos((lat0 * Math.PI) / 180);
+    return ([lon, lat]) => [(lon - lon0) * kx, (lat - lat0) * DEG_TO_METERS];
+};
+
+// Closest point of segment ab (projected) to the origin, as a fraction along ab
+const closestFraction = (a, b) => {
+    const dx = b[0] - a[0];
+    const dy = b[1] - a[1];
+    const lengthSq = dx * dx + dy * dy;
+    if (lengthSq === 0) return 0;
+    return Math.max(0, Math.min(1, -(a[0] * dx + a[1] * dy) / lengthSq));
+};
+
+/**
+ * Nearest point of a geometry's vertices and edges to a location.
+ * Polygon interiors are not considered; use distanceToGeometry for that.
+ * @param {Object} geometry - Any GeoJSON geometry
+ * @param {Array} point - [lon, lat]
+ * @returns {Object|null} { point: [lon, lat], distance } with distance in meters
+ */
+export const nearestPointOnGeometry = (geometry, point) => {
+    const project = projector(point);
+    let best = null;
+
+    eachPart(geometry, (a, b) => {
+        let candidate = a;
+        if (b) {
+            const t = closestFraction(project(a), project(b));
+            candidate = [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+        }
+        const [x, y] = project(candidate);
+        const distance = Math.hypot(x, y);
+        if (!best || distance < best.distance) best = { point: candidate, distance };
+    });
+    return best;
+};
+
+/**
+ * Distance in meters from a location to the nearest part of a geometry.
+ * Zero inside a polygon, so "within 500 m of a park" is measured to its boundary.
+ * @param {number} lat - Latitude of the location
+ * @param {number} lon - Longitude of the location
+ * @param {Object} geometry - Any GeoJSON geometry
+ * @returns {number} Meters, or Infinity for empty geometries
+ */
+export const distanceToGeometry = (lat, lon, geometry) => {
+    if (!geometry) return Infinity;
+    if (geometry.type === 'Point') {
+        const [pLon, pLat] = geometry.coordinates;
+        return calculateDistance(lat, lon, pLat, pLon);
+    }
+    if (pointInGeometry([lon, lat], geometry)) return 0;
+    return nearestPointOnGeometry(geometry, [lon, lat])?.distance ?? Infinity;
+};
+
+/**
+ * Bounding box of one or more geometries, in Leaflet order
+ * @param {Object|Array} geometries - A GeoJSON geometry or an array of them
+ * @returns {Array|null} [[south, west], [north, east]] or null when empty
+ */
+export const getBounds = (geometries) => {
+    let west = Infinity, south = Infinity, east = -Infinity, north = -Infinity;
+    const list = Array.isArray(geometries) ? geometries : [geometries];
+    list.forEach(geometry => eachPart(geometry, (...points) => points.forEach(([x, y]) => {
+        west = Math.min(west, x);
+        east = Math.max(east, x);
+        south = Math.min(south, y);
+        north = Math.max(north, y);
+    })));
+    return Number.isFinite(west) ? [[south, west], [north, east]] : null;
+};
+
+// Midpoint of the widest span of a polygon along the horizontal line through `y`
+const scanlinePoint = (rings, y) => {
+    const xs = [];
+    rings.forEach(ring => {
+        for (let i = 0; i < ring.length - 1; i++) {
+            const [x0, y0] = ring[i];
+            const [x1, y1] = ring[i + 1];
+            if ((y0 > y) !== (y1 > y)) xs.push(x0 + ((y - y0) / (y1 - y0)) * (x1 - x0));
+        }
+    });
+    xs.sort((a, b) => a - b);
+
+    let best = null;
+    for (let i = 0; i + 1 < xs.length; i += 2) {
+        if (!best || xs[i + 1] - xs[i] > best[1] - best[0]) best = [xs[i], xs[i + 1]];
+    }
+    return best && [(best[0] + best[1]) / 2, y];
+};
+
+/**
+ * Where to place a single marker or link for a geometry, as [lon, lat].
+ * Unlike the centroid this always lies on the geometry: inside a polygon
+ * (even a crescent-shaped one) and on a line.
+ * @param {Object} geometry - Any GeoJSON geometry
+ * @returns {Array|null} [lon, lat] or null for empty geometries
+ */
+export const getRepresentativePoint = (geometry) => {
+    if (!geometry) return null;
+    if (geometry.type === 'Point') return geometry.coordinates;
+
+    const centroid = getCentroid(geometry);
+    if (!centroid) return null;
+
+    const polygons = polygonsOf(geometry);
+    if (polygons.length > 0) {
+        if (polygons.some(rings => pointInPolygon(centroid, rings))) return centroid;
+        // Fall back to the largest part, cut through its own centroid
+        const largest = polygons.reduce((a, b) => (ringMoments(b[0]).area > ringMoments(a[0]).area ? b : a));
+        const partCentroid = getCentroid({ type: 'Polygon', coordinates: largest });
+        if (partCentroid && pointInPolygon(partCentroid, largest)) return partCentroid;
+        const inside = partCentroid && scanlinePoint(largest, partCentroid[1]);
+        if (inside) return inside;
+    }
+
+    return nearestPointOnGeometry(geometry, centroid)?.point ?? centroid;
+};
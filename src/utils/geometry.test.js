@@ -0,0 +1,155 @@
+import { describe, expect, it } from 'vitest';
+import {
+    calculateDistance,
+    distanceToGeometry,
+    geometryIntersectsPolygon,
+    getBounds,
+    getCentroid,
+    getRepresentativePoint,
+    pointInPolygon
+} from './geometry';
+
+const square = (x, y, size) => [[x, y], [x + size, y], [x + size, y + size], [x, y + size], [x, y]];
+
+describe('getCentroid', () => {
+    it('subtracts holes from a polygon', () => {
+        // 4×4 square centred on (2, 2) minus a 2×2 hole centred on (1, 1)
+        const [x, y] = getCentroid({ type: 'Polygon', coordinates: [square(0, 0, 4), square(0, 0, 2)] });
+        expect(x).toBeCloseTo(7 / 3);
+        expect(y).toBeCloseTo(7 / 3);
+    });
+
+    it('weights the parts of a multipolygon by area', () => {
+        const [x, y] = getCentroid({
+            type: 'MultiPolygon',
+            coordinates: [[square(0, 0, 2)], [square(4, 0, 4)]]
+        });
+        expect(x).toBeCloseTo(5);
+        expect(y).toBeCloseTo(1.8);
+    });
+
+    it('uses only the highest dimension of a mixed collection', () => {
+        const [x, y] = getCentroid({
+            type: 'GeometryCollection',
+            geometries: [
+                { type: 'Polygon', coordinates: [square(0, 0, 2)] },
+                { type: 'LineString', coordinates: [[10, 10], [20, 10]] },
+                { type: 'Point', coordinates: [30, 30] }
+            ]
+        });
+        expect(x).toBeCloseTo(1);
+        expect(y).toBeCloseTo(1);
+    });
+
+    it('returns null for an empty geometry', () => {
+        expect(getCentroid({ type: 'GeometryCollection', geometries: [] })).toBeNull();
+    });
+});
+
+describe('distanceToGeometry', () => {
+    const park = { type: 'Polygon', coordinates: [square(-6.27, 53.34, 0.01)] };
+
+    it('is zero inside a polygon', () => {
+        expect(distanceToGeometry(53.345, -6.265, park)).toBe(0);
+    });
+
+    it('is zero on a polygon boundary', () => {
+        expect(distanceToGeometry(53.34, -6.265, park)).toBeCloseTo(0);
+        expect(distanceToGeometry(53.345, -6.27, park)).toBeCloseTo(0);
+    });
+
+    it('measures to the nearest stretch of a line', () => {
+        const greenway = { type: 'LineString', coordinates: [[-6.28, 53.35], [-6.24, 53.35]] };
+        const distance = distanceToGeometry(53.351, -6.26, greenway);
+        expect(distance).toBeCloseTo(calculateDistance(53.351, -6.26, 53.35, -6.26), 0);
+    });
+
+    it('is the straight-line distance to a point', () => {
+        const point = { type: 'Point', coordinates: [-6.26, 53.35] };
+        expect(distanceToGeometry(53.36, -6.26, point)).toBe(calculateDistance(53.36, -6.26, 53.35, -6.26));
+    });
+
+    it('is Infinity without a geometry', () => {
+        expect(distanceToGeometry(53.35, -6.26, null)).toBe(Infinity);
+    });
+});
+
+describe('getRepresentativePoint', () => {
+    // A U open at the top: its centroid falls in the gap between the arms
+    const uShape = {
+        type: 'Polygon',
+        coordinates: [[[0, 0], [3, 0], [3, 3], [2, 3], [2, 1], [1, 1], [1, 3], [0, 3], [0, 0]]]
+    };
+
+    it('lies inside a polygon whose centroid falls outside', () => {
+        expect(pointInPolygon(getCentroid(uShape), uShape.coordinates)).toBe(false);
+        expect(pointInPolygon(getRepresentativePoint(uShape), uShape.coordinates)).toBe(true);
+    });
+
+    it('is the centroid of a convex polygon', () => {
+        const point = getRepresentativePoint({ type: 'Polygon', coordinates: [square(0, 0, 2)] });
+        expect(point[0]).toBeCloseTo(1);
+        expect(point[1]).toBeCloseTo(1);
+    });
+
+    it('lies on a bent line', () => {
+        const [x, y] = getRepresentativePoint({ type: 'LineString', coordinates: [[0, 0], [0, 2], [2, 2]] });
+        expect(x === 0 || y === 2).toBe(true);
+    });
+});
+
+describe('getBounds', () => {
+    it('covers every geometry, in Leaflet order', () => {
+        expect(getBounds([
+            { type: 'Point', coordinates: [-6.3, 53.3] },
+            { type: 'LineString', coordinates: [[-6.25, 53.32], [-6.2, 53.4]] },
+            { type: 'Polygon', coordinates: [square(-6.28, 53.28, 0.01)] }
+        ])).toEqual([[53.28, -6.3], [53.4, -6.2]]);
+    });
+
+    it('accepts a single geometry', () => {
+        expect(getBounds({ type: 'Point', coordinates: [-6.26, 53.35] })).toEqual([[53.35, -6.26], [53.35, -6.26]]);
+    });
+
+    it('returns null when there is nothing to bound', () => {
+        expect(getBounds([])).toBeNull();
+        expect(getBounds([null])).toBeNull();
+    });
+});
+
+describe('geometryIntersectsPolygon', () => {
+    const region = [square(0, 0, 10)];
+
+    it('finds points inside', () => {
+        expect(geometryIntersectsPolygon({ type: 'Point', coordinates: [5, 5] }, region)).toBe(true);
+        expect(geometryIntersectsPolygon({ type: 'Point', coordinates: [15, 5] }, region)).toBe(false);
+    });
+
+    it('finds lines crossing without a vertex inside', () => {
+        expect(geometryIntersectsPolygon({ type: 'LineString', coordinates: [[-5, 5], [15, 5]] }, region)).toBe(true);
+        expect(geometryIntersectsPolygon({ type: 'LineString', coordinates: [[-5, 15], [15, 15]] }, region)).toBe(false);
+    });
+
+    it('finds polygons overlapping, containing or inside the region', () => {
+        expect(geometryIntersectsPolygon({ type: 'Polygon', coordinates: [square(8, 8, 4)] }, region)).toBe(true);
+        expect(geometryIntersectsPolygon({ type: 'Polygon', coordinates: [square(-5, -5, 20)] }, region)).toBe(true);
+        expect(geometryIntersectsPolygon({ type: 'Polygon', coordinates: [square(2, 2, 2)] }, region)).toBe(true);
+        expect(geometryIntersectsPolygon({ type: 'Polygon', coordinates: [square(20, 20, 2)] }, region)).toBe(false);
+    });
+
+    it('ignores points in a hole of the region', () => {
+        const withHole = [square(0, 0, 10), square(4, 4, 2)];
+        expect(geometryIntersectsPolygon({ type: 'Point', coordinates: [5, 5] }, withHole)).toBe(false);
+    });
+
+    it('checks every part of a collection', () => {
+        expect(geometryIntersectsPolygon({
+            type: 'GeometryCollection',
+            geometries: [
+                { type: 'Point', coordinates: [20, 20] },
+                { type: 'MultiPoint', coordinates: [[30, 30], [1, 1]] }
+            ]
+        }, region)).toBe(true);
+        expect(geometryIntersectsPolygon(null, region)).toBe(false);
+    });
+});
@@ -0,0 +1,83 @@
+// UI translations and locale-aware number formatting.
+//
+// Message catalogs live in src/locales, one module per language. Messages are looked up
+// by dotted key and may hold {placeholders}; a message that varies with a count maps
+// Intl.PluralRules categories to strings (Irish uses one, two, few, many and other).
+// Missing messages fall back to English, then to the key itself.
+
+import en from '../locales/en';
+import ga from '../locales/ga';
+
+export const LOCALES = {
+    en: { label: 'English', messages: en },
+    ga: { label: 'Gaeilge', messages: ga }
+};
+
+export const DEFAULT_LOCALE = 'en';
+
+let locale = DEFAULT_LOCALE;
+let pluralRules = new Intl.PluralRules(locale);
+const numberFormats = new Map();
+
+/**
+ * The user's saved choice, else the first browser language we have a catalog for
+ * @param {string|null} saved - Locale chosen on an earlier visit
+ * @returns {string} A key of LOCALES
+ */
+export const getInitialLocale = (saved) => {
+    if (LOCALES[saved]) return saved;
+    const preferred = (navigator.languages || [navigator.language])
+        .map(tag => tag?.split('-')[0])
+        .find(code => LOCALES[code]);
+    return preferred || DEFAULT_LOCALE;
+};
+
+// Switch the language used by `t` and the formatters; callers re-render afterwards
+export const setLocale = (code) => {
+    locale = LOCALES[code] ? code : DEFAULT_LOCALE;
+    pluralRules = new Intl.PluralRules(locale);
+    numberFormats.clear();
+    document.documentElement.lang = locale;
+};
+
+export const getLocale = () => locale;
+
+const lookup = (messages, key) =>
+    key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), messages);
+
+export const formatNumber = (value, options = {}) => {
+    const cacheKey = JSON.stringify(options);
+    if (!numberFormats.has(cacheKey)) numberFormats.set(cacheKey, new Intl.NumberFormat(locale, options));
+    return numberFormats.get(cacheKey).format(value);
+};
+
+/**
+ * Translate a message key
+ * @param {string} key - Dotted path into the catalog, e.g. 'results.found'
+ * @param {Object} params - Placeholder values; numbers are formatted for the locale,
+ *   and `count` picks the plural form
+ * @returns {string}
+ */
+export const t = (key, params = {}) => {
+    let message = lookup(LOCALES[locale].messages, key) ?? lookup(en, key);
+    if (message && typeof message === 'object') {
+        const forms = message;
+        message = forms[pluralRules.select(params.count ?? 0)] ?? forms.other;
+    }
+    if (typeof message !== 'string') return key;
+
+    return message.replace(/\{(\w+)\}/g, (match, name) => {
+        const value = params[name];
+        if (value === undefined || value === null) return match;
+        return typeof value === 'number' ? formatNumber(value) : value;
+    });
+};
+
+/**
+ * Translated name for a data term such as a facility type or category,
+ * or the term itself when the catalogs don't know it
+ * @param {string} group - Catalog section, e.g. 'types'
+ * @param {string} term
+ */
+export const translateTerm = (group, term) =>
+    LOCALES[locale].messages[group]?.[term] ?? en[group]?.[term] ?? term;
@@ -0,0 +1,67 @@
+// Minimal promise wrapper around IndexedDB for local persistence.
+// All stores use out-of-line keys; values must be structured-cloneable.
+
+const DB_NAME = 'dublin-smart-map';
+const DB_VERSION = 3;
+const STORES = ['responses', 'snapshots', 'favourites', 'collections', 'presets'];
+
+let dbPromise = null;
+
+const openDB = () => {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not available'));
+            return;
+        }
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            STORES.forEach(name => {
+                if (!db.objectStoreNames.contains(name)) db.createObjectStore(name);
+            });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+    // Allow a later retry if opening failed (e.g. private browsing)
+    dbPromise.catch(() => { dbPromise = null; });
+    return dbPromise;
+};
+
+const withStore = async (storeName, mode, operation) => {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const request = operation(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve(request?.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+};
+
+export const idbGet = (store, key) => withStore(store, 'readonly', s => s.get(key));
+
+export const idbSet = (store, key, value) => withStore(store, 'readwrite', s => s.put(value, key));
+
+export const idbDelete = (store, key) => withStore(store, 'readwrite', s => s.delete(key));
+
+export const idbGetAll = (store) => withStore(store, 'readonly', s => s.getAll());
+
+// [key, value] pairs of a store, in key order
+export const idbEntries = (store) => {
+    const entries = [];
+    return withStore(store, 'readonly', s => {
+        const request = s.openCursor();
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return;
+            entries.push([cursor.key, cursor.value]);
+            cursor.continue();
+        };
+        return request;
+    }).then(() => entries);
+};
+
+export const idbClear = (store) => withStore(store, 'readwrite', s => s.clear());
@@ -0,0 +1,209 @@
+// Helpers for displaying a resource record from the knowledge graph.
+//
+// The record is read with buildRecordQuery through the `/sparql` pass-through (see sparql.js),
+// and its results turned by recordRows into one row per triple touching the resource:
+//   { predicate, object, objectType: 'uri' | 'literal', datatype?, lang?,
+//     predicateLabel?, objectLabel?, direction: 'out' | 'in' }
+// Incoming rows (`direction: 'in'`) have the linking resource in `object`.
+
+import { getLocale, t } from './i18n';
+
+export const PREFIXES = {
+    rdf: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
+    rdfs: 'http://www.w3.org/2000/01/rdf-schema#',
+    xsd: 'http://www.w3.org/2001/XMLSchema#',
+    owl: 'http://www.w3.org/2002/07/owl#',
+    skos: 'http://www.w3.org/2004/02/skos/core#',
+    schema: 'http://schema.org/',
+    dct: 'http://purl.org/dc/terms/',
+    dcat: 'http://www.w3.org/ns/dcat#',
+    foaf: 'http://xmlns.com/foaf/0.1/',
+    geo: 'http://www.opengis.net/ont/geosparql#',
+    prov: 'http://www.w3.org/ns/prov#',
+    vcard: 'http://www.w3.org/2006/vcard/ns#'
+};
+
+const RDF_TYPE = `${PREFIXES.rdf}type`;
+const LABEL_PREDICATES = [`${PREFIXES.rdfs}label`, `${PREFIXES.schema}name`, `${PREFIXES.skos}prefLabel`, `${PREFIXES.foaf}name`];
+
+// Geometry literals are huge and already drawn on the map
+const HIDDEN_PREDICATES = [`${PREFIXES.geo}asWKT`, `${PREFIXES.geo}asGeoJSON`];
+
+// Sections are matched on the predicate's local name, in this order; their titles are
+// `record.sections.<key>` in the message catalogs
+const SECTIONS = [
+    { key: 'hours', test: /openinghours|hours|opens|closes|dayofweek|holiday/i },
+    { key: 'accessibility', test: /access|wheelchair|disab|stepfree|hearing|braille|toilet/i },
+    { key: 'contact', test: /telephone|phone|email|mbox|fax|url|homepage|website|contact/i },
+    { key: 'provenance', test: /source|dataset|modified|updated|issued|created|publisher|licen[cs]e|derived|generated|attribution/i }
+];
+
+// Triples read per record; enough for any facility, bounded for hub resources such as areas
+const RECORD_LIMIT = 500;
+
+// Characters not allowed inside a SPARQL <IRI>, percent-encoded so a URI cannot break out of it
+const IRI_UNSAFE = /[\s<>"{}|^`\\]/g;
+const toIriRef = (uri) => `<${uri.replace(IRI_UNSAFE, encodeURIComponent)}>`;
+
+/**
+ * SPARQL query for every triple with the resource as subject or object, with labels
+ * for predicates and linked resources where the graph has them
+ * @param {string} uri
+ * @returns {string}
+ */
+export const buildRecordQuery = (uri) => {
+    const resource = toIriRef(uri);
+    return `PREFIX rdfs: <${PREFIXES.rdfs}>
+PREFIX schema: <${PREFIXES.schema}>
+
+SELECT ?direction ?predicate ?object ?predicateLabel ?objectLabel WHERE {
+  { ${resource} ?predicate ?object . BIND("out" AS ?direction) }
+  UNION
+  { ?object ?predicate ${resource} . BIND("in" AS ?direction) }
+  OPTIONAL { ?predicate rdfs:label ?predicateLabel }
+  OPTIONAL { ?object rdfs:label|schema:name ?objectLabel }
+}
+LIMIT ${RECORD_LIMIT}`;
+};
+
+/**
+ * Rows for buildRecord from the SPARQL JSON results of buildRecordQuery.
+ * A triple with several labels comes back once per label; it is kept once,
+ * preferring labels in `lang`, then untagged ones.
+ * @param {Object} json - { head, results: { bindings } }
+ * @param {string} lang - UI language, e.g. 'ga'
+ * @returns {Array} Rows as described at the top of this file
+ */
+export const recordRows = (json, lang) => {
+    const rank = (binding) => (!binding ? 3 : binding['xml:lang'] === lang ? 0 : !binding['xml:lang'] ? 1 : 2);
+    const better = (current, candidate) => (rank(candidate) < rank(current) ? candidate : current);
+    const triples = new Map();
+
+    (json?.results?.bindings || []).forEach(b => {
+        if (!b.predicate || !b.object) return;
+        const key = [b.direction?.value, b.predicate.value, b.object.type, b.object.value, b.object['xml:lang']].join('|');
+        const seen = triples.get(key);
+        if (seen) {
+            seen.predicateLabel = better(seen.predicateLabel, b.predicateLabel);
+            seen.objectLabel = better(seen.objectLabel, b.objectLabel);
+            return;
+        }
+        triples.set(key, { binding: b, predicateLabel: b.predicateLabel, objectLabel: b.objectLabel });
+    });
+
+    return Array.from(triples.values(), ({ binding, predicateLabel, objectLabel }) => ({
+        predicate: binding.predicate.value,
+        object: binding.object.value,
+        objectType: binding.object.type === 'uri' ? 'uri' : 'literal',
+        datatype: binding.object.datatype,
+        lang: binding.object['xml:lang'],
+        predicateLabel: predicateLabel?.value,
+        objectLabel: objectLabel?.value,
+        direction: binding.direction?.value === 'in' ? 'in' : 'out'
+    }));
+};
+
+// Schema.org accepts both http and https namespaces
+const normalizeUri = (uri) => uri.replace(/^https:\/\/schema\.org\//, PREFIXES.schema);
+
+export const localName = (uri) => {
+    const match = /[#/]([^#/]+)\/?$/.exec(uri);
+    return match ? decodeURIComponent(match[1]) : uri;
+};
+
+// `schema:openingHours` for known namespaces, otherwise the full URI
+export const compactUri = (uri) => {
+    const normalized = normalizeUri(uri);
+    const entry = Object.entries(PREFIXES).find(([, ns]) => normalized.startsWith(ns));
+    return entry ? `${entry[0]}:${normalized.slice(entry[1].length)}` : uri;
+};
+
+// "openingHours" -> "Opening hours", "has_wheelchair_access" -> "Has wheelchair access"
+export const humanize = (name) => {
+    const words = name.replace(/[_-]+/g, ' ').replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase().trim();
+    return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+/**
+ * Display text for a literal, formatted by its XSD datatype
+ * @param {Object} value - { value, datatype, lang }
+ * @returns {string}
+ */
+export const formatLiteral = ({ value, datatype }) => {
+    const type = datatype ? localName(datatype) : null;
+    if (type === 'boolean') return value === 'true' || value === '1' ? t('record.yes') : t('record.no');
+    if (type === 'date' || type === 'dateTime') {
+        const date = new Date(value);
+        if (!Number.isNaN(date.getTime())) {
+            return type === 'date'
+                ? date.toLocaleDateString(getLocale(), { dateStyle: 'medium' })
+                : date.toLocaleString(getLocale(), { dateStyle: 'medium', timeStyle: 'short' });
+        }
+    }
+    return value;
+};
+
+/**
+ * Group the triples of a resource into labelled sections for the detail panel
+ * @param {string} uri - The resource the triples describe
+ * @param {Array} rows - Rows from recordRows
+ * @returns {Object} { uri, label, types, sections: [{key, properties}] }
+ *   where each property is { predicate, label, values: [{ value, isUri, label, datatype, lang }] }
+ */
+export const buildRecord = (uri, rows) => {
+    const outgoing = new Map();
+    const incoming = new Map();
+    let label = null;
+    const types = [];
+
+    rows.forEach(row => {
+        const predicate = normalizeUri(row.predicate);
+        const value = {
+            value: row.object,
+            isUri: row.objectType === 'uri',
+            label: row.objectLabel || null,
+            datatype: row.datatype || null,
+            lang: row.lang || null
+        };
+
+        if (row.direction === 'in') {
+            if (!incoming.has(predicate)) incoming.set(predicate, { predicate, label: row.predicateLabel, values: [] });
+            incoming.get(predicate).values.push(value);
+            return;
+        }
+        if (predicate === RDF_TYPE) {
+            types.push(value.label || localName(value.value));
+            return;
+        }
+        if (!label && LABEL_PREDICATES.includes(predicate) && !value.isUri) label = value.value;
+        if (HIDDEN_PREDICATES.includes(predicate)) return;
+
+        if (!outgoing.has(predicate)) outgoing.set(predicate, { predicate, label: row.predicateLabel, values: [] });
+        outgoing.get(predicate).values.push(value);
+    });
+
+    const allSections = [...SECTIONS, { key: 'related' }, { key: 'details' }];
+    const sections = new Map(allSections.map(s => [s.key, []]));
+    outgoing.forEach(property => {
+        const name = localName(property.predicate);
+        const section = SECTIONS.find(s => s.test.test(name))?.key
+            || (property.values.some(v => v.isUri) ? 'related' : 'details');
+        sections.get(section).push({ ...property, label: property.label || humanize(name) });
+    });
+
+    const grouped = allSections
+        .map(({ key }) => ({ key, properties: sections.get(key) }))
+        .filter(s => s.properties.length > 0);
+
+    if (incoming.size > 0) {
+        grouped.push({
+            key: 'incoming',
+            properties: Array.from(incoming.values(), p => ({ ...p, label: p.label || humanize(localName(p.predicate)) }))
+        });
+    }
+
+    return { uri, label: label || localName(uri), types, sections: grouped };
+};
+
+// Literal values that are themselves web links (homepages, emails, phone numbers)
+export const literalHref = (value) => (/^(https?:|mailto:|tel:)/.test(value) ? value : null);
@@ -0,0 +1,67 @@
+import { describe, expect, it } from 'vitest';
+import { buildRecord, buildRecordQuery, recordRows } from './linkedData';
+
+const term = (value, extra = {}) => ({ type: 'literal', value, ...extra });
+const iri = (value) => ({ type: 'uri', value });
+
+describe('buildRecordQuery', () => {
+    it('selects the triples in both directions', () => {
+        const query = buildRecordQuery('https://data.dublincity.ie/facility/library/pearse-street');
+        expect(query).toContain('{ <https://data.dublincity.ie/facility/library/pearse-street> ?predicate ?object .');
+        expect(query).toContain('{ ?object ?predicate <https://data.dublincity.ie/facility/library/pearse-street> .');
+    });
+
+    it('keeps the URI inside its IRI', () => {
+        const query = buildRecordQuery('http://example.org/a> } DROP ALL <b');
+        expect(query).toContain('<http://example.org/a%3E%20%7D%20DROP%20ALL%20%3Cb>');
+    });
+});
+
+describe('recordRows', () => {
+    it('maps bindings to record rows', () => {
+        const rows = recordRows({
+            results: {
+                bindings: [
+                    { direction: term('out'), predicate: iri('http://schema.org/name'), object: term('Pearse Street Library', { 'xml:lang': 'en' }) },
+                    { direction: term('in'), predicate: iri('http://schema.org/containsPlace'), object: iri('https://example.org/area/1') }
+                ]
+            }
+        }, 'en');
+        expect(rows).toEqual([
+            expect.objectContaining({ direction: 'out', predicate: 'http://schema.org/name', objectType: 'literal', lang: 'en' }),
+            expect.objectContaining({ direction: 'in', object: 'https://example.org/area/1', objectType: 'uri' })
+        ]);
+    });
+
+    it('keeps a triple once, with the label in the UI language', () => {
+        const binding = (label) => ({
+            direction: term('out'),
+            predicate: iri('http://purl.org/dc/terms/publisher'),
+            object: iri('https://www.dublincity.ie/'),
+            objectLabel: label
+        });
+        const rows = recordRows({
+            results: {
+                bindings: [
+                    binding(term('Dublin City Council', { 'xml:lang': 'en' })),
+                    binding(term('Comhairle Cathrach Bhaile Átha Cliath', { 'xml:lang': 'ga' }))
+                ]
+            }
+        }, 'ga');
+        expect(rows).toHaveLength(1);
+        expect(rows[0].objectLabel).toBe('Comhairle Cathrach Bhaile Átha Cliath');
+    });
+});
+
+describe('buildRecord', () => {
+    it('takes the label and types out of the sections', () => {
+        const record = buildRecord('https://example.org/pool', [
+            { direction: 'out', predicate: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type', object: 'http://schema.org/PublicSwimmingPool', objectType: 'uri' },
+            { direction: 'out', predicate: 'https://schema.org/name', object: 'Markievicz Leisure Centre', objectType: 'literal' },
+            { direction: 'out', predicate: 'http://schema.org/telephone', object: 'tel:+35316729121', objectType: 'literal' }
+        ]);
+        expect(record.label).toBe('Markievicz Leisure Centre');
+        expect(record.types).toEqual(['PublicSwimmingPool']);
+        expect(record.sections.map(s => s.key)).toEqual(['contact', 'details']);
+    });
+});
@@ -0,0 +1,243 @@
+// Client-side rendering of the map view to a canvas, for PNG and PDF export.
+//
+// Nothing is captured from the page: basemap and overlay tiles are fetched again with CORS
+// at the output zoom, so an image larger than the screen stays sharp, and facilities are
+// drawn from their GeoJSON. Markers are drawn unclustered, as on paper every one matters.
+
+import L from 'leaflet';
+import { getFacilityConfig, getMarkerSvg } from './facilityIcons';
+import { getRepresentativePoint } from './geometry';
+
+const TILE_SIZE = 256;
+const MAX_TILE_ZOOM = 19;
+const MARKER_SIZE = 22; // CSS px before scaling
+const EARTH_CIRCUMFERENCE = 40075016.686; // meters, at the equator
+const RING_COLOR = '#a855f7';
+const LOCATION_COLOR = '#2563eb';
+
+const loadImage = (src) => new Promise((resolve, reject) => {
+    const image = new Image();
+    image.crossOrigin = 'anonymous';
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error(`Could not load ${src}`));
+    image.src = src;
+});
+
+const tileUrl = ({ url, subdomains = ['a', 'b', 'c'] }, z, x, y) => url
+    .replace('{s}', subdomains[Math.abs(x + y) % subdomains.length])
+    .replace('{z}', z)
+    .replace('{x}', x)
+    .replace('{y}', y)
+    .replace('{r}', '');
+
+/**
+ * Ground distance covered by one pixel
+ * @param {number} lat - Latitude of the view centre
+ * @param {number} zoom - Map zoom, may be fractional
+ * @returns {number} Meters per pixel
+ */
+export const metersPerPixel = (lat, zoom) =>
+    (EARTH_CIRCUMFERENCE * Math.cos((lat * Math.PI) / 180)) / (TILE_SIZE * 2 ** zoom);
+
+// Draw the XYZ tiles covering the view; returns how many failed to load
+const drawTiles = async (ctx, layer, { origin, width, height, zoom, opacity = 1 }) => {
+    const tileZoom = Math.max(0, Math.min(Math.round(zoom), MAX_TILE_ZOOM));
+    const size = TILE_SIZE * 2 ** (zoom - tileZoom);
+    const count = 2 ** tileZoom;
+    const jobs = [];
+
+    for (let x = Math.floor(origin.x / size); x <= Math.floor((origin.x + width) / size); x++) {
+        for (let y = Math.max(0, Math.floor(origin.y / size)); y <= Math.min(count - 1, Math.floor((origin.y + height) / size)); y++) {
+            const wrappedX = ((x % count) + count) % count;
+            jobs.push(loadImage(tileUrl(layer, tileZoom, wrappedX, y)).then(image => ({ image, x, y })));
+        }
+    }
+
+    const results = await Promise.allSettled(jobs);
+    ctx.save();
+    ctx.globalAlpha = opacity;
+    results.forEach(result => {
+        if (result.status !== 'fulfilled') return;
+        const { image, x, y } = result.value;
+        // Rounded outwards so neighbouring tiles overlap rather than leave hairline gaps
+        const left = Math.floor(x * size - origin.x);
+        const top = Math.floor(y * size - origin.y);
+        ctx.drawImage(image, left, top, Math.ceil(size) + 1, Math.ceil(size) + 1);
+    });
+    ctx.restore();
+    return results.filter(r => r.status === 'rejected').length;
+};
+
+// One GetMap request for the whole view, in Web Mercator
+const drawWms = async (ctx, layer, { map, origin, width, height, zoom, opacity }) => {
+    const southWest = L.CRS.EPSG3857.project(map.unproject([origin.x, origin.y + height], zoom));
+    const northEast = L.CRS.EPSG3857.project(map.unproject([origin.x + width, origin.y], zoom));
+    const params = new URLSearchParams({
+        service: 'WMS',
+        request: 'GetMap',
+        version: '1.1.1',
+        layers: layer.layers,
+        styles: '',
+        format: 'image/png',
+        transparent: 'true',
+        srs: 'EPSG:3857',
+        bbox: [southWest.x, southWest.y, northEast.x, northEast.y].join(','),
+        width: String(Math.round(width)),
+        height: String(Math.round(height))
+    });
+    try {
+        const image = await loadImage(`${layer.url}${layer.url.includes('?') ? '&' : '?'}${params}`);
+        ctx.save();
+        ctx.globalAlpha = opacity;
+        ctx.drawImage(image, 0, 0, width, height);
+        ctx.restore();
+        return 0;
+    } catch {
+        return 1;
+    }
+};
+
+// Trace polygon rings and lines of a geometry as one path
+const tracePath = (ctx, geometry, toPixel) => {
+    const traceLine = (coords, close) => {
+        coords.forEach(([lon, lat], i) => {
+            const { x, y } = toPixel(lon, lat);
+            if (i === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        });
+        if (close) ctx.closePath();
+    };
+    switch (geometry?.type) {
+        case 'Polygon':
+            geometry.coordinates.forEach(ring => traceLine(ring, true));
+            break;
+        case 'MultiPolygon':
+            geometry.coordinates.forEach(polygon => polygon.forEach(ring => traceLine(ring, true)));
+            break;
+        case 'LineString':
+            traceLine(geometry.coordinates, false);
+            break;
+        case 'MultiLineString':
+            geometry.coordinates.forEach(line => traceLine(line, false));
+            break;
+        case 'GeometryCollection':
+            geometry.geometries.forEach(g => tracePath(ctx, g, toPixel));
+            break;
+        default:
+            break;
+    }
+};
+
+const isArea = (geometry) => geometry?.type === 'Polygon' || geometry?.type === 'MultiPolygon';
+
+// Marker images per type, rasterised from the same glyphs as the map markers
+const loadMarkerImages = async (types) => {
+    const entries = await Promise.all(types.map(async type => {
+        const svg = getMarkerSvg(type);
+        const image = await loadImage(`data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`);
+        return [type, image];
+    }));
+    return new Map(entries);
+};
+
+/**
+ * Render the map around its current centre to a canvas
+ * @param {L.Map} map - The Leaflet map, used for its centre and projection
+ * @param {Object} options
+ * @param {number} options.width - Canvas width in px
+ * @param {number} options.height - Canvas height in px
+ * @param {number} options.zoom - Zoom to render at; may be fractional and above the map's own
+ * @param {number} options.pixelRatio - Scale for marker sizes and line widths
+ * @param {Object} options.basemap - Entry of BASEMAPS
+ * @param {Object|null} options.overlay - { ...OVERLAY, opacity } when shown
+ * @param {Array} options.shapes - Area and line features, drawn as shapes
+ * @param {Array} options.points - Features drawn as markers
+ * @param {Object|null} options.ring - { lat, lon, radius } near-me circle, radius in meters
+ * @param {Object|null} options.location - { lat, lon } of the user
+ * @returns {Promise<Object>} { canvas, failedTiles }
+ */
+export const renderMapImage = async (map, {
+    width,
+    height,
+    zoom,
+    pixelRatio = 1,
+    basemap,
+    overlay = null,
+    shapes = [],
+    points = [],
+    ring = null,
+    location = null
+}) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width);
+    canvas.height = Math.round(height);
+    const ctx = canvas.getContext('2d');
+
+    const origin = map.project(map.getCenter(), zoom).subtract([width / 2, height / 2]);
+    const toPixel = (lon, lat) => map.project([lat, lon], zoom).subtract(origin);
+    const view = { map, origin, width, height, zoom };
+
+    ctx.fillStyle = '#f2f2f0';
+    ctx.fillRect(0, 0, width, height);
+
+    let failedTiles = await drawTiles(ctx, basemap, view);
+    if (overlay) {
+        failedTiles += overlay.type === 'wms'
+            ? await drawWms(ctx, overlay, { ...view, opacity: overlay.opacity })
+            : await drawTiles(ctx, overlay, { ...view, opacity: overlay.opacity });
+    }
+
+    ctx.lineJoin = 'round';
+    ctx.lineCap = 'round';
+    shapes.forEach(f => {
+        const { color } = getFacilityConfig(f.properties.type);
+        ctx.beginPath();
+        tracePath(ctx, f.geometry, toPixel);
+        if (isArea(f.geometry)) {
+            ctx.globalAlpha = 0.2;
+            ctx.fillStyle = color;
+            ctx.fill('evenodd');
+        }
+        ctx.globalAlpha = 0.9;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2 * pixelRatio;
+        ctx.stroke();
+        ctx.globalAlpha = 1;
+    });
+
+    if (ring) {
+        const center = toPixel(ring.lon, ring.lat);
+        ctx.beginPath();
+        ctx.arc(center.x, center.y, ring.radius / metersPerPixel(ring.lat, zoom), 0, 2 * Math.PI);
+        ctx.fillStyle = 'rgba(168, 85, 247, 0.08)';
+        ctx.fill();
+        ctx.setLineDash([8 * pixelRatio, 6 * pixelRatio]);
+        ctx.strokeStyle = RING_COLOR;
+        ctx.lineWidth = 2 * pixelRatio;
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+
+    const markerImages = await loadMarkerImages([...new Set(points.map(f => f.properties.type || ''))]);
+    const markerSize = MARKER_SIZE * pixelRatio;
+    points.forEach(f => {
+        const position = getRepresentativePoint(f.geometry);
+        if (!position) return;
+        const { x, y } = toPixel(position[0], position[1]);
+        if (x < -markerSize || y < -markerSize || x > width + markerSize || y > height + markerSize) return;
+        ctx.drawImage(markerImages.get(f.properties.type || ''), x - markerSize / 2, y - markerSize / 2, markerSize, markerSize);
+    });
+
+    if (location) {
+        const { x, y } = toPixel(location.lon, location.lat);
+        ctx.beginPath();
+        ctx.arc(x, y, 7 * pixelRatio, 0, 2 * Math.PI);
+        ctx.fillStyle = LOCATION_COLOR;
+        ctx.fill();
+        ctx.lineWidth = 3 * pixelRatio;
+        ctx.strokeStyle = '#ffffff';
+        ctx.stroke();
+    }
+
+    return { canvas, failedTiles };
+};
@@ -0,0 +1,122 @@
+// Offline support: basemap tile precaching and local facility snapshots
+
+import { idbGet, idbSet } from './idb';
+
+// Must match the cache name used for tiles in public/sw.js
+export const TILE_CACHE = 'dublin-tiles-v1';
+
+// South-west and north-east corners covering the Dublin City Council area
+export const DUBLIN_BOUNDS = [[53.29, -6.39], [53.42, -6.1]];
+
+const SNAPSHOT_STORE = 'snapshots';
+const FACILITY_SNAPSHOT_KEY = 'facilities';
+const PRECACHE_CONCURRENCY = 6;
+
+const lonToTileX = (lon, z) => Math.floor(((lon + 180) / 360) * 2 ** z);
+const latToTileY = (lat, z) => {
+    const rad = (lat * Math.PI) / 180;
+    return Math.floor(((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2) * 2 ** z);
+};
+
+const getTileRange = ([[south, west], [north, east]], z) => ({
+    minX: lonToTileX(west, z),
+    maxX: lonToTileX(east, z),
+    minY: latToTileY(north, z),
+    maxY: latToTileY(south, z)
+});
+
+export const countTiles = (zooms, bounds = DUBLIN_BOUNDS) => zooms.reduce((total, z) => {
+    const { minX, maxX, minY, maxY } = getTileRange(bounds, z);
+    return total + (maxX - minX + 1) * (maxY - minY + 1);
+}, 0);
+
+/**
+ * Build the tile URLs Leaflet would request for the given bounds and zoom levels
+ * @param {Object} basemap - Entry of BASEMAPS (utils/basemaps)
+ * @param {Array} zooms - Zoom levels to cover
+ * @param {boolean} retina - Whether the map requests @2x tiles
+ * @param {Array} bounds - [[south, west], [north, east]]
+ * @returns {Array} Tile URLs, using the same subdomain Leaflet picks for each tile
+ */
+export const getTileUrls = ({ url, subdomains }, zooms, retina, bounds = DUBLIN_BOUNDS) => {
+    const urls = [];
+    zooms.forEach(z => {
+        const { minX, maxX, minY, maxY } = getTileRange(bounds, z);
+        for (let x = minX; x <= maxX; x++) {
+            for (let y = minY; y <= maxY; y++) {
+                urls.push(url
+                    .replace('{s}', subdomains[Math.abs(x + y) % subdomains.length])
+                    .replace('{z}', z)
+                    .replace('{x}', x)
+                    .replace('{y}', y)
+                    .replace('{r}', retina ? '@2x' : ''));
+            }
+        }
+    });
+    return urls;
+};
+
+// Download tiles into the Cache Storage read by the service worker
+export const precacheTiles = async (urls, onProgress, signal) => {
+    const cache = await caches.open(TILE_CACHE);
+    let done = 0;
+    let failed = 0;
+    const queue = [...urls];
+
+    const worker = async () => {
+        while (queue.length > 0 && !signal?.aborted) {
+            const url = queue.shift();
+            try {
+                if (!(await cache.match(url))) {
+                    const response = await fetch(url, { mode: 'cors', signal });
+                    if (!response.ok) throw new Error(`Tile error: ${response.status}`);
+                    await cache.put(url, response);
+                }
+            } catch {
+                failed++;
+            }
+            done++;
+            onProgress?.(done, urls.length);
+        }
+    };
+
+    await Promise.all(Array.from({ length: PRECACHE_CONCURRENCY }, worker));
+    return { done, failed };
+};
+
+const featureKey = (f) => `${f.properties?.uri}|${f.properties?.type}`;
+
+// Merge newly loaded features into the local snapshot so offline searches
+// can draw on everything seen so far, not only the latest query
+export const saveFacilitySnapshot = async (features) => {
+    try {
+        const existing = await idbGet(SNAPSHOT_STORE, FACILITY_SNAPSHOT_KEY);
+        const merged = new Map((existing?.features || []).map(f => [featureKey(f), f]));
+        features.forEach(f => merged.set(featureKey(f), f));
+        await idbSet(SNAPSHOT_STORE, FACILITY_SNAPSHOT_KEY, {
+            features: Array.from(merged.values()),
+            storedAt: Date.now()
+        });
+    } catch (err) {
+        console.warn('Could not save offline snapshot:', err);
+    }
+};
+
+/**
+ * Answer a facility search from the local snapshot
+ * @param {Object} filters - {areaName, types}; empty values match everything
+ * @returns {Promise<Object|null>} {data, storedAt} in the /facilities response shape, or null
+ */
+export const searchFacilitySnapshot = async ({ areaName, types }) => {
+    try {
+        const snapshot = await idbGet(SNAPSHOT_STORE, FACILITY_SNAPSHOT_KEY);
+        if (!snapshot) return null;
+        const features = snapshot.features.filter(f =>
+            (!areaName || f.properties?.area === areaName) &&
+            (types.length === 0 || types.includes(f.properties?.type))
+        );
+        return { data: { type: 'FeatureCollection', features }, storedAt: snapshot.storedAt };
+    } catch {
+        return null;
+    }
+};
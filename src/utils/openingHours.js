@@ -0,0 +1,361 @@
+// Opening hours: parsing, "open at" checks and the week's schedule, in Dublin time.
+//
+// Facilities may carry either or both of
+//   properties.openingHours               OSM `opening_hours` syntax, which is also what
+//                                         schema:openingHours uses ("Mo-Fr 09:00-17:00")
+//   properties.openingHoursSpecification  schema.org OpeningHoursSpecification objects,
+//                                         as an array or a JSON string
+// Both are turned into rules { days, months, holiday, from, through, intervals, merge } applied
+// in order, a later matching rule replacing the hours of an earlier one, as in OSM. Rules with
+// `merge` (schema.org specifications) add up instead when they cover the same dates, so
+// "Monday 09:00-13:00" and "Monday 14:00-17:00" keep both halves of the day.
+// Days are 0 (Monday) to 6 (Sunday); intervals are [start, end] in minutes after midnight,
+// with end past 1440 for hours running over midnight. An empty list means closed.
+//
+// Times are compared as wall-clock times in Dublin: { year, month, day, weekday, minutes }
+// with month 1-12 and weekday 0 (Monday) to 6.
+
+const DUBLIN_TIME_ZONE = 'Europe/Dublin';
+const OSM_DAYS = ['Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa', 'Su'];
+const OSM_MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const SCHEMA_DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+const DAY_MINUTES = 24 * 60;
+
+// ---- Dates -----------------------------------------------------------------
+
+const wallTimeFormat = new Intl.DateTimeFormat('en-GB', {
+    timeZone: DUBLIN_TIME_ZONE,
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    hourCycle: 'h23'
+});
+
+// Weekday of a calendar date, 0 (Monday) to 6, independent of any time zone
+const weekdayOf = (year, month, day) => (new Date(Date.UTC(year, month - 1, day)).getUTCDay() + 6) % 7;
+
+const wallTime = (year, month, day, minutes = 0) => ({ year, month, day, weekday: weekdayOf(year, month, day), minutes });
+
+// Calendar arithmetic through UTC, which has no daylight saving jumps
+const addDays = ({ year, month, day }, days) => {
+    const date = new Date(Date.UTC(year, month - 1, day + days));
+    return wallTime(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate());
+};
+
+const dateKey = ({ year, month, day }) => `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+
+/**
+ * Wall-clock time in Dublin of an instant
+ * @param {Date} date
+ * @returns {Object} { year, month, day, weekday, minutes }
+ */
+export const toDublinTime = (date) => {
+    const parts = Object.fromEntries(wallTimeFormat.formatToParts(date).map(p => [p.type, Number(p.value)]));
+    return wallTime(parts.year, parts.month, parts.day, parts.hour * 60 + parts.minute);
+};
+
+/**
+ * Read a `datetime-local` input value ("2025-03-17T14:30"), taken as Dublin time
+ * @returns {Object|null} Wall time, or null when the value is incomplete
+ */
+export const parseWallTime = (value) => {
+    const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/.exec(value || '');
+    if (!match) return null;
+    const [year, month, day, hour, minute] = match.slice(1).map(Number);
+    return wallTime(year, month, day, hour * 60 + minute);
+};
+
+// The inverse of parseWallTime, for a `datetime-local` input
+export const formatWallTime = (time) => `${dateKey(time)}T${formatClock(time.minutes)}`;
+
+// ---- Irish public holidays -------------------------------------------------
+
+// Easter Sunday by the anonymous Gregorian algorithm
+const easterSunday = (year) => {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return wallTime(year, month, day);
+};
+
+const nthMonday = (year, month, n) => {
+    const first = wallTime(year, month, 1);
+    return addDays(first, ((7 - first.weekday) % 7) + (n - 1) * 7);
+};
+
+const lastMonday = (year, month) => {
+    const next = wallTime(month === 12 ? year + 1 : year, month === 12 ? 1 : month + 1, 1);
+    const last = addDays(next, -1);
+    return addDays(last, -last.weekday);
+};
+
+const holidayCache = new Map();
+
+/**
+ * Public holidays in Ireland for a year, with the day off given in lieu when a fixed-date
+ * holiday falls at the weekend
+ * @param {number} year
+ * @returns {Map} date key ("2025-03-17") -> holiday key, e.g. 'stPatricks'
+ */
+export const getIrishHolidays = (year) => {
+    if (holidayCache.has(year)) return holidayCache.get(year);
+
+    // St Brigid's Day: the first Monday of February, or 1 February when that is a Friday
+    const feb1 = wallTime(year, 2, 1);
+    const holidays = [
+        ['newYear', wallTime(year, 1, 1), true],
+        ...(year >= 2023 ? [['stBrigids', feb1.weekday === 4 ? feb1 : nthMonday(year, 2, 1), false]] : []),
+        ['stPatricks', wallTime(year, 3, 17), true],
+        ['easterMonday', addDays(easterSunday(year), 1), false],
+        ['may', nthMonday(year, 5, 1), false],
+        ['june', nthMonday(year, 6, 1), false],
+        ['august', nthMonday(year, 8, 1), false],
+        ['october', lastMonday(year, 10), false],
+        ['christmas', wallTime(year, 12, 25), true],
+        ['stStephens', wallTime(year, 12, 26), true]
+    ];
+
+    const result = new Map();
+    holidays.forEach(([key, date]) => result.set(dateKey(date), key));
+    holidays.forEach(([key, date, fixed]) => {
+        if (!fixed || date.weekday < 5) return;
+        let substitute = addDays(date, 1);
+        while (substitute.weekday >= 5 || result.has(dateKey(substitute))) substitute = addDays(substitute, 1);
+        result.set(dateKey(substitute), key);
+    });
+
+    holidayCache.set(year, result);
+    return result;
+};
+
+// Holiday key for a date, or null
+export const getHoliday = (date) => getIrishHolidays(date.year).get(dateKey(date)) || null;
+
+// ---- Parsing ---------------------------------------------------------------
+
+const parseClock = (text) => {
+    const match = /^(\d{1,2}):(\d{2})(?::\d{2})?$/.exec(text.trim());
+    if (!match) return null;
+    const minutes = Number(match[1]) * 60 + Number(match[2]);
+    return minutes <= DAY_MINUTES ? minutes : null;
+};
+
+const parseInterval = (text) => {
+    const [start, end] = text.split('-').map(parseClock);
+    if (start === null || end === null || end === undefined) return null;
+    // "22:00-02:00" runs into the next day
+    return [start, end <= start ? end + DAY_MINUTES : end];
+};
+
+// "Mo-Fr,Su" -> [0, 1, 2, 3, 4, 6]; ranges may wrap ("Fr-Mo")
+const parseRangeList = (text, names) => {
+    const values = [];
+    for (const part of text.split(',')) {
+        const [from, to] = part.split('-').map(name => names.indexOf(name));
+        if (from === -1 || to === -1) return null;
+        if (to === undefined) {
+            values.push(from);
+            continue;
+        }
+        for (let i = from; ; i = (i + 1) % names.length) {
+            values.push(i);
+            if (i === to) break;
+        }
+    }
+    return values;
+};
+
+const SELECTOR = /^(?:[A-Z][a-z]{1,2}(?:-[A-Z][a-z]{1,2})?)(?:,(?:[A-Z][a-z]{1,2}(?:-[A-Z][a-z]{1,2})?))*$/;
+
+// One OSM rule: "[months] [weekdays|PH] [times|off]"
+const parseOsmRule = (text) => {
+    const rule = { days: null, months: null, holiday: false, intervals: [] };
+    let rest = text.trim();
+    if (rest === '24/7') return { ...rule, days: ALL_DAYS, intervals: [[0, DAY_MINUTES]] };
+
+    const tokens = rest.split(/\s+/);
+    while (tokens.length > 0 && SELECTOR.test(tokens[0].replace(/,PH$|^PH,/, ''))) {
+        const token = tokens.shift();
+        const parts = token.split(',');
+        if (parts.includes('PH')) rule.holiday = true;
+        const plain = parts.filter(p => p !== 'PH').join(',');
+        if (!plain) continue;
+        const days = parseRangeList(plain, OSM_DAYS);
+        const months = days ? null : parseRangeList(plain, OSM_MONTHS);
+        if (days) rule.days = days;
+        else if (months) rule.months = months;
+        else return null;
+    }
+    if (tokens[0] === 'PH') {
+        tokens.shift();
+        rule.holiday = true;
+    }
+
+    rest = tokens.join(' ');
+    if (rest === '' || rest === 'off' || rest === 'closed') {
+        // "Mo-Fr" alone means open all day; "off" means closed
+        if (rest === '') rule.intervals = [[0, DAY_MINUTES]];
+    } else {
+        const intervals = rest.split(',').map(parseInterval);
+        if (intervals.some(i => !i)) return null;
+        rule.intervals = intervals;
+    }
+    // Without a weekday selector a rule covers every day, unless it is for holidays only
+    if (!rule.days && !rule.holiday) rule.days = ALL_DAYS;
+    if (!rule.days) rule.days = [];
+    return rule;
+};
+
+/**
+ * Parse OSM `opening_hours`. Covers weekday and month selectors, PH, times
+ * (including past midnight), "off" and "24/7"; anything else makes the value unknown.
+ * @param {string} text
+ * @returns {Array|null} Rules, or null when the value can't be read
+ */
+export const parseOsmOpeningHours = (text) => {
+    if (typeof text !== 'string' || !text.trim()) return null;
+    const rules = text.split(/;|\|\|/).map(s => s.trim()).filter(Boolean).map(parseOsmRule);
+    return rules.some(r => !r) ? null : rules;
+};
+
+const schemaDay = (value) => String(value).replace(/^https?:\/\/schema\.org\//, '');
+
+// Regular hours first, then holiday hours, then hours for given dates, so the more
+// specific specifications win whatever order they are listed in
+const specificity = (rule) => (rule.from || rule.through ? 2 : rule.holiday ? 1 : 0);
+
+/**
+ * Turn schema.org OpeningHoursSpecification objects into rules.
+ * A specification without opening times, or open "00:00" to "00:00", marks its days
+ * closed; one for `PublicHolidays` applies on Irish public holidays.
+ * @param {Array|string} specs
+ * @returns {Array|null}
+ */
+export const parseOpeningHoursSpecification = (specs) => {
+    let list = specs;
+    if (typeof list === 'string') {
+        try {
+            list = JSON.parse(list);
+        } catch {
+            return null;
+        }
+    }
+    if (!Array.isArray(list)) list = list ? [list] : [];
+    const rules = list.map(spec => {
+        const days = (Array.isArray(spec.dayOfWeek) ? spec.dayOfWeek : [spec.dayOfWeek]).filter(Boolean).map(schemaDay);
+        const opens = spec.opens ? parseClock(spec.opens) : null;
+        const closes = spec.closes ? parseClock(spec.closes) : null;
+        let intervals = [];
+        // "00:00"-"00:00" is closed and "00:00"-"23:59" all day, as search engines read them
+        if (opens !== null && closes !== null && !(opens === 0 && closes === 0)) {
+            intervals = [[opens, closes <= opens ? closes + DAY_MINUTES : closes]];
+            if (closes === 23 * 60 + 59) intervals = [[opens, DAY_MINUTES]];
+        }
+        return {
+            days: days.map(d => SCHEMA_DAYS.indexOf(d)).filter(d => d >= 0),
+            months: null,
+            holiday: days.includes('PublicHolidays'),
+            from: spec.validFrom ? String(spec.validFrom).slice(0, 10) : null,
+            through: spec.validThrough ? String(spec.validThrough).slice(0, 10) : null,
+            intervals,
+            merge: true
+        };
+    })
+        .filter(rule => rule.days.length > 0 || rule.holiday)
+        .sort((a, b) => specificity(a) - specificity(b));
+    return rules.length > 0 ? rules : null;
+};
+
+/**
+ * Opening hours of a facility, from whichever form its properties carry
+ * @param {Object} properties - Feature properties
+ * @returns {Array|null} Rules, or null when the facility has no readable hours
+ */
+export const getOpeningHours = (properties = {}) => {
+    const specification = properties.openingHoursSpecification && parseOpeningHoursSpecification(properties.openingHoursSpecification);
+    if (specification) return specification;
+    return parseOsmOpeningHours(properties.openingHours ?? properties.opening_hours);
+};
+
+// ---- Evaluation ------------------------------------------------------------
+
+const ruleApplies = (rule, date, holiday) => {
+    if (rule.months && !rule.months.includes(date.month - 1)) return false;
+    const key = dateKey(date);
+    if (rule.from && key < rule.from) return false;
+    if (rule.through && key > rule.through) return false;
+    if (rule.holiday && holiday) return true;
+    return rule.days.includes(date.weekday);
+};
+
+const sameScope = (a, b) => a.holiday === b.holiday && a.from === b.from && a.through === b.through;
+
+/**
+ * Opening intervals on a calendar day; later rules override earlier ones, except that
+ * merging rules for the same dates add up
+ * @param {Array} rules - From getOpeningHours
+ * @param {Object} date - Wall time; only the date part is used
+ * @returns {Object} { intervals, holiday } with the holiday key or null
+ */
+export const getDaySchedule = (rules, date) => {
+    const holiday = getHoliday(date);
+    let intervals = [];
+    let previous = null;
+    rules.forEach(rule => {
+        if (!ruleApplies(rule, date, holiday)) return;
+        intervals = rule.merge && previous?.merge && sameScope(previous, rule)
+            ? [...intervals, ...rule.intervals].sort((a, b) => a[0] - b[0])
+            : rule.intervals;
+        previous = rule;
+    });
+    return { intervals, holiday };
+};
+
+/**
+ * Whether a facility is open at a wall time, counting hours that started the day before
+ * @param {Array|null} rules - From getOpeningHours
+ * @param {Object} time - Wall time
+ * @returns {boolean|null} null when the hours are unknown
+ */
+export const isOpenAt = (rules, time) => {
+    if (!rules) return null;
+    if (getDaySchedule(rules, time).intervals.some(([start, end]) => time.minutes >= start && time.minutes < end)) {
+        return true;
+    }
+    const yesterday = getDaySchedule(rules, addDays(time, -1));
+    return yesterday.intervals.some(([, end]) => time.minutes + DAY_MINUTES < end);
+};
+
+/**
+ * Monday to Sunday of the week containing a date
+ * @param {Array} rules - From getOpeningHours
+ * @param {Object} time - Wall time
+ * @returns {Array} [{ date, weekday, intervals, holiday, today }]
+ */
+export const getWeekSchedule = (rules, time) => {
+    const monday = addDays(time, -time.weekday);
+    return ALL_DAYS.map(offset => {
+        const date = addDays(monday, offset);
+        return { date, weekday: date.weekday, ...getDaySchedule(rules, date), today: offset === time.weekday };
+    });
+};
+
+// "09:00", with "24:00" for midnight at the end of the day and next-day times wrapped
+export const formatClock = (minutes) => {
+    const wrapped = minutes > DAY_MINUTES ? minutes - DAY_MINUTES : minutes;
+    return `${String(Math.floor(wrapped / 60)).padStart(2, '0')}:${String(wrapped % 60).padStart(2, '0')}`;
+};
@@ -0,0 +1,162 @@
+import { describe, expect, it } from 'vitest';
+import {
+    getDaySchedule,
+    getHoliday,
+    getOpeningHours,
+    isOpenAt,
+    parseOpeningHoursSpecification,
+    parseOsmOpeningHours,
+    parseWallTime,
+    toDublinTime
+} from './openingHours';
+
+const at = (value) => parseWallTime(value);
+const osm = (text) => getOpeningHours({ openingHours: text });
+const spec = (specs) => getOpeningHours({ openingHoursSpecification: specs });
+
+describe('parseOsmOpeningHours', () => {
+    it('reads weekday ranges and times', () => {
+        const rules = osm('Mo-Fr 09:00-17:00; Sa 10:00-13:00');
+        expect(isOpenAt(rules, at('2025-06-11T09:00'))).toBe(true);
+        expect(isOpenAt(rules, at('2025-06-11T17:00'))).toBe(false);
+        expect(isOpenAt(rules, at('2025-06-14T12:59'))).toBe(true);
+        expect(isOpenAt(rules, at('2025-06-15T12:00'))).toBe(false);
+    });
+
+    it('lets a later rule override an earlier one', () => {
+        const rules = osm('Mo-Sa 09:00-18:00; We 12:00-14:00');
+        expect(getDaySchedule(rules, at('2025-06-11T00:00')).intervals).toEqual([[720, 840]]);
+    });
+
+    it('closes on public holidays with PH off', () => {
+        const rules = osm('Mo-Fr 09:00-17:00; PH off');
+        // Easter Monday and the June bank holiday
+        expect(isOpenAt(rules, at('2025-04-21T12:00'))).toBe(false);
+        expect(isOpenAt(rules, at('2025-06-02T12:00'))).toBe(false);
+        expect(isOpenAt(rules, at('2025-06-03T12:00'))).toBe(true);
+    });
+
+    it('keeps hours running past midnight open into the next day', () => {
+        const rules = osm('Fr-Sa 22:00-02:00');
+        expect(isOpenAt(rules, at('2025-06-13T23:30'))).toBe(true);
+        // Early Sunday still belongs to Saturday night
+        expect(isOpenAt(rules, at('2025-06-15T01:59'))).toBe(true);
+        expect(isOpenAt(rules, at('2025-06-15T02:00'))).toBe(false);
+        // Nothing carries over into Friday from Thursday
+        expect(isOpenAt(rules, at('2025-06-13T01:00'))).toBe(false);
+    });
+
+    it('reads 24/7, month selectors and unknown values', () => {
+        expect(isOpenAt(osm('24/7'), at('2025-12-25T03:00'))).toBe(true);
+        const summer = osm('Jun-Aug 08:00-21:00; Sep-May 08:00-17:00');
+        expect(isOpenAt(summer, at('2025-07-01T20:00'))).toBe(true);
+        expect(isOpenAt(summer, at('2025-11-01T20:00'))).toBe(false);
+        expect(parseOsmOpeningHours('sunrise-sunset')).toBeNull();
+        expect(isOpenAt(null, at('2025-07-01T12:00'))).toBeNull();
+    });
+});
+
+describe('getHoliday', () => {
+    it('moves St Patrick’s Day at the weekend to the Monday', () => {
+        expect(getHoliday(at('2024-03-17T00:00'))).toBe('stPatricks');
+        expect(getHoliday(at('2024-03-18T00:00'))).toBe('stPatricks');
+        expect(getHoliday(at('2025-03-17T00:00'))).toBe('stPatricks');
+        expect(getHoliday(at('2025-03-18T00:00'))).toBeNull();
+    });
+
+    it('gives Christmas and St Stephen’s Day their own days in lieu', () => {
+        // 2027: Christmas on a Saturday, St Stephen's on a Sunday
+        expect(getHoliday(at('2027-12-27T00:00'))).toBe('christmas');
+        expect(getHoliday(at('2027-12-28T00:00'))).toBe('stStephens');
+        // 2022: Christmas on a Sunday, after St Stephen's Day on the Monday
+        expect(getHoliday(at('2022-12-26T00:00'))).toBe('stStephens');
+        expect(getHoliday(at('2022-12-27T00:00'))).toBe('christmas');
+    });
+
+    it('keeps St Brigid’s Day on 1 February only when that is a Friday', () => {
+        expect(getHoliday(at('2030-02-01T00:00'))).toBe('stBrigids');
+        expect(getHoliday(at('2030-02-04T00:00'))).toBeNull();
+        // 2025: 1 February is a Saturday, so the holiday is the first Monday
+        expect(getHoliday(at('2025-02-01T00:00'))).toBeNull();
+        expect(getHoliday(at('2025-02-03T00:00'))).toBe('stBrigids');
+        // Not a holiday before 2023
+        expect(getHoliday(at('2022-02-07T00:00'))).toBeNull();
+    });
+
+    it('finds Easter Monday', () => {
+        expect(getHoliday(at('2024-04-01T00:00'))).toBe('easterMonday');
+        expect(getHoliday(at('2025-04-21T00:00'))).toBe('easterMonday');
+        expect(getHoliday(at('2026-04-06T00:00'))).toBe('easterMonday');
+    });
+});
+
+describe('parseOpeningHoursSpecification', () => {
+    const weekday = (dayOfWeek, opens, closes, extra = {}) => ({ '@type': 'OpeningHoursSpecification', dayOfWeek, opens, closes, ...extra });
+
+    it('reads days as names or schema.org URLs, from an array or a JSON string', () => {
+        const rules = spec(JSON.stringify([weekday(['Monday', 'https://schema.org/Tuesday'], '09:00', '17:30')]));
+        expect(getDaySchedule(rules, at('2025-06-10T00:00')).intervals).toEqual([[540, 1050]]);
+        expect(getDaySchedule(rules, at('2025-06-11T00:00')).intervals).toEqual([]);
+    });
+
+    it('merges specifications for the same day', () => {
+        const rules = spec([weekday('Monday', '14:00', '17:00'), weekday('Monday', '09:00', '13:00')]);
+        expect(getDaySchedule(rules, at('2025-06-09T00:00')).intervals).toEqual([[540, 780], [840, 1020]]);
+        expect(isOpenAt(rules, at('2025-06-09T13:30'))).toBe(false);
+        expect(isOpenAt(rules, at('2025-06-09T15:00'))).toBe(true);
+    });
+
+    it('reads 00:00-00:00 as closed and 00:00-23:59 as all day', () => {
+        const rules = spec([weekday('Saturday', '00:00', '23:59'), weekday('Sunday', '00:00', '00:00')]);
+        expect(getDaySchedule(rules, at('2025-06-14T00:00')).intervals).toEqual([[0, 1440]]);
+        expect(getDaySchedule(rules, at('2025-06-15T00:00')).intervals).toEqual([]);
+    });
+
+    it('lets holiday and dated hours override the regular ones', () => {
+        const rules = spec([
+            weekday('PublicHolidays', null, null),
+            weekday(['Monday', 'Tuesday', 'Wednesday'], '09:00', '17:00'),
+            weekday('Wednesday', '10:00', '12:00', { validFrom: '2025-12-24', validThrough: '2025-12-24' })
+        ]);
+        expect(isOpenAt(rules, at('2025-06-02T12:00'))).toBe(false);
+        expect(getDaySchedule(rules, at('2025-12-17T00:00')).intervals).toEqual([[540, 1020]]);
+        expect(getDaySchedule(rules, at('2025-12-24T00:00')).intervals).toEqual([[600, 720]]);
+    });
+
+    it('returns null without usable specifications', () => {
+        expect(parseOpeningHoursSpecification('not json')).toBeNull();
+        expect(parseOpeningHoursSpecification([{ opens: '09:00', closes: '17:00' }])).toBeNull();
+    });
+
+    it('is preferred over the OSM string', () => {
+        const rules = getOpeningHours({
+            openingHours: 'Mo-Su 00:00-24:00',
+            openingHoursSpecification: [weekday('Monday', '09:00', '17:00')]
+        });
+        expect(isOpenAt(rules, at('2025-06-10T12:00'))).toBe(false);
+    });
+});
+
+describe('toDublinTime', () => {
+    it('follows Irish Summer Time', () => {
+        expect(toDublinTime(new Date('2025-01-15T12:00:00Z')).minutes).toBe(12 * 60);
+        expect(toDublinTime(new Date('2025-07-15T12:00:00Z')).minutes).toBe(13 * 60);
+    });
+
+    it('skips the hour lost when the clocks go forward', () => {
+        // 30 March 2025: 01:00 GMT becomes 02:00 IST
+        expect(toDublinTime(new Date('2025-03-30T00:59:00Z')).minutes).toBe(59);
+        expect(toDublinTime(new Date('2025-03-30T01:00:00Z')).minutes).toBe(2 * 60);
+    });
+
+    it('repeats the hour gained when the clocks go back', () => {
+        // 26 October 2025: 02:00 IST becomes 01:00 GMT
+        expect(toDublinTime(new Date('2025-10-26T00:30:00Z')).minutes).toBe(90);
+        expect(toDublinTime(new Date('2025-10-26T01:30:00Z')).minutes).toBe(90);
+    });
+
+    it('carries the Dublin date, not the UTC one', () => {
+        const time = toDublinTime(new Date('2025-06-30T23:30:00Z'));
+        expect([time.month, time.day, time.weekday, time.minutes]).toEqual([7, 1, 1, 30]);
+    });
+});
@@ -0,0 +1,72 @@
+// Minimal PDF writer: one page holding one JPEG image, which is all the map export needs.
+// The JPEG is embedded as-is (DCTDecode), so no image encoding happens here.
+
+const MM_TO_PT = 72 / 25.4;
+
+const encoder = new TextEncoder();
+
+// PDF text string as UTF-16BE hex, so titles in any language survive
+const pdfText = (text) => `<FEFF${Array.from(String(text), ch => {
+    const code = ch.codePointAt(0);
+    if (code <= 0xffff) return code.toString(16).padStart(4, '0');
+    const offset = code - 0x10000;
+    return [0xd800 + (offset >> 10), 0xdc00 + (offset & 0x3ff)].map(c => c.toString(16)).join('');
+}).join('').toUpperCase()}>`;
+
+const pdfDate = (date) => `D:${date.toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z`;
+
+/**
+ * Build a single-page PDF with a JPEG filling the page
+ * @param {Uint8Array} jpeg - Encoded JPEG
+ * @param {Object} options
+ * @param {number} options.width - Image width in px
+ * @param {number} options.height - Image height in px
+ * @param {number} options.pageWidth - Page width in mm
+ * @param {number} options.pageHeight - Page height in mm
+ * @param {string} options.title - Document title
+ * @returns {Blob} application/pdf
+ */
+export const createImagePdf = (jpeg, { width, height, pageWidth, pageHeight, title = '' }) => {
+    const w = (pageWidth * MM_TO_PT).toFixed(2);
+    const h = (pageHeight * MM_TO_PT).toFixed(2);
+    const content = `q ${w} 0 0 ${h} 0 0 cm /Im0 Do Q`;
+
+    const objects = [
+        ['<< /Type /Catalog /Pages 2 0 R >>'],
+        ['<< /Type /Pages /Kids [3 0 R] /Count 1 >>'],
+        [`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${w} ${h}] /Resources << /XObject << /Im0 4 0 R >> >> /Contents 5 0 R >>`],
+        [
+            `<< /Type /XObject /Subtype /Image /Width ${width} /Height ${height} /ColorSpace /DeviceRGB ` +
+            `/BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>\nstream\n`,
+            jpeg,
+            '\nendstream'
+        ],
+        [`<< /Length ${content.length} >>\nstream\n${content}\nendstream`],
+        [`<< /Title ${pdfText(title)} /Producer ${pdfText('Dublin Smart Map')} /CreationDate (${pdfDate(new Date())}) >>`]
+    ];
+
+    const parts = [];
+    let offset = 0;
+    const push = (part) => {
+        const bytes = typeof part === 'string' ? encoder.encode(part) : part;
+        parts.push(bytes);
+        offset += bytes.length;
+    };
+
+    // The binary comment line marks the file as binary for transfer tools
+    push('%PDF-1.4\n%âãÏÓ\n');
+    const offsets = objects.map((chunks, i) => {
+        const start = offset;
+        push(`${i + 1} 0 obj\n`);
+        chunks.forEach(push);
+        push('\nendobj\n');
+        return start;
+    });
+
+    const xref = offset;
+    push(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+    offsets.forEach(o => push(`${String(o).padStart(10, '0')} 00000 n \n`));
+    push(`trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+
+    return new Blob(parts, { type: 'application/pdf' });
+};
@@ -0,0 +1,303 @@
+// Map export: a high-resolution PNG of the current view, or a print-ready PDF page with
+// title, legend, filters, statistics, scale bar, north arrow, attribution and timestamp.
+// Everything is drawn on canvases in the browser; see mapImage.js and pdf.js.
+
+import { renderMapImage, metersPerPixel } from './mapImage';
+import { createImagePdf } from './pdf';
+import { downloadBlob } from './export';
+import { getFacilityConfig, getTypeLabel } from './facilityIcons';
+import { formatNumber, getLocale, t } from './i18n';
+import { formatDistance } from './format';
+
+export const PAPER_SIZES = {
+    a4: { width: 210, height: 297 },
+    a3: { width: 297, height: 420 }
+};
+
+export const PNG_SCALES = [1, 2, 3];
+
+// Page resolution; 150 dpi keeps an A3 page under ~2500×3500 px
+const PRINT_DPI = 150;
+const SCREEN_DPI = 96;
+const MARGIN = 12; // mm
+const HEADER = 16; // mm
+const FOOTER = 10; // mm
+const SIDE_PANEL = 68; // mm, beside the map in landscape, below it in portrait
+const GAP = 6; // mm
+const INK = '#0f172a';
+const MUTED = '#475569';
+const FONT = "'Inter', -apple-system, 'Segoe UI', Roboto, sans-serif";
+
+const mm = (value) => Math.round((value / 25.4) * PRINT_DPI);
+const pt = (size) => Math.round((size / 72) * PRINT_DPI);
+
+// Basemap attributions are HTML; the page wants plain text
+const plainText = (html) => html
+    .replace(/<[^>]+>/g, '')
+    .replace(/&copy;/g, '©')
+    .replace(/&amp;/g, '&');
+
+const canvasToBlob = (canvas, type, quality) => new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error(t('print.failed')))), type, quality);
+});
+
+const fileStamp = (date) => date.toISOString().slice(0, 16).replace(/[:T]/g, '-');
+
+// Greedy word wrap; returns the lines for `maxWidth`
+const wrapText = (ctx, text, maxWidth) => {
+    const lines = [];
+    let line = '';
+    String(text).split(/\s+/).forEach(word => {
+        const candidate = line ? `${line} ${word}` : word;
+        if (line && ctx.measureText(candidate).width > maxWidth) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = candidate;
+        }
+    });
+    if (line) lines.push(line);
+    return lines;
+};
+
+// Round a length down to 1, 2 or 5 × 10ⁿ meters
+const niceLength = (meters) => {
+    const magnitude = 10 ** Math.floor(Math.log10(meters));
+    const step = [5, 2, 1].find(s => s * magnitude <= meters);
+    return step * magnitude;
+};
+
+const drawNorthArrow = (ctx, x, y, size) => {
+    ctx.save();
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+    ctx.beginPath();
+    ctx.arc(x, y, size * 0.75, 0, 2 * Math.PI);
+    ctx.fill();
+    ctx.fillStyle = INK;
+    ctx.beginPath();
+    ctx.moveTo(x, y - size * 0.55);
+    ctx.lineTo(x + size * 0.28, y + size * 0.35);
+    ctx.lineTo(x, y + size * 0.18);
+    ctx.lineTo(x - size * 0.28, y + size * 0.35);
+    ctx.closePath();
+    ctx.fill();
+    ctx.font = `700 ${Math.round(size * 0.32)}px ${FONT}`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'bottom';
+    ctx.fillText('N', x, y - size * 0.55);
+    ctx.restore();
+};
+
+// Scale bar in two halves, with the representative fraction beside it
+const drawScaleBar = (ctx, x, y, maxWidth, metersPerPx) => {
+    const meters = niceLength(maxWidth * metersPerPx);
+    const width = meters / metersPerPx;
+    const barHeight = mm(1.6);
+    const ratio = Math.round(metersPerPx / (0.0254 / PRINT_DPI));
+
+    ctx.save();
+    ctx.font = `500 ${pt(7.5)}px ${FONT}`;
+    const label = `${formatDistance(meters)}   1:${formatNumber(ratio, { maximumSignificantDigits: 3 })}`;
+    const boxWidth = Math.max(width, ctx.measureText(label).width) + mm(4);
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+    ctx.fillRect(x - mm(2), y - pt(9) - mm(2.5), boxWidth, pt(9) + barHeight + mm(4));
+
+    ctx.fillStyle = INK;
+    ctx.fillRect(x, y, width / 2, barHeight);
+    ctx.strokeStyle = INK;
+    ctx.lineWidth = 2;
+    ctx.strokeRect(x, y, width, barHeight);
+    ctx.textBaseline = 'bottom';
+    ctx.fillText(label, x, y - mm(0.8));
+    ctx.restore();
+};
+
+// Heading and lines of one side panel section; returns the y below it
+const drawSection = (ctx, heading, rows, x, y, width) => {
+    ctx.fillStyle = INK;
+    ctx.font = `700 ${pt(9)}px ${FONT}`;
+    ctx.textBaseline = 'top';
+    ctx.fillText(heading.toUpperCase(), x, y);
+    let cursor = y + pt(14);
+
+    ctx.font = `400 ${pt(8)}px ${FONT}`;
+    rows.forEach(row => {
+        const indent = row.color ? mm(5) : 0;
+        if (row.color) {
+            ctx.fillStyle = row.color;
+            ctx.beginPath();
+            ctx.arc(x + mm(1.6), cursor + pt(4.5), mm(1.6), 0, 2 * Math.PI);
+            ctx.fill();
+        }
+        const valueWidth = row.value ? ctx.measureText(row.value).width + mm(2) : 0;
+        wrapText(ctx, row.label, width - indent - valueWidth).forEach((line, i) => {
+            ctx.fillStyle = row.value ? MUTED : INK;
+            ctx.textAlign = 'left';
+            ctx.fillText(line, x + indent, cursor);
+            if (i === 0 && row.value) {
+                ctx.fillStyle = INK;
+                ctx.textAlign = 'right';
+                ctx.fillText(row.value, x + width, cursor);
+            }
+            cursor += pt(11);
+        });
+        ctx.textAlign = 'left';
+    });
+    return cursor + mm(4);
+};
+
+/**
+ * Legend rows for the facility types in `features`, coloured as in FACILITY_CONFIG
+ * (or the type metadata from the API that overrides it)
+ */
+export const buildPrintLegend = (features) => {
+    const counts = new Map();
+    features.forEach(f => counts.set(f.properties.type, (counts.get(f.properties.type) || 0) + 1));
+    return Array.from(counts, ([type, count]) => ({
+        label: getTypeLabel(type),
+        color: getFacilityConfig(type).color,
+        value: formatNumber(count)
+    })).sort((a, b) => a.label.localeCompare(b.label, getLocale()));
+};
+
+// What goes on the map image itself
+const mapOptions = (content) => ({
+    basemap: content.basemap,
+    overlay: content.overlay,
+    shapes: content.shapes,
+    points: content.points,
+    ring: content.ring,
+    location: content.location
+});
+
+/**
+ * Download the current view as a PNG
+ * @param {L.Map} map
+ * @param {Object} content - { basemap, overlay, shapes, points, ring, location }
+ * @param {number} scale - One of PNG_SCALES; 2 gives twice the on-screen width and height
+ * @returns {Promise<number>} Tiles that failed to load
+ */
+export const exportMapPng = async (map, content, scale) => {
+    const size = map.getSize();
+    const { canvas, failedTiles } = await renderMapImage(map, {
+        ...mapOptions(content),
+        width: size.x * scale,
+        height: size.y * scale,
+        zoom: map.getZoom() + Math.log2(scale),
+        pixelRatio: scale
+    });
+    const now = new Date();
+    downloadBlob(await canvasToBlob(canvas, 'image/png'), `dublin-map-${fileStamp(now)}.png`);
+    return failedTiles;
+};
+
+/**
+ * Download a one-page PDF map report
+ * @param {L.Map} map
+ * @param {Object} content - mapOptions plus { title, legend, filters, stats, attribution },
+ *   where legend, filters and stats are rows of { label, value?, color? }
+ * @param {Object} layout - { paper: key of PAPER_SIZES, orientation: 'portrait' | 'landscape' }
+ * @returns {Promise<number>} Tiles that failed to load
+ */
+export const exportMapPdf = async (map, content, { paper, orientation }) => {
+    const sheet = PAPER_SIZES[paper];
+    const [pageWidth, pageHeight] = orientation === 'landscape'
+        ? [sheet.height, sheet.width]
+        : [sheet.width, sheet.height];
+    const landscape = orientation === 'landscape';
+
+    const page = document.createElement('canvas');
+    page.width = mm(pageWidth);
+    page.height = mm(pageHeight);
+    const ctx = page.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, page.width, page.height);
+
+    // Map frame, and the side panel to its right (landscape) or below it (portrait)
+    const bodyTop = mm(MARGIN + HEADER);
+    const bodyHeight = mm(pageHeight - 2 * MARGIN - HEADER - FOOTER);
+    const bodyWidth = mm(pageWidth - 2 * MARGIN);
+    const frame = landscape
+        ? { x: mm(MARGIN), y: bodyTop, width: bodyWidth - mm(SIDE_PANEL + GAP), height: bodyHeight }
+        : { x: mm(MARGIN), y: bodyTop, width: bodyWidth, height: bodyHeight - mm(SIDE_PANEL + GAP) };
+    const panel = landscape
+        ? { x: frame.x + frame.width + mm(GAP), y: bodyTop, width: mm(SIDE_PANEL) }
+        : { x: mm(MARGIN), y: frame.y + frame.height + mm(GAP), width: bodyWidth };
+
+    // Fit the whole on-screen view into the frame
+    const size = map.getSize();
+    const fit = Math.min(frame.width / size.x, frame.height / size.y);
+    const zoom = map.getZoom() + Math.log2(fit);
+    const { canvas: mapCanvas, failedTiles } = await renderMapImage(map, {
+        ...mapOptions(content),
+        width: frame.width,
+        height: frame.height,
+        zoom,
+        pixelRatio: PRINT_DPI / SCREEN_DPI
+    });
+
+    // Header
+    ctx.fillStyle = INK;
+    ctx.textBaseline = 'top';
+    ctx.font = `700 ${pt(18)}px ${FONT}`;
+    ctx.fillText(content.title, mm(MARGIN), mm(MARGIN));
+    ctx.fillStyle = MUTED;
+    ctx.font = `400 ${pt(9)}px ${FONT}`;
+    ctx.fillText(`${t('app.title')} · ${t('app.subtitle')}`, mm(MARGIN), mm(MARGIN) + pt(24));
+
+    // Map with its furniture
+    ctx.drawImage(mapCanvas, frame.x, frame.y);
+    ctx.strokeStyle = INK;
+    ctx.lineWidth = 2;
+    ctx.strokeRect(frame.x, frame.y, frame.width, frame.height);
+    drawNorthArrow(ctx, frame.x + frame.width - mm(10), frame.y + mm(12), mm(10));
+    drawScaleBar(
+        ctx,
+        frame.x + mm(6),
+        frame.y + frame.height - mm(7),
+        frame.width / 4,
+        metersPerPixel(map.getCenter().lat, zoom)
+    );
+
+    // Legend, filters and statistics; in portrait they sit side by side below the map
+    const sections = [
+        [t('print.legend'), content.legend],
+        [t('print.filters'), content.filters],
+        [t('print.statistics'), content.stats]
+    ].filter(([, rows]) => rows.length > 0);
+    if (landscape) {
+        let y = panel.y;
+        sections.forEach(([heading, rows]) => {
+            y = drawSection(ctx, heading, rows, panel.x, y, panel.width);
+        });
+    } else {
+        const columnWidth = (panel.width - mm(GAP) * (sections.length - 1)) / Math.max(sections.length, 1);
+        sections.forEach(([heading, rows], i) => {
+            drawSection(ctx, heading, rows, panel.x + i * (columnWidth + mm(GAP)), panel.y, columnWidth);
+        });
+    }
+
+    // Footer: attribution and when the page was made
+    const now = new Date();
+    const generated = t('print.generated', {
+        date: new Intl.DateTimeFormat(getLocale(), { dateStyle: 'long', timeStyle: 'short' }).format(now)
+    });
+    ctx.font = `400 ${pt(7)}px ${FONT}`;
+    ctx.fillStyle = MUTED;
+    ctx.textBaseline = 'bottom';
+    const footerY = page.height - mm(MARGIN);
+    ctx.textAlign = 'right';
+    ctx.fillText(generated, page.width - mm(MARGIN), footerY);
+    ctx.textAlign = 'left';
+    const attributionWidth = bodyWidth - ctx.measureText(generated).width - mm(GAP);
+    wrapText(ctx, plainText(content.attribution), attributionWidth).reverse().forEach((line, i) => {
+        ctx.fillText(line, mm(MARGIN), footerY - i * pt(9));
+    });
+
+    const jpeg = new Uint8Array(await (await canvasToBlob(page, 'image/jpeg', 0.92)).arrayBuffer());
+    downloadBlob(
+        createImagePdf(jpeg, { width: page.width, height: page.height, pageWidth, pageHeight, title: content.title }),
+        `dublin-map-${paper}-${fileStamp(now)}.pdf`
+    );
+    return failedTiles;
+};
@@ -0,0 +1,64 @@
+// Drawn query regions: polygon, rectangle or circle.
+//
+// Regions are plain objects:
+//   { type: 'polygon', points: [[lat, lon], ...] }
+//   { type: 'rectangle', bounds: [[south, west], [north, east]] }
+//   { type: 'circle', center: [lat, lon], radius }   (radius in meters)
+
+import { distanceToGeometry, geometryIntersectsPolygon } from './geometry';
+
+const CIRCLE_SEGMENTS = 64;
+const EARTH_RADIUS = 6371e3;
+
+// Point at a distance and bearing from a start point (lat/lon in degrees)
+const destinationPoint = ([lat, lon], distance, bearing) => {
+    const δ = distance / EARTH_RADIUS;
+    const θ = bearing;
+    const φ1 = (lat * Math.PI) / 180;
+    const λ1 = (lon * Math.PI) / 180;
+    const φ2 = Math.asin(Math.sin(φ1) * Math.cos(δ) + Math.cos(φ1) * Math.sin(δ) * Math.cos(θ));
+    const λ2 = λ1 + Math.atan2(Math.sin(θ) * Math.sin(δ) * Math.cos(φ1), Math.cos(δ) - Math.sin(φ1) * Math.sin(φ2));
+    return [(φ2 * 180) / Math.PI, (λ2 * 180) / Math.PI];
+};
+
+/**
+ * Outer ring of a region as closed GeoJSON [lon, lat] coordinates.
+ * Circles are approximated by a 64-sided polygon.
+ */
+export const regionToRing = (region) => {
+    let points;
+    if (region.type === 'rectangle') {
+        const [[south, west], [north, east]] = region.bounds;
+        points = [[south, west], [south, east], [north, east], [north, west]];
+    } else if (region.type === 'circle') {
+        points = Array.from({ length: CIRCLE_SEGMENTS }, (_, i) =>
+            destinationPoint(region.center, region.radius, (2 * Math.PI * i) / CIRCLE_SEGMENTS)
+        );
+    } else {
+        points = region.points;
+    }
+    const ring = points.map(([lat, lon]) => [lon, lat]);
+    return [...ring, ring[0]];
+};
+
+export const regionToGeoJSON = (region) => ({ type: 'Polygon', coordinates: [regionToRing(region)] });
+
+// WKT for the backend to build a GeoSPARQL filter (geof:sfIntersects)
+export const regionToWKT = (region) =>
+    `POLYGON((${regionToRing(region).map(([lon, lat]) => `${lon.toFixed(6)} ${lat.toFixed(6)}`).join(', ')}))`;
+
+/**
+ * Keep the features that touch a drawn region
+ * @param {Array} features - GeoJSON features
+ * @param {Object} region - Region object as described above
+ * @returns {Array} Features whose geometry intersects the region
+ */
+export const filterFeaturesByRegion = (features, region) => {
+    // Circles are tested exactly against their radius rather than the 64-gon
+    if (region.type === 'circle') {
+        const [lat, lon] = region.center;
+        return features.filter(f => distanceToGeometry(lat, lon, f.geometry) <= region.radius);
+    }
+    const ring = regionToRing(region);
+    return features.filter(f => f.geometry && geometryIntersectsPolygon(f.geometry, [ring]));
+};
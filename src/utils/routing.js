@@ -0,0 +1,164 @@
+// Routing adapters for walking and cycling directions.
+//
+// Every adapter exposes the same interface:
+//   route({ from, to, mode, signal }) -> { geometry, distance, duration }
+//   table({ from, to, mode, signal }) -> [{ distance, duration }] (one entry per destination)
+// where `from`/`to` are { lat, lon }, `mode` is 'walking' or 'cycling', `geometry` is a
+// GeoJSON LineString, distances are in meters and durations in seconds.
+//
+// Configure like VITE_API_URL:
+//   VITE_ROUTING_URL     base URL of a self-hosted OSRM or Valhalla server
+//   VITE_ROUTING_ENGINE  'osrm' (default) or 'valhalla'
+// Without a URL there is no routing, and Directions and the network distance sort are
+// hidden. Tests and local development can plug in the mock through setRoutingAdapter.
+
+import { calculateDistance } from './geometry';
+
+export const TRAVEL_MODES = {
+    walking: { osrmProfile: 'foot', valhallaCosting: 'pedestrian', speed: 1.4 },
+    cycling: { osrmProfile: 'bike', valhallaCosting: 'bicycle', speed: 4.2 }
+};
+
+const ensureOk = async (response) => {
+    if (!response.ok) throw new Error(`Routing error: ${response.status}`);
+    return response.json();
+};
+
+export const createOsrmAdapter = (baseUrl) => {
+    const coordinates = (points) => points.map(p => `${p.lon},${p.lat}`).join(';');
+
+    return {
+        async route({ from, to, mode, signal }) {
+            const url = `${baseUrl}/route/v1/${TRAVEL_MODES[mode].osrmProfile}/${coordinates([from, to])}?overview=full&geometries=geojson`;
+            const data = await ensureOk(await fetch(url, { signal }));
+            if (data.code !== 'Ok' || !data.routes?.length) throw new Error('No route found');
+            const [route] = data.routes;
+            return { geometry: route.geometry, distance: route.distance, duration: route.duration };
+        },
+
+        async table({ from, to, mode, signal }) {
+            const url = `${baseUrl}/table/v1/${TRAVEL_MODES[mode].osrmProfile}/${coordinates([from, ...to])}?sources=0&annotations=distance,duration`;
+            const data = await ensureOk(await fetch(url, { signal }));
+            if (data.code !== 'Ok') throw new Error('Distance table unavailable');
+            // Row 0 holds the origin itself, destinations start at index 1
+            return to.map((_, i) => ({
+                distance: data.distances[0][i + 1],
+                duration: data.durations[0][i + 1]
+            }));
+        }
+    };
+};
+
+// Valhalla encodes shapes as polylines with 6 digits of precision
+const decodePolyline6 = (encoded) => {
+    const coordinates = [];
+    let index = 0, lat = 0, lon = 0;
+
+    const nextValue = () => {
+        let result = 0, shift = 0, byte;
+        do {
+            byte = encoded.charCodeAt(index++) - 63;
+            result |= (byte & 0x1f) << shift;
+            shift += 5;
+        } while (byte >= 0x20);
+        return result & 1 ? ~(result >> 1) : result >> 1;
+    };
+
+    while (index < encoded.length) {
+        lat += nextValue();
+        lon += nextValue();
+        coordinates.push([lon / 1e6, lat / 1e6]);
+    }
+    return coordinates;
+};
+
+export const createValhallaAdapter = (baseUrl) => {
+    const post = async (path, body, signal) => ensureOk(await fetch(`${baseUrl}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        signal
+    }));
+
+    return {
+        async route({ from, to, mode, signal }) {
+            const data = await post('/route', {
+                locations: [from, to],
+                costing: TRAVEL_MODES[mode].valhallaCosting,
+                units: 'kilometers'
+            }, signal);
+            const { legs, summary } = data.trip;
+            return {
+                geometry: { type: 'LineString', coordinates: legs.flatMap(leg => decodePolyline6(leg.shape)) },
+                distance: summary.length * 1000,
+                duration: summary.time
+            };
+        },
+
+        async table({ from, to, mode, signal }) {
+            const data = await post('/sources_to_targets', {
+                sources: [from],
+                targets: to,
+                costing: TRAVEL_MODES[mode].valhallaCosting,
+                units: 'kilometers'
+            }, signal);
+            return data.sources_to_targets[0].map(cell => ({
+                distance: cell.distance === null ? null : cell.distance * 1000,
+                duration: cell.time
+            }));
+        }
+    };
+};
+
+// Typical ratio of street-network to straight-line distance in a city grid
+const DETOUR_FACTOR = 1.3;
+
+// Local stand-in that needs no server: straight lines inflated by a detour factor.
+// Its distances are estimates, so it is for tests and development only, never a default.
+export const createMockAdapter = ({ detourFactor = DETOUR_FACTOR } = {}) => {
+    const estimate = (from, to, mode) => {
+        const distance = calculateDistance(from.lat, from.lon, to.lat, to.lon) * detourFactor;
+        return { distance, duration: distance / TRAVEL_MODES[mode].speed };
+    };
+
+    return {
+        async route({ from, to, mode }) {
+            return {
+                geometry: { type: 'LineString', coordinates: [[from.lon, from.lat], [to.lon, to.lat]] },
+                ...estimate(from, to, mode)
+            };
+        },
+
+        async table({ from, to, mode }) {
+            return to.map(destination => estimate(from, destination, mode));
+        }
+    };
+};
+
+// A misconfigured server leaves routing off, like a missing one, instead of
+// taking the whole app down with it
+const createDefaultAdapter = () => {
+    const baseUrl = import.meta.env.VITE_ROUTING_URL;
+    const engine = import.meta.env.VITE_ROUTING_ENGINE;
+
+    if (!baseUrl) {
+        if (engine) console.warn(`VITE_ROUTING_ENGINE is '${engine}' but VITE_ROUTING_URL is not set; routing is off`);
+        return null;
+    }
+    if (!engine || engine === 'osrm') return createOsrmAdapter(baseUrl);
+    if (engine === 'valhalla') return createValhallaAdapter(baseUrl);
+    console.warn(`Unknown VITE_ROUTING_ENGINE '${engine}': expected 'osrm' or 'valhalla'; routing is off`);
+    return null;
+};
+
+let activeAdapter = createDefaultAdapter();
+
+// Null when no routing server is configured
+export const getRoutingAdapter = () => activeAdapter;
+
+export const isRoutingAvailable = () => activeAdapter !== null;
+
+// Swap the adapter at runtime, e.g. to inject a mock in tests
+export const setRoutingAdapter = (adapter) => {
+    activeAdapter = adapter;
+};
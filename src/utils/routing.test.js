@@ -0,0 +1,84 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { calculateDistance } from './geometry';
+import { createMockAdapter, createOsrmAdapter, createValhallaAdapter } from './routing';
+
+const from = { lat: 53.35, lon: -6.26 };
+const to = { lat: 53.36, lon: -6.25 };
+
+// Answer every fetch with `body`, recording the requests
+const stubFetch = (body, status = 200) => {
+    const fetch = vi.fn(async () => ({ ok: status < 400, status, json: async () => body }));
+    vi.stubGlobal('fetch', fetch);
+    return fetch;
+};
+
+afterEach(() => {
+    vi.unstubAllGlobals();
+});
+
+describe('createMockAdapter', () => {
+    const adapter = createMockAdapter({ detourFactor: 1.5 });
+
+    it('routes in a straight line inflated by the detour factor', async () => {
+        const route = await adapter.route({ from, to, mode: 'walking' });
+        expect(route.geometry.coordinates).toEqual([[-6.26, 53.35], [-6.25, 53.36]]);
+        expect(route.distance).toBeCloseTo(calculateDistance(53.35, -6.26, 53.36, -6.25) * 1.5);
+        expect(route.duration).toBeCloseTo(route.distance / 1.4);
+    });
+
+    it('cycles faster than it walks', async () => {
+        const [walking] = await adapter.table({ from, to: [to], mode: 'walking' });
+        const [cycling] = await adapter.table({ from, to: [to], mode: 'cycling' });
+        expect(cycling.distance).toBe(walking.distance);
+        expect(cycling.duration).toBeLessThan(walking.duration);
+    });
+});
+
+describe('createOsrmAdapter', () => {
+    const adapter = createOsrmAdapter('https://osrm.example');
+
+    it('asks for the foot profile and reads the first route', async () => {
+        const geometry = { type: 'LineString', coordinates: [[-6.26, 53.35], [-6.25, 53.36]] };
+        const fetch = stubFetch({ code: 'Ok', routes: [{ geometry, distance: 1500, duration: 1100 }] });
+        expect(await adapter.route({ from, to, mode: 'walking' })).toEqual({ geometry, distance: 1500, duration: 1100 });
+        expect(fetch.mock.calls[0][0]).toBe(
+            'https://osrm.example/route/v1/foot/-6.26,53.35;-6.25,53.36?overview=full&geometries=geojson'
+        );
+    });
+
+    it('skips the origin row entry of the table', async () => {
+        stubFetch({ code: 'Ok', distances: [[0, 800, 1200]], durations: [[0, 190, 290]] });
+        expect(await adapter.table({ from, to: [to, to], mode: 'cycling' })).toEqual([
+            { distance: 800, duration: 190 },
+            { distance: 1200, duration: 290 }
+        ]);
+    });
+
+    it('fails without a route or on an HTTP error', async () => {
+        stubFetch({ code: 'NoRoute', routes: [] });
+        await expect(adapter.route({ from, to, mode: 'walking' })).rejects.toThrow('No route found');
+        stubFetch({}, 503);
+        await expect(adapter.route({ from, to, mode: 'walking' })).rejects.toThrow('Routing error: 503');
+    });
+});
+
+describe('createValhallaAdapter', () => {
+    const adapter = createValhallaAdapter('https://valhalla.example');
+
+    it('decodes the polyline6 shape and converts kilometres to metres', async () => {
+        const fetch = stubFetch({ trip: { legs: [{ shape: '_ffwdB~pa}J_pR_pR' }], summary: { length: 1.5, time: 1100 } } });
+        const route = await adapter.route({ from, to, mode: 'walking' });
+        expect(route.geometry).toEqual({ type: 'LineString', coordinates: [[-6.26, 53.35], [-6.25, 53.36]] });
+        expect(route.distance).toBe(1500);
+        expect(route.duration).toBe(1100);
+        expect(JSON.parse(fetch.mock.calls[0][1].body)).toMatchObject({ costing: 'pedestrian', units: 'kilometers' });
+    });
+
+    it('keeps unreachable targets in the table', async () => {
+        stubFetch({ sources_to_targets: [[{ distance: 0.8, time: 190 }, { distance: null, time: null }]] });
+        expect(await adapter.table({ from, to: [to, to], mode: 'cycling' })).toEqual([
+            { distance: 800, duration: 190 },
+            { distance: null, duration: null }
+        ]);
+    });
+});
@@ -0,0 +1,143 @@
+// Saved places: starred facilities, named collections of them and filter presets.
+//
+// Everything is kept in IndexedDB, keyed by the value's own id:
+//   favourites:  { uri, feature, savedAt }            the feature is kept so it can be drawn offline
+//   collections: { id, name, color, uris: [...], createdAt }   uris of starred facilities
+//   presets:     { id, name, area, types, radius, createdAt }
+// A facility that loses its star is taken out of every collection.
+
+import { idbDelete, idbGetAll, idbSet } from './idb';
+import { t } from './i18n';
+
+// Colour-blind-safe (Okabe & Ito), assigned to collections in turn
+export const COLLECTION_COLORS = ['#E69F00', '#56B4E9', '#009E73', '#CC79A7', '#0072B2', '#D55E00'];
+
+const EXPORT_FORMAT = 'dublin-smart-map/saved-places';
+const EXPORT_VERSION = 1;
+
+const createId = () => (crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2)}`);
+
+export const loadSavedPlaces = async () => {
+    const [favourites, collections, presets] = await Promise.all([
+        idbGetAll('favourites'),
+        idbGetAll('collections'),
+        idbGetAll('presets')
+    ]);
+    return {
+        favourites: favourites.sort((a, b) => a.savedAt - b.savedAt),
+        collections: collections.sort((a, b) => a.createdAt - b.createdAt),
+        presets: presets.sort((a, b) => a.createdAt - b.createdAt)
+    };
+};
+
+export const saveFavourite = (feature) => {
+    const entry = { uri: feature.properties.uri, feature, savedAt: Date.now() };
+    return idbSet('favourites', entry.uri, entry).then(() => entry);
+};
+
+export const removeFavourite = (uri) => idbDelete('favourites', uri);
+
+export const createCollection = (name, existing) => {
+    const collection = {
+        id: createId(),
+        name,
+        color: COLLECTION_COLORS[existing.length % COLLECTION_COLORS.length],
+        uris: [],
+        createdAt: Date.now()
+    };
+    return idbSet('collections', collection.id, collection).then(() => collection);
+};
+
+export const saveCollection = (collection) => idbSet('collections', collection.id, collection).then(() => collection);
+
+export const deleteCollection = (id) => idbDelete('collections', id);
+
+export const createPreset = (name, { area, types, radius }) => {
+    const preset = { id: createId(), name, area, types, radius, createdAt: Date.now() };
+    return idbSet('presets', preset.id, preset).then(() => preset);
+};
+
+export const deletePreset = (id) => idbDelete('presets', id);
+
+/**
+ * Serialise saved places for sharing
+ * @param {Object} data - { favourites, collections, presets } as from loadSavedPlaces
+ * @returns {string} JSON document
+ */
+export const toSavedPlacesJSON = ({ favourites, collections, presets }) => JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    favourites: favourites.map(f => f.feature),
+    collections: collections.map(({ name, color, uris }) => ({ name, color, uris })),
+    presets: presets.map(({ name, area, types, radius }) => ({ name, area, types, radius }))
+}, null, 2);
+
+const isFeature = (f) => f?.type === 'Feature' && f.geometry && typeof f.properties?.uri === 'string';
+
+/**
+ * Read a document written by toSavedPlacesJSON. Malformed entries are skipped.
+ * @param {string} text - File contents
+ * @returns {Object} { features, collections, presets }
+ * @throws {Error} When the text is not a saved places document
+ */
+export const parseSavedPlaces = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new Error(t('saved.importInvalid'));
+    }
+    if (data?.format !== EXPORT_FORMAT) throw new Error(t('saved.importInvalid'));
+    if (data.version > EXPORT_VERSION) throw new Error(t('saved.importTooNew'));
+
+    const features = (Array.isArray(data.favourites) ? data.favourites : []).filter(isFeature);
+    const known = new Set(features.map(f => f.properties.uri));
+    return {
+        features,
+        collections: (Array.isArray(data.collections) ? data.collections : [])
+            .filter(c => typeof c?.name === 'string' && Array.isArray(c.uris))
+            .map(c => ({ name: c.name, color: c.color, uris: c.uris.filter(uri => known.has(uri)) })),
+        presets: (Array.isArray(data.presets) ? data.presets : [])
+            .filter(p => typeof p?.name === 'string')
+            .map(p => ({
+                name: p.name,
+                area: typeof p.area === 'string' ? p.area : '',
+                types: Array.isArray(p.types) ? p.types.map(String) : [],
+                radius: Number(p.radius) || null
+            }))
+    };
+};
+
+/**
+ * Add an imported document to what is stored. Facilities already starred keep their
+ * entry; a collection or preset with the name of an existing one is merged into it
+ * (collections) or replaces it (presets).
+ * @param {Object} current - { favourites, collections, presets } as from loadSavedPlaces
+ * @param {Object} imported - Result of parseSavedPlaces
+ * @returns {Promise<Object>} The stored data after the import
+ */
+export const importSavedPlaces = async (current, imported) => {
+    const starred = new Set(current.favourites.map(f => f.uri));
+    await Promise.all(imported.features.filter(f => !starred.has(f.properties.uri)).map(saveFavourite));
+
+    const collections = [...current.collections];
+    for (const entry of imported.collections) {
+        const existing = collections.find(c => c.name === entry.name);
+        if (existing) {
+            await saveCollection({ ...existing, uris: [...new Set([...existing.uris, ...entry.uris])] });
+        } else {
+            const created = await createCollection(entry.name, collections);
+            collections.push(created);
+            await saveCollection({ ...created, color: entry.color || created.color, uris: entry.uris });
+        }
+    }
+
+    for (const entry of imported.presets) {
+        const existing = current.presets.find(p => p.name === entry.name);
+        if (existing) await deletePreset(existing.id);
+        await createPreset(entry.name, entry);
+    }
+
+    return loadSavedPlaces();
+};
@@ -0,0 +1,121 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { importSavedPlaces, loadSavedPlaces, parseSavedPlaces, toSavedPlacesJSON } from './savedPlaces';
+
+// IndexedDB stand-in: one Map per store
+const stores = new Map();
+const store = (name) => {
+    if (!stores.has(name)) stores.set(name, new Map());
+    return stores.get(name);
+};
+
+vi.mock('./idb', () => ({
+    idbGetAll: async (name) => [...store(name).values()],
+    idbSet: async (name, key, value) => {
+        store(name).set(key, value);
+    },
+    idbDelete: async (name, key) => {
+        store(name).delete(key);
+    }
+}));
+
+const feature = (uri, name = uri) => ({
+    type: 'Feature',
+    properties: { uri, name },
+    geometry: { type: 'Point', coordinates: [-6.26, 53.35] }
+});
+
+const library = feature('https://example.org/library');
+const pool = feature('https://example.org/pool');
+const park = feature('https://example.org/park');
+
+const exported = (contents) => JSON.stringify({ format: 'dublin-smart-map/saved-places', version: 1, ...contents });
+
+beforeEach(() => {
+    stores.clear();
+});
+
+describe('parseSavedPlaces', () => {
+    it('rejects text that is not JSON', () => {
+        expect(() => parseSavedPlaces('{ favourites: [')).toThrow('This file is not a saved places export.');
+    });
+
+    it('rejects JSON of another format', () => {
+        expect(() => parseSavedPlaces(JSON.stringify({ type: 'FeatureCollection', features: [] })))
+            .toThrow('This file is not a saved places export.');
+    });
+
+    it('rejects a version newer than it can read', () => {
+        expect(() => parseSavedPlaces(exported({ version: 2 }))).toThrow('This file was exported by a newer version of the map.');
+    });
+
+    it('skips malformed entries and drops collection URIs without a facility', () => {
+        const parsed = parseSavedPlaces(exported({
+            favourites: [library, { type: 'Feature', properties: {} }, 'pool'],
+            collections: [
+                { name: 'Study', color: '#E69F00', uris: [library.properties.uri, pool.properties.uri] },
+                { name: 'Broken' },
+                { uris: [] }
+            ],
+            presets: [{ name: 'Nearby', area: 3, types: [1, 'Park'], radius: '800' }, { area: 'South' }]
+        }));
+
+        expect(parsed.features).toEqual([library]);
+        expect(parsed.collections).toEqual([{ name: 'Study', color: '#E69F00', uris: [library.properties.uri] }]);
+        expect(parsed.presets).toEqual([{ name: 'Nearby', area: '', types: ['1', 'Park'], radius: 800 }]);
+    });
+
+    it('reads back what toSavedPlacesJSON wrote', () => {
+        const parsed = parseSavedPlaces(toSavedPlacesJSON({
+            favourites: [{ uri: library.properties.uri, feature: library, savedAt: 1 }],
+            collections: [{ id: 'c1', name: 'Study', color: '#56B4E9', uris: [library.properties.uri], createdAt: 1 }],
+            presets: [{ id: 'p1', name: 'Parks', area: 'South East', types: ['Park'], radius: 1000, createdAt: 1 }]
+        }));
+        expect(parsed).toEqual({
+            features: [library],
+            collections: [{ name: 'Study', color: '#56B4E9', uris: [library.properties.uri] }],
+            presets: [{ name: 'Parks', area: 'South East', types: ['Park'], radius: 1000 }]
+        });
+    });
+});
+
+describe('importSavedPlaces', () => {
+    const seed = async () => {
+        store('favourites').set(library.properties.uri, { uri: library.properties.uri, feature: library, savedAt: 1 });
+        store('collections').set('c1', { id: 'c1', name: 'Study', color: '#E69F00', uris: [library.properties.uri], createdAt: 1 });
+        store('presets').set('p1', { id: 'p1', name: 'Parks', area: 'North', types: ['Park'], radius: 500, createdAt: 1 });
+        return loadSavedPlaces();
+    };
+
+    it('keeps starred facilities and adds the new ones', async () => {
+        const renamed = feature(library.properties.uri, 'Renamed Library');
+        const result = await importSavedPlaces(await seed(), parseSavedPlaces(exported({ favourites: [renamed, pool] })));
+        expect(result.favourites.map(f => f.feature)).toEqual([library, pool]);
+    });
+
+    it('merges collections by name', async () => {
+        const result = await importSavedPlaces(await seed(), parseSavedPlaces(exported({
+            favourites: [pool, park],
+            collections: [
+                { name: 'Study', uris: [pool.properties.uri, library.properties.uri] },
+                { name: 'Swim', color: '#009E73', uris: [pool.properties.uri] }
+            ]
+        })));
+
+        expect(result.collections).toHaveLength(2);
+        const [study, swim] = result.collections;
+        expect(study).toMatchObject({ id: 'c1', color: '#E69F00', uris: [library.properties.uri, pool.properties.uri] });
+        expect(swim).toMatchObject({ name: 'Swim', color: '#009E73', uris: [pool.properties.uri] });
+    });
+
+    it('replaces presets by name', async () => {
+        const result = await importSavedPlaces(await seed(), parseSavedPlaces(exported({
+            presets: [{ name: 'Parks', area: 'South East', types: ['Park'], radius: 1200 }, { name: 'Pools', types: ['Pool'] }]
+        })));
+
+        expect(result.presets.map(({ name, area, radius }) => ({ name, area, radius }))).toEqual([
+            { name: 'Parks', area: 'South East', radius: 1200 },
+            { name: 'Pools', area: '', radius: null }
+        ]);
+        expect(result.presets.some(p => p.id === 'p1')).toBe(false);
+    });
+});
@@ -0,0 +1,148 @@
+// Client-side fuzzy search over facility names and addresses.
+// Matching ignores case, punctuation and accents, so "Ath Cliath" finds "Áth Cliath".
+
+const COMBINING_MARKS = /[\u0300-\u036f]/g;
+const WORD_CHAR = /[\p{L}\p{N}]/u;
+
+// Match quality per query token, best first
+const SCORE_EXACT = 4;
+const SCORE_PREFIX = 3;
+const SCORE_SUBSTRING = 2;
+const SCORE_FUZZY = 1;
+
+// Name matches count for more than address matches
+const NAME_WEIGHT = 2;
+
+/**
+ * Normalise text for matching while remembering where each character came from
+ * @param {string} text - Original text
+ * @returns {Object} {text, map} where map[i] is the index in the original of normalised char i
+ */
+const normalizeWithMap = (text) => {
+    let normalized = '';
+    const map = [];
+    for (let i = 0; i < text.length; i++) {
+        const base = text[i].normalize('NFD').replace(COMBINING_MARKS, '').toLowerCase();
+        for (const ch of base) {
+            normalized += WORD_CHAR.test(ch) ? ch : ' ';
+            map.push(i);
+        }
+    }
+    return { text: normalized, map };
+};
+
+export const normalizeText = (text) => normalizeWithMap(text || '').text.trim();
+
+const tokenize = (text) => Array.from(text.matchAll(/\S+/g), m => ({ token: m[0], start: m.index }));
+
+// Edit distance where swapping two neighbouring letters counts as one typo
+// (optimal string alignment), so "pakr" is as close to "park" as "parc"
+const editDistance = (a, b) => {
+    let before = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const curr = [i];
+        for (let j = 1; j <= b.length; j++) {
+            curr[j] = Math.min(
+                prev[j] + 1,
+                curr[j - 1] + 1,
+                prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                curr[j] = Math.min(curr[j], before[j - 2] + 1);
+            }
+        }
+        before = prev;
+        prev = curr;
+    }
+    return prev[b.length];
+};
+
+// Typos tolerated grow with the length of what was typed
+const maxTypos = (length) => (length >= 7 ? 2 : length >= 4 ? 1 : 0);
+
+// Best match of one query token against the tokens of a text
+const matchToken = (queryToken, textTokens) => {
+    let best = null;
+    const typos = maxTypos(queryToken.length);
+
+    textTokens.forEach(({ token, start }) => {
+        let score = 0;
+        let offset = 0;
+        let length = queryToken.length;
+
+        if (token === queryToken) {
+            score = SCORE_EXACT;
+        } else if (token.startsWith(queryToken)) {
+            score = SCORE_PREFIX;
+        } else if (queryToken.length >= 3 && token.includes(queryToken)) {
+            score = SCORE_SUBSTRING;
+            offset = token.indexOf(queryToken);
+        } else if (typos > 0) {
+            // Compare against the start of the word, allowing the user to still be typing
+            const prefix = token.slice(0, queryToken.length);
+            const whole = editDistance(queryToken, token);
+            if (whole <= typos) {
+                score = SCORE_FUZZY;
+                length = token.length;
+            } else if (editDistance(queryToken, prefix) <= typos) {
+                score = SCORE_FUZZY;
+                length = prefix.length;
+            }
+        }
+
+        if (score > 0 && (!best || score > best.score)) {
+            best = { score, start: start + offset, length };
+        }
+    });
+    return best;
+};
+
+/**
+ * Fuzzy-match a query against a piece of text
+ * @param {Array} queryTokens - Normalised query tokens
+ * @param {string} text - Original text
+ * @returns {Object|null} {score, ranges} with ranges as [start, end) into the original text
+ */
+const matchText = (queryTokens, text) => {
+    if (!text) return null;
+    const normalized = normalizeWithMap(text);
+    const textTokens = tokenize(normalized.text);
+
+    let score = 0;
+    const ranges = [];
+    for (const queryToken of queryTokens) {
+        const match = matchToken(queryToken, textTokens);
+        if (!match) return null;
+        score += match.score;
+        ranges.push([
+            normalized.map[match.start],
+            normalized.map[match.start + match.length - 1] + 1
+        ]);
+    }
+    return { score, ranges: ranges.sort((a, b) => a[0] - b[0]) };
+};
+
+/**
+ * Search features by name and address
+ * @param {Array} features - GeoJSON features
+ * @param {string} query - Text typed by the user
+ * @returns {Map|null} Feature to {score, name, address} (range matches), or null for an empty query
+ */
+export const searchFeatures = (features, query) => {
+    const queryTokens = tokenize(normalizeText(query)).map(t => t.token);
+    if (queryTokens.length === 0) return null;
+
+    const matches = new Map();
+    features.forEach(f => {
+        const name = matchText(queryTokens, f.properties?.name);
+        const address = matchText(queryTokens, f.properties?.address);
+        if (!name && !address) return;
+        matches.set(f, {
+            score: Math.max(name ? name.score * NAME_WEIGHT : 0, address ? address.score : 0),
+            name: name?.ranges || [],
+            address: address?.ranges || []
+        });
+    });
+    return matches;
+};
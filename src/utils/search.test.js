@@ -0,0 +1,58 @@
+import { describe, expect, it } from 'vitest';
+import { normalizeText, searchFeatures } from './search';
+
+const feature = (name, address) => ({ type: 'Feature', properties: { name, address }, geometry: null });
+
+const rathmines = feature('Leabharlann Ráth Maonais', '157 Rathmines Road Lower');
+const park = feature("St Stephen's Green Park", 'St Stephen’s Green, Dublin 2');
+const pool = feature('Rathmines Swimming Pool', 'Williams Park, Rathmines');
+const features = [rathmines, park, pool];
+
+const search = (query) => searchFeatures(features, query);
+
+describe('normalizeText', () => {
+    it('drops accents, case and punctuation', () => {
+        expect(normalizeText("Ráth Maonais, St. Stephen's")).toBe('rath maonais  st  stephen s');
+    });
+});
+
+describe('searchFeatures', () => {
+    it('returns null for an empty query', () => {
+        expect(search('  ')).toBeNull();
+    });
+
+    it('matches accented names typed without accents, and the other way round', () => {
+        expect(search('rath maonais').has(rathmines)).toBe(true);
+        expect(search('Ráthmines').has(pool)).toBe(true);
+    });
+
+    it('tolerates typos, counting a swap of letters as one', () => {
+        expect(search('rahtmines').has(pool)).toBe(true);
+        expect(search('pakr').has(park)).toBe(true);
+        expect(search('stephnes').has(park)).toBe(true);
+    });
+
+    it('does not guess at short words', () => {
+        expect(search('pak').has(park)).toBe(false);
+    });
+
+    it('needs every word of the query', () => {
+        expect([...search('rathmines pool').keys()]).toEqual([pool]);
+    });
+
+    it('ranks name matches above address matches', () => {
+        const matches = search('rathmines');
+        expect(matches.get(pool).score).toBeGreaterThan(matches.get(rathmines).score);
+    });
+
+    it('highlights ranges of the original text', () => {
+        const { name, address } = search('maon rath').get(rathmines);
+        expect(name).toEqual([[12, 16], [17, 21]]);
+        expect(address).toEqual([]);
+    });
+
+    it('highlights the whole word a typo matched', () => {
+        expect(search('rahtmines').get(pool).name).toEqual([[0, 9]]);
+        expect(search('swimnig').get(pool).name).toEqual([[10, 18]]);
+    });
+});
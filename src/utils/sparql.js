@@ -0,0 +1,164 @@
+// SPARQL console helpers: prefix completion, result parsing and mapping result rows.
+//
+// `/sparql?query=...` passes a query through to the triple store and answers with
+// standard SPARQL 1.1 JSON results: { head: { vars }, results: { bindings } } or { boolean }.
+
+import { PREFIXES } from './linkedData';
+
+export const SPARQL_PREFIXES = {
+    ...PREFIXES,
+    geof: 'http://www.opengis.net/def/function/geosparql/',
+    uom: 'http://www.opengis.net/def/uom/OGC/1.0/'
+};
+
+export const DEFAULT_QUERY = `PREFIX schema: <http://schema.org/>
+PREFIX geo: <http://www.opengis.net/ont/geosparql#>
+
+SELECT ?facility ?name ?wkt WHERE {
+  ?facility schema:name ?name ;
+            geo:hasGeometry/geo:asWKT ?wkt .
+}
+LIMIT 100`;
+
+const WKT_LITERAL = `${PREFIXES.geo}wktLiteral`;
+
+// Completion starts after two characters, so typing keywords stays quiet
+const MIN_COMPLETION_LENGTH = 2;
+
+/**
+ * Prefix completions for the word being typed at the cursor
+ * @param {string} query - Editor contents
+ * @param {number} cursor - Caret offset
+ * @returns {Object|null} { from, to, declaring, options: [{prefix, namespace}] }
+ */
+export const getPrefixCompletions = (query, cursor) => {
+    const before = query.slice(0, cursor);
+    // A bare word: not a ?variable, not inside an <IRI>, not already prefixed
+    const match = /(?:^|[\s({,;])([a-z][\w-]*)$/i.exec(before);
+    if (!match || match[1].length < MIN_COMPLETION_LENGTH) return null;
+    if (/[\w:-]/.test(query.charAt(cursor))) return null;
+
+    const word = match[1];
+    const options = Object.entries(SPARQL_PREFIXES)
+        .filter(([prefix]) => prefix.startsWith(word.toLowerCase()))
+        .map(([prefix, namespace]) => ({ prefix, namespace }));
+    if (options.length === 0) return null;
+
+    return {
+        from: cursor - word.length,
+        to: cursor,
+        // Typing after PREFIX completes the whole declaration
+        declaring: /PREFIX\s+[\w-]*$/i.test(before),
+        options
+    };
+};
+
+/**
+ * Insert a chosen prefix. In the body this types `prefix:` and declares the
+ * prefix at the top of the query when it is not declared yet.
+ * @returns {Object} { query, cursor }
+ */
+export const applyPrefixCompletion = (query, completion, { prefix, namespace }) => {
+    const insert = completion.declaring ? `${prefix}: <${namespace}>` : `${prefix}:`;
+    let next = query.slice(0, completion.from) + insert + query.slice(completion.to);
+    let cursor = completion.from + insert.length;
+
+    const declared = new RegExp(`PREFIX\\s+${prefix}:`, 'i').test(query);
+    if (!completion.declaring && !declared) {
+        const declaration = `PREFIX ${prefix}: <${namespace}>\n`;
+        next = declaration + next;
+        cursor += declaration.length;
+    }
+    return { query: next, cursor };
+};
+
+/**
+ * Normalise a SPARQL JSON response into columns and rows.
+ * ASK queries become a single `result` column.
+ * @returns {Object} { vars, rows } where each row maps variable to a binding {type, value, datatype?}
+ */
+export const parseSparqlResults = (json) => {
+    if (typeof json?.boolean === 'boolean') {
+        return { vars: ['result'], rows: [{ result: { type: 'literal', value: String(json.boolean) } }] };
+    }
+    return { vars: json?.head?.vars || [], rows: json?.results?.bindings || [] };
+};
+
+const WKT_TYPES = {
+    POINT: 'Point',
+    MULTIPOINT: 'MultiPoint',
+    LINESTRING: 'LineString',
+    MULTILINESTRING: 'MultiLineString',
+    POLYGON: 'Polygon',
+    MULTIPOLYGON: 'MultiPolygon'
+};
+
+const NUMBER = '-?\\d+(?:\\.\\d+)?(?:[eE][+-]?\\d+)?';
+const COORDINATE = new RegExp(`(${NUMBER})\\s+(${NUMBER})(?:\\s+${NUMBER})*`, 'g');
+
+/**
+ * Parse a WKT literal (optionally prefixed by a CRS IRI) into a GeoJSON geometry.
+ * Coordinates are taken as lon/lat; Z and M values are dropped.
+ * @param {string} wkt
+ * @returns {Object|null} GeoJSON geometry, or null when unsupported or empty
+ */
+export const parseWKT = (wkt) => {
+    const text = wkt.replace(/^\s*<[^>]*>\s*/, '').trim();
+    const match = /^([a-z]+)\s*(?:ZM|Z|M)?\s*(\(.*\))$/is.exec(text);
+    const type = match && WKT_TYPES[match[1].toUpperCase()];
+    if (!type) return null;
+
+    let coordinates;
+    try {
+        coordinates = JSON.parse(match[2].replace(COORDINATE, '[$1,$2]').replace(/\(/g, '[').replace(/\)/g, ']'));
+    } catch {
+        return null;
+    }
+
+    if (type === 'Point') return { type, coordinates: coordinates[0] };
+    // MULTIPOINT((1 2), (3 4)) and MULTIPOINT(1 2, 3 4) are both valid
+    if (type === 'MultiPoint') coordinates = coordinates.map(p => (typeof p[0] === 'number' ? p : p[0]));
+    return { type, coordinates };
+};
+
+/**
+ * Variables that locate each row: a WKT geometry, or a latitude/longitude pair
+ * @returns {Object|null} { wkt } or { lat, lon }
+ */
+export const findGeometryVars = (vars, rows) => {
+    const wkt = vars.find(v => rows.some(r => r[v]?.datatype === WKT_LITERAL))
+        || vars.find(v => /wkt/i.test(v));
+    if (wkt) return { wkt };
+
+    const lat = vars.find(v => /^lat(itude)?$/i.test(v));
+    const lon = vars.find(v => /^(long|lon|lng|longitude)$/i.test(v));
+    return lat && lon ? { lat, lon } : null;
+};
+
+/**
+ * Turn located result rows into GeoJSON features for the map.
+ * Properties hold every binding's value plus the row index.
+ * @returns {Array} Features; rows without a usable location are skipped
+ */
+export const rowsToFeatures = (vars, rows) => {
+    const geometryVars = findGeometryVars(vars, rows);
+    if (!geometryVars) return [];
+
+    return rows.flatMap((row, index) => {
+        let geometry = null;
+        if (geometryVars.wkt) {
+            geometry = row[geometryVars.wkt] ? parseWKT(row[geometryVars.wkt].value) : null;
+        } else {
+            const lat = parseFloat(row[geometryVars.lat]?.value);
+            const lon = parseFloat(row[geometryVars.lon]?.value);
+            if (Number.isFinite(lat) && Number.isFinite(lon)) geometry = { type: 'Point', coordinates: [lon, lat] };
+        }
+        if (!geometry) return [];
+
+        const properties = { index };
+        vars.forEach(v => {
+            if (row[v]) properties[v] = row[v].value;
+        });
+        return [{ type: 'Feature', geometry, properties }];
+    });
+};
@@ -0,0 +1,95 @@
+import { describe, expect, it } from 'vitest';
+import { regionToGeoJSON, regionToWKT } from './regions';
+import { applyPrefixCompletion, getPrefixCompletions, parseWKT, rowsToFeatures } from './sparql';
+
+// Write GeoJSON back out as WKT, to check parseWKT round-trips
+const position = ([lon, lat]) => `${lon} ${lat}`;
+const ring = (coords) => `(${coords.map(position).join(', ')})`;
+const polygon = (rings) => `(${rings.map(ring).join(', ')})`;
+const toWKT = ({ type, coordinates }) => ({
+    Point: () => `POINT (${position(coordinates)})`,
+    Polygon: () => `POLYGON ${polygon(coordinates)}`,
+    MultiPolygon: () => `MULTIPOLYGON (${coordinates.map(polygon).join(', ')})`
+}[type]());
+
+const square = (x, y, size) => [[x, y], [x + size, y], [x + size, y + size], [x, y + size], [x, y]];
+
+describe('parseWKT', () => {
+    it.each([
+        { type: 'Point', coordinates: [-6.2603, 53.3498] },
+        { type: 'Polygon', coordinates: [square(-6.27, 53.34, 0.01), square(-6.267, 53.343, 0.002)] },
+        { type: 'MultiPolygon', coordinates: [[square(-6.3, 53.3, 0.01)], [square(-6.2, 53.4, 0.02), square(-6.195, 53.405, 0.005)]] }
+    ])('round-trips a $type', (geometry) => {
+        expect(parseWKT(toWKT(geometry))).toEqual(geometry);
+    });
+
+    it('reads back a drawn region', () => {
+        const region = { type: 'rectangle', bounds: [[53.34, -6.27], [53.35, -6.25]] };
+        expect(parseWKT(regionToWKT(region))).toEqual(regionToGeoJSON(region));
+    });
+
+    it('drops the CRS, Z values and exponent notation', () => {
+        expect(parseWKT('<http://www.opengis.net/def/crs/OGC/1.3/CRS84> POINT Z(-6.26 53.35 12)'))
+            .toEqual({ type: 'Point', coordinates: [-6.26, 53.35] });
+        expect(parseWKT('point(-6.26e0 5.335E1)')).toEqual({ type: 'Point', coordinates: [-6.26, 53.35] });
+    });
+
+    it('accepts both MULTIPOINT forms', () => {
+        const expected = { type: 'MultiPoint', coordinates: [[1, 2], [3, 4]] };
+        expect(parseWKT('MULTIPOINT ((1 2), (3 4))')).toEqual(expected);
+        expect(parseWKT('MULTIPOINT (1 2, 3 4)')).toEqual(expected);
+    });
+
+    it('returns null for unsupported or broken WKT', () => {
+        expect(parseWKT('GEOMETRYCOLLECTION (POINT (1 2))')).toBeNull();
+        expect(parseWKT('POLYGON ((1 2, 3 4)')).toBeNull();
+        expect(parseWKT('not wkt')).toBeNull();
+    });
+});
+
+describe('rowsToFeatures', () => {
+    it('locates rows by WKT or by latitude and longitude', () => {
+        const wkt = { type: 'literal', value: 'POINT (-6.26 53.35)', datatype: 'http://www.opengis.net/ont/geosparql#wktLiteral' };
+        expect(rowsToFeatures(['name', 'shape'], [{ name: { value: 'Spire' }, shape: wkt }, { name: { value: 'Nowhere' } }]))
+            .toEqual([{ type: 'Feature', geometry: { type: 'Point', coordinates: [-6.26, 53.35] }, properties: { index: 0, name: 'Spire', shape: wkt.value } }]);
+
+        const [feature] = rowsToFeatures(['lat', 'long'], [{ lat: { value: '53.35' }, long: { value: '-6.26' } }]);
+        expect(feature.geometry.coordinates).toEqual([-6.26, 53.35]);
+    });
+});
+
+describe('prefix completion', () => {
+    it('offers prefixes for the word at the cursor', () => {
+        const query = 'SELECT * WHERE { ?s sch';
+        const completion = getPrefixCompletions(query, query.length);
+        expect(completion).toMatchObject({ from: query.length - 3, to: query.length, declaring: false });
+        expect(completion.options.map(o => o.prefix)).toContain('schema');
+    });
+
+    it('stays quiet for variables, IRIs, single letters and the middle of a word', () => {
+        expect(getPrefixCompletions('?sch', 4)).toBeNull();
+        expect(getPrefixCompletions('<http://sch', 11)).toBeNull();
+        expect(getPrefixCompletions('SELECT * WHERE { ?s s', 21)).toBeNull();
+        expect(getPrefixCompletions('sch:name', 3)).toBeNull();
+    });
+
+    it('declares a prefix used in the body once', () => {
+        const option = { prefix: 'schema', namespace: 'http://schema.org/' };
+        const query = 'SELECT * WHERE { ?s sch';
+        const { query: next, cursor } = applyPrefixCompletion(query, getPrefixCompletions(query, query.length), option);
+        expect(next).toBe('PREFIX schema: <http://schema.org/>\nSELECT * WHERE { ?s schema:');
+        expect(cursor).toBe(next.length);
+
+        const again = `${next} ?o . ?o sch`;
+        expect(applyPrefixCompletion(again, getPrefixCompletions(again, again.length), option).query)
+            .toBe(`${next} ?o . ?o schema:`);
+    });
+
+    it('completes the whole declaration after PREFIX', () => {
+        const query = 'PREFIX ge';
+        const completion = getPrefixCompletions(query, query.length);
+        expect(completion.declaring).toBe(true);
+        const geo = completion.options.find(o => o.prefix === 'geo');
+        expect(applyPrefixCompletion(query, completion, geo).query).toBe(`PREFIX geo: <${geo.namespace}>`);
+    });
+});
@@ -0,0 +1,21 @@
+// JSON values in localStorage, namespaced per app.
+// Storage can be full, disabled or hold a corrupt entry; all of those fall back quietly.
+
+const NAMESPACE = 'dublin-smart-map';
+
+export const readStored = (key, fallback) => {
+    try {
+        const raw = localStorage.getItem(`${NAMESPACE}:${key}`);
+        return raw === null ? fallback : JSON.parse(raw);
+    } catch {
+        return fallback;
+    }
+};
+
+export const writeStored = (key, value) => {
+    try {
+        localStorage.setItem(`${NAMESPACE}:${key}`, JSON.stringify(value));
+    } catch (err) {
+        console.warn(`Could not save ${key}:`, err);
+    }
+};
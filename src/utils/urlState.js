@@ -0,0 +1,56 @@
+// Serialise the explorer's filters and map view to and from the query string
+// e.g. ?area=…&type=Library&type=Toilet&q=pearse&s=1&near=1&r=1000&z=15&c=53.34,-6.26
+// `s=1` marks that a search has run, so a search over all regions and types is replayed too
+
+const DEFAULT_RADIUS = 1000;
+const MIN_RADIUS = 100;
+const MAX_RADIUS = 5000;
+
+const parseView = (params) => {
+    const zoom = parseInt(params.get('z'), 10);
+    const [lat, lon] = (params.get('c') || '').split(',').map(parseFloat);
+    if (!Number.isFinite(zoom) || !Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+    return { center: [lat, lon], zoom };
+};
+
+/**
+ * Read explorer state from a query string
+ * @param {string} search - e.g. window.location.search
+ * @returns {Object} {area, types, query, nearMe, radius, view, searched, hasFilters}
+ */
+export const parseUrlState = (search) => {
+    const params = new URLSearchParams(search);
+    const radius = parseInt(params.get('r'), 10);
+
+    return {
+        area: params.get('area') || '',
+        types: params.getAll('type'),
+        query: params.get('q') || '',
+        nearMe: params.get('near') === '1',
+        radius: Number.isFinite(radius)
+            ? Math.min(MAX_RADIUS, Math.max(MIN_RADIUS, radius))
+            : DEFAULT_RADIUS,
+        view: parseView(params),
+        searched: params.get('s') === '1',
+        // A shared link with any filter, or from any search, should reproduce the search on load
+        hasFilters: params.get('s') === '1' || params.has('area') || params.has('type') || params.has('q') || params.has('near')
+    };
+};
+
+export const serializeUrlState = ({ area, types, query, searched, nearMe, radius, view }) => {
+    const params = new URLSearchParams();
+    if (area) params.set('area', area);
+    types.forEach(t => params.append('type', t));
+    if (query) params.set('q', query);
+    if (searched) params.set('s', '1');
+    if (nearMe) {
+        params.set('near', '1');
+        params.set('r', radius);
+    }
+    if (view) {
+        params.set('z', view.zoom);
+        params.set('c', `${view.center[0].toFixed(5)},${view.center[1].toFixed(5)}`);
+    }
+    const search = params.toString();
+    return search ? `?${search}` : '';
+};
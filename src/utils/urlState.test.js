@@ -0,0 +1,50 @@
+import { describe, expect, it } from 'vitest';
+import { parseUrlState, serializeUrlState } from './urlState';
+
+const state = {
+    area: 'South East',
+    types: ['Library', 'Toilet'],
+    query: 'pearse st',
+    searched: true,
+    nearMe: true,
+    radius: 1500,
+    view: { center: [53.34, -6.26], zoom: 15 }
+};
+
+describe('serializeUrlState / parseUrlState', () => {
+    it('round-trips every filter and the view', () => {
+        const parsed = parseUrlState(serializeUrlState(state));
+        expect(parsed).toEqual({ ...state, hasFilters: true });
+    });
+
+    it('writes nothing for an untouched explorer', () => {
+        expect(serializeUrlState({ area: '', types: [], query: '', nearMe: false, radius: 1000, view: null })).toBe('');
+    });
+
+    it('replays a search over all regions and types', () => {
+        const search = serializeUrlState({ area: '', types: [], query: '', searched: true, view: state.view });
+        expect(search).toBe('?s=1&z=15&c=53.34000%2C-6.26000');
+        expect(parseUrlState(search).hasFilters).toBe(true);
+    });
+
+    it('does not replay a link with only a view', () => {
+        expect(parseUrlState('?z=15&c=53.34,-6.26').hasFilters).toBe(false);
+    });
+
+    it('leaves the radius out unless Near Me is on', () => {
+        expect(serializeUrlState({ ...state, nearMe: false, view: null })).not.toContain('r=');
+    });
+});
+
+describe('parseUrlState', () => {
+    it('clamps the radius and falls back to the default', () => {
+        expect(parseUrlState('?near=1&r=50').radius).toBe(100);
+        expect(parseUrlState('?near=1&r=99999').radius).toBe(5000);
+        expect(parseUrlState('?near=1&r=abc').radius).toBe(1000);
+    });
+
+    it('ignores an incomplete view', () => {
+        expect(parseUrlState('?z=15').view).toBeNull();
+        expect(parseUrlState('?z=15&c=53.34').view).toBeNull();
+    });
+});
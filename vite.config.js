@@ -1,9 +1,53 @@
+import { createHash } from 'node:crypto'
+import process from 'node:process'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { mockSparqlResponse } from './mock/sparql.js'
+
+// Lists the build output so the service worker (public/sw.js) can precache it, and
+// versions the worker's app cache by the (content-hashed) file names of the build
+const precacheManifest = () => ({
+  name: 'precache-manifest',
+  apply: 'build',
+  generateBundle(_, bundle) {
+    const files = ['/', '/vite.svg', ...Object.keys(bundle).map(file => `/${file}`)]
+    const version = createHash('sha256').update(files.join('\n')).digest('hex').slice(0, 12)
+    this.emitFile({
+      type: 'asset',
+      fileName: 'precache-manifest.json',
+      source: JSON.stringify(files, null, 2)
+    })
+    this.emitFile({
+      type: 'asset',
+      fileName: 'sw-version.js',
+      source: `self.BUILD_VERSION = '${version}';\n`
+    })
+  }
+})
+
+// With MOCK_SPARQL=true the dev server answers /api/sparql itself,
+// so the SPARQL console works without the backend
+const mockSparql = () => ({
+  name: 'mock-sparql',
+  apply: 'serve',
+  configureServer(server) {
+    if (process.env.MOCK_SPARQL !== 'true') return
+    server.middlewares.use('/api/sparql', (req, res) => {
+      const query = new URL(req.url, 'http://localhost').searchParams.get('query') || ''
+      res.setHeader('Content-Type', 'application/sparql-results+json')
+      try {
+        res.end(JSON.stringify(mockSparqlResponse(query)))
+      } catch (err) {
+        res.statusCode = 400
+        res.end(JSON.stringify({ error: err.message }))
+      }
+    })
+  }
+})
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), precacheManifest(), mockSparql()],
   server: {
     port: 3000,
     proxy: {